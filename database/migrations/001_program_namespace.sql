@@ -0,0 +1,14 @@
+-- Program namespaces (GMP, MC, FSQM) for evaluation results and process logs
+-- Existing rows were all produced by the GMP cohort, so they default to 'GMP'
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS program VARCHAR(20) NOT NULL DEFAULT 'GMP';
+
+ALTER TABLE process_logs
+ADD COLUMN IF NOT EXISTS program VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_results_program_email ON evaluation_results (program, email);
+CREATE INDEX IF NOT EXISTS idx_process_logs_program ON process_logs (program);
+
+COMMENT ON COLUMN evaluation_results.program IS 'Evaluation program namespace (GMP, MC, FSQM)';
+COMMENT ON COLUMN process_logs.program IS 'Evaluation program for session-level logs (GMP, MC, FSQM)';
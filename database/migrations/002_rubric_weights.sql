@@ -0,0 +1,100 @@
+-- Canonical rubric weights
+-- The per-stage CHECK constraints in evaluation_results_schema.sql (idea/problem/impact 15,
+-- scale 10, total 70) disagreed with the weights the prompt announces. Stage limits are now
+-- read from rubric_weights, which mirrors STAGE_WEIGHTS in src/lib/rubrics.js; the batch
+-- processor refuses to start when the two differ.
+
+CREATE TABLE IF NOT EXISTS rubric_weights (
+    rubric_id VARCHAR(50) NOT NULL,
+    criterion_key VARCHAR(50) NOT NULL,
+    max_score INTEGER NOT NULL CHECK (max_score > 0),
+    PRIMARY KEY (rubric_id, criterion_key)
+);
+
+INSERT INTO rubric_weights (rubric_id, criterion_key, max_score)
+SELECT rubric_id, criterion_key, max_score
+FROM (VALUES ('lazy_evaluation'), ('mc_lazy_evaluation'), ('fsqm_lazy_evaluation')) AS rubrics (rubric_id)
+CROSS JOIN (VALUES
+    ('idea', 10),
+    ('problem', 10),
+    ('technology', 10),
+    ('collaboration', 10),
+    ('creativity', 15),
+    ('scale', 15),
+    ('impact', 20),
+    ('pitch', 10)
+) AS stages (criterion_key, max_score)
+ON CONFLICT (rubric_id, criterion_key) DO UPDATE SET max_score = EXCLUDED.max_score;
+
+INSERT INTO rubric_weights (rubric_id, criterion_key, max_score) VALUES
+    ('fsqm_report', 'criterion1', 10),
+    ('fsqm_report', 'criterion2', 10),
+    ('fsqm_report', 'criterion3', 5),
+    ('fsqm_report', 'criterion4', 5)
+ON CONFLICT (rubric_id, criterion_key) DO UPDATE SET max_score = EXCLUDED.max_score;
+
+ALTER TABLE rubric_weights ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to rubric_weights"
+ON rubric_weights FOR SELECT
+USING (true);
+
+-- Record which rubric graded each row so limits can be looked up per rubric
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS rubric_id VARCHAR(50) NOT NULL DEFAULT 'lazy_evaluation';
+
+-- Replace the hard-coded limits
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_total_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_idea_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_problem_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_technology_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_collaboration_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_creativity_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_scale_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_impact_score_check;
+ALTER TABLE evaluation_results DROP CONSTRAINT IF EXISTS evaluation_results_pitch_score_check;
+
+-- process_logs only mirrors totals already validated on evaluation_results
+ALTER TABLE process_logs DROP CONSTRAINT IF EXISTS process_logs_total_score_check;
+ALTER TABLE process_logs ADD CONSTRAINT process_logs_total_score_check CHECK (total_score >= 0);
+
+CREATE OR REPLACE FUNCTION enforce_rubric_weights()
+RETURNS TRIGGER AS $$
+DECLARE
+    weights JSONB;
+    stage_key TEXT;
+    stage_score INTEGER;
+BEGIN
+    SELECT jsonb_object_agg(criterion_key, max_score)
+    INTO weights
+    FROM rubric_weights
+    WHERE rubric_id = NEW.rubric_id;
+
+    IF weights IS NULL THEN
+        RAISE EXCEPTION 'No rubric_weights rows for rubric %', NEW.rubric_id;
+    END IF;
+
+    FOREACH stage_key IN ARRAY ARRAY['idea', 'problem', 'technology', 'collaboration', 'creativity', 'scale', 'impact', 'pitch'] LOOP
+        stage_score := (to_jsonb(NEW) ->> (stage_key || '_score'))::INTEGER;
+        IF stage_score IS NOT NULL AND (stage_score < 0 OR stage_score > (weights ->> stage_key)::INTEGER) THEN
+            RAISE EXCEPTION '% must be between 0 and % for rubric % (got %)',
+                stage_key || '_score', weights ->> stage_key, NEW.rubric_id, stage_score;
+        END IF;
+    END LOOP;
+
+    IF NEW.total_score < 0 OR NEW.total_score > (SELECT SUM(value::INTEGER) FROM jsonb_each_text(weights)) THEN
+        RAISE EXCEPTION 'total_score % exceeds the maximum for rubric %', NEW.total_score, NEW.rubric_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_enforce_rubric_weights ON evaluation_results;
+CREATE TRIGGER trg_enforce_rubric_weights
+BEFORE INSERT OR UPDATE ON evaluation_results
+FOR EACH ROW EXECUTE FUNCTION enforce_rubric_weights();
+
+COMMENT ON TABLE rubric_weights IS 'Maximum score per rubric criterion; mirrors STAGE_WEIGHTS in src/lib/rubrics.js';
+COMMENT ON COLUMN evaluation_results.rubric_id IS 'Rubric used to grade the row (see rubric_weights)';
+COMMENT ON COLUMN evaluation_results.total_score IS 'Overall score out of the rubric maximum (sum of rubric_weights)';
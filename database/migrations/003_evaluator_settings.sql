@@ -0,0 +1,39 @@
+-- Per-program evaluator settings and per-row evaluation provenance
+-- Admins pick the model and generation config for each program in the Evaluator Settings
+-- panel; every evaluation row records what was actually used so grades can be audited
+-- and compared across model or prompt changes.
+
+CREATE TABLE IF NOT EXISTS evaluator_settings (
+    program VARCHAR(20) PRIMARY KEY,
+    model VARCHAR(100) NOT NULL,
+    temperature NUMERIC(3, 2) NOT NULL CHECK (temperature >= 0 AND temperature <= 2),
+    max_output_tokens INTEGER NOT NULL CHECK (max_output_tokens > 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE evaluator_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to evaluator_settings"
+ON evaluator_settings FOR SELECT
+USING (true);
+
+CREATE POLICY "Allow insert access to evaluator_settings"
+ON evaluator_settings FOR INSERT
+WITH CHECK (true);
+
+CREATE POLICY "Allow update access to evaluator_settings"
+ON evaluator_settings FOR UPDATE
+USING (true);
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS generation_config JSONB;
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS prompt_version VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_results_model_prompt ON evaluation_results (ai_model, prompt_version);
+
+COMMENT ON TABLE evaluator_settings IS 'Model and generation config used for each program (falls back to application defaults when absent)';
+COMMENT ON COLUMN evaluation_results.ai_model IS 'Model that actually produced the evaluation (e.g., gemini-2.0-flash-exp, mock-rule-based)';
+COMMENT ON COLUMN evaluation_results.generation_config IS 'Generation config used for the evaluation (temperature, maxOutputTokens)';
+COMMENT ON COLUMN evaluation_results.prompt_version IS 'Rubric prompt version used for the evaluation';
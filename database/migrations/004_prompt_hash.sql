@@ -0,0 +1,27 @@
+-- Prompt fingerprint on evaluation results
+-- prompt_version (added in 003) is declared by the rubric; prompt_hash is a hash of the
+-- rendered prompt template, so edits that forget to bump the version are still visible.
+-- process_logs carries the same pair in details (promptVersion, promptHash).
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS prompt_hash VARCHAR(16);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_results_program_prompt ON evaluation_results (program, prompt_version);
+
+-- Scores per prompt version, e.g. to compare prompt v3 with v4
+CREATE OR REPLACE VIEW prompt_version_summary AS
+SELECT
+    program,
+    prompt_version,
+    prompt_hash,
+    COUNT(*) AS total_evaluations,
+    COUNT(CASE WHEN evaluation_status = 'success' THEN 1 END) AS successful_evaluations,
+    COUNT(CASE WHEN evaluation_status = 'error' THEN 1 END) AS failed_evaluations,
+    ROUND(AVG(CASE WHEN evaluation_status = 'success' THEN total_score END), 2) AS average_score,
+    MIN(processed_at) AS first_processed_at,
+    MAX(processed_at) AS last_processed_at
+FROM evaluation_results
+GROUP BY program, prompt_version, prompt_hash;
+
+COMMENT ON COLUMN evaluation_results.prompt_hash IS 'Hash of the rendered prompt template (see getPromptFingerprint in src/lib/rubrics.js)';
+COMMENT ON VIEW prompt_version_summary IS 'Evaluation counts and average score per program, prompt version and prompt hash';
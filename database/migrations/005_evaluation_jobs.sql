@@ -0,0 +1,73 @@
+-- Durable evaluation sessions
+-- Every batch session (browser or worker) is an evaluation_jobs row keyed by the same
+-- session_id used in process_logs, with one evaluation_tasks row per participant. Tasks
+-- move pending -> running -> done/failed, so any client or worker can resume an
+-- interrupted session at the first unfinished participant.
+
+CREATE TABLE IF NOT EXISTS evaluation_jobs (
+    session_id VARCHAR(100) PRIMARY KEY,
+    program VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'paused', 'completed', 'failed')),
+    batch_size INTEGER NOT NULL CHECK (batch_size > 0),
+    total_tasks INTEGER NOT NULL DEFAULT 0,
+    created_by VARCHAR(100), -- Component that created the session (BatchEvaluationProcessor, EvaluationWorker)
+    claimed_by VARCHAR(100), -- Runner currently processing the session
+    heartbeat_at TIMESTAMP WITH TIME ZONE, -- Last sign of life from claimed_by
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS evaluation_tasks (
+    id SERIAL PRIMARY KEY,
+    session_id VARCHAR(100) NOT NULL REFERENCES evaluation_jobs (session_id) ON DELETE CASCADE,
+    batch_id VARCHAR(100) NOT NULL,
+    batch_number INTEGER NOT NULL,
+    position INTEGER NOT NULL, -- 1-based position across the whole session
+    email VARCHAR(255) NOT NULL,
+    participant JSONB NOT NULL, -- Snapshot of the participant row that is graded
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'done', 'failed')),
+    outcome VARCHAR(20), -- success, updated, skipped, error
+    total_score INTEGER,
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (session_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_jobs_program_status ON evaluation_jobs (program, status);
+CREATE INDEX IF NOT EXISTS idx_evaluation_tasks_session_status ON evaluation_tasks (session_id, status, position);
+
+ALTER TABLE evaluation_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE evaluation_tasks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to evaluation_jobs" ON evaluation_jobs FOR SELECT USING (true);
+CREATE POLICY "Allow insert access to evaluation_jobs" ON evaluation_jobs FOR INSERT WITH CHECK (true);
+CREATE POLICY "Allow update access to evaluation_jobs" ON evaluation_jobs FOR UPDATE USING (true);
+
+CREATE POLICY "Allow read access to evaluation_tasks" ON evaluation_tasks FOR SELECT USING (true);
+CREATE POLICY "Allow insert access to evaluation_tasks" ON evaluation_tasks FOR INSERT WITH CHECK (true);
+CREATE POLICY "Allow update access to evaluation_tasks" ON evaluation_tasks FOR UPDATE USING (true);
+
+-- Task counts per session for progress bars and the resume list
+CREATE OR REPLACE VIEW evaluation_job_progress AS
+SELECT
+    j.*,
+    COUNT(t.id) FILTER (WHERE t.status = 'pending') AS pending_tasks,
+    COUNT(t.id) FILTER (WHERE t.status = 'running') AS running_tasks,
+    COUNT(t.id) FILTER (WHERE t.status = 'done') AS done_tasks,
+    COUNT(t.id) FILTER (WHERE t.status = 'failed') AS failed_tasks,
+    COUNT(t.id) FILTER (WHERE t.outcome = 'skipped') AS skipped_tasks
+FROM evaluation_jobs j
+LEFT JOIN evaluation_tasks t ON t.session_id = j.session_id
+GROUP BY j.session_id;
+
+GRANT SELECT ON evaluation_job_progress TO authenticated;
+
+COMMENT ON TABLE evaluation_jobs IS 'Batch evaluation sessions; session_id matches process_logs.session_id';
+COMMENT ON TABLE evaluation_tasks IS 'One row per participant in a session; batch_id matches process_logs.batch_id';
+COMMENT ON COLUMN evaluation_jobs.heartbeat_at IS 'A running session whose heartbeat is older than a few minutes is treated as interrupted and can be claimed by another runner';
@@ -0,0 +1,78 @@
+-- Shared rate limiting for evaluator calls
+-- Every browser tab and evaluation worker takes its model requests from the same token
+-- bucket (one row per model), refilled continuously at the per-minute request and token
+-- budgets configured in evaluator_settings. acquire_rate_limit() either takes one request
+-- plus the estimated tokens and returns 0, or takes nothing and returns how many
+-- milliseconds to wait before asking again.
+
+ALTER TABLE evaluator_settings
+ADD COLUMN IF NOT EXISTS requests_per_minute INTEGER CHECK (requests_per_minute > 0);
+
+ALTER TABLE evaluator_settings
+ADD COLUMN IF NOT EXISTS tokens_per_minute INTEGER CHECK (tokens_per_minute > 0);
+
+ALTER TABLE evaluator_settings
+ADD COLUMN IF NOT EXISTS concurrency INTEGER CHECK (concurrency > 0);
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    bucket_key VARCHAR(100) PRIMARY KEY,
+    request_tokens DOUBLE PRECISION NOT NULL,
+    token_tokens DOUBLE PRECISION NOT NULL,
+    refilled_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE rate_limit_buckets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to rate_limit_buckets" ON rate_limit_buckets FOR SELECT USING (true);
+CREATE POLICY "Allow insert access to rate_limit_buckets" ON rate_limit_buckets FOR INSERT WITH CHECK (true);
+CREATE POLICY "Allow update access to rate_limit_buckets" ON rate_limit_buckets FOR UPDATE USING (true);
+
+CREATE OR REPLACE FUNCTION acquire_rate_limit(
+    p_bucket_key VARCHAR,
+    p_requests_per_minute INTEGER,
+    p_tokens_per_minute INTEGER,
+    p_tokens INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+    now_ts TIMESTAMP WITH TIME ZONE := clock_timestamp();
+    bucket rate_limit_buckets%ROWTYPE;
+    elapsed_minutes DOUBLE PRECISION;
+    requests DOUBLE PRECISION;
+    tokens DOUBLE PRECISION;
+    -- A request larger than the whole budget waits for a full bucket instead of forever
+    needed_tokens DOUBLE PRECISION := LEAST(p_tokens, p_tokens_per_minute);
+    wait_ms INTEGER := 0;
+BEGIN
+    INSERT INTO rate_limit_buckets (bucket_key, request_tokens, token_tokens, refilled_at)
+    VALUES (p_bucket_key, p_requests_per_minute, p_tokens_per_minute, now_ts)
+    ON CONFLICT (bucket_key) DO NOTHING;
+
+    SELECT * INTO bucket FROM rate_limit_buckets WHERE bucket_key = p_bucket_key FOR UPDATE;
+
+    elapsed_minutes := GREATEST(EXTRACT(EPOCH FROM now_ts - bucket.refilled_at) / 60, 0);
+    requests := LEAST(p_requests_per_minute, bucket.request_tokens + elapsed_minutes * p_requests_per_minute);
+    tokens := LEAST(p_tokens_per_minute, bucket.token_tokens + elapsed_minutes * p_tokens_per_minute);
+
+    IF requests >= 1 AND tokens >= needed_tokens THEN
+        requests := requests - 1;
+        tokens := tokens - needed_tokens;
+    ELSE
+        wait_ms := CEIL(60000 * GREATEST(
+            (1 - requests) / p_requests_per_minute,
+            (needed_tokens - tokens) / p_tokens_per_minute
+        ));
+    END IF;
+
+    UPDATE rate_limit_buckets
+    SET request_tokens = requests, token_tokens = tokens, refilled_at = now_ts
+    WHERE bucket_key = p_bucket_key;
+
+    RETURN GREATEST(wait_ms, 0);
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE rate_limit_buckets IS 'Token buckets shared by every client and worker calling the evaluator (see src/lib/rateLimiter.js)';
+COMMENT ON COLUMN evaluator_settings.requests_per_minute IS 'Model requests per minute across all clients and workers (application default when NULL)';
+COMMENT ON COLUMN evaluator_settings.tokens_per_minute IS 'Estimated prompt + output tokens per minute across all clients and workers (application default when NULL)';
+COMMENT ON COLUMN evaluator_settings.concurrency IS 'Participants evaluated at the same time by one batch session (application default when NULL)';
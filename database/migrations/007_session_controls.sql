@@ -0,0 +1,36 @@
+-- Pause, resume, cancel and skip controls for batch sessions
+-- A cancelled session is closed like a completed one, but its pending tasks are never run.
+-- Control events are logged as SESSION_PAUSED / SESSION_RESUMED / SESSION_CANCELLED, and a
+-- user skipped by the operator is logged as USER_SKIPPED with details.skippedByOperator.
+
+ALTER TABLE evaluation_jobs DROP CONSTRAINT IF EXISTS evaluation_jobs_status_check;
+
+ALTER TABLE evaluation_jobs
+ADD CONSTRAINT evaluation_jobs_status_check
+    CHECK (status IN ('pending', 'running', 'paused', 'completed', 'failed', 'cancelled'));
+
+-- Same columns as before, plus the control events and the session's current status
+CREATE OR REPLACE VIEW session_summary AS
+SELECT
+    session_id,
+    MIN(created_at) as session_started,
+    MAX(created_at) as session_ended,
+    COUNT(DISTINCT batch_id) as total_batches,
+    COUNT(CASE WHEN email IS NOT NULL THEN 1 END) as total_users_processed,
+    COUNT(CASE WHEN processing_status = 'success' THEN 1 END) as successful_users,
+    COUNT(CASE WHEN processing_status = 'error' THEN 1 END) as failed_users,
+    COUNT(CASE WHEN processing_status = 'skipped' THEN 1 END) as skipped_users,
+    AVG(CASE WHEN processing_status = 'success' THEN total_score END) as avg_score,
+    SUM(processing_duration_ms) as total_processing_time_ms,
+    SUM(api_calls_made) as total_api_calls,
+    COUNT(CASE WHEN log_level = 'ERROR' THEN 1 END) as error_count,
+    COUNT(CASE WHEN log_level = 'WARN' THEN 1 END) as warning_count,
+    COUNT(CASE WHEN processing_status = 'skipped' AND details->>'skippedByOperator' = 'true' THEN 1 END) as operator_skipped_users,
+    COUNT(CASE WHEN log_type = 'SESSION_PAUSED' THEN 1 END) as pause_count,
+    COUNT(CASE WHEN log_type = 'SESSION_RESUMED' THEN 1 END) as resume_count,
+    BOOL_OR(log_type = 'SESSION_CANCELLED') as was_cancelled,
+    (SELECT j.status FROM evaluation_jobs j WHERE j.session_id = process_logs.session_id) as session_status
+FROM process_logs
+GROUP BY session_id;
+
+COMMENT ON VIEW session_summary IS 'Per-session counts from process_logs, including pause/resume/cancel events and users skipped by the operator';
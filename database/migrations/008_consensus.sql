@@ -0,0 +1,28 @@
+-- Consensus grading
+-- A program can evaluate each submission several times (optionally alternating models).
+-- The stored stage scores are the per-stage medians; evaluation_results.consensus keeps
+-- every run's scores and the spread, and needs_review flags submissions whose stage
+-- scores disagree by more than the threshold (or whose runs partly failed).
+
+ALTER TABLE evaluator_settings
+ADD COLUMN IF NOT EXISTS consensus_runs INTEGER CHECK (consensus_runs BETWEEN 1 AND 5);
+
+ALTER TABLE evaluator_settings
+ADD COLUMN IF NOT EXISTS consensus_models TEXT[];
+
+ALTER TABLE evaluator_settings
+ADD COLUMN IF NOT EXISTS disagreement_threshold NUMERIC(3, 2) CHECK (disagreement_threshold >= 0 AND disagreement_threshold <= 1);
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS consensus JSONB;
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_results_needs_review ON evaluation_results (program, needs_review) WHERE needs_review;
+
+COMMENT ON COLUMN evaluator_settings.consensus_runs IS 'Evaluations per submission; 1 (or NULL) disables consensus grading';
+COMMENT ON COLUMN evaluator_settings.consensus_models IS 'Models consensus runs alternate between; NULL or empty uses evaluator_settings.model';
+COMMENT ON COLUMN evaluator_settings.disagreement_threshold IS 'Stage score spread, as a fraction of the stage weight, above which a submission needs review';
+COMMENT ON COLUMN evaluation_results.consensus IS 'Consensus details: runs, models, per-run totals, per-stage median / spread / scores, disagreements, review reasons (see src/lib/consensus.js)';
+COMMENT ON COLUMN evaluation_results.needs_review IS 'Consensus runs disagreed beyond the threshold; a human should check the score';
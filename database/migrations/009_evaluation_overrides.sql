@@ -0,0 +1,52 @@
+-- Human review and score overrides
+-- A reviewer can correct the stage scores and statuses of an AI evaluation. Every save is a
+-- new evaluation_overrides row (version 1, 2, ...) with the reviewer and reason; the AI row
+-- in evaluation_results is never modified. The effective_evaluation_results view resolves
+-- the latest override, and exports and statistics read the effective scores from it.
+
+CREATE TABLE IF NOT EXISTS evaluation_overrides (
+    id SERIAL PRIMARY KEY,
+    evaluation_id INTEGER NOT NULL REFERENCES evaluation_results (id) ON DELETE CASCADE,
+    version INTEGER NOT NULL CHECK (version > 0),
+    program VARCHAR(20) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    reviewer VARCHAR(255) NOT NULL, -- Reviewer identity as entered in the review screen
+    reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+    stage_scores JSONB NOT NULL, -- Every criterion after the override: { <key>: { score, status } }
+    total_score INTEGER NOT NULL CHECK (total_score >= 0),
+    ai_total_score INTEGER, -- evaluation_results.total_score when the override was saved
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (evaluation_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_overrides_program_email ON evaluation_overrides (program, email);
+
+ALTER TABLE evaluation_overrides ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to evaluation_overrides" ON evaluation_overrides FOR SELECT USING (true);
+CREATE POLICY "Allow insert access to evaluation_overrides" ON evaluation_overrides FOR INSERT WITH CHECK (true);
+
+-- Evaluation rows with their latest override applied. total_score stays the AI score;
+-- effective_total_score / effective_stage_scores are what reports should use.
+CREATE OR REPLACE VIEW effective_evaluation_results AS
+SELECT
+    r.*,
+    COALESCE(o.total_score, r.total_score) AS effective_total_score,
+    o.stage_scores AS effective_stage_scores,
+    o.version AS override_version,
+    o.reviewer AS overridden_by,
+    o.reason AS override_reason,
+    o.created_at AS overridden_at
+FROM evaluation_results r
+LEFT JOIN LATERAL (
+    SELECT *
+    FROM evaluation_overrides eo
+    WHERE eo.evaluation_id = r.id
+    ORDER BY eo.version DESC
+    LIMIT 1
+) o ON TRUE;
+
+GRANT SELECT ON effective_evaluation_results TO authenticated;
+
+COMMENT ON TABLE evaluation_overrides IS 'Versioned reviewer corrections of evaluation_results rows (see src/lib/reviews.js)';
+COMMENT ON VIEW effective_evaluation_results IS 'evaluation_results with the latest reviewer override resolved into effective_* columns';
@@ -0,0 +1,67 @@
+-- Re-evaluation (regrade) requests
+-- An operator marks one or more participants for regrade with a reason. Batch loaders pick
+-- them up even though they already have a successful evaluation; the regrade is saved as a
+-- new evaluation_results row and the previous row is kept, marked superseded_by the new
+-- one, so both grades stay comparable. Statistics and the review queue only count rows
+-- that are not superseded.
+
+CREATE TABLE IF NOT EXISTS regrade_requests (
+    id SERIAL PRIMARY KEY,
+    program VARCHAR(20) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+    requested_by VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'cancelled')),
+    previous_evaluation_id INTEGER REFERENCES evaluation_results (id) ON DELETE SET NULL, -- Successful evaluation being regraded
+    previous_total_score INTEGER, -- Effective score of that evaluation when the regrade was requested
+    new_evaluation_id INTEGER REFERENCES evaluation_results (id) ON DELETE SET NULL,
+    new_total_score INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- At most one open request per participant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regrade_requests_pending ON regrade_requests (program, email) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_regrade_requests_program_created ON regrade_requests (program, created_at DESC);
+
+ALTER TABLE regrade_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to regrade_requests" ON regrade_requests FOR SELECT USING (true);
+CREATE POLICY "Allow insert access to regrade_requests" ON regrade_requests FOR INSERT WITH CHECK (true);
+CREATE POLICY "Allow update access to regrade_requests" ON regrade_requests FOR UPDATE USING (true);
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS superseded_by INTEGER REFERENCES evaluation_results (id) ON DELETE SET NULL;
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS regrade_request_id INTEGER REFERENCES regrade_requests (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_results_current ON evaluation_results (program, email) WHERE superseded_by IS NULL;
+
+-- r.* is expanded when a view is created, so the view is recreated to pick up the new columns
+DROP VIEW IF EXISTS effective_evaluation_results;
+
+CREATE VIEW effective_evaluation_results AS
+SELECT
+    r.*,
+    COALESCE(o.total_score, r.total_score) AS effective_total_score,
+    o.stage_scores AS effective_stage_scores,
+    o.version AS override_version,
+    o.reviewer AS overridden_by,
+    o.reason AS override_reason,
+    o.created_at AS overridden_at
+FROM evaluation_results r
+LEFT JOIN LATERAL (
+    SELECT *
+    FROM evaluation_overrides eo
+    WHERE eo.evaluation_id = r.id
+    ORDER BY eo.version DESC
+    LIMIT 1
+) o ON TRUE;
+
+GRANT SELECT ON effective_evaluation_results TO authenticated;
+
+COMMENT ON TABLE regrade_requests IS 'Operator requests to re-evaluate participants that already have a successful evaluation (see src/lib/regrades.js)';
+COMMENT ON COLUMN evaluation_results.superseded_by IS 'Newer evaluation_results row that regraded this one; NULL for the current evaluation';
+COMMENT ON COLUMN evaluation_results.regrade_request_id IS 'regrade_requests row this evaluation was produced for';
+COMMENT ON VIEW effective_evaluation_results IS 'evaluation_results with the latest reviewer override resolved into effective_* columns';
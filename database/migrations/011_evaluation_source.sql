@@ -0,0 +1,47 @@
+-- Evaluation source and session
+-- Records where an evaluation came from: a browser batch session ('batch'), the evaluation
+-- worker ('worker') or a single-user validation in CaseQuestions ('manual'), together with
+-- the session id its process_logs entries were written under.
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'batch' CHECK (source IN ('batch', 'worker', 'manual'));
+
+ALTER TABLE evaluation_results
+ADD COLUMN IF NOT EXISTS session_id VARCHAR(100);
+
+ALTER TABLE process_logs
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'batch';
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_results_program_source ON evaluation_results (program, source);
+CREATE INDEX IF NOT EXISTS idx_evaluation_results_session_id ON evaluation_results (session_id);
+
+-- Worker logs were already tagged by component
+UPDATE process_logs SET source = 'worker' WHERE component_name = 'EvaluationWorker';
+
+-- r.* is expanded when a view is created, so the view is recreated to pick up the new columns
+DROP VIEW IF EXISTS effective_evaluation_results;
+
+CREATE VIEW effective_evaluation_results AS
+SELECT
+    r.*,
+    COALESCE(o.total_score, r.total_score) AS effective_total_score,
+    o.stage_scores AS effective_stage_scores,
+    o.version AS override_version,
+    o.reviewer AS overridden_by,
+    o.reason AS override_reason,
+    o.created_at AS overridden_at
+FROM evaluation_results r
+LEFT JOIN LATERAL (
+    SELECT *
+    FROM evaluation_overrides eo
+    WHERE eo.evaluation_id = r.id
+    ORDER BY eo.version DESC
+    LIMIT 1
+) o ON TRUE;
+
+GRANT SELECT ON effective_evaluation_results TO authenticated;
+
+COMMENT ON COLUMN evaluation_results.source IS 'Where the evaluation ran: batch (browser session), worker or manual (CaseQuestions)';
+COMMENT ON COLUMN evaluation_results.session_id IS 'process_logs session the evaluation was logged under';
+COMMENT ON COLUMN process_logs.source IS 'batch, worker or manual, as for evaluation_results.source';
+COMMENT ON VIEW effective_evaluation_results IS 'evaluation_results with the latest reviewer override resolved into effective_* columns';
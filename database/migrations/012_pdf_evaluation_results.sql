@@ -0,0 +1,37 @@
+-- Google Drive PDF evaluation results
+-- GoogleDrivePDFEvaluator grades project reports straight from a Drive folder. Each
+-- evaluation is stored per Drive file id and file modifiedTime, so a later run skips files
+-- that were already graded and only re-grades a file after it changed in Drive.
+
+CREATE TABLE IF NOT EXISTS pdf_evaluation_results (
+    id SERIAL PRIMARY KEY,
+    drive_file_id VARCHAR(255) NOT NULL,
+    drive_modified_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    file_name TEXT NOT NULL,
+    rubric_id VARCHAR(50) NOT NULL,
+    criterion_scores JSONB, -- { "<criterion key>": { "score": n, "justification": "..." } }
+    total_score NUMERIC(6, 2),
+    strengths JSONB,
+    improvements JSONB,
+    overall_feedback TEXT,
+    evaluation_status VARCHAR(20) NOT NULL DEFAULT 'success' CHECK (evaluation_status IN ('success', 'error')),
+    error_message TEXT,
+    ai_model VARCHAR(100),
+    generation_config JSONB,
+    prompt_version VARCHAR(20),
+    prompt_hash VARCHAR(16),
+    processed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (drive_file_id, drive_modified_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_evaluation_results_rubric_processed ON pdf_evaluation_results (rubric_id, processed_at DESC);
+
+ALTER TABLE pdf_evaluation_results ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to pdf_evaluation_results" ON pdf_evaluation_results FOR SELECT USING (true);
+CREATE POLICY "Allow insert access to pdf_evaluation_results" ON pdf_evaluation_results FOR INSERT WITH CHECK (true);
+CREATE POLICY "Allow update access to pdf_evaluation_results" ON pdf_evaluation_results FOR UPDATE USING (true);
+
+COMMENT ON TABLE pdf_evaluation_results IS 'PDF report evaluations, one row per Drive file version (file id + modifiedTime)';
+COMMENT ON COLUMN pdf_evaluation_results.drive_modified_time IS 'Drive modifiedTime of the graded file; a newer modifiedTime means the file must be graded again';
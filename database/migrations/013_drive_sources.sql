@@ -0,0 +1,25 @@
+-- Google Drive folder sources
+-- Named Drive folders the PDF evaluator lists, counts and grades, saved per program
+-- (e.g. one source per cohort). A source is traversed recursively unless
+-- include_subfolders is off.
+
+CREATE TABLE IF NOT EXISTS drive_sources (
+    id SERIAL PRIMARY KEY,
+    program VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL CHECK (length(trim(name)) > 0),
+    folder_id VARCHAR(255) NOT NULL,
+    folder_name TEXT, -- Drive folder name at the time the source was saved
+    include_subfolders BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (program, name)
+);
+
+ALTER TABLE drive_sources ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow read access to drive_sources" ON drive_sources FOR SELECT USING (true);
+CREATE POLICY "Allow insert access to drive_sources" ON drive_sources FOR INSERT WITH CHECK (true);
+CREATE POLICY "Allow update access to drive_sources" ON drive_sources FOR UPDATE USING (true);
+CREATE POLICY "Allow delete access to drive_sources" ON drive_sources FOR DELETE USING (true);
+
+COMMENT ON TABLE drive_sources IS 'Named Google Drive folders graded by the PDF evaluator, per program or cohort';
@@ -0,0 +1,13 @@
+-- PDF evaluation input method
+-- A PDF is sent to the model inline, or as text extracted with pdf.js when it is over the
+-- inline size limit or the inline request failed. Text evaluations record the extraction
+-- stats, so a low score on a mostly scanned report can be told apart from a weak report.
+
+ALTER TABLE pdf_evaluation_results
+ADD COLUMN IF NOT EXISTS input_method VARCHAR(20) CHECK (input_method IN ('inline_pdf', 'extracted_text'));
+
+ALTER TABLE pdf_evaluation_results
+ADD COLUMN IF NOT EXISTS extraction_stats JSONB;
+
+COMMENT ON COLUMN pdf_evaluation_results.input_method IS 'inline_pdf (the PDF itself) or extracted_text (pdf.js text, see src/lib/pdfText.js)';
+COMMENT ON COLUMN pdf_evaluation_results.extraction_stats IS '{ "reason": "size" | "inline_error", "bytes", "pages", "characters", "imageOnlyPages", "headings", "chunks" } for extracted_text; { "bytes" } for inline_pdf';
@@ -0,0 +1,15 @@
+-- PDF evaluations per rubric
+-- pdf_evaluation_results was unique per Drive file version only, so grading a file with a
+-- new rubric overwrote the grade it had under the previous rubric. The key now includes
+-- rubric_id: each rubric keeps its own grade of each file version.
+
+ALTER TABLE pdf_evaluation_results
+DROP CONSTRAINT IF EXISTS pdf_evaluation_results_drive_file_id_drive_modified_time_key;
+
+ALTER TABLE pdf_evaluation_results
+DROP CONSTRAINT IF EXISTS pdf_evaluation_results_file_version_rubric_key;
+
+ALTER TABLE pdf_evaluation_results
+ADD CONSTRAINT pdf_evaluation_results_file_version_rubric_key UNIQUE (drive_file_id, drive_modified_time, rubric_id);
+
+COMMENT ON TABLE pdf_evaluation_results IS 'PDF report evaluations, one row per Drive file version (file id + modifiedTime) and rubric';
@@ -17,7 +17,7 @@ CREATE TABLE IF NOT EXISTS process_logs (
     
     -- Log details
     log_level VARCHAR(20) NOT NULL DEFAULT 'INFO', -- DEBUG, INFO, WARN, ERROR
-    log_type VARCHAR(50) NOT NULL, -- SESSION_START, BATCH_START, USER_PROCESSING, USER_SKIP, USER_SUCCESS, USER_ERROR, BATCH_COMPLETE, SESSION_COMPLETE, etc.
+    log_type VARCHAR(50) NOT NULL, -- SESSION_START, BATCH_START, USER_PROCESSING, USER_SKIP, USER_REGRADE_START, USER_SUCCESS, USER_ERROR, BATCH_COMPLETE, SESSION_PAUSED, SESSION_RESUMED, SESSION_CANCELLED, SESSION_COMPLETE, etc.
     message TEXT NOT NULL, -- Human-readable log message
     details JSONB, -- Additional structured data
     
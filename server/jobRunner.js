@@ -0,0 +1,337 @@
+import { getProgram } from '../src/lib/programs';
+import { createRunnerId, runEvaluationSession } from '../src/lib/evaluationSession';
+import { gradeAndSaveParticipant } from '../src/lib/participantGrading';
+import { loadEvaluatorSettings } from '../src/lib/evaluatorSettings';
+import { getPromptFingerprint, getRubric } from '../src/lib/rubrics';
+import {
+  createEvaluationJob,
+  fetchEvaluationJob,
+  fetchPendingParticipants,
+  logProcessEvent,
+  verifyRubricWeights
+} from '../src/lib/databaseService';
+
+/**
+ * Job runner for the evaluation worker. A job is a persisted evaluation
+ * session (see src/lib/evaluationSession.js) that grades the pending
+ * participants of one program through the same grading flow as
+ * BatchEvaluationProcessor in the browser (src/lib/participantGrading.js).
+ * Jobs can be paused between participants and resumed here or in any other
+ * client, including sessions interrupted by a crash.
+ */
+
+const COMPONENT_NAME = 'EvaluationWorker';
+const BATCH_SIZE = 50;
+// Job statuses resumeJob restarts: this runner's paused or failed jobs, plus
+// stored sessions that are pending, paused or were interrupted while running
+const RESUMABLE_STATUSES = new Set(['pending', 'running', 'paused', 'failed']);
+
+// Public view of a job; runner bookkeeping stays internal
+const toJobStatus = (job) => ({
+  id: job.id,
+  program: job.program,
+  status: job.status,
+  limit: job.limit,
+  totalUsers: job.totalUsers,
+  processedUsers: job.processedUsers,
+  successfulUsers: job.successfulUsers,
+  failedUsers: job.failedUsers,
+  skippedUsers: job.skippedUsers,
+  currentEmails: [...job.currentEmails],
+  lastError: job.lastError,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Creates a job runner
+ * @param {Object} options - Runner options
+ * @param {Object} options.provider - Evaluator provider override (defaults to the configured one)
+ * @returns {Object} - { startJob, pauseJob, resumeJob, getJob, listJobs }
+ */
+export const createJobRunner = ({ provider = null } = {}) => {
+  const jobs = new Map();
+  const runnerId = createRunnerId('worker');
+
+  const log = (job, logData) => logProcessEvent({
+    sessionId: job.id,
+    program: job.program,
+    componentName: COMPONENT_NAME,
+    source: 'worker',
+    ...logData
+  });
+
+  const processParticipant = async (job, task, batch) => {
+    const graded = await gradeAndSaveParticipant({
+      program: getProgram(job.program),
+      user: task.participant,
+      source: 'worker',
+      sessionId: job.id,
+      batchId: batch.batchId,
+      provider,
+      log: (logData) => log(job, {
+        batchId: batch.batchId,
+        batchNumber: batch.batchNumber,
+        totalBatches: batch.totalBatches,
+        globalUserIndex: task.position,
+        totalSessionUsers: job.totalUsers,
+        ...logData
+      })
+    });
+
+    if (graded.outcome === 'skipped') {
+      job.skippedUsers++;
+    } else if (graded.outcome === 'error') {
+      job.failedUsers++;
+      job.lastError = `${task.email}: ${graded.error.message}`;
+      return { outcome: 'error', errorMessage: graded.error.message };
+    } else {
+      job.successfulUsers++;
+    }
+    return { outcome: graded.outcome, totalScore: graded.totalScore };
+  };
+
+  // Marks a job failed when its session throws (e.g. Supabase is unreachable)
+  const failJob = (job, error) => {
+    console.error(`Job ${job.id} failed:`, error);
+    job.active = false;
+    job.currentEmails.clear();
+    job.status = 'failed';
+    job.lastError = error.message;
+    job.finishedAt = new Date().toISOString();
+  };
+
+  // Runs (or resumes) the job's persisted session until it completes, pauses or fails
+  const runSession = async (job) => {
+    job.active = true;
+    job.status = 'running';
+    job.pauseRequested = false;
+    job.startedAt = job.startedAt || new Date().toISOString();
+
+    // Request and token budgets are enforced per model call by the shared rate limiter
+    const { rateLimits } = await loadEvaluatorSettings(job.program, { refresh: true });
+
+    const { data, error } = await runEvaluationSession({
+      sessionId: job.id,
+      runnerId,
+      concurrency: rateLimits.concurrency,
+      beforeTask: async () => !job.pauseRequested,
+      onBatchStart: (batch) => log(job, {
+        batchId: batch.batchId,
+        batchNumber: batch.batchNumber,
+        totalBatches: batch.totalBatches,
+        logType: 'BATCH_START',
+        message: `${batch.firstInRun ? 'Starting' : 'Continuing with'} batch ${batch.batchNumber}/${batch.totalBatches}`,
+        totalSessionUsers: job.totalUsers
+      }),
+      onBatchComplete: (batch) => log(job, {
+        batchId: batch.batchId,
+        batchNumber: batch.batchNumber,
+        totalBatches: batch.totalBatches,
+        logType: 'BATCH_COMPLETE',
+        message: `Completed batch ${batch.batchNumber}/${batch.totalBatches}`,
+        totalSessionUsers: job.totalUsers
+      }),
+      processTask: async (task, batch) => {
+        job.currentEmails.add(task.email);
+        try {
+          return await processParticipant(job, task, batch);
+        } finally {
+          job.currentEmails.delete(task.email);
+          job.processedUsers++;
+        }
+      }
+    });
+
+    job.active = false;
+    job.currentEmails.clear();
+
+    if (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.lastError = error;
+    } else if (data.status === 'paused') {
+      job.status = 'paused';
+      await log(job, {
+        logType: 'SESSION_PAUSED',
+        message: `Worker session paused after ${job.processedUsers}/${job.totalUsers} users`,
+        totalSessionUsers: job.totalUsers,
+        details: toJobStatus(job),
+        completedAt: new Date().toISOString()
+      });
+      return;
+    } else {
+      job.status = 'completed';
+    }
+
+    job.finishedAt = new Date().toISOString();
+
+    await log(job, {
+      logLevel: job.status === 'failed' ? 'ERROR' : 'INFO',
+      logType: 'SESSION_COMPLETE',
+      message: `Worker session ${job.status}: ${job.successfulUsers} successful, ${job.failedUsers} failed, ${job.skippedUsers} skipped`,
+      totalSessionUsers: job.totalUsers,
+      errorMessage: job.status === 'failed' ? job.lastError : null,
+      details: toJobStatus(job),
+      completedAt: job.finishedAt
+    });
+  };
+
+  // Loads the pending participants into a new persisted session, then runs it
+  const createSession = async (job) => {
+    const program = getProgram(job.program);
+
+    try {
+      const { data: weightProblems, error: selfCheckError } = await verifyRubricWeights(program.rubricId);
+      const problems = selfCheckError ? [selfCheckError] : weightProblems;
+      if (problems.length > 0) {
+        throw new Error(`Rubric weight self-check failed: ${problems.join('; ')}`);
+      }
+
+      const { data: participants, error } = await fetchPendingParticipants(program.id, { limit: job.limit });
+      if (error) {
+        throw new Error(`Could not load pending participants: ${error}`);
+      }
+
+      const { error: createError } = await createEvaluationJob({
+        sessionId: job.id,
+        program: program.id,
+        participants,
+        batchSize: BATCH_SIZE,
+        createdBy: COMPONENT_NAME
+      });
+      if (createError) {
+        throw new Error(`Could not create evaluation session: ${createError}`);
+      }
+
+      job.totalUsers = participants.length;
+
+      await log(job, {
+        logType: 'SESSION_START',
+        message: `Starting ${program.id} worker session for ${participants.length} users`,
+        totalSessionUsers: participants.length,
+        details: {
+          program: program.id,
+          rubricId: program.rubricId,
+          totalUsers: participants.length,
+          batchSize: BATCH_SIZE,
+          totalBatches: Math.ceil(participants.length / BATCH_SIZE),
+          ...getPromptFingerprint(getRubric(program.rubricId))
+        },
+        startedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      failJob(job, error);
+      return;
+    }
+
+    await runSession(job);
+  };
+
+  const createJob = (fields) => {
+    const job = {
+      program: null,
+      status: 'queued',
+      limit: null,
+      totalUsers: null,
+      processedUsers: 0,
+      successfulUsers: 0,
+      failedUsers: 0,
+      skippedUsers: 0,
+      currentEmails: new Set(),
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      active: false,
+      pauseRequested: false,
+      ...fields
+    };
+    jobs.set(job.id, job);
+    return job;
+  };
+
+  /**
+   * Queues and starts an evaluation job
+   * @param {Object} options - Job options
+   * @param {string} options.program - Program identifier
+   * @param {number|null} options.limit - Maximum participants to grade
+   * @returns {Object} - Job status
+   */
+  const startJob = ({ program, limit = null }) => {
+    getProgram(program);
+
+    const job = createJob({ id: createRunnerId('session'), program, limit });
+    createSession(job).catch(error => failJob(job, error));
+    return toJobStatus(job);
+  };
+
+  const pauseJob = (jobId) => {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    if (job.status === 'running') {
+      job.pauseRequested = true;
+      job.status = 'paused';
+    }
+    return toJobStatus(job);
+  };
+
+  /**
+   * Resumes a paused job, or takes over a session started elsewhere (another
+   * worker or a browser tab) that was paused or interrupted
+   * @param {string} jobId - Job (session) identifier
+   * @returns {Object|null} - Job status, or null when the session is unknown
+   */
+  const resumeJob = async (jobId) => {
+    let job = jobs.get(jobId);
+
+    if (!job) {
+      const { data: session, error } = await fetchEvaluationJob(jobId);
+      if (error) {
+        throw new Error(error);
+      }
+      if (!session) return null;
+
+      job = createJob({
+        id: session.session_id,
+        program: session.program,
+        status: session.status,
+        totalUsers: session.total_tasks,
+        processedUsers: session.done_tasks + session.failed_tasks,
+        successfulUsers: session.done_tasks - session.skipped_tasks,
+        failedUsers: session.failed_tasks,
+        skippedUsers: session.skipped_tasks,
+        createdAt: session.created_at
+      });
+    }
+
+    if (job.active) {
+      // Still between participants; cancel the pending pause
+      job.pauseRequested = false;
+      job.status = 'running';
+    } else if (RESUMABLE_STATUSES.has(job.status)) {
+      // Claiming the session returns tasks an interrupted runner left running to pending
+      job.lastError = null;
+      job.finishedAt = null;
+      await log(job, {
+        logType: 'SESSION_RESUMED',
+        message: `Worker resuming session at user ${job.processedUsers + 1}/${job.totalUsers}`,
+        totalSessionUsers: job.totalUsers,
+        details: { previousStatus: job.status, finishedUsers: job.processedUsers },
+        startedAt: new Date().toISOString()
+      });
+      runSession(job).catch(error => failJob(job, error));
+    }
+    return toJobStatus(job);
+  };
+
+  const getJob = (jobId) => {
+    const job = jobs.get(jobId);
+    return job ? toJobStatus(job) : null;
+  };
+
+  const listJobs = () => [...jobs.values()].map(toJobStatus).reverse();
+
+  return { startJob, pauseJob, resumeJob, getJob, listJobs };
+};
@@ -0,0 +1,91 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createJobRunner } from './jobRunner';
+import { fetchEvaluationJob, logProcessEvent } from '../src/lib/databaseService';
+import { runEvaluationSession } from '../src/lib/evaluationSession';
+import { DEFAULT_RATE_LIMITS } from '../src/lib/evaluatorSettings';
+
+vi.mock('../src/lib/databaseService', () => ({
+  checkEvaluationExists: vi.fn(),
+  completeRegradeRequest: vi.fn(),
+  createEvaluationJob: vi.fn(),
+  fetchEvaluationJob: vi.fn(),
+  fetchPendingParticipants: vi.fn(),
+  logProcessEvent: vi.fn().mockResolvedValue({ data: null, error: null }),
+  saveEvaluationError: vi.fn(),
+  saveEvaluationResults: vi.fn(),
+  updateEvaluationResults: vi.fn(),
+  verifyRubricWeights: vi.fn()
+}));
+
+vi.mock('../src/lib/evaluationSession', async (importOriginal) => ({
+  ...(await importOriginal()),
+  runEvaluationSession: vi.fn()
+}));
+
+vi.mock('../src/lib/evaluatorSettings', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadEvaluatorSettings: vi.fn(async () => ({ rateLimits: DEFAULT_RATE_LIMITS }))
+}));
+
+// evaluation_job_progress row of a session another runner started
+const storedSession = (status) => ({
+  session_id: 'session_elsewhere',
+  program: 'GMP',
+  status,
+  total_tasks: 10,
+  done_tasks: 4,
+  failed_tasks: 1,
+  skipped_tasks: 1,
+  created_at: '2026-10-01T09:00:00.000Z'
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  runEvaluationSession.mockResolvedValue({ data: { status: 'completed' }, error: null });
+});
+
+describe('resumeJob', () => {
+  it.each(['pending', 'running', 'paused'])('takes over a %s session this worker has not seen', async (status) => {
+    fetchEvaluationJob.mockResolvedValue({ data: storedSession(status), error: null });
+    const runner = createJobRunner();
+
+    const job = await runner.resumeJob('session_elsewhere');
+
+    expect(job).toMatchObject({ id: 'session_elsewhere', program: 'GMP', status: 'running', processedUsers: 5 });
+    expect(runEvaluationSession).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'session_elsewhere' }));
+    expect(logProcessEvent).toHaveBeenCalledWith(expect.objectContaining({
+      logType: 'SESSION_RESUMED',
+      details: { previousStatus: status, finishedUsers: 5 }
+    }));
+    await vi.waitFor(() => expect(runner.getJob('session_elsewhere').status).toBe('completed'));
+  });
+
+  it.each(['completed', 'cancelled'])('does not rerun a %s session', async (status) => {
+    fetchEvaluationJob.mockResolvedValue({ data: storedSession(status), error: null });
+
+    const job = await createJobRunner().resumeJob('session_elsewhere');
+
+    expect(job.status).toBe(status);
+    expect(runEvaluationSession).not.toHaveBeenCalled();
+  });
+
+  it('returns null for an unknown session', async () => {
+    fetchEvaluationJob.mockResolvedValue({ data: null, error: null });
+
+    expect(await createJobRunner().resumeJob('missing')).toBeNull();
+  });
+
+  it('reports a session still held by another runner as failed', async () => {
+    fetchEvaluationJob.mockResolvedValue({ data: storedSession('running'), error: null });
+    runEvaluationSession.mockResolvedValue({ data: null, error: 'Session session_elsewhere is finished or still being processed by another runner' });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const runner = createJobRunner();
+
+    await runner.resumeJob('session_elsewhere');
+
+    await vi.waitFor(() => expect(runner.getJob('session_elsewhere')).toMatchObject({
+      status: 'failed',
+      lastError: expect.stringContaining('another runner')
+    }));
+  });
+});
@@ -0,0 +1,227 @@
+import http from 'node:http';
+import { createJobRunner } from './jobRunner';
+import { fetchParticipant } from '../src/lib/databaseService';
+import { withRetry } from '../src/lib/evaluationErrors';
+import { getEvaluatorProvider } from '../src/lib/evaluatorProviders';
+import { loadEvaluatorSettings } from '../src/lib/evaluatorSettings';
+import { runManualEvaluation } from '../src/lib/manualEvaluation';
+import { DOCUMENT_PROGRAM_ID, gradePdfDocument, validatePdfDocument } from '../src/lib/pdfGrading';
+import { getProgram } from '../src/lib/programs';
+import { withRateLimit } from '../src/lib/rateLimiter';
+import { getRubric } from '../src/lib/rubrics';
+import { supabase } from '../src/lib/supabase';
+
+/**
+ * Evaluation worker: grades participants and PDF reports server-side so
+ * sessions survive a closed tab and the Gemini key stays off the client. The
+ * React UI starts, pauses and monitors jobs, and requests single evaluations,
+ * through this HTTP API:
+ *
+ *   GET  /health
+ *   GET  /jobs
+ *   POST /jobs                     { "program": "GMP", "limit": 50 }
+ *   GET  /jobs/:id
+ *   POST /jobs/:id/pause
+ *   POST /jobs/:id/resume          (also takes over paused or interrupted sessions from other clients)
+ *   POST /evaluations/participant  { "program", "email" } -> manual validation result
+ *   POST /evaluations/pdf          { "rubricId", "fileId", "document" } -> { "evaluation", "aiModel" }
+ *
+ * Callers never send prompts or model names: the worker builds the prompt
+ * from the rubric and the stored participant or the sent document, and uses
+ * the program's evaluator settings, whose models must be in GEMINI_MODELS.
+ * Every /jobs and /evaluations request must carry the caller's Supabase
+ * session as "Authorization: Bearer <access token>", and POST bodies must be
+ * sent as application/json, so other sites cannot start model runs through
+ * a browser that can reach the worker.
+ *
+ * Environment: WORKER_HOST, WORKER_PORT, WORKER_ALLOWED_ORIGIN, GEMINI_API_KEY,
+ * EVALUATOR_PROVIDER, SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+const HOST = process.env.WORKER_HOST || '127.0.0.1';
+const PORT = Number(process.env.WORKER_PORT) || 8787;
+const ALLOWED_ORIGIN = process.env.WORKER_ALLOWED_ORIGIN || 'http://localhost:5173';
+const MAX_BODY_BYTES = 64 * 1024;
+// Inline PDFs are sent base64-encoded (INLINE_PDF_MAX_BYTES in src/lib/pdfGrading.js)
+const PDF_MAX_BODY_BYTES = 24 * 1024 * 1024;
+
+const runner = createJobRunner();
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+};
+
+// Supabase Auth checks the session token's signature and expiry
+const authenticate = async (req) => {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  if (!match) return null;
+  const { data, error } = await supabase.auth.getUser(match[1]);
+  return error ? null : data.user;
+};
+
+const isJsonRequest = (req) => {
+  const [mediaType] = (req.headers['content-type'] || '').split(';');
+  return mediaType.trim().toLowerCase() === 'application/json';
+};
+
+// Reads the body as bytes, so the limit holds for multi-byte UTF-8 text too
+const readJsonBody = (req, maxBytes = MAX_BODY_BYTES) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let bytes = 0;
+  req.on('data', chunk => {
+    bytes += chunk.length;
+    if (bytes > maxBytes) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    try {
+      const body = Buffer.concat(chunks).toString('utf8');
+      resolve(body ? JSON.parse(body) : {});
+    } catch {
+      reject(new Error('Request body must be JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+// Grades one stored participant as a manual validation
+const evaluateParticipantRequest = async (req, res) => {
+  const { program: programId, email } = await readJsonBody(req);
+  if (typeof email !== 'string' || !email.trim()) {
+    return sendJson(res, 400, { error: 'email is required' });
+  }
+  const program = getProgram(programId);
+
+  const { data: user, error } = await fetchParticipant(program.id, email);
+  if (error) {
+    return sendJson(res, 502, { error: `Could not load participant: ${error}` });
+  }
+  if (!user) {
+    return sendJson(res, 404, { error: `No ${program.id} participant with email ${email.trim()}` });
+  }
+
+  try {
+    return sendJson(res, 200, await runManualEvaluation({ program, user }));
+  } catch (evaluationError) {
+    // runManualEvaluation has saved or logged the failure
+    return sendJson(res, 502, { error: evaluationError.message });
+  }
+};
+
+// Grades one PDF document with the document program's evaluator settings
+const gradePdfRequest = async (req, res) => {
+  const { rubricId, fileId, document } = await readJsonBody(req, PDF_MAX_BODY_BYTES);
+  const rubric = getRubric(rubricId);
+  if (rubric.kind !== 'document') {
+    return sendJson(res, 400, { error: `Rubric ${rubricId} does not grade documents` });
+  }
+  if (typeof fileId !== 'string' || !fileId) {
+    return sendJson(res, 400, { error: 'fileId is required' });
+  }
+  const errors = validatePdfDocument(document);
+  if (errors.length > 0) {
+    return sendJson(res, 400, { error: errors.join('; ') });
+  }
+
+  const settings = await loadEvaluatorSettings(DOCUMENT_PROGRAM_ID);
+  try {
+    const provider = withRetry(withRateLimit(getEvaluatorProvider({ model: settings.model }), settings.rateLimits));
+    const evaluation = await gradePdfDocument({ rubric, provider, generationConfig: settings.generationConfig, document });
+    return sendJson(res, 200, { evaluation, aiModel: provider.model });
+  } catch (error) {
+    console.error(`Grading ${fileId} failed:`, error.message);
+    // The model's status lets the browser fall back to extracted text as for a direct call
+    return sendJson(res, 502, { error: error.message, status: error.status ?? null });
+  }
+};
+
+const handleRequest = async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const segments = pathname.split('/').filter(Boolean);
+
+  if (req.method === 'OPTIONS') {
+    return sendJson(res, 204, null);
+  }
+
+  if (req.method === 'GET' && pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok' });
+  }
+
+  if (segments[0] !== 'jobs' && segments[0] !== 'evaluations') {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  if (!await authenticate(req)) {
+    return sendJson(res, 401, { error: 'Sign in to use the evaluation worker' });
+  }
+
+  if (req.method === 'POST' && !isJsonRequest(req)) {
+    return sendJson(res, 415, { error: 'Requests must be sent as application/json' });
+  }
+
+  if (segments[0] === 'evaluations') {
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    if (pathname === '/evaluations/participant') {
+      return evaluateParticipantRequest(req, res);
+    }
+    if (pathname === '/evaluations/pdf') {
+      return gradePdfRequest(req, res);
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  if (segments.length === 1) {
+    if (req.method === 'GET') {
+      return sendJson(res, 200, { jobs: runner.listJobs() });
+    }
+    if (req.method === 'POST') {
+      const { program, limit = null } = await readJsonBody(req);
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        return sendJson(res, 400, { error: 'limit must be a positive integer' });
+      }
+      try {
+        return sendJson(res, 202, { job: runner.startJob({ program, limit }) });
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+    }
+  }
+
+  const jobId = segments[1];
+  const action = segments[2];
+
+  if (segments.length === 2 && req.method === 'GET') {
+    const job = runner.getJob(jobId);
+    return job ? sendJson(res, 200, { job }) : sendJson(res, 404, { error: `Unknown job: ${jobId}` });
+  }
+
+  if (segments.length === 3 && req.method === 'POST' && (action === 'pause' || action === 'resume')) {
+    const job = action === 'pause' ? runner.pauseJob(jobId) : await runner.resumeJob(jobId);
+    return job ? sendJson(res, 200, { job }) : sendJson(res, 404, { error: `Unknown job: ${jobId}` });
+  }
+
+  return sendJson(res, 405, { error: 'Method not allowed' });
+};
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('Worker request failed:', error);
+    sendJson(res, 400, { error: error.message });
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Evaluation worker listening on http://${HOST}:${PORT}`);
+});
@@ -2,9 +2,17 @@ import React, { useState } from 'react';
 import UserSearch from './components/UserSearch';
 import CaseQuestions from './components/CaseQuestions';
 import GoogleDrivePDFEvaluator from './components/GoogleDrivePDFEvaluator';
+import EvaluatorSettings from './components/EvaluatorSettings';
+import PromptVersionComparison from './components/PromptVersionComparison';
+import RegradeRequests from './components/RegradeRequests';
+import ReviewQueue from './components/ReviewQueue';
+import WorkerSignIn from './components/WorkerSignIn';
+import { DEFAULT_PROGRAM_ID } from './lib/programs';
+import { isWorkerConfigured } from './lib/workerClient';
 
 function App() {
   const [selectedUser, setSelectedUser] = useState(null);
+  const [selectedProgramId, setSelectedProgramId] = useState(DEFAULT_PROGRAM_ID);
 
   const handleUserSelect = (user) => {
     setSelectedUser(user);
@@ -22,18 +30,30 @@ function App() {
           </p>
         </div>
 
+        {isWorkerConfigured() && <WorkerSignIn />}
+
         {/* Google Drive PDF Evaluator Section */}
         <GoogleDrivePDFEvaluator />
 
         <div className="max-w-6xl mx-auto">
-         
+          <EvaluatorSettings programId={selectedProgramId} />
+
+          <PromptVersionComparison programId={selectedProgramId} />
+
+          <ReviewQueue programId={selectedProgramId} />
+
+          <RegradeRequests programId={selectedProgramId} />
+
           <UserSearch 
             onUserSelect={handleUserSelect} 
             selectedUser={selectedUser} 
+            programId={selectedProgramId}
+            onProgramChange={setSelectedProgramId}
           />
 
           <CaseQuestions 
             user={selectedUser} 
+            programId={selectedProgramId}
           />
         </div>
         
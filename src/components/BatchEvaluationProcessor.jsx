@@ -1,791 +1,339 @@
-import React, { useState, useEffect } from 'react';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { AlertTriangle, BarChart, CheckCircle, Clock, Database, XCircle } from 'lucide-react';
-import { hackathonData } from '../data/HackathonData';
-import { checkEvaluationExists, logProcessEvent, saveEvaluationError, saveEvaluationResults, updateEvaluationResults, testLogInsertion, debugProcessLogs, getEmailProcessingSummary, getEmailActivityTimeline, getBatchEmailSummaries, getProcessedEmails } from '../lib/databaseService';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { AlertTriangle, BarChart, CheckCircle, Clock, Database, Pause, Play, SkipForward, Square, XCircle } from 'lucide-react';
+import { DEFAULT_RATE_LIMITS, loadEvaluatorSettings } from '../lib/evaluatorSettings';
+import { getBrowserRunnerId, runEvaluationSession } from '../lib/evaluationSession';
+import { OPERATOR_SKIP_REASON, gradeAndSaveParticipant } from '../lib/participantGrading';
+import { getPromptFingerprint, getRubric } from '../lib/rubrics';
+import { createEvaluationJob, fetchEvaluationJob, fetchEvaluationTasks, verifyRubricWeights, logProcessEvent, testLogInsertion, debugProcessLogs, getEmailProcessingSummary, getEmailActivityTimeline, getBatchEmailSummaries, getProcessedEmails } from '../lib/databaseService';
+
+// Display status for a finished evaluation_tasks row; skipped tasks without a
+// score were skipped by the operator rather than already evaluated
+const taskToResult = (task) => ({
+  email: task.email,
+  batchId: task.batch_id,
+  totalScore: task.outcome === 'skipped' ? task.total_score : task.total_score ?? 0,
+  status: task.outcome || (task.status === 'failed' ? 'error' : 'success'),
+  error: task.error_message,
+  finishedAt: task.completed_at,
+  skippedByOperator: task.outcome === 'skipped' && task.total_score === null,
+  savedToDatabase: true
+});
+
+// Outcome counts for session log entries (complete, paused, cancelled)
+const summarizeResults = (results) => {
+  const scored = results.filter(r => r.status !== 'error' && r.totalScore != null);
+  return {
+    totalUsers: results.length,
+    successful: results.filter(r => r.status === 'success').length,
+    updated: results.filter(r => r.status === 'updated').length,
+    skipped: results.filter(r => r.status === 'skipped').length,
+    skippedByOperator: results.filter(r => r.skippedByOperator).length,
+    errors: results.filter(r => r.status === 'error').length,
+    averageScore: Math.round(scored.reduce((sum, r) => sum + r.totalScore, 0) / (scored.length || 1))
+  };
+};
 
-const BatchEvaluationProcessor = ({ users, onComplete }) => {
-  const [currentUserIndex, setCurrentUserIndex] = useState(0);
+const BatchEvaluationProcessor = ({ users, program, onComplete, resumeSessionId = null }) => {
+  const [inFlightTasks, setInFlightTasks] = useState([]); // { id, email, skipping } of users being evaluated right now
   const [evaluationResults, setEvaluationResults] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isComplete, setIsComplete] = useState(false);
-  const [processingStatus, setProcessingStatus] = useState('idle'); // idle, processing, complete, error
-  const [completedUsers, setCompletedUsers] = useState([]);
-  const [currentBatchIndex, setCurrentBatchIndex] = useState(0);
+  const [processingStatus, setProcessingStatus] = useState('idle'); // idle, processing, paused, cancelled, complete, error
+  const [stopRequest, setStopRequest] = useState(null); // 'pause' or 'cancel' while the current users finish
+  const [totalUsers, setTotalUsers] = useState(users.length); // Participants in the session (from the job row when resuming)
   const [processedUsersCount, setProcessedUsersCount] = useState(0);
-  const [sessionId, setSessionId] = useState(null); // Session ID for logging
-  const [processingTimestamps, setProcessingTimestamps] = useState([]); // Rate limiting timestamps
+  const [sessionId, setSessionId] = useState(null); // Session ID for logging and the evaluation_jobs row
+  const [sessionError, setSessionError] = useState(null);
+  const [rateLimits, setRateLimits] = useState(DEFAULT_RATE_LIMITS); // Concurrency and shared request / token budgets
+  const [selfCheckErrors, setSelfCheckErrors] = useState([]); // Rubric / prompt / database weight mismatches
+  const resultsRef = useRef([]); // Same results as evaluationResults, readable inside the running session
+  const stopRequestRef = useRef(null); // Same as stopRequest, read before each user is claimed
+  const skipRequestsRef = useRef(new Map()); // Task id -> resolves that user's skip request
   const BATCH_SIZE = 50;
-  const MAX_PROCESSING_PER_MINUTE = 55;
-  const MINUTE_IN_MS = 60 * 1000;
-
-  // Load completed users from LocalStorage on component mount
-  useEffect(() => {
-    const savedUsers = localStorage.getItem('completed_users');
-    if (savedUsers) {
-      try {
-        setCompletedUsers(JSON.parse(savedUsers));
-      } catch (error) {
-        console.error('Error loading completed users from LocalStorage:', error);
-        setCompletedUsers([]);
-      }
-    }
-  }, []);
-
-  const saveUserToLocalStorage = (email, totalScore) => {
-    const userRecord = {
-      email,
-      totalScore,
-      finishedAt: new Date().toISOString()
-    };
-
-    const updatedCompletedUsers = [...completedUsers, userRecord];
-    setCompletedUsers(updatedCompletedUsers);
-    
-    try {
-      localStorage.setItem('completed_users', JSON.stringify(updatedCompletedUsers));
-      console.log(`Saved user ${email} with score ${totalScore} to LocalStorage`);
-    } catch (error) {
-      console.error('Error saving to LocalStorage:', error);
-    }
+  const rubric = getRubric(program.rubricId);
+  const promptFingerprint = useMemo(() => getPromptFingerprint(rubric), [rubric]);
+  const runnerId = useMemo(() => getBrowserRunnerId(), []);
+
+  const recordResult = (userResult, batch) => {
+    const result = { ...userResult, batchId: batch.batchId };
+    resultsRef.current = [...resultsRef.current, result];
+    setEvaluationResults(resultsRef.current);
+    setProcessedUsersCount(resultsRef.current.length);
   };
 
-  // Rate limiting function to ensure max 55 processing per minute
-  const calculateRateLimitDelay = () => {
-    const now = Date.now();
-    
-    // Clean up timestamps older than 1 minute
-    const recentTimestamps = processingTimestamps.filter(timestamp => 
-      now - timestamp < MINUTE_IN_MS
-    );
-    
-    // Update the timestamps state
-    setProcessingTimestamps(recentTimestamps);
-    
-    // If we haven't reached the limit, no delay needed
-    if (recentTimestamps.length < MAX_PROCESSING_PER_MINUTE) {
-      return 0;
-    }
-    
-    // If we're at the limit, calculate delay until the oldest timestamp is 1 minute old
-    const oldestTimestamp = Math.min(...recentTimestamps);
-    const delayNeeded = MINUTE_IN_MS - (now - oldestTimestamp);
-    
-    console.log(`🕒 Rate limit reached (${recentTimestamps.length}/${MAX_PROCESSING_PER_MINUTE}). Delaying ${Math.ceil(delayNeeded / 1000)}s`);
-    
-    return Math.max(0, delayNeeded + 100); // Add 100ms buffer
-  };
+  // Grades one session task; returns the outcome recorded on the evaluation_tasks row.
+  // skipRequested resolves when the operator skips this user mid-evaluation.
+  const processUser = async (task, batch, skipRequested) => {
+    const sessionId = task.session_id;
+    const globalIndex = task.position - 1;
+    const userIndex = globalIndex - (batch.batchNumber - 1) * batch.batchSize;
+
+    const graded = await gradeAndSaveParticipant({
+      program,
+      user: task.participant,
+      source: 'batch',
+      sessionId,
+      batchId: batch.batchId,
+      skipRequested,
+      log: (logData) => logProcessEvent({
+        sessionId,
+        batchId: batch.batchId,
+        batchNumber: batch.batchNumber,
+        userIndex: userIndex + 1,
+        totalUsers: batch.size,
+        globalUserIndex: globalIndex + 1,
+        totalSessionUsers: batch.totalUsers,
+        ...logData
+      })
+    });
 
-  // Add timestamp and apply rate limiting
-  const addProcessingTimestamp = async () => {
-    const delay = calculateRateLimitDelay();
-    
-    if (delay > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
+    if (graded.outcome === 'error') {
+      console.error(`Failed to process user ${task.email}:`, graded.error);
     }
-    
-    const timestamp = Date.now();
-    setProcessingTimestamps(prev => [...prev, timestamp]);
-    
-    return timestamp;
-  };
-
-
-
 
-
-  const getCaseData = (caseId) => {
-    return hackathonData.find(item => item.id === parseInt(caseId));
+    recordResult({
+      email: task.email,
+      totalScore: graded.outcome === 'error' ? 0 : graded.totalScore,
+      status: graded.outcome,
+      error: graded.error?.message,
+      finishedAt: graded.finishedAt,
+      fullResults: graded.results,
+      skippedReason: graded.skippedReason,
+      skippedByOperator: graded.skippedByOperator || false,
+      savedToDatabase: graded.savedToDatabase,
+      dbError: graded.dbError,
+      wasUpdate: graded.isUpdate || false,
+      previousScore: graded.previousScore ?? null,
+      needsReview: graded.evaluationMetadata?.consensus?.needsReview || false,
+      reviewReasons: graded.evaluationMetadata?.consensus?.reviewReasons || []
+    }, batch);
+
+    return graded.outcome === 'error'
+      ? { outcome: 'error', errorMessage: graded.error.message }
+      : { outcome: graded.outcome, totalScore: graded.totalScore };
   };
 
-  const getPromptById = (stageId) => {
-    // This is a simplified mapping - in a real app, this would come from a prompts database
-    const prompts = {
-      2: { description: "What issue or need are you addressing? Who faces this problem?" },
-      3: { description: "What tool, app, software, machine, or digital aid can make your solution stronger?" },
-      4: { description: "Who can you team up with to make this idea bigger?" },
-      5: { description: "What unique feature, design, or new approach makes your idea stand out?" },
-      6: { description: "How can your solution be applied quickly and scaled?" },
-      7: { description: "How does your idea create value?" },
-      8: { description: "Our innovation solves ___ by using ___, built with ___, adding ___. It can grow with ___ and will create ___." },
-      10: { description: "What did you learn, what would you improve?" }
-    };
-    return prompts[stageId];
-  };
+  const logBatchComplete = async (batch) => {
+    const batchResults = resultsRef.current.filter(r => r.batchId === batch.batchId);
+    const successCount = batchResults.filter(r => r.status === 'success').length;
+    const updatedCount = batchResults.filter(r => r.status === 'updated').length;
+    const skippedCount = batchResults.filter(r => r.status === 'skipped').length;
+    const errorCount = batchResults.filter(r => r.status === 'error').length;
 
-  const evaluateUser = async (user) => {
-    try {
-      const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-      if (!apiKey) {
-        throw new Error('Please set VITE_GEMINI_API_KEY in your .env.local file');
-      }
+    console.log(`Completed Batch ${batch.batchNumber}/${batch.totalBatches}`);
 
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
-
-      // Get case data
-      const caseData = getCaseData(user.case_id || user.selected_case_id);
-
-      // Build the evaluation prompt
-      const prompt = `
-You are an evaluator for a pharmaceutical innovation hackathon using LAZY EVALUATION principles.
-
-**LAZY EVALUATION GUIDELINES:**
-- IGNORE spelling and grammar mistakes completely
-- Focus on IDEAS and INTENT rather than perfect writing
-- Give benefit of the doubt when meaning is unclear but effort is shown
-- Be generous with partial credit for incomplete but meaningful responses
-- Value creativity and innovation over technical writing skills
-- If a response shows understanding but is poorly written, still give credit
-
-Students submit answers using the Innovation Template, with sections listed below.
-Each section has:
-Criteria (what to check for - focusing on content, not writing quality).
-Weight (maximum marks).
-Three benchmark levels:
-Exemplar (Best) → full marks.
-Average → half marks.
-Weak (Poor) → zero marks.
-Your task is to:
-Compare the student's response in each section with these benchmarks (ignoring spelling/grammar).
-Assign a score (0, half, or full weight) based on IDEAS and EFFORT.
-Provide a short justification focusing on content quality.
-At the end, total the score out of 70.
-
-**CASE STUDY CONTEXT:**
-${caseData?.caseFile || 'No case study provided'}
-
-**PARTICIPANT'S RESPONSES:**
-
-**One-line Idea (Weight: 10)**
-Criteria: Clarity of INTENT + Completeness of CONCEPT (ignore spelling/grammar).
-Exemplar: Clear problem identification + target audience + solution method, even if poorly written.
-Average: Shows understanding of problem and solution direction, regardless of writing quality.
-Weak: Minimal effort or completely unclear intent (not due to spelling errors).
-Student Answer: ${user.idea_statement || 'No response provided'}
-
-**Problem (Weight: 10)**
-Criteria: Understanding of problem and stakeholder impact (content focus, not writing).
-Exemplar: Demonstrates clear grasp of the issue and its consequences, even with poor grammar.
-Average: Shows basic problem awareness but may miss some details, writing quality irrelevant.
-Weak: Very limited understanding shown (not due to language barriers).
-Student Answer: ${user.stage2_problem || 'No response provided'}
-
-**Technology (Weight: 10)**
-Criteria: Practical technology ideas (focus on concepts, not technical writing).
-Exemplar: Proposes concrete technological solutions that make sense, regardless of spelling.
-Average: Mentions relevant technology with basic understanding, writing quality ignored.
-Weak: Vague tech references with no clear connection to problem.
-Student Answer: ${user.stage3_technology || 'No response provided'}
-
-**Collaboration (Weight: 10)**
-Criteria: Understanding of teamwork needs (content over presentation).
-Exemplar: Identifies relevant partners and their contributions, even if poorly expressed.
-Average: Shows awareness of collaboration needs, writing style irrelevant.
-Weak: No clear collaboration concept (not due to language issues).
-Student Answer: ${user.stage4_collaboration || 'No response provided'}
-
-**Creativity Twist (Weight: 15)**
-Criteria: Novel thinking and innovation (ideas matter, not eloquence).
-Exemplar: Creative features or approaches that show original thinking, regardless of grammar.
-Average: Some creative elements present, focus on innovation not presentation.
-Weak: Standard/conventional thinking with no creative spark.
-Student Answer: ${user.stage5_creativity || 'No response provided'}
-
-**Speed & Scale (Weight: 15)**
-Criteria: Implementation and growth thinking (practical concepts, not perfect writing).
-Exemplar: Clear implementation strategy and scaling vision, even if grammar is poor.
-Average: Basic implementation awareness, writing quality not considered.
-Weak: No clear implementation concept.
-Student Answer: ${user.stage6_speed_scale || 'No response provided'}
-
-**Purpose & Impact (Weight: 20)**
-Criteria: Understanding of value and benefits (substance over style).
-Exemplar: Connects to patient safety, compliance, economic benefits - content clarity matters, not grammar.
-Average: Shows awareness of positive impact, language quality irrelevant.
-Weak: Minimal impact understanding shown.
-Student Answer: ${user.stage7_impact || 'No response provided'}
-
-**Final + Reflection (Weight: 10)**
-Criteria: Consistency and learning awareness (thoughtfulness, not technical writing).
-Exemplar: Shows coherent thinking and genuine reflection, even with spelling errors.
-Average: Basic consistency and simple learning shown, presentation style ignored.
-Weak: No clear synthesis or learning demonstrated.
-Final Pitch: ${user.stage8_final_problem || 'No response provided'} / ${user.stage8_final_technology || 'No response provided'} / ${user.stage8_final_collaboration || 'No response provided'} / ${user.stage8_final_creativity || 'No response provided'} / ${user.stage8_final_speed_scale || 'No response provided'} / ${user.stage8_final_impact || 'No response provided'}
-Reflection: ${user.stage10_reflection || 'No response provided'}
-
-**EVALUATION FOCUS:**
-- CONTENT and IDEAS are what matter
-- IGNORE all spelling, grammar, and language errors
-- REWARD effort and understanding over perfect presentation
-- Be GENEROUS with partial credit
-- Look for the INTENT behind poorly written responses
-
-**Output Format Required:**
-For each section:
-Section Name
-Score: (0 / half weight / full weight)
-Justification (focus on content quality, mention ignoring language issues)
-
-At the end:
-Total Score (out of 70)
-Overall Feedback (2–3 sentences on content strengths and idea development, ignore writing quality).
-
-Return ONLY a valid JSON object with this structure:
-{
-  "totalScore": <integer 0-70>,
-  "stageScores": {
-    "idea": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on ideas not writing"},
-    "problem": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on understanding not grammar"},
-    "technology": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on tech concepts not spelling"},
-    "collaboration": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on teamwork ideas not presentation"},
-    "creativity": {"score": <integer 0-15>, "status": "exemplar|average|weak", "feedback": "justification focusing on innovation not eloquence"},
-    "scale": {"score": <integer 0-15>, "status": "exemplar|average|weak", "feedback": "justification focusing on implementation concepts not writing quality"},
-    "impact": {"score": <integer 0-20>, "status": "exemplar|average|weak", "feedback": "justification focusing on value understanding not language"},
-    "pitch": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on consistency and learning not writing skills"}
-  },
-  "overallFeedback": "comprehensive feedback focusing on ideas, innovation, and understanding while completely ignoring spelling/grammar issues",
-  "recommendations": ["actionable recommendation focusing on idea development 1", "content-focused recommendation 2", "innovation-focused recommendation 3"]
-}`;
-
-      const result = await model.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 3000,
+    await logProcessEvent({
+      sessionId: batch.sessionId,
+      batchId: batch.batchId,
+      batchNumber: batch.batchNumber,
+      totalBatches: batch.totalBatches,
+      logLevel: 'INFO',
+      logType: 'BATCH_COMPLETE',
+      message: `Completed batch ${batch.batchNumber}/${batch.totalBatches} - ${successCount} new, ${updatedCount} updated, ${skippedCount} skipped, ${errorCount} errors`,
+      totalUsers: batch.size,
+      details: {
+        batchResults: {
+          total: batch.size,
+          successful: successCount,
+          updated: updatedCount,
+          skipped: skippedCount,
+          errors: errorCount
         },
-      });
-
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Invalid response format from Gemini AI');
-      }
-
-      const parsedResults = JSON.parse(jsonMatch[0]);
-      return parsedResults;
-    } catch (error) {
-      console.error(`Error evaluating user ${user.email}:`, error);
-      throw error;
-    }
-  };
-
-  const getCurrentBatch = () => {
-    const startIndex = currentBatchIndex * BATCH_SIZE;
-    const endIndex = Math.min(startIndex + BATCH_SIZE, users.length);
-    return users.slice(startIndex, endIndex);
-  };
-
-  const hasMoreBatches = () => {
-    return (currentBatchIndex + 1) * BATCH_SIZE < users.length;
+        batchEmails: batchResults.map(r => r.email).join(', ')
+      },
+      completedAt: new Date().toISOString()
+    });
   };
 
-  const processCurrentBatch = async () => {
-    if (users.length === 0) {
-      alert('No users to process');
-      return;
-    }
-
+  // Runs the persisted session until every task is finished; a reload or
+  // crash leaves the remaining tasks pending for resumeSession
+  const runSession = async (activeSessionId) => {
     setIsProcessing(true);
     setProcessingStatus('processing');
+    setSessionError(null);
+
+    // Model calls are rate limited inside gradeAndSaveParticipant by the shared token bucket
+    const settings = await loadEvaluatorSettings(program.id, { refresh: true });
+    setRateLimits(settings.rateLimits);
+
+    const { data, error } = await runEvaluationSession({
+      sessionId: activeSessionId,
+      runnerId,
+      concurrency: settings.rateLimits.concurrency,
+      // Pause and cancel take effect before the next user; users in progress finish first
+      beforeTask: async () => (stopRequestRef.current === 'cancel' ? 'cancel' : stopRequestRef.current !== 'pause'),
+      processTask: async (task, batch) => {
+        const skipRequested = new Promise(resolve => skipRequestsRef.current.set(task.id, resolve));
+        setInFlightTasks(prev => [...prev, { id: task.id, email: task.email, skipping: false }]);
+        try {
+          return await processUser(task, batch, skipRequested);
+        } finally {
+          skipRequestsRef.current.delete(task.id);
+          setInFlightTasks(prev => prev.filter(inFlight => inFlight.id !== task.id));
+        }
+      },
+      onBatchStart: async (batch, task) => {
+        if (!batch.firstInRun) {
+          // Small delay before next batch
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        }
 
-    const currentBatch = getCurrentBatch();
-    const batchStartIndex = currentBatchIndex * BATCH_SIZE;
-    const totalBatches = Math.ceil(users.length / BATCH_SIZE);
-    
-    // Generate a unique batch ID for database tracking
-    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const batchStartTime = Date.now();
-
-    console.log(`Starting Batch ${currentBatchIndex + 1}/${totalBatches} (Users ${batchStartIndex + 1}-${batchStartIndex + currentBatch.length}) - Batch ID: ${batchId}`);
-
-    // Log batch start
-    if (sessionId) {
-      await logProcessEvent({
-        sessionId,
-        batchId,
-        batchNumber: currentBatchIndex + 1,
-        totalBatches,
-        logLevel: 'INFO',
-        logType: 'BATCH_START',
-        message: `Starting batch ${currentBatchIndex + 1}/${totalBatches} with ${currentBatch.length} users`,
-        totalUsers: currentBatch.length,
-        totalSessionUsers: users.length,
-        details: {
-          batchUsers: currentBatch.map(u => u.email),
-          batchStartIndex: batchStartIndex + 1,
-          batchEndIndex: batchStartIndex + currentBatch.length
-        },
-        startedAt: new Date().toISOString()
-      });
-    }
-    // Process current batch
-    for (let i = 0; i < currentBatch.length; i++) {
-      const user = currentBatch[i];
-      const globalIndex = batchStartIndex + i;
-      const userStartTime = Date.now();
-      setCurrentUserIndex(globalIndex);
+        console.log(`Starting Batch ${batch.batchNumber}/${batch.totalBatches} at user ${task.position} - Batch ID: ${batch.batchId}`);
 
-      // Log user processing start
-      if (sessionId) {
         await logProcessEvent({
-          sessionId,
-          batchId,
-          batchNumber: currentBatchIndex + 1,
-          email: user.email,
-          userIndex: i + 1,
-          totalUsers: currentBatch.length,
-          globalUserIndex: globalIndex + 1,
-          totalSessionUsers: users.length,
+          sessionId: activeSessionId,
+          batchId: batch.batchId,
+          batchNumber: batch.batchNumber,
+          totalBatches: batch.totalBatches,
           logLevel: 'INFO',
-          logType: 'USER_PROCESSING_START',
-          message: `Starting evaluation for user ${globalIndex + 1}/${users.length}: ${user.email}`,
+          logType: 'BATCH_START',
+          message: `Starting batch ${batch.batchNumber}/${batch.totalBatches} with ${batch.size} users`,
+          totalUsers: batch.size,
+          totalSessionUsers: batch.totalUsers,
           details: {
-            userCaseId: user.case_id || user.selected_case_id,
-            batchPosition: i + 1,
-            globalPosition: globalIndex + 1
+            resumedAtPosition: task.position,
+            batchStartIndex: (batch.batchNumber - 1) * batch.batchSize + 1,
+            batchEndIndex: (batch.batchNumber - 1) * batch.batchSize + batch.size
           },
           startedAt: new Date().toISOString()
         });
-      }
-
-      try {
-        console.log(`Processing user ${globalIndex + 1}/${users.length}: ${user.email} (Batch ${currentBatchIndex + 1}, User ${i + 1}/${currentBatch.length})`);
-
-        // Apply rate limiting before checking existing evaluation
-        await addProcessingTimestamp();
-
-        // Check if evaluation already exists for this email
-        const existingCheck = await checkEvaluationExists(user.email);
-        
-        if (existingCheck.error) {
-          console.warn(`Error checking existing evaluation for ${user.email}:`, existingCheck.error);
-          
-          // Log warning
-          if (sessionId) {
-            await logProcessEvent({
-              sessionId,
-              batchId,
-              email: user.email,
-              logLevel: 'WARN',
-              logType: 'DUPLICATE_CHECK_ERROR',
-              message: `Error checking existing evaluation for ${user.email}`,
-              errorMessage: existingCheck.error,
-              dbSaveAttempted: false, // No save attempted due to check error
-              dbSaveSuccessful: false,
-              details: { checkError: existingCheck.error }
-            });
-          }
-          // Continue with processing despite check error
-        } else if (existingCheck.exists && existingCheck.isSuccess) {
-          // Skip only if evaluation exists AND status is 'success'
-          const processingDuration = Date.now() - userStartTime;
-          console.log(`Skipping ${user.email} - evaluation already exists with success status and score: ${existingCheck.data.total_score}`);
-          
-          // Log user skip
-          if (sessionId) {
-            await logProcessEvent({
-              sessionId,
-              batchId,
-              email: user.email,
-              userIndex: i + 1,
-              globalUserIndex: globalIndex + 1,
-              logLevel: 'INFO',
-              logType: 'USER_SKIPPED',
-              message: `Skipped ${user.email} - evaluation already exists with success status`,
-              processingStatus: 'skipped',
-              totalScore: existingCheck.data.total_score,
-              processingDurationMs: processingDuration,
-              dbSaveAttempted: false, // No save attempted since already exists
-              dbSaveSuccessful: false, // No save needed
-              details: {
-                reason: 'Already evaluated with success status',
-                existingScore: existingCheck.data.total_score,
-                existingStatus: existingCheck.data.evaluation_status,
-                existingProcessedAt: existingCheck.data.processed_at
-              },
-              completedAt: new Date().toISOString()
-            });
-          }
-          
-          // Add to results as already processed
-          const userResult = {
-            email: user.email,
-            totalScore: existingCheck.data.total_score,
-            status: 'skipped',
-            finishedAt: existingCheck.data.processed_at,
-            skippedReason: 'Already evaluated with success status',
-            savedToDatabase: true
-          };
-
-          setEvaluationResults(prev => [...prev, userResult]);
-          setProcessedUsersCount(prev => prev + 1);
-          
-          continue; // Skip to next user
-        } else if (existingCheck.exists && existingCheck.needsUpdate) {
-          // Update existing record if status is not 'success'
-          console.log(`Updating existing evaluation for ${user.email} - previous status: ${existingCheck.data.evaluation_status}`);
-          
-          // Log that we're updating
-          if (sessionId) {
-            await logProcessEvent({
-              sessionId,
-              batchId,
-              email: user.email,
-              userIndex: i + 1,
-              globalUserIndex: globalIndex + 1,
-              logLevel: 'INFO',
-              logType: 'USER_UPDATE_START',
-              message: `Updating existing evaluation for ${user.email} - previous status: ${existingCheck.data.evaluation_status}`,
-              details: {
-                previousStatus: existingCheck.data.evaluation_status,
-                previousScore: existingCheck.data.total_score,
-                recordId: existingCheck.data.id
-              }
-            });
-          }
-        }
-
-        const evaluationResult = await evaluateUser(user);
-        const processingDuration = Date.now() - userStartTime;
-
-        // Save to LocalStorage immediately after successful evaluation
-        saveUserToLocalStorage(user.email, evaluationResult.totalScore);
-
-        // Save to database (insert or update based on existing record)
-        let dbSaveSuccessful = false;
-        let dbErrorMessage = null;
-        let isUpdate = existingCheck.exists && existingCheck.needsUpdate;
-
-        console.log(`🔄 Attempting database ${isUpdate ? 'update' : 'save'} for ${user.email}...`);
-
-        try {
-          let dbResult;
-
-          if (isUpdate) {
-            // Update existing record
-            console.log(`   Updating existing record ID: ${existingCheck.data.id}`);
-            dbResult = await updateEvaluationResults(existingCheck.data.id, {
-              email: user.email,
-              user_id: user.user_id,
-              case_id: user.case_id || user.selected_case_id,
-              aiResults: evaluationResult,
-              batchId: batchId
-            });
-
-            if (dbResult.error) {
-              console.error(`❌ Database update failed for ${user.email}:`, dbResult.error);
-              dbErrorMessage = dbResult.error;
-            } else {
-              console.log(`✅ Successfully updated ${user.email} evaluation in database`);
-              dbSaveSuccessful = true;
-            }
-          } else {
-            // Insert new record
-            console.log(`   Inserting new record for ${user.email}`);
-            dbResult = await saveEvaluationResults({
-              email: user.email,
-              user_id: user.user_id,
-              case_id: user.case_id || user.selected_case_id,
-              aiResults: evaluationResult,
-              batchId: batchId
-            });
-
-            if (dbResult.error) {
-              console.error(`❌ Database save failed for ${user.email}:`, dbResult.error);
-              dbErrorMessage = dbResult.error;
-            } else {
-              console.log(`✅ Successfully saved ${user.email} evaluation to database`);
-              dbSaveSuccessful = true;
-            }
-          }
-
-          // Additional debugging info
-          console.log(`   DB operation result for ${user.email}:`, {
-            success: dbSaveSuccessful,
-            error: dbErrorMessage,
-            resultData: dbResult?.data ? 'Present' : 'Missing'
-          });
-
-        } catch (dbError) {
-          console.error(`💥 Database ${isUpdate ? 'update' : 'save'} exception for ${user.email}:`, dbError);
-          dbErrorMessage = dbError.message;
-          console.log(`   Exception details:`, {
-            name: dbError.name,
-            message: dbError.message,
-            stack: dbError.stack?.substring(0, 200) + '...'
-          });
-        }
-
-        // Log successful user processing
-        if (sessionId) {
-          await logProcessEvent({
-            sessionId,
-            batchId,
-            email: user.email,
-            userIndex: i + 1,
-            globalUserIndex: globalIndex + 1,
-            logLevel: 'INFO',
-            logType: isUpdate ? 'USER_UPDATED' : 'USER_SUCCESS',
-            message: `Successfully ${isUpdate ? 'updated' : 'processed'} ${user.email} with score ${evaluationResult.totalScore}`,
-            processingStatus: 'success',
-            totalScore: evaluationResult.totalScore,
-            processingDurationMs: processingDuration,
-            apiCallsMade: 1, // One Gemini API call
-            dbSaveAttempted: true,
-            dbSaveSuccessful,
-            dbErrorMessage,
-            details: {
-              stageScores: evaluationResult.stageScores,
-              overallFeedback: evaluationResult.overallFeedback?.substring(0, 200) + '...', // Truncate for logging
-              recommendationsCount: evaluationResult.recommendations?.length || 0,
-              isUpdate: isUpdate,
-              recordId: isUpdate ? existingCheck.data.id : null
-            },
-            aiModel: 'gemini-2.0-flash-exp',
-            completedAt: new Date().toISOString()
-          });
-        }
-
-        // Store result for display
-        const userResult = {
-          email: user.email,
-          totalScore: evaluationResult.totalScore,
-          status: isUpdate ? 'updated' : 'success',
-          finishedAt: new Date().toISOString(),
-          fullResults: evaluationResult,
-          savedToDatabase: dbSaveSuccessful, // Actual database save status
-          dbError: dbErrorMessage, // Include error message if save failed
-          wasUpdate: isUpdate
-        };
-
-        // DEBUGGING: Log the result being stored
-        console.log(`📝 Storing result for ${user.email}:`, {
-          status: userResult.status,
-          score: userResult.totalScore,
-          dbSaved: userResult.savedToDatabase,
-          dbError: userResult.dbError
-        });
-
-        setEvaluationResults(prev => [...prev, userResult]);
-        setProcessedUsersCount(prev => prev + 1);
-
-        console.log(`Successfully ${isUpdate ? 'updated' : 'processed'} ${user.email} with score ${evaluationResult.totalScore}`);
-      } catch (error) {
-        const processingDuration = Date.now() - userStartTime;
-        console.error(`Failed to process user ${user.email}:`, error);
-
-        // Save error to database
-        let dbSaveSuccessful = false;
-        let dbErrorMessage = null;
-        try {
-          const dbResult = await saveEvaluationError({
-            email: user.email,
-            user_id: user.user_id,
-            case_id: user.case_id || user.selected_case_id,
-            error_message: error.message,
-            batchId: batchId
-          });
-          
-          if (dbResult.error) {
-            console.error(`Database error save failed for ${user.email}:`, dbResult.error);
-            dbErrorMessage = dbResult.error;
-          } else {
-            console.log(`Successfully saved error for ${user.email} to database`);
-            dbSaveSuccessful = true;
-          }
-        } catch (dbError) {
-          console.error(`Database error save failed for ${user.email}:`, dbError);
-          dbErrorMessage = dbError.message;
-        }
-
-        // Log user error
-        if (sessionId) {
-          await logProcessEvent({
-            sessionId,
-            batchId,
-            email: user.email,
-            userIndex: i + 1,
-            globalUserIndex: globalIndex + 1,
-            logLevel: 'ERROR',
-            logType: 'USER_ERROR',
-            message: `Failed to process ${user.email}: ${error.message}`,
-            processingStatus: 'error',
-            totalScore: 0,
-            processingDurationMs: processingDuration,
-            errorMessage: error.message,
-            errorCode: error.code || 'UNKNOWN',
-            stackTrace: error.stack,
-            dbSaveAttempted: true,
-            dbSaveSuccessful,
-            dbErrorMessage,
-            details: {
-              errorType: error.constructor.name,
-              isApiError: error.message.includes('API') || error.message.includes('Gemini'),
-              isNetworkError: error.message.includes('network') || error.message.includes('fetch')
-            },
-            completedAt: new Date().toISOString()
-          });
-        }
-
-        const userResult = {
-          email: user.email,
-          totalScore: 0,
-          status: 'error',
-          error: error.message,
-          finishedAt: new Date().toISOString(),
-          savedToDatabase: dbSaveSuccessful, // Actual database save status for error record
-          dbError: dbErrorMessage // Include database error if save failed
-        };
-
-        // DEBUGGING: Log the error result being stored
-        console.log(`📝 Storing ERROR result for ${user.email}:`, {
-          status: userResult.status,
-          error: userResult.error,
-          dbSaved: userResult.savedToDatabase,
-          dbError: userResult.dbError
-        });
+      },
+      onBatchComplete: logBatchComplete
+    });
 
-        setEvaluationResults(prev => [...prev, userResult]);
-        setProcessedUsersCount(prev => prev + 1);
-      }
+    setIsProcessing(false);
+    setInFlightTasks([]);
+    stopRequestRef.current = null;
+    setStopRequest(null);
+
+    if (error) {
+      console.error(`Session ${activeSessionId} stopped:`, error);
+      setSessionError(error);
+      setProcessingStatus('error');
+      return;
     }
 
-    const batchDuration = Date.now() - batchStartTime;
-    console.log(`Completed Batch ${currentBatchIndex + 1}/${totalBatches}`);
-
-    // DEBUGGING: Detailed batch analysis
-    console.log(`\n=== BATCH ${currentBatchIndex + 1} DETAILED ANALYSIS ===`);
-    console.log(`Input: ${currentBatch.length} users to process`);
-    console.log(`Output: ${evaluationResults.length} results recorded`);
-
-    // Analyze each user's outcome
-    currentBatch.forEach((user, index) => {
-      const result = evaluationResults.find(r => r.email === user.email);
-      if (result) {
-        console.log(`✓ ${user.email}: ${result.status} (score: ${result.totalScore}) - DB saved: ${result.savedToDatabase}`);
-      } else {
-        console.log(`✗ ${user.email}: NO RESULT RECORDED - This is the missing user!`);
+    if (data.status === 'paused' || data.status === 'cancelled') {
+      await logSessionStopped(activeSessionId, data.status);
+      setProcessingStatus(data.status);
+      if (data.status === 'cancelled' && onComplete) {
+        onComplete();
       }
-    });
-
-    // Check for database save failures
-    const dbSaveFailures = evaluationResults.filter(r => r.savedToDatabase === false);
-    if (dbSaveFailures.length > 0) {
-      console.log(`\n⚠️  DATABASE SAVE FAILURES: ${dbSaveFailures.length} users`);
-      dbSaveFailures.forEach(failure => {
-        console.log(`   - ${failure.email}: ${failure.error || 'Unknown error'}`);
-      });
+      return;
     }
 
-    console.log(`=== END BATCH ANALYSIS ===\n`);
+    // All batches completed
+    setProcessingStatus('complete');
+    setIsComplete(true);
 
-    // Log batch completion
-    if (sessionId) {
-      const successCount = evaluationResults.filter(r => r.status === 'success').length;
-      const updatedCount = evaluationResults.filter(r => r.status === 'updated').length;
-      const skippedCount = evaluationResults.filter(r => r.status === 'skipped').length;
-      const errorCount = evaluationResults.filter(r => r.status === 'error').length;
-      
-      // Get emails from current batch for logging
-      const batchEmails = currentBatch.map(u => u.email).join(', ');
+    const sessionResults = resultsRef.current;
+    const sessionUsers = sessionResults.length;
+    console.log(`All batches completed! Processed ${sessionUsers} users total.`);
 
-      await logProcessEvent({
-        sessionId,
-        batchId,
-        batchNumber: currentBatchIndex + 1,
-        totalBatches,
-        logLevel: 'INFO',
-        logType: 'BATCH_COMPLETE',
-        message: `Completed batch ${currentBatchIndex + 1}/${totalBatches} - ${successCount} new, ${updatedCount} updated, ${skippedCount} skipped, ${errorCount} errors`,
-        totalUsers: currentBatch.length,
-        processingDurationMs: batchDuration,
-        details: {
-          batchResults: {
-            total: currentBatch.length,
-            successful: successCount,
-            updated: updatedCount,
-            skipped: skippedCount,
-            errors: errorCount
-          },
-          batchEmails: batchEmails,
-          avgProcessingTimePerUser: Math.round(batchDuration / currentBatch.length)
+    // Log session completion
+    const summary = summarizeResults(sessionResults);
+
+    await logProcessEvent({
+      sessionId: activeSessionId,
+      logLevel: 'INFO',
+      logType: 'SESSION_COMPLETE',
+      message: `Session completed - processed ${sessionUsers} users: ${summary.successful} new, ${summary.updated} updated, ${summary.skipped} skipped, ${summary.errors} errors`,
+      totalSessionUsers: sessionUsers,
+      program: program.id,
+      details: {
+        sessionSummary: {
+          ...summary,
+          totalBatches: Math.ceil(sessionUsers / BATCH_SIZE)
         },
-        completedAt: new Date().toISOString()
-      });
+        processedEmails: sessionResults.map(r => r.email).join(', ')
+      },
+      completedAt: new Date().toISOString()
+    });
+
+    if (onComplete) {
+      onComplete();
     }
+  };
 
-    console.log(`Batch ${currentBatchIndex + 1} completed! Processed ${currentBatch.length} users.`);
+  // SESSION_PAUSED / SESSION_CANCELLED with the outcome so far; pending users stay untouched
+  const logSessionStopped = async (activeSessionId, status) => {
+    const summary = summarizeResults(resultsRef.current);
+    const { data: job } = await fetchEvaluationJob(activeSessionId);
+    const sessionUsers = job ? job.total_tasks : summary.totalUsers;
+    const remaining = job ? job.pending_tasks : 0;
+    console.log(`Session ${activeSessionId} ${status} with ${remaining} users left`);
 
-    // Check if there are more batches to process
-    if (hasMoreBatches()) {
-      console.log(`Moving to next batch: ${currentBatchIndex + 2}/${Math.ceil(users.length / BATCH_SIZE)}`);
-      setCurrentBatchIndex(prev => prev + 1);
+    await logProcessEvent({
+      sessionId: activeSessionId,
+      logLevel: 'INFO',
+      logType: status === 'paused' ? 'SESSION_PAUSED' : 'SESSION_CANCELLED',
+      message: `Session ${status} after ${summary.totalUsers}/${sessionUsers} users - ${remaining} ${status === 'paused' ? 'left to resume' : 'not evaluated'}`,
+      totalSessionUsers: sessionUsers,
+      program: program.id,
+      details: {
+        sessionSummary: { ...summary, remainingUsers: remaining }
+      },
+      completedAt: new Date().toISOString()
+    });
+  };
 
-      // Small delay before next batch
-      await new Promise(resolve => setTimeout(resolve, 2000));
+  const requestStop = (request) => {
+    stopRequestRef.current = request;
+    setStopRequest(request);
+  };
 
-      // Process next batch
-      await processCurrentBatch();
-      return; // Exit here to avoid setting complete status
+  const skipUser = (taskId) => {
+    const resolveSkip = skipRequestsRef.current.get(taskId);
+    if (resolveSkip) {
+      resolveSkip();
+      setInFlightTasks(prev => prev.map(inFlight => (inFlight.id === taskId ? { ...inFlight, skipping: true } : inFlight)));
     }
+  };
 
-    // All batches completed
-    setIsProcessing(false);
-    setProcessingStatus('complete');
-    setIsComplete(true);
-
-    console.log(`All batches completed! Processed ${users.length} users total.`);
+  // Continues a session this tab paused
+  const resumePausedSession = async () => {
+    const summary = summarizeResults(resultsRef.current);
+    await logProcessEvent({
+      sessionId,
+      logLevel: 'INFO',
+      logType: 'SESSION_RESUMED',
+      message: `Resuming ${program.id} session at user ${summary.totalUsers + 1}/${totalUsers}`,
+      totalSessionUsers: totalUsers,
+      program: program.id,
+      details: {
+        previousStatus: 'paused',
+        finishedUsers: summary.totalUsers,
+        ...promptFingerprint
+      },
+      startedAt: new Date().toISOString()
+    });
 
-    // Log session completion
-    if (sessionId) {
-      const totalSuccessful = evaluationResults.filter(r => r.status === 'success').length;
-      const totalUpdated = evaluationResults.filter(r => r.status === 'updated').length;
-      const totalSkipped = evaluationResults.filter(r => r.status === 'skipped').length;
-      const totalErrors = evaluationResults.filter(r => r.status === 'error').length;
-      const avgScore = evaluationResults
-        .filter(r => r.status === 'success' || r.status === 'updated' || r.status === 'skipped')
-        .reduce((sum, r) => sum + r.totalScore, 0) / 
-        (totalSuccessful + totalUpdated + totalSkipped || 1);
-      
-      // Get all processed emails for logging
-      const allProcessedEmails = evaluationResults.map(r => r.email).join(', ');
+    await runSession(sessionId);
+  };
 
-      await logProcessEvent({
-        sessionId,
-        logLevel: 'INFO',
-        logType: 'SESSION_COMPLETE',
-        message: `Session completed - processed ${users.length} users: ${totalSuccessful} new, ${totalUpdated} updated, ${totalSkipped} skipped, ${totalErrors} errors`,
-        totalSessionUsers: users.length,
-        details: {
-          sessionSummary: {
-            totalUsers: users.length,
-            successful: totalSuccessful,
-            updated: totalUpdated,
-            skipped: totalSkipped,
-            errors: totalErrors,
-            averageScore: Math.round(avgScore),
-            totalBatches: Math.ceil(users.length / BATCH_SIZE)
-          },
-          processedEmails: allProcessedEmails,
-          performance: {
-            totalProcessingTime: Date.now() - new Date(evaluationResults[0]?.finishedAt || new Date()).getTime(),
-            avgTimePerUser: 'calculated_by_db_view'
-          }
-        },
-        completedAt: new Date().toISOString()
-      });
-    }
+  // Closes a paused session without evaluating its remaining users
+  const cancelPausedSession = async () => {
+    requestStop('cancel');
+    await runSession(sessionId);
+  };
 
-    if (onComplete) {
-      onComplete();
+  // Refuse to run when the rubric, prompt and database limits disagree
+  const runSelfCheck = async () => {
+    const { data: weightProblems, error: selfCheckError } = await verifyRubricWeights(program.rubricId);
+    const problems = selfCheckError ? [selfCheckError] : weightProblems;
+    setSelfCheckErrors(problems);
+    if (problems.length > 0) {
+      console.error('Rubric weight self-check failed:', problems);
+      return false;
     }
+    return true;
   };
 
   const startBatchProcessing = async () => {
+    if (!(await runSelfCheck())) {
+      return;
+    }
+
     // Generate unique session ID
     const newSessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     setSessionId(newSessionId);
@@ -800,14 +348,32 @@ Return ONLY a valid JSON object with this structure:
     const debugResult = await debugProcessLogs();
     console.log('Debug result:', debugResult);
 
+    // Persist the session and one task per user so it can be resumed after a reload
+    const { error: createError } = await createEvaluationJob({
+      sessionId: newSessionId,
+      program: program.id,
+      participants: users,
+      batchSize: BATCH_SIZE,
+      createdBy: 'BatchEvaluationProcessor'
+    });
+    if (createError) {
+      setSessionError(`Could not create evaluation session: ${createError}`);
+      setProcessingStatus('error');
+      return;
+    }
+
     // Log session start
     await logProcessEvent({
       sessionId: newSessionId,
       logLevel: 'INFO',
       logType: 'SESSION_START',
-      message: `Starting batch evaluation session for ${users.length} users`,
+      message: `Starting ${program.id} batch evaluation session for ${users.length} users`,
       totalSessionUsers: users.length,
+      program: program.id,
       details: {
+        program: program.id,
+        rubricId: program.rubricId,
+        ...promptFingerprint,
         totalUsers: users.length,
         batchSize: BATCH_SIZE,
         totalBatches: Math.ceil(users.length / BATCH_SIZE),
@@ -817,15 +383,65 @@ Return ONLY a valid JSON object with this structure:
     });
 
     // Reset everything for a fresh start
+    resultsRef.current = [];
     setEvaluationResults([]);
     setProcessedUsersCount(0);
-    setCurrentBatchIndex(0);
+    setTotalUsers(users.length);
     setIsComplete(false);
 
-    // Start processing the first batch
-    await processCurrentBatch();
+    await runSession(newSessionId);
   };
 
+  // Continues a session from its evaluation_tasks rows, e.g. after a reload or crash
+  const resumeSession = async (existingSessionId) => {
+    if (!(await runSelfCheck())) {
+      return;
+    }
+
+    const { data: job, error: jobError } = await fetchEvaluationJob(existingSessionId);
+    const { data: finishedTasks, error: tasksError } = await fetchEvaluationTasks(existingSessionId, { statuses: ['done', 'failed'] });
+    if (jobError || tasksError || !job) {
+      setSessionError(jobError || tasksError || `Unknown session ${existingSessionId}`);
+      setProcessingStatus('error');
+      return;
+    }
+
+    setSessionId(existingSessionId);
+    resultsRef.current = finishedTasks.map(taskToResult);
+    setEvaluationResults(resultsRef.current);
+    setProcessedUsersCount(resultsRef.current.length);
+    setTotalUsers(job.total_tasks);
+    setIsComplete(false);
+
+    await logProcessEvent({
+      sessionId: existingSessionId,
+      logLevel: 'INFO',
+      logType: 'SESSION_RESUMED',
+      message: `Resuming ${program.id} session at user ${finishedTasks.length + 1}/${job.total_tasks}`,
+      totalSessionUsers: job.total_tasks,
+      program: program.id,
+      details: {
+        previousStatus: job.status,
+        previousRunner: job.claimed_by,
+        finishedUsers: finishedTasks.length,
+        ...promptFingerprint
+      },
+      startedAt: new Date().toISOString()
+    });
+
+    await runSession(existingSessionId);
+  };
+
+  // Sessions picked from the resume list start straight away. The ref holds the
+  // latest resumeSession so the effect runs only when the picked session changes.
+  const resumeSessionRef = useRef(resumeSession);
+  resumeSessionRef.current = resumeSession;
+  useEffect(() => {
+    if (resumeSessionId) {
+      resumeSessionRef.current(resumeSessionId);
+    }
+  }, [resumeSessionId]);
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'success':
@@ -842,23 +458,11 @@ Return ONLY a valid JSON object with this structure:
   };
 
   const getProgressPercentage = () => {
-    if (users.length === 0) return 0;
-    return Math.round((processedUsersCount / users.length) * 100);
-  };
-
-  const getCurrentBatchInfo = () => {
-    const startIndex = currentBatchIndex * BATCH_SIZE;
-    const endIndex = Math.min(startIndex + BATCH_SIZE, users.length);
-    return {
-      batchNumber: currentBatchIndex + 1,
-      totalBatches: Math.ceil(users.length / BATCH_SIZE),
-      batchStart: startIndex + 1,
-      batchEnd: endIndex,
-      batchSize: endIndex - startIndex
-    };
+    if (totalUsers === 0) return 0;
+    return Math.round((processedUsersCount / totalUsers) * 100);
   };
 
-  if (users.length === 0) {
+  if (users.length === 0 && !resumeSessionId) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6">
         <div className="text-center">
@@ -877,23 +481,66 @@ Return ONLY a valid JSON object with this structure:
           <div className="flex items-center space-x-3">
             <BarChart className="h-8 w-8 text-blue-600" />
             <div>
-              <h2 className="text-2xl font-bold text-gray-900">Batch Evaluation Processor</h2>
+              <h2 className="text-2xl font-bold text-gray-900">Batch Evaluation Processor ({program.id})</h2>
               <p className="text-gray-600">
-                Processing current batch of {users.length} users
-                {processedUsersCount > 0 && ` (${processedUsersCount}/${users.length} completed)`}
+                Processing current batch of {totalUsers} users
+                {processedUsersCount > 0 && ` (${processedUsersCount}/${totalUsers} completed)`}
               </p>
               <p className="text-xs text-gray-500 mt-1">
-                Rate limited to {MAX_PROCESSING_PER_MINUTE} evaluations per minute
+                Up to {rateLimits.concurrency} evaluations at once, within {rateLimits.requestsPerMinute} requests and {rateLimits.tokensPerMinute.toLocaleString()} tokens per minute shared by all tabs and workers
               </p>
+              {sessionId && (
+                <p className="text-xs text-gray-500 font-mono">Session {sessionId}</p>
+              )}
               {isProcessing && (
                 <p className="text-sm text-blue-600">
-                  Processing batch of {users.length} users...
+                  Processing batch of {totalUsers} users...
                 </p>
               )}
             </div>
           </div>
 
-          {!isProcessing && !isComplete && (
+          {isProcessing && (
+            <div className="flex space-x-3">
+              <button
+                onClick={() => requestStop('pause')}
+                disabled={stopRequest !== null}
+                className="flex items-center space-x-2 bg-amber-500 hover:bg-amber-600 disabled:bg-gray-300 text-white font-semibold py-3 px-4 rounded-lg transition-colors"
+              >
+                <Pause className="h-4 w-4" />
+                <span>{stopRequest === 'pause' ? 'Pausing...' : 'Pause'}</span>
+              </button>
+              <button
+                onClick={() => requestStop('cancel')}
+                disabled={stopRequest === 'cancel'}
+                className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white font-semibold py-3 px-4 rounded-lg transition-colors"
+              >
+                <Square className="h-4 w-4" />
+                <span>{stopRequest === 'cancel' ? 'Cancelling...' : 'Cancel after current'}</span>
+              </button>
+            </div>
+          )}
+
+          {!isProcessing && processingStatus === 'paused' && (
+            <div className="flex space-x-3">
+              <button
+                onClick={resumePausedSession}
+                className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+              >
+                <Play className="h-4 w-4" />
+                <span>Resume</span>
+              </button>
+              <button
+                onClick={cancelPausedSession}
+                className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 text-white font-semibold py-3 px-4 rounded-lg transition-colors"
+              >
+                <Square className="h-4 w-4" />
+                <span>Cancel session</span>
+              </button>
+            </div>
+          )}
+
+          {!isProcessing && !isComplete && !resumeSessionId && processingStatus !== 'paused' && processingStatus !== 'cancelled' && (
             <div className="flex space-x-3">
               <button
                 onClick={startBatchProcessing}
@@ -907,7 +554,7 @@ Return ONLY a valid JSON object with this structure:
                   
                   // Test basic logging
                   const testResult = await testLogInsertion();
-                  const debugResult = await debugProcessLogs();
+                  await debugProcessLogs();
                   
                   // Test email-focused queries
                   console.log('Testing email processing summary...');
@@ -940,12 +587,71 @@ Return ONLY a valid JSON object with this structure:
           )}
         </div>
 
+        {/* Rubric Self-Check */}
+        {selfCheckErrors.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <div className="flex items-start space-x-2">
+              <XCircle className="h-5 w-5 text-red-600 mt-0.5" />
+              <div>
+                <div className="font-medium text-red-900">
+                  Batch not started: rubric weights are inconsistent
+                </div>
+                <ul className="text-sm text-red-700 mt-1 list-disc list-inside">
+                  {selfCheckErrors.map(problem => (
+                    <li key={problem}>{problem}</li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Paused / Cancelled */}
+        {!isProcessing && (processingStatus === 'paused' || processingStatus === 'cancelled') && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6">
+            <div className="flex items-start space-x-2">
+              {processingStatus === 'paused' ? (
+                <Pause className="h-5 w-5 text-amber-600 mt-0.5" />
+              ) : (
+                <Square className="h-5 w-5 text-amber-600 mt-0.5" />
+              )}
+              <div>
+                <div className="font-medium text-amber-900">
+                  {processingStatus === 'paused' ? 'Session paused' : 'Session cancelled'}
+                </div>
+                <p className="text-sm text-amber-800 mt-1">
+                  {processedUsersCount} of {totalUsers} users finished
+                  {evaluationResults.some(r => r.skippedByOperator) && `, ${evaluationResults.filter(r => r.skippedByOperator).length} skipped by you`}.{' '}
+                  {processingStatus === 'paused'
+                    ? 'Resume here or from the unfinished sessions list in any tab.'
+                    : `The remaining ${totalUsers - processedUsersCount} users were not evaluated.`}
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Session Error */}
+        {sessionError && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <div className="flex items-start space-x-2">
+              <XCircle className="h-5 w-5 text-red-600 mt-0.5" />
+              <div>
+                <div className="font-medium text-red-900">Session stopped</div>
+                <p className="text-sm text-red-700 mt-1">
+                  {sessionError}. Finished users are saved; resume the session to continue with the rest.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Progress Bar */}
         {(isProcessing || isComplete || processedUsersCount > 0) && (
           <div className="mb-6">
             <div className="flex justify-between items-center mb-2">
               <span className="text-sm font-medium text-gray-700">
-                Progress: {processedUsersCount} of {users.length} users processed
+                Progress: {processedUsersCount} of {totalUsers} users processed
               </span>
               <span className="text-sm font-medium text-gray-700">
                 {getProgressPercentage()}%
@@ -962,17 +668,31 @@ Return ONLY a valid JSON object with this structure:
         )}
 
         {/* Currently Processing */}
-        {isProcessing && currentUserIndex < users.length && (
+        {isProcessing && inFlightTasks.length > 0 && (
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
-            <div className="flex items-center space-x-2">
+            <div className="flex items-start space-x-2">
               <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
-              <div className="font-medium text-blue-900">
-                <div>Currently processing: {users[currentUserIndex]?.email}</div>
-                <div className="text-sm text-blue-700">
-                  User {currentUserIndex + 1} of {users.length} in current batch
+              <div className="font-medium text-blue-900 flex-1">
+                <div>Currently processing:</div>
+                <div className="space-y-1 my-1">
+                  {inFlightTasks.map(inFlight => (
+                    <div key={inFlight.id} className="flex items-center justify-between text-sm">
+                      <span>{inFlight.email}</span>
+                      <button
+                        onClick={() => skipUser(inFlight.id)}
+                        disabled={inFlight.skipping}
+                        className="flex items-center space-x-1 text-blue-700 hover:text-blue-900 disabled:text-gray-400"
+                      >
+                        <SkipForward className="h-4 w-4" />
+                        <span>{inFlight.skipping ? 'Skipping...' : 'Skip this user'}</span>
+                      </button>
+                    </div>
+                  ))}
                 </div>
-                <div className="text-xs text-blue-600 mt-1">
-                  Rate limit: {processingTimestamps.filter(t => Date.now() - t < MINUTE_IN_MS).length}/{MAX_PROCESSING_PER_MINUTE} per minute
+                <div className="text-sm text-blue-700">
+                  {processedUsersCount} of {totalUsers} users finished in current session
+                  {stopRequest === 'pause' && ' · pausing once these users finish'}
+                  {stopRequest === 'cancel' && ' · cancelling once these users finish'}
                 </div>
               </div>
             </div>
@@ -1003,11 +723,17 @@ Return ONLY a valid JSON object with this structure:
                 <div>
                   <p className="font-medium text-gray-900">{result.email}</p>
                   <div className="flex items-center space-x-4 text-sm text-gray-600">
-                    <span>User {index + 1} of {users.length}</span>
+                    <span>User {index + 1} of {totalUsers}</span>
                     <span className="flex items-center space-x-1">
                       <Clock className="h-4 w-4" />
                       <span>{new Date(result.finishedAt).toLocaleTimeString()}</span>
                     </span>
+                    {result.needsReview && (
+                      <span className="flex items-center space-x-1 text-orange-700" title={result.reviewReasons.join('; ')}>
+                        <AlertTriangle className="h-4 w-4" />
+                        <span>Needs review</span>
+                      </span>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1015,15 +741,15 @@ Return ONLY a valid JSON object with this structure:
               <div className="text-right">
                 {result.status === 'success' ? (
                   <div className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm font-medium">
-                    Score: {result.totalScore}/70
+                    Score: {result.totalScore}/{rubric.maxScore}
                   </div>
                 ) : result.status === 'updated' ? (
                   <div className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm font-medium">
-                    Updated: {result.totalScore}/70
+                    {result.previousScore != null ? `Regraded: ${result.previousScore} → ` : 'Updated: '}{result.totalScore}/{rubric.maxScore}
                   </div>
                 ) : result.status === 'skipped' ? (
                   <div className="bg-yellow-100 text-yellow-800 px-3 py-1 rounded-full text-sm font-medium">
-                    Skipped (Score: {result.totalScore}/70)
+                    {result.totalScore != null ? `Skipped (Score: ${result.totalScore}/${rubric.maxScore})` : result.skippedReason || OPERATOR_SKIP_REASON}
                   </div>
                 ) : (
                   <div className="bg-red-100 text-red-800 px-3 py-1 rounded-full text-sm font-medium">
@@ -1045,21 +771,22 @@ Return ONLY a valid JSON object with this structure:
             <p className="text-lg mb-4">
               Successfully processed {evaluationResults.filter(r => r.status === 'success').length} new users,{' '}
               updated {evaluationResults.filter(r => r.status === 'updated').length} existing users,{' '}
-              skipped {evaluationResults.filter(r => r.status === 'skipped').length} already evaluated users{' '}
-              out of {users.length} total users
+              skipped {evaluationResults.filter(r => r.status === 'skipped' && !r.skippedByOperator).length} already evaluated users{' '}
+              {evaluationResults.some(r => r.skippedByOperator) && `and ${evaluationResults.filter(r => r.skippedByOperator).length} users you skipped `}
+              out of {totalUsers} total users
             </p>
             
             <div className="bg-white bg-opacity-20 rounded-lg p-4">
               <div className="mb-4">
                 <h4 className="font-semibold mb-2 flex items-center space-x-2">
                   <Database className="h-4 w-4" />
-                  <span>Saved to Database & LocalStorage</span>
+                  <span>Saved to Database</span>
                 </h4>
                 <p className="text-sm opacity-90">All evaluation results have been saved to the evaluation_results table</p>
               </div>
               <div className="text-sm space-y-1">
                 {evaluationResults
-                  .filter(r => r.status === 'success' || r.status === 'updated' || r.status === 'skipped')
+                  .filter(r => r.status === 'success' || r.status === 'updated' || (r.status === 'skipped' && r.totalScore != null))
                   .map((result, index) => (
                     <div key={index} className="flex justify-between">
                       <span>{result.email} {result.status === 'skipped' ? '(skipped)' : result.status === 'updated' ? '(updated)' : ''}</span>
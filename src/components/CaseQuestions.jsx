@@ -1,10 +1,41 @@
 import React, { useState, useEffect, useMemo } from 'react';
-import { hackathonPrompts, getPromptById } from '../data/Question';
-import { hackathonData } from '../data/HackathonData';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { FileText, CheckCircle, XCircle, AlertTriangle, Lightbulb, Users, Zap, Target, Rocket, Brain, MessageSquare } from 'lucide-react';
+import { getPromptById } from '../data/Question';
+import { getProgram, getProgramCase } from '../lib/programs';
+import { evaluationFromRow, loadStoredEvaluation } from '../lib/evaluationHistory';
+import { canGradeInBrowser } from '../lib/evaluatorProviders';
+import { runManualEvaluation } from '../lib/manualEvaluation';
+import { getMaxScores, getRubric } from '../lib/rubrics';
+import { getStageStatus, getStatusForScore } from '../lib/statuses';
+import { evaluateParticipantOnWorker } from '../lib/workerClient';
+import { FileText, CheckCircle, XCircle, AlertTriangle, Lightbulb, Users, Zap, Target, Rocket, Brain, MessageSquare, RotateCcw } from 'lucide-react';
+
+const STATUS_STYLES = {
+  exemplar: { Icon: CheckCircle, iconClass: 'text-green-600', cardClass: 'bg-green-50 border-green-200 text-green-800' },
+  average: { Icon: AlertTriangle, iconClass: 'text-yellow-600', cardClass: 'bg-yellow-50 border-yellow-200 text-yellow-800' },
+  weak: { Icon: XCircle, iconClass: 'text-red-600', cardClass: 'bg-red-50 border-red-200 text-red-800' }
+};
 
-const CaseQuestions = ({ user }) => {
+const validateParticipant = async (program, user) => {
+  if (canGradeInBrowser()) {
+    return runManualEvaluation({ program, user });
+  }
+  const { data, error } = await evaluateParticipantOnWorker(program.id, user.email);
+  if (error) {
+    throw new Error(error);
+  }
+  return data;
+};
+
+const UNKNOWN_STATUS_STYLE = { Icon: AlertTriangle, iconClass: 'text-gray-400', cardClass: 'bg-gray-50 border-gray-200 text-gray-800' };
+
+// Banner text for the total score band
+const TOTAL_SCORE_MESSAGES = {
+  exemplar: 'Exemplar work!',
+  average: 'Good work, with room to develop',
+  weak: 'Requires significant work'
+};
+
+const CaseQuestions = ({ user, programId }) => {
   const [answers, setAnswers] = useState({
     // Stage 1 - Idea components
     stage1_idea_what: '',
@@ -35,6 +66,10 @@ const CaseQuestions = ({ user }) => {
   const [currentStage, setCurrentStage] = useState(1);
   const [error, setError] = useState(null);
   const [validationResults, setValidationResults] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null); // { sessionId, evaluationId, dbError } of the last validation
+  const [storedEvaluation, setStoredEvaluation] = useState(null); // Current effective_evaluation_results row of the user
+  const [loadingStored, setLoadingStored] = useState(false);
+  const [comparisonBase, setComparisonBase] = useState(null); // Stored row a re-grade is compared against
 
   // Load existing answers when user changes
   useEffect(() => {
@@ -68,11 +103,40 @@ const CaseQuestions = ({ user }) => {
     }
   }, [user]);
 
-  // Get the case data based on user's case_id
+  const program = getProgram(programId);
+
+  // Get the case data based on user's case_id from the program's case bank
   const caseData = useMemo(() => {
     if (!user?.case_id) return null;
-    return hackathonData.find(item => item.id === user.case_id);
-  }, [user?.case_id]);
+    return getProgramCase(program, user.case_id);
+  }, [program, user?.case_id]);
+
+  const rubric = getRubric(program.rubricId);
+  const maxScores = getMaxScores(rubric);
+
+  // Show the saved evaluation of the selected user; re-grading is an explicit action
+  useEffect(() => {
+    setValidationResults(null);
+    setSaveStatus(null);
+    setComparisonBase(null);
+    setStoredEvaluation(null);
+    if (!user?.email) return;
+
+    let cancelled = false;
+    setLoadingStored(true);
+    loadStoredEvaluation(program.id, user.email).then(({ data, error: storedError }) => {
+      if (cancelled) return;
+      if (storedError) {
+        console.warn(`Could not load stored evaluation for ${user.email}:`, storedError);
+      }
+      setStoredEvaluation(data);
+      setLoadingStored(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [program.id, user?.email]);
 
   // Component is read-only, no answer changes allowed
 
@@ -95,15 +159,10 @@ const CaseQuestions = ({ user }) => {
   const validateAnswers = async () => {
     setIsSubmitting(true);
     setError(null);
+    setSaveStatus(null);
+    setComparisonBase(storedEvaluation);
 
     try {
-      const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-      if (!apiKey) {
-        throw new Error('Please set VITE_GEMINI_API_KEY in your .env.local file');
-      }
-
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
 
       // Build the prompt with questions and answers
 //       const prompt = `
@@ -194,164 +253,16 @@ const CaseQuestions = ({ user }) => {
 //   "recommendations": ["specific actionable recommendation 1", "recommendation 2", "recommendation 3"]
 // }
 // `;
- // Build the evaluation prompt
-      const prompt = `
-You are an evaluator for a pharmaceutical innovation hackathon using LAZY EVALUATION principles.
-
-**LAZY EVALUATION GUIDELINES:**
-- IGNORE spelling and grammar mistakes completely
-- Focus on IDEAS and INTENT rather than perfect writing
-- Give benefit of the doubt when meaning is unclear but effort is shown
-- Be generous with partial credit for incomplete but meaningful responses
-- Value creativity and innovation over technical writing skills
-- If a response shows understanding but is poorly written, still give credit
-
-Students submit answers using the Innovation Template, with sections listed below.
-Each section has:
-Criteria (what to check for - focusing on content, not writing quality).
-Weight (maximum marks).
-Three benchmark levels:
-Exemplar (Best) → full marks.
-Average → half marks.
-Weak (Poor) → zero marks.
-Your task is to:
-Compare the student's response in each section with these benchmarks (ignoring spelling/grammar).
-Assign a score (0, half, or full weight) based on IDEAS and EFFORT.
-Provide a short justification focusing on content quality.
-At the end, total the score out of 70.
-
-**CASE STUDY CONTEXT:**
-${caseData?.caseFile || 'No case study provided'}
-
-**PARTICIPANT'S RESPONSES:**
-
-**One-line Idea (Weight: 10)**
-Criteria: Clarity of INTENT + Completeness of CONCEPT (ignore spelling/grammar).
-Exemplar: Clear problem identification + target audience + solution method, even if poorly written.
-Average: Shows understanding of problem and solution direction, regardless of writing quality.
-Weak: Minimal effort or completely unclear intent (not due to spelling errors).
-Student Answer: ${user.idea_statement || 'No response provided'}
-
-**Problem (Weight: 10)**
-Criteria: Understanding of problem and stakeholder impact (content focus, not writing).
-Exemplar: Demonstrates clear grasp of the issue and its consequences, even with poor grammar.
-Average: Shows basic problem awareness but may miss some details, writing quality irrelevant.
-Weak: Very limited understanding shown (not due to language barriers).
-Student Answer: ${user.stage2_problem || 'No response provided'}
-
-**Technology (Weight: 10)**
-Criteria: Practical technology ideas (focus on concepts, not technical writing).
-Exemplar: Proposes concrete technological solutions that make sense, regardless of spelling.
-Average: Mentions relevant technology with basic understanding, writing quality ignored.
-Weak: Vague tech references with no clear connection to problem.
-Student Answer: ${user.stage3_technology || 'No response provided'}
-
-**Collaboration (Weight: 10)**
-Criteria: Understanding of teamwork needs (content over presentation).
-Exemplar: Identifies relevant partners and their contributions, even if poorly expressed.
-Average: Shows awareness of collaboration needs, writing style irrelevant.
-Weak: No clear collaboration concept (not due to language issues).
-Student Answer: ${user.stage4_collaboration || 'No response provided'}
-
-**Creativity Twist (Weight: 15)**
-Criteria: Novel thinking and innovation (ideas matter, not eloquence).
-Exemplar: Creative features or approaches that show original thinking, regardless of grammar.
-Average: Some creative elements present, focus on innovation not presentation.
-Weak: Standard/conventional thinking with no creative spark.
-Student Answer: ${user.stage5_creativity || 'No response provided'}
-
-**Speed & Scale (Weight: 15)**
-Criteria: Implementation and growth thinking (practical concepts, not perfect writing).
-Exemplar: Clear implementation strategy and scaling vision, even if grammar is poor.
-Average: Basic implementation awareness, writing quality not considered.
-Weak: No clear implementation concept.
-Student Answer: ${user.stage6_speed_scale || 'No response provided'}
-
-**Purpose & Impact (Weight: 20)**
-Criteria: Understanding of value and benefits (substance over style).
-Exemplar: Connects to patient safety, compliance, economic benefits - content clarity matters, not grammar.
-Average: Shows awareness of positive impact, language quality irrelevant.
-Weak: Minimal impact understanding shown.
-Student Answer: ${user.stage7_impact || 'No response provided'}
-
-**Final + Reflection (Weight: 10)**
-Criteria: Consistency and learning awareness (thoughtfulness, not technical writing).
-Exemplar: Shows coherent thinking and genuine reflection, even with spelling errors.
-Average: Basic consistency and simple learning shown, presentation style ignored.
-Weak: No clear synthesis or learning demonstrated.
-Final Pitch: ${user.stage8_final_problem || 'No response provided'} / ${user.stage8_final_technology || 'No response provided'} / ${user.stage8_final_collaboration || 'No response provided'} / ${user.stage8_final_creativity || 'No response provided'} / ${user.stage8_final_speed_scale || 'No response provided'} / ${user.stage8_final_impact || 'No response provided'}
-Reflection: ${user.stage10_reflection || 'No response provided'}
-
-**EVALUATION FOCUS:**
-- CONTENT and IDEAS are what matter
-- IGNORE all spelling, grammar, and language errors
-- REWARD effort and understanding over perfect presentation
-- Be GENEROUS with partial credit
-- Look for the INTENT behind poorly written responses
-
-**Output Format Required:**
-For each section:
-Section Name
-Score: (0 / half weight / full weight)
-Justification (focus on content quality, mention ignoring language issues)
-
-At the end:
-Total Score (out of 70)
-Overall Feedback (2–3 sentences on content strengths and idea development, ignore writing quality).
-
-Return ONLY a valid JSON object with this structure:
-{
-  "totalScore": <integer 0-70>,
-  "stageScores": {
-    "idea": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on ideas not writing"},
-    "problem": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on understanding not grammar"},
-    "technology": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on tech concepts not spelling"},
-    "collaboration": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on teamwork ideas not presentation"},
-    "creativity": {"score": <integer 0-15>, "status": "exemplar|average|weak", "feedback": "justification focusing on innovation not eloquence"},
-    "scale": {"score": <integer 0-15>, "status": "exemplar|average|weak", "feedback": "justification focusing on implementation concepts not writing quality"},
-    "impact": {"score": <integer 0-20>, "status": "exemplar|average|weak", "feedback": "justification focusing on value understanding not language"},
-    "pitch": {"score": <integer 0-10>, "status": "exemplar|average|weak", "feedback": "justification focusing on consistency and learning not writing skills"}
-  },
-  "overallFeedback": "comprehensive feedback focusing on ideas, innovation, and understanding while completely ignoring spelling/grammar issues",
-  "recommendations": ["actionable recommendation focusing on idea development 1", "content-focused recommendation 2", "innovation-focused recommendation 3"]
-}`;
-
-      const result = await model.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 3000,
-        },
-      });
-
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Invalid response format from Gemini AI');
-      }
-
-      const parsedResults = JSON.parse(jsonMatch[0]);
+      // Graded like a batch run (rubric prompt, validation, consensus) and saved as a manual
+      // evaluation; production builds grade on the worker, which loads the stored answers
+      const { results, sessionId, evaluationId, dbError } = await validateParticipant(program, user);
 
-      // Validate and ensure score consistency
-      if (parsedResults.stageScores) {
-        const calculatedTotal = Object.values(parsedResults.stageScores).reduce((sum, stage) => {
-          return sum + (stage.score || 0);
-        }, 0);
-
-        // If there's a significant discrepancy, use the calculated total
-        if (Math.abs(parsedResults.totalScore - calculatedTotal) > 5) {
-          console.warn(`Score discrepancy detected. AI reported: ${parsedResults.totalScore}, Calculated: ${calculatedTotal}`);
-          parsedResults.totalScore = Math.min(calculatedTotal, 100); // Cap at 100
-        }
-
-        // Ensure total score doesn't exceed 70
-        parsedResults.totalScore = Math.min(parsedResults.totalScore, 70);
-      }
+      setValidationResults(results);
+      setSaveStatus({ sessionId, evaluationId, dbError });
 
-      setValidationResults(parsedResults);
+      // The new evaluation is now the stored one
+      const { data: stored } = await loadStoredEvaluation(program.id, user.email);
+      setStoredEvaluation(stored);
     } catch (err) {
       console.error('Error validating:', err);
       setError(err.message || 'Failed to validate answers. Please try again.');
@@ -362,34 +273,16 @@ Return ONLY a valid JSON object with this structure:
 
 
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'excellent':
-        return <CheckCircle className="h-5 w-5 text-green-600" />;
-      case 'good':
-        return <CheckCircle className="h-5 w-5 text-blue-600" />;
-      case 'needs_improvement':
-        return <AlertTriangle className="h-5 w-5 text-yellow-600" />;
-      case 'poor':
-        return <XCircle className="h-5 w-5 text-red-600" />;
-      default:
-        return <AlertTriangle className="h-5 w-5 text-gray-400" />;
-    }
+  // Icon and colors of a stage by its status (or its score when the status is missing)
+  const getStatusIcon = (stage, weight) => {
+    const level = getStageStatus(stage, weight);
+    const { Icon, iconClass } = STATUS_STYLES[level?.key] || UNKNOWN_STATUS_STYLE;
+    return <Icon className={`h-5 w-5 ${iconClass}`} />;
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'excellent':
-        return 'bg-green-50 border-green-200 text-green-800';
-      case 'good':
-        return 'bg-blue-50 border-blue-200 text-blue-800';
-      case 'needs_improvement':
-        return 'bg-yellow-50 border-yellow-200 text-yellow-800';
-      case 'poor':
-        return 'bg-red-50 border-red-200 text-red-800';
-      default:
-        return 'bg-gray-50 border-gray-200 text-gray-800';
-    }
+  const getStatusColor = (stage, weight) => {
+    const level = getStageStatus(stage, weight);
+    return (STATUS_STYLES[level?.key] || UNKNOWN_STATUS_STYLE).cardClass;
   };
 
   const renderStageContent = () => {
@@ -633,6 +526,187 @@ Return ONLY a valid JSON object with this structure:
     }
   };
 
+  // Scores, statuses, feedback and recommendations of one evaluation (fresh or stored)
+  const renderEvaluation = (results, { title, subtitle = null, isNew = false }) => (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="text-center bg-gradient-to-r from-blue-500 to-indigo-600 text-white p-6 rounded-xl mb-6">
+        <CheckCircle className="mx-auto h-12 w-12 mb-3" />
+        <h3 className="text-3xl font-bold mb-2">{title}</h3>
+        {subtitle && <p className="text-sm opacity-90 mb-2">{subtitle}</p>}
+        <p className="text-xl">Overall Score: {results.totalScore} / {rubric.maxScore}</p>
+        <div className="mt-2">
+          <div className="bg-white bg-opacity-20 rounded-full h-3 w-64 mx-auto">
+            <div
+              className="bg-white rounded-full h-3 transition-all duration-500"
+              style={{ width: `${Math.min((results.totalScore / rubric.maxScore) * 100, 100)}%` }}
+            ></div>
+          </div>
+          <p className="text-sm mt-2 opacity-90">
+            {TOTAL_SCORE_MESSAGES[getStatusForScore(results.totalScore, rubric.maxScore)?.key]}
+          </p>
+        </div>
+      </div>
+
+      {isNew && saveStatus && (
+        <div className={`flex items-center space-x-2 text-sm mb-6 ${saveStatus.dbError ? 'text-red-700' : 'text-gray-600'}`}>
+          {saveStatus.dbError
+            ? <XCircle className="h-4 w-4" />
+            : <CheckCircle className="h-4 w-4 text-green-600" />}
+          <span>
+            {saveStatus.dbError
+              ? `Validation not fully saved: ${saveStatus.dbError}`
+              : `Saved as manual evaluation #${saveStatus.evaluationId} (session ${saveStatus.sessionId})`}
+          </span>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        <h4 className="text-2xl font-semibold text-gray-800">Stage-by-Stage Evaluation:</h4>
+
+        {/* Score Breakdown Summary */}
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+          <h5 className="font-semibold text-gray-800 mb-2">Score Breakdown (Total: {
+            Object.values(results.stageScores || {}).reduce((sum, stage) => sum + (stage.score || 0), 0)
+          } / {rubric.maxScore} points)</h5>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+            {rubric.criteria.map((criterion) => (
+              <span key={criterion.key}>
+                {criterion.label}: {results.stageScores?.[criterion.key]?.score || 0}/{criterion.weight}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Individual Stage Results */}
+        {Object.entries(results.stageScores || {}).map(([stageName, result]) => {
+          const maxScore = maxScores[stageName];
+
+          return (
+            <div key={stageName} className={`p-5 rounded-lg border-2 ${getStatusColor(result, maxScore)}`}>
+              <div className="flex items-center justify-between mb-3">
+                <h5 className="font-semibold text-lg flex items-center space-x-2">
+                  {getStatusIcon(result, maxScore)}
+                  <span className="capitalize">{stageName.replace('_', ' ')}</span>
+                </h5>
+                <span className="px-3 py-1 rounded-full text-sm font-medium bg-white bg-opacity-50">
+                  {getStageStatus(result, maxScore)?.label || 'Unrated'} · {result.score} / {maxScore} points
+                </span>
+              </div>
+              <div className="pt-3 border-t border-gray-200">
+                <p className="text-sm">
+                  <span className="font-medium">Feedback:</span> {result.feedback}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+
+        {/* Overall Feedback */}
+        {results.overallFeedback && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-5">
+            <h5 className="font-semibold text-lg text-blue-900 mb-3">Overall Feedback</h5>
+            <p className="text-blue-800 mb-4">{results.overallFeedback}</p>
+          </div>
+        )}
+
+        {/* Recommendations */}
+        {results.recommendations && results.recommendations.length > 0 && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-5">
+            <h5 className="font-semibold text-lg text-green-900 mb-3">AI Recommendations</h5>
+            <ul className="space-y-2">
+              {results.recommendations.map((rec, index) => (
+                <li key={index} className="flex items-start space-x-2 text-green-800">
+                  <span className="text-green-600 font-bold">•</span>
+                  <span>{rec}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+
+      {isNew && (
+        <div className="text-center pt-6">
+          <button
+            onClick={() => { setValidationResults(null); setSaveStatus(null); setComparisonBase(null); }}
+            className="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-3 px-8 rounded-lg transition-colors text-lg"
+          >
+            Close Results
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
+  // Stored evaluation next to the re-grade, stage by stage
+  const renderComparison = () => {
+    const previous = evaluationFromRow(rubric, comparisonBase);
+    const totalDiff = validationResults.totalScore - previous.totalScore;
+    const diffColor = (diff) => (diff > 0 ? 'text-green-700' : diff < 0 ? 'text-red-700' : 'text-gray-500');
+
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <h4 className="text-2xl font-semibold text-gray-800 mb-4">Re-grade vs Stored Evaluation</h4>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Stage</th>
+                <th className="py-2 pr-4 font-medium">
+                  Stored ({new Date(comparisonBase.processed_at).toLocaleDateString()}, {comparisonBase.ai_model || 'unknown model'})
+                </th>
+                <th className="py-2 pr-4 font-medium">Re-grade</th>
+                <th className="py-2 font-medium">Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rubric.criteria.map(criterion => {
+                const before = previous.stageScores[criterion.key];
+                const after = validationResults.stageScores?.[criterion.key];
+                const diff = (after?.score || 0) - (before.score || 0);
+                return (
+                  <tr key={criterion.key} className="border-b border-gray-100 align-top">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{criterion.label}</td>
+                    <td className="py-2 pr-4">
+                      <div className="flex items-center space-x-1">
+                        {getStatusIcon(before, criterion.weight)}
+                        <span>{before.score}/{criterion.weight}</span>
+                      </div>
+                      <p className="text-xs text-gray-600 mt-1">{before.feedback}</p>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <div className="flex items-center space-x-1">
+                        {getStatusIcon(after, criterion.weight)}
+                        <span>{after?.score ?? 0}/{criterion.weight}</span>
+                      </div>
+                      <p className="text-xs text-gray-600 mt-1">{after?.feedback}</p>
+                    </td>
+                    <td className={`py-2 font-semibold ${diffColor(diff)}`}>
+                      {diff > 0 ? `+${diff}` : diff}
+                    </td>
+                  </tr>
+                );
+              })}
+              <tr className="font-semibold">
+                <td className="py-2 pr-4 text-gray-900">Total</td>
+                <td className="py-2 pr-4">{previous.totalScore}/{rubric.maxScore}</td>
+                <td className="py-2 pr-4">{validationResults.totalScore}/{rubric.maxScore}</td>
+                <td className={`py-2 ${diffColor(totalDiff)}`}>
+                  {totalDiff > 0 ? `+${totalDiff}` : totalDiff}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+        {comparisonBase.override_version && (
+          <p className="text-xs text-gray-500 mt-2">
+            Stored scores include reviewer override v{comparisonBase.override_version} by {comparisonBase.overridden_by}
+          </p>
+        )}
+      </div>
+    );
+  };
+
   if (!user) {
     return (
       <div className="text-center py-12">
@@ -727,122 +801,38 @@ Return ONLY a valid JSON object with this structure:
         
         {/* AI Validation Button */}
         <div className="flex justify-center mt-8 pt-6 border-t border-gray-200">
-          <button
-            onClick={validateAnswers}
-            disabled={isSubmitting}
-            className="flex items-center space-x-2 px-8 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded-lg transition-colors text-lg font-semibold"
-          >
-            <CheckCircle className="h-6 w-6" />
-            <span>{isSubmitting ? 'Validating with AI...' : 'Validate Answers with AI'}</span>
-          </button>
-        </div>
-      </div>
-
-      {/* AI Validation Results */}
-      {validationResults && (
-        <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
-          <div className="text-center bg-gradient-to-r from-blue-500 to-indigo-600 text-white p-6 rounded-xl mb-6">
-            <CheckCircle className="mx-auto h-12 w-12 mb-3" />
-            <h3 className="text-3xl font-bold mb-2">AI Validation Complete!</h3>
-            <p className="text-xl">Overall Score: {validationResults.totalScore} / 70</p>
-            <div className="mt-2">
-              <div className="bg-white bg-opacity-20 rounded-full h-3 w-64 mx-auto">
-                <div
-                  className="bg-white rounded-full h-3 transition-all duration-500"
-                  style={{ width: `${Math.min((validationResults.totalScore / 70) * 100, 100)}%` }}
-                ></div>
-              </div>
-              <p className="text-sm mt-2 opacity-90">
-                {validationResults.totalScore >= 60 ? 'Excellent!' :
-                 validationResults.totalScore >= 50 ? 'Good work!' :
-                 validationResults.totalScore >= 35 ? 'Needs improvement' : 'Requires significant work'}
-              </p>
-            </div>
-          </div>
-
-          <div className="space-y-4">
-            <h4 className="text-2xl font-semibold text-gray-800">Stage-by-Stage Evaluation:</h4>
-
-            {/* Score Breakdown Summary */}
-            <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
-              <h5 className="font-semibold text-gray-800 mb-2">Score Breakdown (Total: {
-                Object.values(validationResults.stageScores || {}).reduce((sum, stage) => sum + (stage.score || 0), 0)
-              } / 70 points)</h5>
-              <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
-                <span>Idea: {validationResults.stageScores?.idea?.score || 0}/10</span>
-                <span>Problem: {validationResults.stageScores?.problem?.score || 0}/10</span>
-                <span>Technology: {validationResults.stageScores?.technology?.score || 0}/8</span>
-                <span>Collaboration: {validationResults.stageScores?.collaboration?.score || 0}/8</span>
-                <span>Creativity: {validationResults.stageScores?.creativity?.score || 0}/10</span>
-                <span>Scale: {validationResults.stageScores?.scale?.score || 0}/8</span>
-                <span>Impact: {validationResults.stageScores?.impact?.score || 0}/10</span>
-                <span>Pitch: {validationResults.stageScores?.pitch?.score || 0}/6</span>
-              </div>
-            </div>
-
-            {/* Individual Stage Results */}
-            {Object.entries(validationResults.stageScores || {}).map(([stageName, result]) => {
-              // Define max scores for each stage (total = 70)
-              const maxScores = {
-                idea: 10, problem: 10, technology: 8, collaboration: 8,
-                creativity: 10, scale: 8, impact: 10, pitch: 6
-              };
-              const maxScore = maxScores[stageName] || 8;
-
-              return (
-                <div key={stageName} className={`p-5 rounded-lg border-2 ${getStatusColor(result.status)}`}>
-                  <div className="flex items-center justify-between mb-3">
-                    <h5 className="font-semibold text-lg flex items-center space-x-2">
-                      {getStatusIcon(result.status)}
-                      <span className="capitalize">{stageName.replace('_', ' ')}</span>
-                    </h5>
-                    <span className="px-3 py-1 rounded-full text-sm font-medium bg-white bg-opacity-50">
-                      {result.score} / {maxScore} points
-                    </span>
-                  </div>
-                  <div className="pt-3 border-t border-gray-200">
-                    <p className="text-sm">
-                      <span className="font-medium">Feedback:</span> {result.feedback}
-                    </p>
-                  </div>
-                </div>
-              );
-            })}
-
-            {/* Overall Feedback */}
-            {validationResults.overallFeedback && (
-              <div className="bg-blue-50 border border-blue-200 rounded-lg p-5">
-                <h5 className="font-semibold text-lg text-blue-900 mb-3">Overall Feedback</h5>
-                <p className="text-blue-800 mb-4">{validationResults.overallFeedback}</p>
-              </div>
-            )}
-
-            {/* Recommendations */}
-            {validationResults.recommendations && validationResults.recommendations.length > 0 && (
-              <div className="bg-green-50 border border-green-200 rounded-lg p-5">
-                <h5 className="font-semibold text-lg text-green-900 mb-3">AI Recommendations</h5>
-                <ul className="space-y-2">
-                  {validationResults.recommendations.map((rec, index) => (
-                    <li key={index} className="flex items-start space-x-2 text-green-800">
-                      <span className="text-green-600 font-bold">•</span>
-                      <span>{rec}</span>
-                    </li>
-                  ))}
-                </ul>
-              </div>
-            )}
-          </div>
-
-          <div className="text-center pt-6">
+          <div className="text-center">
             <button
-              onClick={() => setValidationResults(null)}
-              className="bg-gray-600 hover:bg-gray-700 text-white font-semibold py-3 px-8 rounded-lg transition-colors text-lg"
+              onClick={validateAnswers}
+              disabled={isSubmitting || loadingStored}
+              className="flex items-center space-x-2 px-8 py-3 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white rounded-lg transition-colors text-lg font-semibold"
             >
-              Close Results
+              {storedEvaluation ? <RotateCcw className="h-6 w-6" /> : <CheckCircle className="h-6 w-6" />}
+              <span>
+                {isSubmitting
+                  ? (storedEvaluation ? 'Re-grading with AI...' : 'Validating with AI...')
+                  : (storedEvaluation ? 'Re-grade with AI' : 'Validate Answers with AI')}
+              </span>
             </button>
+            {storedEvaluation && !isSubmitting && (
+              <p className="text-sm text-gray-500 mt-2">
+                Saves a new evaluation; the stored one ({storedEvaluation.effective_total_score ?? storedEvaluation.total_score}/{rubric.maxScore}) is kept for comparison
+              </p>
+            )}
           </div>
         </div>
-      )}
+      </div>
+
+      {/* Re-grade compared with the stored evaluation */}
+      {validationResults && comparisonBase && renderComparison()}
+
+      {/* AI Validation Results, or the stored evaluation until the user is re-graded */}
+      {validationResults
+        ? renderEvaluation(validationResults, { title: comparisonBase ? 'Re-grade Complete!' : 'AI Validation Complete!', isNew: true })
+        : storedEvaluation && renderEvaluation(evaluationFromRow(rubric, storedEvaluation), {
+          title: 'Stored Evaluation',
+          subtitle: `${storedEvaluation.source || 'batch'} evaluation from ${new Date(storedEvaluation.processed_at).toLocaleString()} · ${storedEvaluation.ai_model || 'unknown model'} · prompt ${storedEvaluation.prompt_version || 'unversioned'}${storedEvaluation.override_version ? ` · reviewer override v${storedEvaluation.override_version}` : ''}`
+        })}
 
     </div>
   );
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, History, RefreshCw } from 'lucide-react';
+import { compareEvaluationRuns, loadEvaluationHistory } from '../lib/evaluationHistory';
+import { getProgram } from '../lib/programs';
+import { getRubric } from '../lib/rubrics';
+
+const LOG_TYPE_COLORS = {
+  USER_ERROR: 'text-red-700',
+  USER_RETRY: 'text-orange-700',
+  USER_SUCCESS: 'text-green-700',
+  USER_UPDATED: 'text-blue-700',
+  USER_SKIPPED: 'text-yellow-700'
+};
+
+const formatDiff = (diff) => {
+  if (diff == null || diff === 0) return null;
+  return diff > 0 ? `+${diff}` : `${diff}`;
+};
+
+/**
+ * Every evaluation of the selected participant side by side (oldest first)
+ * with stage-by-stage changes against the previous successful run, the model
+ * and prompt behind each run, and the participant's process log timeline.
+ */
+const EvaluationHistory = ({ email, programId }) => {
+  const [history, setHistory] = useState(null); // { evaluations, logs }
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const program = getProgram(programId);
+  const rubric = getRubric(program.rubricId);
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const { data, error: historyError } = await loadEvaluationHistory(programId, email);
+    if (historyError) {
+      setError(historyError);
+      setHistory(null);
+    } else {
+      setHistory(data);
+    }
+
+    setLoading(false);
+  }, [programId, email]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  if (rubric.kind !== 'stages') {
+    return null;
+  }
+
+  const runs = history ? compareEvaluationRuns(rubric, history.evaluations) : [];
+
+  return (
+    <div className="mt-4 p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <History className="h-5 w-5 text-gray-600" />
+          <h3 className="font-medium text-gray-900">Evaluation History</h3>
+          {history && (
+            <span className="text-sm text-gray-500">
+              {runs.length} evaluation{runs.length === 1 ? '' : 's'} · {history.logs.length} log entr{history.logs.length === 1 ? 'y' : 'ies'}
+            </span>
+          )}
+        </div>
+        <button
+          onClick={loadHistory}
+          disabled={loading}
+          className="flex items-center space-x-1 text-sm text-gray-700 hover:text-gray-900"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm mb-3">
+          <AlertCircle className="h-4 w-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {history && runs.length === 0 && (
+        <p className="text-sm text-gray-500">No evaluations for {email} in {program.id} yet</p>
+      )}
+
+      {runs.length > 0 && (
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200 align-bottom">
+                <th className="py-2 pr-4 font-medium">Stage</th>
+                {runs.map(run => (
+                  <th key={run.row.id} className="py-2 pr-4 font-medium whitespace-nowrap">
+                    <div className="text-gray-900">{new Date(run.row.processed_at).toLocaleString()}</div>
+                    <div className="text-xs font-normal">
+                      {run.row.ai_model || 'unknown model'}{run.row.source && ` · ${run.row.source}`}
+                    </div>
+                    <div className="text-xs font-normal">
+                      prompt {run.row.prompt_version || 'unversioned'}
+                      {run.row.prompt_hash && ` · ${run.row.prompt_hash.substring(0, 8)}`}
+                    </div>
+                    <div className="text-xs font-normal">
+                      {run.row.evaluation_status !== 'success'
+                        ? <span className="text-red-700">error</span>
+                        : run.row.superseded_by
+                          ? <span className="text-gray-500">regraded</span>
+                          : <span className="text-green-700">current</span>}
+                      {run.row.regrade_request_id && ' · regrade'}
+                      {run.row.override_version && ` · override v${run.row.override_version}`}
+                      {run.row.needs_review && ' · needs review'}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rubric.criteria.map(criterion => (
+                <tr key={criterion.key} className="border-b border-gray-100">
+                  <td className="py-2 pr-4 text-gray-900 whitespace-nowrap">{criterion.label}</td>
+                  {runs.map(run => {
+                    if (!run.stageScores) {
+                      return <td key={run.row.id} className="py-2 pr-4 text-gray-400">—</td>;
+                    }
+                    const diff = formatDiff(run.stageDiffs?.[criterion.key]);
+                    return (
+                      <td key={run.row.id} className="py-2 pr-4" title={run.stageScores[criterion.key].feedback || ''}>
+                        {run.stageScores[criterion.key].score}/{criterion.weight}
+                        {diff && (
+                          <span className={`ml-1 text-xs font-semibold ${run.stageDiffs[criterion.key] > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                            {diff}
+                          </span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              <tr className="font-semibold">
+                <td className="py-2 pr-4 text-gray-900">Total</td>
+                {runs.map(run => (
+                  <td key={run.row.id} className="py-2 pr-4">
+                    {run.totalScore != null ? (
+                      <>
+                        {run.totalScore}/{rubric.maxScore}
+                        {formatDiff(run.totalDiff) && (
+                          <span className={`ml-1 text-xs ${run.totalDiff > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                            {formatDiff(run.totalDiff)}
+                          </span>
+                        )}
+                      </>
+                    ) : (
+                      <span className="text-xs font-normal text-red-700" title={run.row.error_message || ''}>
+                        {run.row.error_message?.substring(0, 60) || 'Failed'}
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {history?.logs.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Process logs</h4>
+          <ul className="space-y-1 max-h-64 overflow-y-auto text-sm">
+            {history.logs.map((log, index) => (
+              <li key={`${log.session_id}-${log.created_at}-${index}`} className="flex space-x-3">
+                <span className="text-gray-500 whitespace-nowrap">{new Date(log.created_at).toLocaleString()}</span>
+                <span className={`font-medium whitespace-nowrap ${LOG_TYPE_COLORS[log.log_type] || 'text-gray-700'}`}>{log.log_type}</span>
+                <span className="text-gray-700">
+                  {log.message}
+                  {log.processing_duration_ms != null && ` (${Math.round(log.processing_duration_ms / 1000)}s)`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvaluationHistory;
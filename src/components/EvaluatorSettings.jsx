@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { CheckCircle, ChevronDown, Settings, XCircle } from 'lucide-react';
+import { getProgram } from '../lib/programs';
+import { GEMINI_MODELS } from '../lib/evaluatorProviders';
+import { MAX_CONSENSUS_RUNS, loadEvaluatorSettings, saveEvaluatorSettings } from '../lib/evaluatorSettings';
+
+const EvaluatorSettings = ({ programId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [model, setModel] = useState('');
+  const [temperature, setTemperature] = useState('');
+  const [maxOutputTokens, setMaxOutputTokens] = useState('');
+  const [requestsPerMinute, setRequestsPerMinute] = useState('');
+  const [tokensPerMinute, setTokensPerMinute] = useState('');
+  const [concurrency, setConcurrency] = useState('');
+  const [consensusRuns, setConsensusRuns] = useState('');
+  const [consensusModels, setConsensusModels] = useState([]);
+  const [disagreementThreshold, setDisagreementThreshold] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const program = getProgram(programId);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setMessage(null);
+      const settings = await loadEvaluatorSettings(programId, { refresh: true });
+      if (!cancelled) {
+        setModel(settings.model);
+        setTemperature(String(settings.generationConfig.temperature));
+        setMaxOutputTokens(String(settings.generationConfig.maxOutputTokens));
+        setRequestsPerMinute(String(settings.rateLimits.requestsPerMinute));
+        setTokensPerMinute(String(settings.rateLimits.tokensPerMinute));
+        setConcurrency(String(settings.rateLimits.concurrency));
+        setConsensusRuns(String(settings.consensus.runs));
+        setConsensusModels(settings.consensus.models);
+        setDisagreementThreshold(String(settings.consensus.disagreementThreshold));
+        setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, programId]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    const { error } = await saveEvaluatorSettings(programId, {
+      model,
+      generationConfig: {
+        temperature: Number(temperature),
+        maxOutputTokens: Number(maxOutputTokens)
+      },
+      rateLimits: {
+        requestsPerMinute: Number(requestsPerMinute),
+        tokensPerMinute: Number(tokensPerMinute),
+        concurrency: Number(concurrency)
+      },
+      consensus: {
+        runs: Number(consensusRuns),
+        models: consensusModels,
+        disagreementThreshold: Number(disagreementThreshold)
+      }
+    });
+
+    setMessage(error
+      ? { type: 'error', text: error }
+      : { type: 'success', text: `Saved. New ${program.id} evaluations will use ${model}.` });
+    setSaving(false);
+  };
+
+  const modelOptions = GEMINI_MODELS.includes(model) || !model ? GEMINI_MODELS : [model, ...GEMINI_MODELS];
+  const consensusModelOptions = [...new Set([...modelOptions, ...consensusModels])];
+
+  const toggleConsensusModel = (option) => {
+    setConsensusModels(prev => (prev.includes(option) ? prev.filter(name => name !== option) : [...prev, option]));
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between"
+      >
+        <div className="flex items-center space-x-3">
+          <Settings className="h-6 w-6 text-gray-600" />
+          <div className="text-left">
+            <h2 className="text-xl font-bold text-gray-900">Evaluator Settings ({program.id})</h2>
+            <p className="text-sm text-gray-600">Admin: model, generation config, rate limits and consensus grading used for {program.name} evaluations</p>
+          </div>
+        </div>
+        <ChevronDown className={`h-5 w-5 text-gray-500 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="mt-6">
+          {loading ? (
+            <p className="text-gray-600">Loading settings...</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Model</span>
+                  <select
+                    value={model}
+                    onChange={(e) => setModel(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {modelOptions.map(option => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Temperature</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="2"
+                    step="0.1"
+                    value={temperature}
+                    onChange={(e) => setTemperature(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Max output tokens</span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={maxOutputTokens}
+                    onChange={(e) => setMaxOutputTokens(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Requests per minute</span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={requestsPerMinute}
+                    onChange={(e) => setRequestsPerMinute(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Tokens per minute</span>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1000"
+                    value={tokensPerMinute}
+                    onChange={(e) => setTokensPerMinute(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Concurrent evaluations</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="20"
+                    step="1"
+                    value={concurrency}
+                    onChange={(e) => setConcurrency(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Request and token budgets are shared by every tab and worker calling {model || 'this model'}.
+              </p>
+
+              <h3 className="text-sm font-semibold text-gray-900 mt-6 mb-2">Consensus grading</h3>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Runs per submission</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_CONSENSUS_RUNS}
+                    step="1"
+                    value={consensusRuns}
+                    onChange={(e) => setConsensusRuns(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Disagreement threshold (share of stage weight)</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={disagreementThreshold}
+                    onChange={(e) => setDisagreementThreshold(e.target.value)}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                <div>
+                  <span className="text-sm font-medium text-gray-700">Models to alternate</span>
+                  <div className="mt-1 space-y-1">
+                    {consensusModelOptions.map(option => (
+                      <label key={option} className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={consensusModels.includes(option)}
+                          onChange={() => toggleConsensusModel(option)}
+                        />
+                        <span>{option}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                With more than one run, each submission is evaluated that many times ({consensusModels.length > 0 ? consensusModels.join(', ') : model || 'the model above'}) and the per-stage median is stored.
+                Submissions whose stage scores spread by more than the threshold are flagged for review. Every run counts against the rate limits.
+              </p>
+
+              <div className="flex items-center space-x-4 mt-4">
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-2 px-6 rounded-lg transition-colors"
+                >
+                  {saving ? 'Saving...' : 'Save Settings'}
+                </button>
+                {message && (
+                  <div className={`flex items-center space-x-2 text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+                    {message.type === 'error'
+                      ? <XCircle className="h-4 w-4" />
+                      : <CheckCircle className="h-4 w-4" />}
+                    <span>{message.text}</span>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvaluatorSettings;
@@ -1,30 +1,57 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { AlertCircle, CheckCircle, ChevronLeft, ChevronRight, Download, FileText, Loader2, RefreshCw, Square, Upload } from 'lucide-react';
-import * as pdfjsLib from 'pdfjs-dist';
-import { useRef, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { canGradeInBrowser, getEvaluatorProvider } from '../lib/evaluatorProviders';
+import { loadEvaluatorSettings } from '../lib/evaluatorSettings';
+import { withRateLimit } from '../lib/rateLimiter';
+import { withRetry } from '../lib/evaluationErrors';
+import { deleteDriveSource, fetchDriveSources, saveDriveSource, savePdfEvaluationError, savePdfEvaluationResult } from '../lib/databaseService';
+import { fetchDriveFolder, getLastDriveSourceId, listSourcePdfs, parseFolderInput, pickDriveFolder, setLastDriveSourceId } from '../lib/driveSources';
+import { collectLocalPdfs } from '../lib/localPdfs';
+import { findGradedFiles, loadPdfEvaluations, resultFromRow } from '../lib/pdfEvaluations';
+import { DOCUMENT_PROGRAM_ID, evaluatePdf, gradePdfDocument } from '../lib/pdfGrading';
+import { extractPdfText } from '../lib/pdfText';
+import { exportPdfResults } from '../lib/resultExport';
+import { DEFAULT_DOCUMENT_RUBRIC_ID, getPromptFingerprint, getRubric } from '../lib/rubrics';
+import { getStatusForScore } from '../lib/statuses';
+import { gradePdfOnWorker } from '../lib/workerClient';
 
-// Set the worker path for PDF.js
-pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.4.120/pdf.worker.min.js';
+const rubric = getRubric(DEFAULT_DOCUMENT_RUBRIC_ID);
+const FILES_PER_PAGE = 100;
+
+const STATUS_COLORS = {
+  exemplar: 'bg-green-100 text-green-800',
+  average: 'bg-yellow-100 text-yellow-800',
+  weak: 'bg-red-100 text-red-800'
+};
 
 const GoogleDrivePDFEvaluator = () => {
   const [isConnected, setIsConnected] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [driveFiles, setDriveFiles] = useState([]);
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [evaluationResults, setEvaluationResults] = useState([]);
+  const [runSummary, setRunSummary] = useState(null); // { evaluated, skipped, failed, notSaved } of the last run
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  // Local uploads (dropped or picked PDFs and ZIP archives)
+  const [localFiles, setLocalFiles] = useState([]);
+  const [localSkipped, setLocalSkipped] = useState([]); // [{ name, reason }]
+  const [readingLocalFiles, setReadingLocalFiles] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
   const [processingStatus, setProcessingStatus] = useState('');
   const [accessToken, setAccessToken] = useState(null);
-  const [gapiLoaded, setGapiLoaded] = useState(false);
-  // Pagination state
-  const [nextPageToken, setNextPageToken] = useState(null);
-  const [hasMoreFiles, setHasMoreFiles] = useState(true);
+  // Drive folder sources; the active source's PDF list drives the count, the pages and "Evaluate All"
+  const [driveSources, setDriveSources] = useState([]);
+  const [activeSourceId, setActiveSourceId] = useState(getLastDriveSourceId(DOCUMENT_PROGRAM_ID));
+  const [sourceForm, setSourceForm] = useState(null); // { name, folderInput, folderName, includeSubfolders } while adding a source
+  const [savingSource, setSavingSource] = useState(false);
+  const [sourceFiles, setSourceFiles] = useState([]);
+  const [listingFiles, setListingFiles] = useState(false);
+  // Pagination state (pages of the listed source files)
   const [currentPage, setCurrentPage] = useState(1);
-  // Store page tokens for navigation
-  const [pageTokens, setPageTokens] = useState([]);
-  // Total file count
-  const [totalFileCount, setTotalFileCount] = useState(0);
-  const [countingFiles, setCountingFiles] = useState(false);
+
+  const activeSource = driveSources.find(source => source.id === activeSourceId) || null;
+  const totalPages = Math.max(Math.ceil(sourceFiles.length / FILES_PER_PAGE), 1);
+  const driveFiles = sourceFiles.slice((currentPage - 1) * FILES_PER_PAGE, currentPage * FILES_PER_PAGE);
   
   // Ref for cancellation
   const cancelEvaluationRef = useRef(false);
@@ -69,7 +96,6 @@ const GoogleDrivePDFEvaluator = () => {
     try {
       await loadGoogleScript();
       await loadGapi();
-      setGapiLoaded(true);
       
       // Wait a bit for the script to load
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -114,19 +140,13 @@ const GoogleDrivePDFEvaluator = () => {
           
           setAccessToken(response.access_token);
           setIsConnected(true);
-          setProcessingStatus('Fetching files from Google Drive...');
-          
-          // Reset pagination state
-          setPageTokens([]);
-          setCurrentPage(1);
-          setNextPageToken(null);
-          setTotalFileCount(0);
-          
-          // Fetch first page of files from the specific folder
-          fetchFilesFromFolder(response.access_token);
+          setIsProcessing(false);
+          setProcessingStatus('');
           
-          // Count total files in background
-          countTotalFiles(response.access_token);
+          // List the PDFs of the active folder source
+          if (activeSource) {
+            listSourceFiles(response.access_token, activeSource);
+          }
         },
       });
       
@@ -139,139 +159,143 @@ const GoogleDrivePDFEvaluator = () => {
     }
   };
 
-  // Function to fetch files from a specific Google Drive folder with pagination
-  const fetchFilesFromFolder = async (token, pageToken = null) => {
+  // Function to list every PDF of a folder source (including subfolders when the source does)
+  const listSourceFiles = async (token, source) => {
+    setListingFiles(true);
+    setConnectionError(null);
+    setSourceFiles([]);
+    setSelectedFiles([]);
+    setCurrentPage(1);
+    setProcessingStatus(`Listing PDFs in ${source.name}...`);
+
     try {
-      // Using the complete folder ID from the provided URL
-      const folderId = '1V2yU6hLMB9LGy2zOsHTfSPVkeTGH-8Pq_67DIO36xSZKumRHcwxKchOYnGWq055_t_LZd8lV';
-      
-      // Build query with pagination
-      let query = `q='${folderId}' in parents and mimeType = 'application/pdf'&fields=files(id,name,mimeType),nextPageToken&pageSize=100`;
-      if (pageToken) {
-        query += `&pageToken=${pageToken}`;
-      }
-      
-      const response = await fetch(
-        `https://www.googleapis.com/drive/v3/files?${query}&key=${import.meta.env.VITE_GOOGLE_DRIVE_API_KEY}`,
-        {
-          headers: {
-            'Authorization': `Bearer ${token}`
-          }
+      const files = await listSourcePdfs(token, source, {
+        onProgress: ({ files: fileCount, folders }) => {
+          setProcessingStatus(`Listing PDFs in ${source.name}... ${fileCount} found in ${folders} folder${folders === 1 ? '' : 's'}`);
         }
-      );
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch files: ${response.statusText}`);
+      });
+      setSourceFiles(files);
+    } catch (error) {
+      setConnectionError(`Failed to list files in ${source.name}: ${error.message}`);
+    }
+
+    setListingFiles(false);
+    setProcessingStatus('');
+  };
+
+  // Function to load the saved folder sources of the program and select one
+  // (the first source when selectId is not among them)
+  const loadDriveSources = async (selectId) => {
+    const { data, error } = await fetchDriveSources(DOCUMENT_PROGRAM_ID);
+    if (error) {
+      setConnectionError(`Failed to load Drive folder sources: ${error}`);
+      return;
+    }
+
+    setDriveSources(data);
+    const selected = data.find(source => source.id === selectId) || data[0] || null;
+    setActiveSourceId(selected?.id ?? null);
+    return selected;
+  };
+
+  // Function to switch the folder source
+  const selectSource = (sourceId) => {
+    const source = driveSources.find(item => item.id === sourceId);
+    setActiveSourceId(sourceId);
+    setLastDriveSourceId(DOCUMENT_PROGRAM_ID, sourceId);
+    if (source && accessToken) {
+      listSourceFiles(accessToken, source);
+    }
+  };
+
+  // Function to choose the new source's folder with Google Picker
+  const pickSourceFolder = async () => {
+    try {
+      const folder = await pickDriveFolder(accessToken);
+      if (folder) {
+        setSourceForm(prev => ({ ...prev, folderInput: folder.id, folderName: folder.name, name: prev.name || folder.name }));
       }
-      
-      const data = await response.json();
-      
-      // Update pagination state
-      setDriveFiles(data.files || []);
-      setNextPageToken(data.nextPageToken || null);
-      setHasMoreFiles(!!data.nextPageToken);
-      setIsProcessing(false);
-      setProcessingStatus('');
     } catch (error) {
-      setConnectionError(`Failed to fetch files from Google Drive: ${error.message}`);
-      setIsProcessing(false);
-      setProcessingStatus('');
+      setConnectionError(error.message);
     }
   };
 
-  // Function to count total files in the folder
-  const countTotalFiles = async (token) => {
-    setCountingFiles(true);
-    setProcessingStatus('Counting total files...');
-    
+  // Function to save the new folder source and make it the active one
+  const saveSource = async () => {
+    const folderId = parseFolderInput(sourceForm.folderInput);
+    if (!folderId) {
+      setConnectionError('Paste a Google Drive folder URL or folder id, or pick a folder');
+      return;
+    }
+
+    setSavingSource(true);
+    setConnectionError(null);
+
     try {
-      // Using the complete folder ID from the provided URL
-      const folderId = '1IsUJV36Mi4WBJUjzOkK_bWqC79LQY7AiKLluNpOYnpo7ALlltXRs8y0sYarDbUn3WMA70LuI';
-      
-      let totalFiles = 0;
-      let pageToken = null;
-      
-      do {
-        // Build query with pagination
-        let query = `q='${folderId}' in parents and mimeType = 'application/pdf'&fields=files(id,name,mimeType),nextPageToken&pageSize=100`;
-        if (pageToken) {
-          query += `&pageToken=${pageToken}`;
-        }
-        
-        const response = await fetch(
-          `https://www.googleapis.com/drive/v3/files?${query}&key=${import.meta.env.VITE_GOOGLE_DRIVE_API_KEY}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${token}`
-            }
-          }
-        );
-        
-        if (!response.ok) {
-          throw new Error(`Failed to fetch files: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        totalFiles += data.files ? data.files.length : 0;
-        pageToken = data.nextPageToken || null;
-        
-        // Update status to show progress
-        setProcessingStatus(`Counting total files... ${totalFiles} found so far`);
-      } while (pageToken);
-      
-      setTotalFileCount(totalFiles);
-      setCountingFiles(false);
-      setProcessingStatus('');
+      // Confirm the folder is readable before saving it
+      const folder = accessToken ? await fetchDriveFolder(accessToken, folderId) : null;
+      const { data, error } = await saveDriveSource({
+        program: DOCUMENT_PROGRAM_ID,
+        name: sourceForm.name,
+        folderId,
+        folderName: folder?.name || sourceForm.folderName,
+        includeSubfolders: sourceForm.includeSubfolders
+      });
+      if (error) {
+        throw new Error(error);
+      }
+
+      setSourceForm(null);
+      setLastDriveSourceId(DOCUMENT_PROGRAM_ID, data.id);
+      const source = await loadDriveSources(data.id);
+      if (source && accessToken) {
+        listSourceFiles(accessToken, source);
+      }
     } catch (error) {
-      setConnectionError(`Failed to count total files: ${error.message}`);
-      setCountingFiles(false);
-      setProcessingStatus('');
+      setConnectionError(`Failed to save folder source: ${error.message}`);
+    }
+
+    setSavingSource(false);
+  };
+
+  // Function to delete a folder source (its stored evaluations are kept)
+  const removeSource = async (source) => {
+    const { error } = await deleteDriveSource(source.id);
+    if (error) {
+      setConnectionError(`Failed to delete folder source: ${error}`);
+      return;
+    }
+
+    setSourceFiles([]);
+    setSelectedFiles([]);
+    const next = await loadDriveSources(null);
+    if (next && accessToken) {
+      listSourceFiles(accessToken, next);
     }
   };
 
   // Function to load next page of files
   const loadNextPage = () => {
-    if (hasMoreFiles && nextPageToken && accessToken) {
-      setIsProcessing(true);
-      setProcessingStatus('Loading more files...');
-      
-      // Store current page token for potential back navigation
-      setPageTokens(prev => [...prev, nextPageToken]);
+    if (currentPage < totalPages) {
       setCurrentPage(currentPage + 1);
-      fetchFilesFromFolder(accessToken, nextPageToken);
     }
   };
 
   // Function to load previous page of files
   const loadPreviousPage = () => {
-    if (currentPage > 1 && accessToken) {
-      setIsProcessing(true);
-      setProcessingStatus('Loading previous files...');
-      
-      // Calculate the page token for the previous page
-      const newPageTokens = [...pageTokens];
-      newPageTokens.pop(); // Remove the current page token
-      setPageTokens(newPageTokens);
-      
-      const previousPageToken = newPageTokens.length > 0 ? newPageTokens[newPageTokens.length - 1] : null;
-      
+    if (currentPage > 1) {
       setCurrentPage(currentPage - 1);
-      fetchFilesFromFolder(accessToken, previousPageToken);
     }
   };
 
   // Function to disconnect from Google Drive
   const disconnectFromGoogleDrive = () => {
     setIsConnected(false);
-    setDriveFiles([]);
+    setSourceFiles([]);
     setSelectedFiles([]);
     setAccessToken(null);
     setConnectionError(null);
-    setNextPageToken(null);
-    setHasMoreFiles(true);
     setCurrentPage(1);
-    setPageTokens([]);
-    setTotalFileCount(0);
   };
 
   // Function to select files
@@ -318,189 +342,96 @@ const GoogleDrivePDFEvaluator = () => {
     }
   };
 
-  // Function to evaluate content using the Gemini API
-  const evaluateContent = async (pdfBlob, fileName) => {
-    try {
-      const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
-      if (!apiKey) {
-        throw new Error('Please set VITE_GEMINI_API_KEY in your .env file');
-      }
-
-      const genAI = new GoogleGenerativeAI(apiKey);
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp" });
+  // Function to evaluate Drive files one by one, skipping files whose current version is already graded
+  const evaluateFiles = async (files) => {
+    setIsProcessing(true);
+    setConnectionError(null);
+    setRunSummary(null);
+    setProgress({ done: 0, total: files.length });
+    cancelEvaluationRef.current = false;
 
-      // Convert PDF blob to base64 using a more robust approach
-      const arrayBuffer = await pdfBlob.arrayBuffer();
-      let base64PDF;
-      
-      // Use a more memory-efficient approach for base64 encoding
-      if (typeof Buffer !== 'undefined') {
-        // Node.js environment
-        base64PDF = Buffer.from(arrayBuffer).toString('base64');
-      } else {
-        // Browser environment - chunk the data to avoid stack overflow
-        const bytes = new Uint8Array(arrayBuffer);
-        let binary = '';
-        const chunkSize = 0x8000; // 32KB chunks
-        
-        for (let i = 0; i < bytes.length; i += chunkSize) {
-          const chunk = bytes.subarray(i, i + chunkSize);
-          binary += String.fromCharCode.apply(null, chunk);
-        }
-        
-        base64PDF = btoa(binary);
-      }
+    // Replaces the row of a file in the results table (newest first)
+    const showResult = (result) => {
+      setEvaluationResults(prev => [result, ...prev.filter(item => item.fileId !== result.fileId)]);
+    };
 
-      // Build the evaluation prompt
-      const prompt = `
-You are an experienced college professor evaluating a Food Safety and Quality Management project report. Analyze the document and provide competetive scores using upto 2 decimals based on the rubric below.
-
-EVALUATION RUBRIC (Total: 30 marks):
-
-Criterion 1 - Report Completeness and Structure (10 marks):
-Check if the report contains Introduction, Methodology, Findings, Conclusion, and References sections. The report should be well-organized with logical flow.
-Score 9-10: All sections present, excellent structure
-Score 7-8: All sections present, good organization
-Score 5-6: Most sections present, some gaps
-Score 3-4: Several sections missing
-Score 0-2: Major sections missing
-
-Criterion 2 - Depth of Analysis (10 marks):
-Evaluate understanding of FSQM concepts, analytical insights, pattern recognition, and relevance to food safety and quality management principles.
-Score 9-10: Exceptional analysis with deep insights
-Score 7-8: Strong analysis with good insights
-Score 5-6: Adequate analysis with basic insights
-Score 3-4: Superficial analysis
-Score 0-2: No meaningful analysis
-
-Criterion 3 - Quality of Documentation (5 marks):
-Assess clarity of writing, formatting consistency, proper referencing, and quality of tables and figures.
-Score 5: Excellent quality throughout
-Score 4: Good quality with minor issues
-Score 3: Acceptable quality
-Score 2: Poor quality
-Score 0-1: Very poor quality
-
-Criterion 4 - Originality and Effort (5 marks):
-Determine if the work shows independent thinking, avoids copy-paste, and demonstrates genuine effort.
-Score 5: Highly original with substantial effort
-Score 4: Good originality and effort
-Score 3: Some originality, moderate effort
-Score 2: Limited originality
-Score 0-1: Copy-paste evident, minimal effort
-
-Provide your evaluation in this exact JSON format:
-
-{
-  "criterion1": {
-    "score": 0,
-    "justification": "explanation here"
-  },
-  "criterion2": {
-    "score": 0,
-    "justification": "explanation here"
-  },
-  "criterion3": {
-    "score": 0,
-    "justification": "explanation here"
-  },
-  "criterion4": {
-    "score": 0,
-    "justification": "explanation here"
-  },
-  "total_score": 0,
-  "strengths": ["strength 1", "strength 2", "strength 3"],
-  "improvements": ["improvement 1", "improvement 2", "improvement 3"],
-  "overall_feedback": "comprehensive feedback here"
-}
-
-Evaluate the project report now and respond ONLY with the JSON format above.
-      `;
-
-      const result = await model.generateContent({
-        contents: [
-          {
-            role: "user",
-            parts: [
-              { text: prompt },
-              {
-                inlineData: {
-                  mimeType: "application/pdf",
-                  data: base64PDF
-                }
-              }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 3000,
-        },
-      });
-
-      const response = await result.response;
-      const text = response.text();
-      
-      // Extract JSON from response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Invalid response format from Gemini AI');
+    try {
+      setProcessingStatus('Checking for files that are already graded...');
+      const { data: graded, error: gradedError } = await findGradedFiles(rubric.id, files);
+      if (gradedError) {
+        throw new Error(`Could not check stored evaluations: ${gradedError}`);
       }
 
-      const parsedResults = JSON.parse(jsonMatch[0]);
-      return parsedResults;
-    } catch (error) {
-      throw new Error(`Failed to evaluate content: ${error.message}`);
-    }
-  };
+      const settings = await loadEvaluatorSettings(DOCUMENT_PROGRAM_ID);
+      // Production builds grade on the worker, which holds the Gemini key and
+      // builds the same prompt from the rubric id
+      const provider = canGradeInBrowser()
+        ? withRetry(withRateLimit(getEvaluatorProvider({ model: settings.model }), settings.rateLimits))
+        : null;
+      const metadata = {
+        rubricId: rubric.id,
+        aiModel: provider ? provider.model : settings.model,
+        generationConfig: settings.generationConfig,
+        ...getPromptFingerprint(rubric)
+      };
+      const summary = { evaluated: 0, skipped: 0, failed: 0, notSaved: 0 };
+      const gradeDocument = (file) => async (document) => {
+        if (provider) {
+          return gradePdfDocument({ rubric, provider, generationConfig: settings.generationConfig, document });
+        }
+        const { data, error, status } = await gradePdfOnWorker({ rubricId: rubric.id, fileId: file.id, document });
+        if (error) {
+          // Keeps the model's status so evaluatePdf can fall back to extracted text
+          throw Object.assign(new Error(error), { status: status ?? undefined });
+        }
+        return data.evaluation;
+      };
 
-  // Function to evaluate selected PDFs
-  const evaluatePDFs = async () => {
-    if (selectedFiles.length === 0) {
-      setConnectionError('Please select at least one PDF file to evaluate');
-      return;
-    }
-    
-    setIsProcessing(true);
-    setEvaluationResults([]);
-    setConnectionError(null);
-    cancelEvaluationRef.current = false;
-    
-    try {
-      const results = [];
-      
-      for (let i = 0; i < selectedFiles.length; i++) {
+      for (let i = 0; i < files.length; i++) {
         // Check if evaluation was cancelled
         if (cancelEvaluationRef.current) {
           setProcessingStatus('Evaluation cancelled');
           break;
         }
         
-        const file = selectedFiles[i];
-        setProcessingStatus(`Processing file ${i + 1} of ${selectedFiles.length}: ${file.name}`);
+        const file = files[i];
+        setProgress({ done: i, total: files.length });
+        if (graded[file.id]) {
+          summary.skipped++;
+          showResult(graded[file.id]);
+          continue;
+        }
+
+        setProcessingStatus(`Processing file ${i + 1} of ${files.length}: ${file.name}`);
         
         try {
-          // Fetch PDF from Google Drive
-          const pdfBlob = await fetchPDFBlobFromDrive(file.id);
+          // Local uploads carry their blob; Drive files are fetched
+          const pdfBlob = file.blob || await fetchPDFBlobFromDrive(file.id);
           
-          // Evaluate PDF directly (without text extraction)
-          const evaluation = await evaluateContent(pdfBlob, file.name);
-          const result = {
-            fileName: file.name,
-            ...evaluation
-          };
-          results.push(result);
-          setEvaluationResults([...results]); // Update results in real-time
+          const { evaluation, input } = await evaluatePdf({
+            blob: pdfBlob,
+            gradeDocument: gradeDocument(file),
+            extractText: extractPdfText
+          });
+          const { data: saved, error: saveError } = await savePdfEvaluationResult({ file, evaluation, input, ...metadata });
+          summary.evaluated++;
+          if (saveError) {
+            summary.notSaved++;
+          }
+          showResult(saved
+            ? resultFromRow(saved)
+            : { fileId: file.id, fileName: file.name, modifiedTime: file.modifiedTime, ...evaluation, input, saveError });
         } catch (fileError) {
-          const errorResult = {
-            fileName: file.name,
-            error: fileError.message
-          };
-          results.push(errorResult);
-          setEvaluationResults([...results]); // Update results in real-time
+          summary.failed++;
+          const { error: saveError } = await savePdfEvaluationError({ file, errorMessage: fileError.message, ...metadata });
+          if (saveError) {
+            summary.notSaved++;
+          }
+          showResult({ fileId: file.id, fileName: file.name, modifiedTime: file.modifiedTime, error: fileError.message, saveError });
         }
       }
       
+      setRunSummary(summary);
       setProcessingStatus('');
       setIsProcessing(false);
     } catch (error) {
@@ -510,64 +441,60 @@ Evaluate the project report now and respond ONLY with the JSON format above.
     }
   };
 
-  // Function to evaluate all PDFs
+  // Function to add dropped or picked PDFs and ZIP archives to the local upload list
+  const addLocalFiles = async (fileList) => {
+    setReadingLocalFiles(true);
+    const { files, skipped } = await collectLocalPdfs(fileList);
+    setLocalFiles(prev => [...prev, ...files.filter(file => !prev.some(item => item.id === file.id))]);
+    setLocalSkipped(skipped);
+    setReadingLocalFiles(false);
+  };
+
+  // Function to handle files dropped on the upload area
+  const handleLocalDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (event.dataTransfer.files.length > 0) {
+      addLocalFiles(event.dataTransfer.files);
+    }
+  };
+
+  // Function to remove one local file from the upload list
+  const removeLocalFile = (fileId) => {
+    setLocalFiles(prev => prev.filter(file => file.id !== fileId));
+  };
+
+  // Function to evaluate the uploaded local PDFs
+  const evaluateLocalPDFs = async () => {
+    if (localFiles.length === 0) {
+      setConnectionError('Add at least one local PDF or ZIP file to evaluate');
+      return;
+    }
+
+    await evaluateFiles(localFiles);
+  };
+
+  // Function to evaluate selected PDFs
+  const evaluatePDFs = async () => {
+    if (selectedFiles.length === 0) {
+      setConnectionError('Please select at least one PDF file to evaluate');
+      return;
+    }
+    
+    await evaluateFiles(selectedFiles);
+  };
+
+  // Function to evaluate all PDFs of the active source (every page)
   const evaluateAllPDFs = async () => {
-    if (driveFiles.length === 0) {
+    if (sourceFiles.length === 0) {
       setConnectionError('No PDF files found to evaluate');
       return;
     }
     
     // Select all files for evaluation
-    setSelectedFiles([...driveFiles]);
+    setSelectedFiles([...sourceFiles]);
     
-    // Trigger evaluation
-    setIsProcessing(true);
-    setEvaluationResults([]);
-    setConnectionError(null);
-    cancelEvaluationRef.current = false;
-    
-    try {
-      const results = [];
-      
-      for (let i = 0; i < driveFiles.length; i++) {
-        // Check if evaluation was cancelled
-        if (cancelEvaluationRef.current) {
-          setProcessingStatus('Evaluation cancelled');
-          break;
-        }
-        
-        const file = driveFiles[i];
-        setProcessingStatus(`Processing file ${i + 1} of ${driveFiles.length}: ${file.name}`);
-        
-        try {
-          // Fetch PDF from Google Drive
-          const pdfBlob = await fetchPDFBlobFromDrive(file.id);
-          
-          // Evaluate PDF directly (without text extraction)
-          const evaluation = await evaluateContent(pdfBlob, file.name);
-          const result = {
-            fileName: file.name,
-            ...evaluation
-          };
-          results.push(result);
-          setEvaluationResults([...results]); // Update results in real-time
-        } catch (fileError) {
-          const errorResult = {
-            fileName: file.name,
-            error: fileError.message
-          };
-          results.push(errorResult);
-          setEvaluationResults([...results]); // Update results in real-time
-        }
-      }
-      
-      setProcessingStatus('');
-      setIsProcessing(false);
-    } catch (error) {
-      setConnectionError('Failed to evaluate PDFs: ' + error.message);
-      setIsProcessing(false);
-      setProcessingStatus('');
-    }
+    await evaluateFiles(sourceFiles);
   };
 
   // Function to cancel evaluation
@@ -576,18 +503,45 @@ Evaluate the project report now and respond ONLY with the JSON format above.
     setProcessingStatus('Cancelling evaluation...');
   };
 
-  // Function to clear results
+  // Function to clear results from the table; stored evaluations are kept
   const clearResults = () => {
     setEvaluationResults([]);
+    setRunSummary(null);
+  };
+
+  // Function to show the stored evaluations again
+  const loadStoredResults = async () => {
+    const { data, error } = await loadPdfEvaluations(rubric.id);
+    if (error) {
+      setConnectionError(`Failed to load stored PDF evaluations: ${error}`);
+      return;
+    }
+    setEvaluationResults(data);
+  };
+
+  // Function to download the results shown in the table as CSV or XLSX
+  const exportResults = async (format) => {
+    try {
+      await exportPdfResults({
+        rubric,
+        results: evaluationResults,
+        format,
+        fileBaseName: `${rubric.id}_results_${new Date().toISOString().substring(0, 10)}`
+      });
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      setConnectionError(`Failed to export results: ${error.message}`);
+    }
   };
 
-  // Function to get status color based on score
+  useEffect(() => {
+    loadStoredResults();
+    loadDriveSources(getLastDriveSourceId(DOCUMENT_PROGRAM_ID));
+  }, []);
+
+  // Function to get status color based on the score's status band
   const getStatusColor = (score, maxScore) => {
-    const percentage = (score / maxScore) * 100;
-    if (percentage >= 80) return 'bg-green-100 text-green-800';
-    if (percentage >= 60) return 'bg-blue-100 text-blue-800';
-    if (percentage >= 40) return 'bg-yellow-100 text-yellow-800';
-    return 'bg-red-100 text-red-800';
+    return STATUS_COLORS[getStatusForScore(score, maxScore)?.key] || 'bg-gray-100 text-gray-800';
   };
 
   return (
@@ -652,8 +606,229 @@ Evaluate the project report now and respond ONLY with the JSON format above.
           )}
         </div>
         
+        {/* Local Upload Section */}
+        <div className="border border-gray-200 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-semibold text-lg">Upload Local PDFs</h3>
+            {localFiles.length > 0 && (
+              <button
+                onClick={() => {
+                  setLocalFiles([]);
+                  setLocalSkipped([]);
+                }}
+                disabled={isProcessing}
+                className="text-sm text-gray-500 hover:text-gray-700 disabled:opacity-50"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+
+          <label
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleLocalDrop}
+            className={`flex flex-col items-center justify-center py-6 border-2 border-dashed rounded-lg cursor-pointer transition ${
+              isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {readingLocalFiles ? (
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            ) : (
+              <Upload className="h-6 w-6 text-gray-500" />
+            )}
+            <span className="mt-2 text-sm text-gray-700">Drop PDFs or ZIP archives of PDFs here, or click to choose files</span>
+            <span className="text-xs text-gray-500">For submissions received by email or exported from an LMS; no Google sign-in needed</span>
+            <input
+              type="file"
+              multiple
+              accept=".pdf,.zip,application/pdf,application/zip"
+              onChange={(e) => {
+                addLocalFiles(e.target.files);
+                e.target.value = '';
+              }}
+              className="hidden"
+            />
+          </label>
+
+          {localSkipped.length > 0 && (
+            <div className="mt-2 text-xs text-yellow-700">
+              Skipped: {localSkipped.map(item => `${item.name} (${item.reason})`).join(', ')}
+            </div>
+          )}
+
+          {localFiles.length > 0 && (
+            <>
+              <div className="mt-3 border rounded-lg divide-y max-h-48 overflow-y-auto">
+                {localFiles.map(file => (
+                  <div key={file.id} className="p-2 flex items-center text-sm">
+                    <FileText className="text-red-500 mr-3" size={16} />
+                    <span className="flex-1">
+                      {file.path && <span className="text-gray-500">{file.path}</span>}
+                      {file.name}
+                    </span>
+                    <span className="text-xs text-gray-500 mr-3">{Math.ceil(file.size / 1024)} KB</span>
+                    <button
+                      onClick={() => removeLocalFile(file.id)}
+                      disabled={isProcessing}
+                      className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3 flex justify-end">
+                {isProcessing ? (
+                  <button
+                    onClick={cancelEvaluation}
+                    className="flex items-center bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg transition"
+                  >
+                    <Square className="mr-2" size={16} />
+                    Stop Evaluation
+                  </button>
+                ) : (
+                  <button
+                    onClick={evaluateLocalPDFs}
+                    className="flex items-center bg-green-600 hover:bg-green-700 text-white font-medium py-2 px-4 rounded-lg transition"
+                  >
+                    <Download className="mr-2" size={16} />
+                    Evaluate {localFiles.length} Local PDF{localFiles.length === 1 ? '' : 's'}
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Folder Source Section */}
+        <div className="border border-gray-200 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-semibold text-lg">Drive Folder Source</h3>
+            {!sourceForm && (
+              <button
+                onClick={() => setSourceForm({ name: '', folderInput: '', folderName: '', includeSubfolders: true })}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Add Source
+              </button>
+            )}
+          </div>
+
+          {isConnected && connectionError && (
+            <div className="text-red-500 text-sm flex items-center mb-3">
+              <AlertCircle className="mr-2" size={16} />
+              {connectionError}
+            </div>
+          )}
+
+          {driveSources.length > 0 ? (
+            <div className="flex items-center space-x-2">
+              <select
+                value={activeSourceId ?? ''}
+                onChange={(e) => selectSource(Number(e.target.value))}
+                disabled={isProcessing || listingFiles}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {driveSources.map(source => (
+                  <option key={source.id} value={source.id}>
+                    {source.name}{source.folder_name ? ` (${source.folder_name})` : ''}{source.include_subfolders ? ' · with subfolders' : ''}
+                  </option>
+                ))}
+              </select>
+              {isConnected && activeSource && (
+                <button
+                  onClick={() => listSourceFiles(accessToken, activeSource)}
+                  disabled={isProcessing || listingFiles}
+                  className="text-sm text-gray-600 hover:text-gray-800 flex items-center disabled:opacity-50"
+                >
+                  <RefreshCw className="mr-1" size={16} />
+                  Refresh
+                </button>
+              )}
+              {activeSource && (
+                <button
+                  onClick={() => removeSource(activeSource)}
+                  disabled={isProcessing || listingFiles}
+                  className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              )}
+            </div>
+          ) : !sourceForm && (
+            <p className="text-sm text-gray-500">No folder sources saved for {DOCUMENT_PROGRAM_ID} yet. Add one to list its PDFs.</p>
+          )}
+
+          {sourceForm && (
+            <div className="mt-3 space-y-3 bg-gray-50 rounded-lg p-3">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Name</span>
+                  <input
+                    type="text"
+                    value={sourceForm.name}
+                    onChange={(e) => setSourceForm({ ...sourceForm, name: e.target.value })}
+                    placeholder="e.g. FSQM 2025 cohort A"
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700">Folder URL or id</span>
+                  <div className="mt-1 flex space-x-2">
+                    <input
+                      type="text"
+                      value={sourceForm.folderInput}
+                      onChange={(e) => setSourceForm({ ...sourceForm, folderInput: e.target.value, folderName: '' })}
+                      placeholder="https://drive.google.com/drive/folders/..."
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                    {isConnected && (
+                      <button
+                        onClick={pickSourceFolder}
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm hover:bg-gray-100"
+                      >
+                        Pick
+                      </button>
+                    )}
+                  </div>
+                  {sourceForm.folderName && (
+                    <span className="text-xs text-gray-500">Folder: {sourceForm.folderName}</span>
+                  )}
+                </label>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={sourceForm.includeSubfolders}
+                  onChange={(e) => setSourceForm({ ...sourceForm, includeSubfolders: e.target.checked })}
+                />
+                <span>Include PDFs in subfolders</span>
+              </label>
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => setSourceForm(null)}
+                  className="text-sm text-gray-500 hover:text-gray-700 px-3 py-1"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={saveSource}
+                  disabled={savingSource || !sourceForm.name.trim() || !sourceForm.folderInput.trim()}
+                  className="text-sm bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded transition disabled:opacity-50"
+                >
+                  {savingSource ? 'Saving...' : 'Save Source'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
         {/* File Selection Section */}
-        {isConnected && (
+        {isConnected && activeSource && (
           <div className="border border-gray-200 rounded-lg p-4">
             <div className="flex justify-between items-center mb-3">
               <h3 className="font-semibold text-lg">Select PDF Files</h3>
@@ -663,28 +838,26 @@ Evaluate the project report now and respond ONLY with the JSON format above.
             {/* Total file count and page info */}
             <div className="mb-3 flex justify-between items-center text-sm text-gray-600">
               <div>
-                {totalFileCount > 0 ? (
-                  <span>Total files: {totalFileCount}</span>
-                ) : countingFiles ? (
+                {listingFiles ? (
                   <span>Counting files...</span>
                 ) : (
-                  <span>Calculating total files...</span>
+                  <span>Total files in {activeSource.name}: {sourceFiles.length}</span>
                 )}
               </div>
               <div>
-                Page {currentPage} of {Math.ceil(totalFileCount / 100) || 1}
+                Page {currentPage} of {totalPages}
               </div>
             </div>
             
             {/* Loading Animation */}
-            {isProcessing && processingStatus.includes('Loading') && (
+            {listingFiles && (
               <div className="flex flex-col items-center justify-center py-8">
                 <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
                 <p className="mt-2 text-gray-600">{processingStatus}</p>
               </div>
             )}
             
-            {!isProcessing && driveFiles.length > 0 ? (
+            {!listingFiles && driveFiles.length > 0 ? (
               <>
                 <div className="mb-2 flex justify-between items-center">
                   <div className="flex space-x-2">
@@ -707,7 +880,7 @@ Evaluate the project report now and respond ONLY with the JSON format above.
                       disabled={isProcessing}
                       className="text-sm bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded transition disabled:opacity-50"
                     >
-                      Evaluate All
+                      Evaluate All ({sourceFiles.length})
                     </button>
                   </div>
                   
@@ -723,7 +896,7 @@ Evaluate the project report now and respond ONLY with the JSON format above.
                         Previous
                       </button>
                     )}
-                    {hasMoreFiles && (
+                    {currentPage < totalPages && (
                       <button
                         onClick={loadNextPage}
                         disabled={isProcessing}
@@ -746,7 +919,10 @@ Evaluate the project report now and respond ONLY with the JSON format above.
                     >
                       <div className="flex items-center flex-1">
                         <FileText className="text-red-500 mr-3" />
-                        <span className="text-sm">{file.name}</span>
+                        <span className="text-sm">
+                          {file.path && <span className="text-gray-500">{file.path}</span>}
+                          {file.name}
+                        </span>
                       </div>
                       <div className="text-xs text-gray-500 mr-3">
                         PDF
@@ -764,12 +940,12 @@ Evaluate the project report now and respond ONLY with the JSON format above.
                   ))}
                 </div>
                 <div className="mt-2 text-sm text-gray-500 text-right">
-                  Showing {driveFiles.length} files on page {currentPage} of {Math.ceil(totalFileCount / 100) || 1}
+                  Showing {driveFiles.length} files on page {currentPage} of {totalPages}
                 </div>
               </>
-            ) : !isProcessing && driveFiles.length === 0 ? (
+            ) : !listingFiles && driveFiles.length === 0 ? (
               <div className="text-center py-4 text-gray-500">
-                No PDF files found in your Google Drive folder
+                No PDF files found in {activeSource.name}
               </div>
             ) : null}
             
@@ -799,7 +975,7 @@ Evaluate the project report now and respond ONLY with the JSON format above.
         )}
         
         {/* Processing Status */}
-        {isProcessing && processingStatus && !processingStatus.includes('Loading') && (
+        {isProcessing && processingStatus && (
           <div className="border border-gray-200 rounded-lg p-4">
             <div className="flex items-center">
               <Loader2 className="mr-2 h-4 w-4 animate-spin" />
@@ -808,17 +984,49 @@ Evaluate the project report now and respond ONLY with the JSON format above.
             <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
               <div 
                 className="bg-blue-600 h-2 rounded-full transition-all duration-300" 
-                style={{ width: `${(selectedFiles.findIndex(f => f.name === processingStatus.split(': ')[1]) + 1) / selectedFiles.length * 100}%` }}
+                style={{ width: `${progress.total > 0 ? ((progress.done + 1) / progress.total) * 100 : 0}%` }}
               ></div>
             </div>
           </div>
         )}
         
         {/* Results Section - Table Format */}
-        {evaluationResults.length > 0 && (
-          <div className="border border-gray-200 rounded-lg p-4">
-            <div className="flex justify-between items-center mb-3">
-              <h3 className="font-semibold text-lg">Evaluation Results</h3>
+        <div className="border border-gray-200 rounded-lg p-4">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="font-semibold text-lg">Evaluation Results</h3>
+            <div className="flex space-x-3">
+              <button
+                onClick={loadStoredResults}
+                disabled={isProcessing}
+                className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              >
+                Show Saved Results
+              </button>
+              <button
+                onClick={() => exportResults('csv')}
+                disabled={evaluationResults.length === 0}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              >
+                <Download className="mr-1" size={14} />
+                Export CSV
+              </button>
+              {evaluationResults.some(result => result.error) && (
+                <button
+                  onClick={() => exportResults('errors-csv')}
+                  className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Download className="mr-1" size={14} />
+                  Export Errors CSV
+                </button>
+              )}
+              <button
+                onClick={() => exportResults('xlsx')}
+                disabled={evaluationResults.length === 0}
+                className="flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+              >
+                <Download className="mr-1" size={14} />
+                Export XLSX
+              </button>
               <button
                 onClick={clearResults}
                 className="text-sm text-gray-500 hover:text-gray-700"
@@ -826,52 +1034,63 @@ Evaluate the project report now and respond ONLY with the JSON format above.
                 Clear Results
               </button>
             </div>
-            
+          </div>
+
+          {runSummary && (
+            <p className="text-sm text-gray-600 mb-3">
+              Last run: {runSummary.evaluated} evaluated, {runSummary.skipped} skipped (already graded, unchanged in Drive), {runSummary.failed} failed
+              {runSummary.notSaved > 0 && <span className="text-red-600"> · {runSummary.notSaved} not saved</span>}
+            </p>
+          )}
+
+          {evaluationResults.length === 0 ? (
+            <div className="text-center py-4 text-gray-500 text-sm">
+              No evaluations to show. Results are saved as files are graded; clearing only hides them.
+            </div>
+          ) : (
             <div className="overflow-x-auto">
               <table className="min-w-full divide-y divide-gray-200">
                 <thead className="bg-gray-50">
                   <tr>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File Name</th>
-                    <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Criterion 1<br/><span className="font-normal">(10 marks)</span></th>
-                    <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Criterion 2<br/><span className="font-normal">(10 marks)</span></th>
-                    <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Criterion 3<br/><span className="font-normal">(5 marks)</span></th>
-                    <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Criterion 4<br/><span className="font-normal">(5 marks)</span></th>
-                    <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Total<br/><span className="font-normal">(30 marks)</span></th>
+                    {rubric.criteria.map((criterion, criterionIndex) => (
+                      <th key={criterion.key} className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Criterion {criterionIndex + 1}<br/><span className="font-normal">({criterion.weight} marks)</span></th>
+                    ))}
+                    <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">Total<br/><span className="font-normal">({rubric.maxScore} marks)</span></th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {evaluationResults.map((result, index) => (
-                    <tr key={index} className={result.error ? "bg-red-50" : ""}>
+                    <tr key={result.fileId || index} className={result.error ? "bg-red-50" : ""}>
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                         {result.fileName}
+                        {result.processedAt && (
+                          <div className="text-gray-500 text-xs font-normal mt-1">Graded {new Date(result.processedAt).toLocaleString()}</div>
+                        )}
+                        {result.input?.method === 'extracted_text' && (
+                          <div className="text-amber-600 text-xs font-normal mt-1">
+                            Graded from extracted text ({result.input.reason === 'size' ? 'over inline size limit' : 'inline upload failed'}): {result.input.pages} pages, {result.input.characters} characters
+                            {result.input.imageOnlyPages > 0 && `, ${result.input.imageOnlyPages} image-only`}
+                          </div>
+                        )}
                         {result.error && (
                           <div className="text-red-500 text-xs mt-1">Error: {result.error}</div>
                         )}
+                        {result.saveError && (
+                          <div className="text-red-500 text-xs mt-1">Not saved: {result.saveError}</div>
+                        )}
                       </td>
                       {!result.error && (
                         <>
+                          {rubric.criteria.map((criterion) => (
+                            <td key={criterion.key} className="px-6 py-4 whitespace-nowrap text-sm text-center">
+                              <span className={`px-2 py-1 rounded-full ${getStatusColor(result[criterion.key]?.score, criterion.weight)}`}>
+                                {result[criterion.key]?.score}
+                              </span>
+                            </td>
+                          ))}
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                            <span className={`px-2 py-1 rounded-full ${getStatusColor(result.criterion1.score, 10)}`}>
-                              {result.criterion1.score}
-                            </span>
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                            <span className={`px-2 py-1 rounded-full ${getStatusColor(result.criterion2.score, 10)}`}>
-                              {result.criterion2.score}
-                            </span>
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                            <span className={`px-2 py-1 rounded-full ${getStatusColor(result.criterion3.score, 5)}`}>
-                              {result.criterion3.score}
-                            </span>
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                            <span className={`px-2 py-1 rounded-full ${getStatusColor(result.criterion4.score, 5)}`}>
-                              {result.criterion4.score}
-                            </span>
-                          </td>
-                          <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                            <span className={`px-2 py-1 rounded-full font-bold ${getStatusColor(result.total_score, 30)}`}>
+                            <span className={`px-2 py-1 rounded-full font-bold ${getStatusColor(result.total_score, rubric.maxScore)}`}>
                               {result.total_score}
                             </span>
                           </td>
@@ -882,8 +1101,8 @@ Evaluate the project report now and respond ONLY with the JSON format above.
                 </tbody>
               </table>
             </div>
-          </div>
-        )}
+          )}
+        </div>
       </div>
     </div>
   );
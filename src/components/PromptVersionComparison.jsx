@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, GitCompare, RefreshCw } from 'lucide-react';
+import { getProgram } from '../lib/programs';
+import { fetchPromptVersionStatistics } from '../lib/databaseService';
+import { getRubric } from '../lib/rubrics';
+import { getScoreBands } from '../lib/statuses';
+
+const UNVERSIONED = '__unversioned__';
+
+const versionKey = (entry) => entry.prompt_version ?? UNVERSIONED;
+const versionLabel = (key) => key === UNVERSIONED ? 'unversioned' : `prompt ${key}`;
+
+const PromptVersionComparison = ({ programId }) => {
+  const [versions, setVersions] = useState([]);
+  const [leftVersion, setLeftVersion] = useState('');
+  const [rightVersion, setRightVersion] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const program = getProgram(programId);
+  const scoreBands = getScoreBands(getRubric(program.rubricId).maxScore);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const { data, error: fetchError } = await fetchPromptVersionStatistics(programId);
+    if (fetchError) {
+      setError(fetchError);
+      setVersions([]);
+    } else {
+      setVersions(data);
+      // Default to comparing the two most recent versions
+      const keys = data.map(versionKey);
+      setLeftVersion(keys.length > 1 ? keys[keys.length - 2] : keys[0] || '');
+      setRightVersion(keys[keys.length - 1] || '');
+    }
+
+    setLoading(false);
+  }, [programId]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const renderVersion = (key) => {
+    const entry = versions.find(item => versionKey(item) === key);
+    if (!entry) {
+      return <div className="flex-1 text-gray-500 text-sm">Select a prompt version</div>;
+    }
+
+    const distribution = entry.score_distribution;
+    return (
+      <div className="flex-1 border border-gray-200 rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">Scores from {versionLabel(key)}</h3>
+        <p className="text-xs text-gray-500 mb-3 font-mono">
+          {entry.prompt_hashes.length > 0 ? `hash ${entry.prompt_hashes.join(', ')}` : 'no prompt hash recorded'}
+        </p>
+        <div className="grid grid-cols-2 gap-3 text-sm">
+          <div>
+            <div className="text-gray-600">Evaluations</div>
+            <div className="text-xl font-bold text-gray-900">{entry.total_evaluations}</div>
+          </div>
+          <div>
+            <div className="text-gray-600">Average score</div>
+            <div className="text-xl font-bold text-blue-600">{entry.average_score}</div>
+          </div>
+          <div>
+            <div className="text-gray-600">Successful</div>
+            <div className="font-semibold text-green-700">{entry.successful_evaluations}</div>
+          </div>
+          <div>
+            <div className="text-gray-600">Failed</div>
+            <div className="font-semibold text-red-700">{entry.failed_evaluations}</div>
+          </div>
+        </div>
+        <div className="mt-3 text-xs text-gray-600 space-y-1">
+          {scoreBands.map(band => (
+            <div key={band.key}>
+              {band.label} ({band.minScore}+): {distribution[band.key]}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  const versionOptions = versions.map(versionKey);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <GitCompare className="h-6 w-6 text-indigo-600" />
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Results by Prompt Version ({program.id})</h2>
+            <p className="text-sm text-gray-600">Compare scores produced by different prompt versions</p>
+          </div>
+        </div>
+        <button
+          onClick={loadVersions}
+          disabled={loading}
+          className="flex items-center space-x-2 text-sm text-gray-700 hover:text-gray-900 disabled:text-gray-400"
+        >
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm mb-4">
+          <AlertCircle className="h-4 w-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {!error && versions.length === 0 && !loading && (
+        <p className="text-gray-600 text-sm">No evaluations recorded for {program.id} yet.</p>
+      )}
+
+      {versions.length > 0 && (
+        <>
+          <div className="flex items-center space-x-3 mb-4 text-sm">
+            <span className="text-gray-700">Show scores from</span>
+            <select
+              value={leftVersion}
+              onChange={(e) => setLeftVersion(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              {versionOptions.map(key => (
+                <option key={key} value={key}>{versionLabel(key)}</option>
+              ))}
+            </select>
+            <span className="text-gray-700">vs</span>
+            <select
+              value={rightVersion}
+              onChange={(e) => setRightVersion(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              {versionOptions.map(key => (
+                <option key={key} value={key}>{versionLabel(key)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-col md:flex-row gap-4">
+            {renderVersion(leftVersion)}
+            {renderVersion(rightVersion)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PromptVersionComparison;
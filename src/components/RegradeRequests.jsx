@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, CheckCircle, ChevronDown, RefreshCw, RotateCcw, XCircle } from 'lucide-react';
+import { cancelRegradeRequest } from '../lib/databaseService';
+import { getProgram } from '../lib/programs';
+import { getRubric } from '../lib/rubrics';
+import { loadRegradeRequests, parseEmailList, requestRegrades } from '../lib/regrades';
+import { getReviewerIdentity, setReviewerIdentity } from '../lib/reviews';
+
+/**
+ * Marks participants for re-evaluation with a reason. The next batch
+ * session (browser or worker) regrades them and keeps the previous
+ * evaluation, so closed requests show the old and new score side by side.
+ */
+const RegradeRequests = ({ programId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [requests, setRequests] = useState({ pending: [], closed: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [emailText, setEmailText] = useState('');
+  const [reason, setReason] = useState('');
+  const [requestedBy, setRequestedBy] = useState(getReviewerIdentity());
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const program = getProgram(programId);
+  const rubric = getRubric(program.rubricId);
+
+  const loadRequests = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const { data, error: loadError } = await loadRegradeRequests(programId);
+    if (loadError) {
+      setError(loadError);
+      setRequests({ pending: [], closed: [] });
+    } else {
+      setRequests(data);
+    }
+
+    setLoading(false);
+  }, [programId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadRequests();
+    }
+  }, [isOpen, loadRequests]);
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    const { data, error: requestError } = await requestRegrades(programId, {
+      emails: parseEmailList(emailText),
+      reason,
+      requestedBy
+    });
+
+    if (requestError) {
+      setMessage({ type: 'error', text: requestError });
+    } else {
+      const notes = [`${data.created.length} regrade${data.created.length === 1 ? '' : 's'} requested`];
+      if (data.alreadyPending.length > 0) {
+        notes.push(`already pending: ${data.alreadyPending.join(', ')}`);
+      }
+      if (data.notEvaluated.length > 0) {
+        notes.push(`no successful evaluation yet: ${data.notEvaluated.join(', ')}`);
+      }
+      setMessage({ type: data.created.length > 0 ? 'success' : 'error', text: notes.join('; ') });
+
+      if (data.created.length > 0) {
+        if (requestedBy.trim()) {
+          setReviewerIdentity(requestedBy);
+        }
+        setEmailText('');
+        setReason('');
+        await loadRequests();
+      }
+    }
+
+    setSaving(false);
+  };
+
+  const handleCancel = async (request) => {
+    const { error: cancelError } = await cancelRegradeRequest(request.id);
+    if (cancelError) {
+      setMessage({ type: 'error', text: cancelError });
+    }
+    await loadRequests();
+  };
+
+  const formatScore = (score) => (score != null ? `${score}/${rubric.maxScore}` : '—');
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between"
+      >
+        <div className="flex items-center space-x-3">
+          <RotateCcw className="h-6 w-6 text-gray-600" />
+          <div className="text-left">
+            <h2 className="text-xl font-bold text-gray-900">Regrade Requests ({program.id})</h2>
+            <p className="text-sm text-gray-600">Re-evaluate participants that already have a grade; the previous grade is kept</p>
+          </div>
+        </div>
+        <ChevronDown className={`h-5 w-5 text-gray-500 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="mt-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Emails</span>
+              <textarea
+                value={emailText}
+                onChange={(e) => setEmailText(e.target.value)}
+                rows={4}
+                placeholder="One or more emails, separated by commas or new lines"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <div className="space-y-3">
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Reason</span>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={2}
+                  placeholder="e.g. Appeal: stage 3 answer was cut off in the export"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">Requested by</span>
+                <input
+                  type="text"
+                  value={requestedBy}
+                  onChange={(e) => setRequestedBy(e.target.value)}
+                  placeholder="your.name@example.com"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between">
+            <button
+              onClick={handleSubmit}
+              disabled={saving || !emailText.trim()}
+              className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-2 px-6 rounded-lg transition-colors"
+            >
+              {saving ? 'Requesting...' : 'Request regrade'}
+            </button>
+            <button
+              onClick={loadRequests}
+              disabled={loading}
+              className="flex items-center space-x-1 text-sm text-gray-700 hover:text-gray-900"
+            >
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Refresh</span>
+            </button>
+          </div>
+
+          {message && (
+            <div className={`flex items-center space-x-2 text-sm ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+              {message.type === 'error'
+                ? <XCircle className="h-4 w-4" />
+                : <CheckCircle className="h-4 w-4" />}
+              <span>{message.text}</span>
+            </div>
+          )}
+
+          {error && (
+            <div className="flex items-center space-x-2 text-red-700 text-sm">
+              <AlertCircle className="h-4 w-4" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Pending ({requests.pending.length})</h3>
+            {requests.pending.length === 0 ? (
+              <p className="text-sm text-gray-500">No pending regrades. Pending participants are included in the next batch session.</p>
+            ) : (
+              <div className="space-y-2 max-h-64 overflow-y-auto">
+                {requests.pending.map(request => (
+                  <div key={request.id} className="flex items-center justify-between p-3 rounded-lg border border-gray-200 text-sm">
+                    <div>
+                      <div className="font-medium text-gray-900">{request.email}</div>
+                      <div className="text-xs text-gray-600">
+                        Current {formatScore(request.previous_total_score)} · {request.reason}
+                        {' · '}{request.requested_by || 'unknown'} on {new Date(request.created_at).toLocaleDateString()}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleCancel(request)}
+                      className="text-sm text-red-700 hover:text-red-900"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Recently closed ({requests.closed.length})</h3>
+            {requests.closed.length === 0 ? (
+              <p className="text-sm text-gray-500">No completed or cancelled regrades yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">Email</th>
+                      <th className="py-2 pr-4 font-medium">Previous</th>
+                      <th className="py-2 pr-4 font-medium">Regraded</th>
+                      <th className="py-2 pr-4 font-medium">Reason</th>
+                      <th className="py-2 font-medium">Closed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {requests.closed.map(request => (
+                      <tr key={request.id} className="border-b border-gray-100">
+                        <td className="py-2 pr-4 text-gray-900">{request.email}</td>
+                        <td className="py-2 pr-4">{formatScore(request.previous_total_score)}</td>
+                        <td className="py-2 pr-4">
+                          {request.status === 'cancelled' ? (
+                            <span className="text-gray-500">Cancelled</span>
+                          ) : (
+                            <span className={request.new_total_score !== request.previous_total_score ? 'font-semibold text-blue-700' : ''}>
+                              {formatScore(request.new_total_score)}
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-700">{request.reason}</td>
+                        <td className="py-2 text-gray-600">
+                          {request.completed_at ? new Date(request.completed_at).toLocaleString() : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegradeRequests;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, History, RefreshCw } from 'lucide-react';
+import { fetchResumableJobs } from '../lib/databaseService';
+import { isJobClaimable } from '../lib/evaluationSession';
+
+/**
+ * Lists evaluation sessions of a program that still have unfinished
+ * participants (paused, or interrupted by a closed tab or crashed worker)
+ * and lets the user resume one.
+ */
+const ResumableSessions = ({ programId, runnerId, onResume, resumeLabel = 'Resume', excludeSessionIds = [] }) => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    const { data, error: fetchError } = await fetchResumableJobs(programId);
+    if (fetchError) {
+      setError(fetchError);
+      setSessions([]);
+      return;
+    }
+    setError(null);
+    setSessions(data);
+  }, [programId]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const visibleSessions = sessions.filter(session => !excludeSessionIds.includes(session.session_id));
+
+  if (visibleSessions.length === 0 && !error) {
+    return null;
+  }
+
+  return (
+    <div className="border border-amber-200 bg-amber-50 rounded-lg p-4 mt-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <History className="h-5 w-5 text-amber-700" />
+          <h3 className="font-semibold text-amber-900">Unfinished sessions</h3>
+        </div>
+        <button
+          onClick={loadSessions}
+          className="flex items-center space-x-1 text-sm text-amber-800 hover:text-amber-900"
+        >
+          <RefreshCw className="h-4 w-4" />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm mb-2">
+          <AlertCircle className="h-4 w-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {visibleSessions.map(session => {
+          const finished = session.done_tasks + session.failed_tasks;
+          const claimable = isJobClaimable(session, runnerId);
+          return (
+            <div key={session.session_id} className="flex items-center justify-between bg-white rounded-lg p-3 text-sm">
+              <div>
+                <div className="font-mono text-xs text-gray-500">{session.session_id}</div>
+                <div className="text-gray-700">
+                  {finished}/{session.total_tasks} finished · {session.status}
+                  {session.created_by && ` · started by ${session.created_by}`}
+                  {!claimable && ' · in progress elsewhere'}
+                </div>
+                {session.last_error && (
+                  <div className="text-xs text-red-600">Stopped: {session.last_error}</div>
+                )}
+              </div>
+              <button
+                onClick={() => onResume(session)}
+                disabled={!claimable}
+                className="bg-amber-600 hover:bg-amber-700 disabled:bg-gray-300 text-white font-semibold py-1 px-3 rounded-lg transition-colors"
+              >
+                {resumeLabel}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ResumableSessions;
@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle, ChevronDown, ClipboardCheck, RefreshCw, XCircle } from 'lucide-react';
+import { getProgram } from '../lib/programs';
+import { getRubric } from '../lib/rubrics';
+import { getStatusLevel } from '../lib/statuses';
+import {
+  getEffectiveStageScores,
+  getReviewerIdentity,
+  loadReviewDetails,
+  loadReviewQueue,
+  saveOverride,
+  setReviewerIdentity,
+  stageScoresFromRow
+} from '../lib/reviews';
+
+const NO_RESPONSE = 'No response provided';
+
+/**
+ * Review screen for AI evaluations: flagged (consensus disagreement) and
+ * sampled evaluations, the participant's answers beside the AI score and
+ * justification for each stage, and a form to save an override version.
+ */
+const ReviewQueue = ({ programId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [queue, setQueue] = useState({ flagged: [], sampled: [], reviewed: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null); // effective_evaluation_results row under review
+  const [details, setDetails] = useState(null); // { participant, overrides }
+  const [edits, setEdits] = useState({}); // { <key>: { score, status } } as entered
+  const [reason, setReason] = useState('');
+  const [reviewer, setReviewer] = useState(getReviewerIdentity());
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const program = getProgram(programId);
+  const rubric = getRubric(program.rubricId);
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const { data, error: queueError } = await loadReviewQueue(programId);
+    if (queueError) {
+      setError(queueError);
+      setQueue({ flagged: [], sampled: [], reviewed: [] });
+    } else {
+      setQueue(data);
+    }
+
+    setLoading(false);
+  }, [programId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadQueue();
+    }
+  }, [isOpen, loadQueue]);
+
+  useEffect(() => {
+    setSelected(null);
+    setDetails(null);
+  }, [programId]);
+
+  const selectEvaluation = async (evaluation) => {
+    setSelected(evaluation);
+    setDetails(null);
+    setMessage(null);
+    setReason('');
+    setEdits(getEffectiveStageScores(rubric, evaluation));
+
+    const { data, error: detailsError } = await loadReviewDetails(evaluation);
+    if (detailsError) {
+      setMessage({ type: 'error', text: detailsError });
+      return;
+    }
+    setDetails(data);
+  };
+
+  const updateEdit = (key, field, value) => {
+    setEdits(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    const stageScores = rubric.criteria.reduce((acc, criterion) => {
+      acc[criterion.key] = { score: Number(edits[criterion.key].score), status: edits[criterion.key].status };
+      return acc;
+    }, {});
+
+    const { data, error: saveError } = await saveOverride(rubric, selected, { stageScores, reviewer, reason });
+    if (saveError) {
+      setMessage({ type: 'error', text: saveError });
+    } else {
+      setReviewerIdentity(reviewer);
+      setMessage({ type: 'success', text: `Saved override v${data.version}: ${selected.email} now scores ${data.total_score}/${rubric.maxScore}` });
+      setSelected(null);
+      setDetails(null);
+      await loadQueue();
+    }
+
+    setSaving(false);
+  };
+
+  const renderAnswers = (criterion) => {
+    if (!details?.participant) {
+      return <p className="text-sm text-gray-500">{details ? 'Participant answers not found' : 'Loading answers...'}</p>;
+    }
+    return criterion.answers.map(answer => (
+      <div key={answer.label} className="mb-2">
+        <div className="text-xs font-medium text-gray-500">{answer.label}</div>
+        {answer.fields.map(field => (
+          <p key={field} className="text-sm text-gray-800 whitespace-pre-wrap">
+            {details.participant[field]?.trim() || NO_RESPONSE}
+          </p>
+        ))}
+      </div>
+    ));
+  };
+
+  const renderQueueList = (title, rows, emptyText) => (
+    <div className="flex-1">
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">{title} ({rows.length})</h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      ) : (
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+          {rows.map(row => (
+            <button
+              key={row.id}
+              onClick={() => selectEvaluation(row)}
+              className={`w-full text-left p-3 rounded-lg border text-sm transition-colors ${
+                selected?.id === row.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+            >
+              <div className="font-medium text-gray-900">{row.email}</div>
+              <div className="text-xs text-gray-600">
+                AI score {row.total_score}/{rubric.maxScore}
+                {row.override_version && ` · v${row.override_version} ${row.effective_total_score}/${rubric.maxScore} by ${row.overridden_by}`}
+                {' · '}{new Date(row.processed_at).toLocaleDateString()}
+                {row.consensus?.reviewReasons?.length > 0 && ` · ${row.consensus.reviewReasons.join('; ')}`}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  if (rubric.kind !== 'stages') {
+    return null;
+  }
+
+  const aiStageScores = selected ? stageScoresFromRow(rubric, selected) : {};
+  const editedTotal = rubric.criteria.reduce((sum, criterion) => sum + (Number(edits[criterion.key]?.score) || 0), 0);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between"
+      >
+        <div className="flex items-center space-x-3">
+          <ClipboardCheck className="h-6 w-6 text-gray-600" />
+          <div className="text-left">
+            <h2 className="text-xl font-bold text-gray-900">Review Queue ({program.id})</h2>
+            <p className="text-sm text-gray-600">Check flagged and sampled AI scores and override them with a reason</p>
+          </div>
+        </div>
+        <ChevronDown className={`h-5 w-5 text-gray-500 transition-transform ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-4">
+            <label className="flex items-center space-x-2 text-sm">
+              <span className="font-medium text-gray-700">Reviewer</span>
+              <input
+                type="text"
+                value={reviewer}
+                onChange={(e) => setReviewer(e.target.value)}
+                placeholder="your.name@example.com"
+                className="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </label>
+            <button
+              onClick={loadQueue}
+              disabled={loading}
+              className="flex items-center space-x-1 text-sm text-gray-700 hover:text-gray-900"
+            >
+              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Refresh</span>
+            </button>
+          </div>
+
+          {error && (
+            <div className="flex items-center space-x-2 text-red-700 text-sm mb-4">
+              <AlertCircle className="h-4 w-4" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex flex-col md:flex-row gap-4 mb-6">
+            {renderQueueList('Flagged for review', queue.flagged, 'No flagged evaluations')}
+            {renderQueueList('Random sample', queue.sampled, 'No unreviewed evaluations to sample')}
+            {renderQueueList('Recently overridden', queue.reviewed, 'No overrides yet')}
+          </div>
+
+          {message && (
+            <div className={`flex items-center space-x-2 text-sm mb-4 ${message.type === 'error' ? 'text-red-700' : 'text-green-700'}`}>
+              {message.type === 'error'
+                ? <XCircle className="h-4 w-4" />
+                : <CheckCircle className="h-4 w-4" />}
+              <span>{message.text}</span>
+            </div>
+          )}
+
+          {selected && (
+            <div className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">{selected.email}</h3>
+                  <p className="text-xs text-gray-500">
+                    {selected.ai_model} · prompt {selected.prompt_version || 'unversioned'} · evaluated {new Date(selected.processed_at).toLocaleString()}
+                  </p>
+                </div>
+                <div className="text-right text-sm">
+                  <div className="text-gray-600">AI {selected.total_score}/{rubric.maxScore}</div>
+                  <div className="font-semibold text-blue-700">Override {editedTotal}/{rubric.maxScore}</div>
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                {rubric.criteria.map(criterion => {
+                  const spread = selected.consensus?.stages?.[criterion.key];
+                  return (
+                    <div key={criterion.key} className="grid grid-cols-1 md:grid-cols-2 gap-4 border-t border-gray-100 pt-4">
+                      <div>
+                        <h4 className="font-medium text-gray-900 mb-1">{criterion.label} (max {criterion.weight})</h4>
+                        {renderAnswers(criterion)}
+                      </div>
+                      <div className="bg-gray-50 rounded-lg p-3">
+                        <div className="text-sm text-gray-700 mb-1">
+                          AI: {aiStageScores[criterion.key].score}/{criterion.weight} · {getStatusLevel(aiStageScores[criterion.key].status)?.label || 'no status'}
+                          {spread && spread.spread > 0 && (
+                            <span className="ml-2 inline-flex items-center space-x-1 text-orange-700">
+                              <AlertTriangle className="h-3 w-3" />
+                              <span>runs {spread.scores.join(', ')}</span>
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-600 mb-2">{aiStageScores[criterion.key].feedback}</p>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={criterion.weight}
+                            step="1"
+                            value={edits[criterion.key]?.score ?? ''}
+                            onChange={(e) => updateEdit(criterion.key, 'score', e.target.value)}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                          />
+                          <select
+                            value={edits[criterion.key]?.status || ''}
+                            onChange={(e) => updateEdit(criterion.key, 'status', e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                          >
+                            {rubric.statuses.map(status => (
+                              <option key={status} value={status}>{getStatusLevel(status).label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <label className="block mt-4">
+                <span className="text-sm font-medium text-gray-700">Reason</span>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  rows={2}
+                  placeholder="Why the scores were changed (or confirmed)"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </label>
+
+              <div className="flex items-center space-x-4 mt-4">
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-2 px-6 rounded-lg transition-colors"
+                >
+                  {saving ? 'Saving...' : `Save override v${(selected.override_version || 0) + 1}`}
+                </button>
+              </div>
+
+              {details?.overrides.length > 0 && (
+                <div className="mt-4">
+                  <h4 className="text-sm font-semibold text-gray-900 mb-2">Earlier overrides</h4>
+                  <ul className="text-sm text-gray-700 space-y-1">
+                    {details.overrides.map(override => (
+                      <li key={override.id}>
+                        v{override.version} · {override.total_score}/{rubric.maxScore} by {override.reviewer} on {new Date(override.created_at).toLocaleString()}: {override.reason}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueue;
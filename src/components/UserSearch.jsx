@@ -2,23 +2,33 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { supabase } from '../lib/supabase';
 import { Search, User, Calendar, AlertCircle, Users, BarChart, ChevronDown, Database } from 'lucide-react';
 import BatchEvaluationProcessor from './BatchEvaluationProcessor';
-import { fetchStageData } from '../lib/databaseService';
-
-const UserSearch = ({ onUserSelect, selectedUser }) => {
+import EvaluationHistory from './EvaluationHistory';
+import ResumableSessions from './ResumableSessions';
+import WorkerJobMonitor from './WorkerJobMonitor';
+import { fetchRegradeRequests } from '../lib/databaseService';
+import { getBrowserRunnerId } from '../lib/evaluationSession';
+import { PROGRAM_IDS, fromProgramSource, getProgram, getProgramSourceError } from '../lib/programs';
+import { isWorkerConfigured } from '../lib/workerClient';
+import { canGradeInBrowser } from '../lib/evaluatorProviders';
+
+const UserSearch = ({ onUserSelect, selectedUser, programId, onProgramChange }) => {
   const [searchTerm, setSearchTerm] = useState('');
-  const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [suggestions, setSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
-  const [connectionTested, setConnectionTested] = useState(false);
   const [batchUsers, setBatchUsers] = useState([]);
   const [showBatchProcessor, setShowBatchProcessor] = useState(false);
+  const [resumeSessionId, setResumeSessionId] = useState(null); // Unfinished session picked from the resume list
   const [loadingBatch, setLoadingBatch] = useState(false);
   const [currentOffset, setCurrentOffset] = useState(0);
   const [batchComplete, setBatchComplete] = useState(false);
-  const [selectedDropdownItem, setSelectedDropdownItem] = useState('GMP');
   const [showDropdown, setShowDropdown] = useState(false);
+  const program = getProgram(programId);
+  const sourceError = getProgramSourceError(program);
+  // Batches run server-side and this tab only monitors them, unless no worker is configured
+  // in a development or mock build
+  const workerMode = isWorkerConfigured() || !canGradeInBrowser();
 
   // Debounced search function
   const searchUsers = useCallback(async (email) => {
@@ -32,9 +42,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
     setError(null);
 
     try {
-      const { data, error } = await supabase
-        .from('level2_screen3_progress')
-        .select(`
+      const { data, error } = await fromProgramSource(supabase, program, `
           id,
           user_id,
           email,
@@ -90,7 +98,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [program]);
 
   // Debounce search input
   useEffect(() => {
@@ -114,6 +122,23 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
     }
   };
 
+  const handleProgramChange = (nextProgramId) => {
+    setShowDropdown(false);
+    if (nextProgramId === programId) return;
+
+    // Batches, offsets and suggestions all belong to the previous program
+    setShowBatchProcessor(false);
+    setResumeSessionId(null);
+    setBatchUsers([]);
+    setBatchComplete(false);
+    setCurrentOffset(0);
+    setSuggestions([]);
+    setSearchTerm('');
+    setError(null);
+    onUserSelect(null);
+    onProgramChange(nextProgramId);
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Escape') {
       setShowSuggestions(false);
@@ -125,7 +150,8 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
       // Get detailed evaluation status information for better logging
       const { data, error } = await supabase
         .from('evaluation_results')
-        .select('email, evaluation_status');
+        .select('email, evaluation_status')
+        .eq('program', program.id);
 
       if (error) {
         console.error('Error fetching evaluation status summary:', error);
@@ -146,6 +172,16 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
     }
   };
 
+  // Emails with a pending regrade request are evaluated again despite a successful evaluation
+  const getRegradeEmails = async () => {
+    const { data, error } = await fetchRegradeRequests(program.id, { status: 'pending' });
+    if (error) {
+      console.warn('Warning: Failed to fetch regrade requests:', error);
+      return new Set();
+    }
+    return new Set(data.map(request => request.email));
+  };
+
   const getCompletedUserIds = async () => {
     try {
       // Query evaluation_results table to get emails that already have successful evaluations
@@ -153,6 +189,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
       const { data, error } = await supabase
         .from('evaluation_results')
         .select('email')
+        .eq('program', program.id)
         .eq('evaluation_status', 'success');
 
       if (error) {
@@ -160,7 +197,8 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
         return []; // Return empty array on error to avoid blocking processing
       }
 
-      const completedEmails = (data || []).map(record => record.email);
+      const regradeEmails = await getRegradeEmails();
+      const completedEmails = (data || []).map(record => record.email).filter(email => !regradeEmails.has(email));
       return completedEmails;
     } catch (err) {
       console.error('Error in getCompletedUserIds:', err);
@@ -174,12 +212,10 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
     setBatchComplete(false);
 
     try {
-      console.log('Loading all users who need evaluation from database...');
+      console.log(`Loading all ${program.id} users who need evaluation from database...`);
       
-      // First, get all users from level2_screen3_progress
-      const { data: allUsers, error: usersError } = await supabase
-        .from('level2_screen3_progress')
-        .select(`
+      // First, get all users from the program's source table
+      const { data: allUsers, error: usersError } = await fromProgramSource(supabase, program, `
           id,
           user_id,
           email,
@@ -224,6 +260,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
       const { data: successfulEvaluations, error: evalError } = await supabase
         .from('evaluation_results')
         .select('email')
+        .eq('program', program.id)
         .eq('evaluation_status', 'success');
 
       if (evalError) {
@@ -231,8 +268,9 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
         // Continue processing even if we can't check evaluation status
       }
 
-      const completedEmails = (successfulEvaluations || []).map(record => record.email);
-      console.log(`Users with successful evaluations to skip: ${completedEmails.length}`);
+      const regradeEmails = await getRegradeEmails();
+      const completedEmails = (successfulEvaluations || []).map(record => record.email).filter(email => !regradeEmails.has(email));
+      console.log(`Users with successful evaluations to skip: ${completedEmails.length} (${regradeEmails.size} pending regrades included)`);
 
       // Filter out users who already have successful evaluations
       const usersNeedingEvaluation = allUsers.filter(user => {
@@ -255,6 +293,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
       }
 
       setBatchUsers(usersNeedingEvaluation);
+      setResumeSessionId(null);
       setShowBatchProcessor(true);
       setBatchComplete(false);
 
@@ -276,7 +315,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
     }
   };
 
-  const loadBatchUsers = async (isNextBatch = false) => {
+  const loadBatchUsers = async () => {
     setLoadingBatch(true);
     setError(null);
     setBatchComplete(false);
@@ -304,9 +343,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
         console.log(`Search attempt ${searchAttempts + 1}: Checking start_id range ${batchStartId}-${batchEndId}`);
 
         // Load users from current range
-        const { data, error } = await supabase
-          .from('level2_screen3_progress')
-          .select(`
+        const { data, error } = await fromProgramSource(supabase, program, `
             id,
             user_id,
             email,
@@ -385,6 +422,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
       }
 
       setBatchUsers(finalBatchUsers);
+      setResumeSessionId(null);
       setShowBatchProcessor(true);
       setBatchComplete(false); // Reset batch completion status
 
@@ -414,13 +452,20 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
     setBatchComplete(true);
   };
 
+  const handleResumeSession = (session) => {
+    setBatchUsers([]);
+    setBatchComplete(false);
+    setResumeSessionId(session.session_id);
+    setShowBatchProcessor(true);
+  };
+
   const loadNextBatch = async () => {
     // Reset the batch processor state
     setBatchComplete(false);
     setShowBatchProcessor(false);
 
     // Load next batch of users
-    await loadBatchUsers(true);
+    await loadBatchUsers();
   };
 
   return (
@@ -432,7 +477,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
             <Users className="h-8 w-8 text-purple-600" />
             <div>
               <h2 className="text-2xl font-bold text-gray-900">Smart Batch Processing</h2>
-              <p className="text-gray-600">Find users who need evaluation - 50 at a time or all users</p>
+              <p className="text-gray-600">Find {program.id} users who need evaluation - 50 at a time or all users</p>
             </div>
           </div>
 
@@ -442,22 +487,19 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
               onClick={() => setShowDropdown(!showDropdown)}
               className="flex items-center space-x-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-medium py-2 px-4 rounded-lg transition-colors"
             >
-              <span>{selectedDropdownItem}</span>
+              <span>{program.id}</span>
               <ChevronDown className="h-4 w-4" />
             </button>
 
             {showDropdown && (
               <div className="absolute right-0 mt-2 w-32 bg-white border border-gray-300 rounded-lg shadow-lg z-10">
-                {['GMP', 'MC', 'FSQM'].map((item) => (
+                {PROGRAM_IDS.map((item, index) => (
                   <button
                     key={item}
-                    onClick={() => {
-                      setSelectedDropdownItem(item);
-                      setShowDropdown(false);
-                    }}
+                    onClick={() => handleProgramChange(item)}
                     className={`w-full text-left px-4 py-2 hover:bg-gray-50 transition-colors ${
-                      selectedDropdownItem === item ? 'bg-purple-50 text-purple-700' : 'text-gray-700'
-                    } ${item === 'GMP' ? 'rounded-t-lg' : ''} ${item === 'FSQM' ? 'rounded-b-lg' : ''}`}
+                      programId === item ? 'bg-purple-50 text-purple-700' : 'text-gray-700'
+                    } ${index === 0 ? 'rounded-t-lg' : ''} ${index === PROGRAM_IDS.length - 1 ? 'rounded-b-lg' : ''}`}
                   >
                     {item}
                   </button>
@@ -466,11 +508,11 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
             )}
           </div>
           
-          {!showBatchProcessor && (
+          {!showBatchProcessor && !workerMode && (
             <div className="flex space-x-3">
               <button
-                onClick={() => loadBatchUsers(false)}
-                disabled={loadingBatch}
+                onClick={() => loadBatchUsers()}
+                disabled={loadingBatch || Boolean(sourceError)}
                 className="flex items-center space-x-2 bg-purple-600 hover:bg-purple-700 disabled:bg-purple-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
               >
                 <BarChart className="h-5 w-5" />
@@ -481,7 +523,7 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
               
               <button
                 onClick={loadAllUsers}
-                disabled={loadingBatch}
+                disabled={loadingBatch || Boolean(sourceError)}
                 className="flex items-center space-x-2 bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
               >
                 <Database className="h-5 w-5" />
@@ -512,6 +554,13 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
             </div>
           )}
         </div>
+
+        {sourceError && (
+          <div className="flex items-center text-red-600 bg-red-50 rounded-lg p-3 mb-4 text-sm">
+            <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+            {sourceError}
+          </div>
+        )}
         
         {loadingBatch && (
           <div className="flex items-center justify-center py-4">
@@ -519,14 +568,29 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
             <span className="text-gray-600">Finding users who need evaluation...</span>
           </div>
         )}
+
+        {!showBatchProcessor && !workerMode && (
+          <ResumableSessions
+            programId={program.id}
+            runnerId={getBrowserRunnerId()}
+            onResume={handleResumeSession}
+          />
+        )}
       </div>
 
+      {/* Server-side Evaluation Jobs */}
+      {workerMode && (
+        <WorkerJobMonitor programId={program.id} />
+      )}
+
       {/* Batch Evaluation Processor */}
       {showBatchProcessor && (
         <div className="mb-8">
           <BatchEvaluationProcessor 
             users={batchUsers} 
+            program={program}
             onComplete={handleBatchComplete}
+            resumeSessionId={resumeSessionId}
           />
         </div>
       )}
@@ -638,6 +702,10 @@ const UserSearch = ({ onUserSelect, selectedUser }) => {
           </div>
         </div>
       )}
+
+      {selectedUser && (
+        <EvaluationHistory email={selectedUser.email} programId={programId} />
+      )}
       </div>
     </div>
   );
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AlertCircle, Pause, Play, Server } from 'lucide-react';
+import ResumableSessions from './ResumableSessions';
+import { getProgram } from '../lib/programs';
+import { listWorkerJobs, pauseWorkerJob, resumeWorkerJob, startWorkerJob } from '../lib/workerClient';
+
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-700',
+  paused: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const WorkerJobMonitor = ({ programId }) => {
+  const [jobs, setJobs] = useState([]);
+  const [limit, setLimit] = useState('50');
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const program = getProgram(programId);
+
+  const refreshJobs = useCallback(async () => {
+    const { data, error: fetchError } = await listWorkerJobs();
+    if (fetchError) {
+      setError(fetchError);
+      return;
+    }
+    setError(null);
+    setJobs(data);
+  }, []);
+
+  // Poll the worker while the panel is mounted
+  useEffect(() => {
+    refreshJobs();
+    const interval = setInterval(refreshJobs, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [refreshJobs]);
+
+  const handleStart = async () => {
+    setStarting(true);
+    const parsedLimit = limit.trim() === '' ? null : Number(limit);
+    const { error: startError } = await startWorkerJob(program.id, parsedLimit);
+    if (startError) {
+      setError(startError);
+    }
+    await refreshJobs();
+    setStarting(false);
+  };
+
+  const handleToggle = async (job) => {
+    const { error: toggleError } = job.status === 'paused'
+      ? await resumeWorkerJob(job.id)
+      : await pauseWorkerJob(job.id);
+    if (toggleError) {
+      setError(toggleError);
+    }
+    await refreshJobs();
+  };
+
+  // Sessions paused or interrupted in a browser tab or another worker
+  const handleTakeOver = async (session) => {
+    const { error: resumeError } = await resumeWorkerJob(session.session_id);
+    if (resumeError) {
+      setError(resumeError);
+    }
+    await refreshJobs();
+  };
+
+  const programJobs = jobs.filter(job => job.program === program.id);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-3">
+          <Server className="h-6 w-6 text-purple-600" />
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Evaluation Worker ({program.id})</h2>
+            <p className="text-sm text-gray-600">Jobs run on the server and keep going if this tab is closed</p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-3">
+          <input
+            type="number"
+            min="1"
+            value={limit}
+            onChange={(e) => setLimit(e.target.value)}
+            placeholder="All pending"
+            className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button
+            onClick={handleStart}
+            disabled={starting}
+            className="bg-purple-600 hover:bg-purple-700 disabled:bg-purple-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+          >
+            {starting ? 'Starting...' : 'Start Job'}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm mb-4">
+          <AlertCircle className="h-4 w-4" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {programJobs.length === 0 ? (
+        <p className="text-gray-600 text-sm">No worker jobs for {program.id} yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {programJobs.map(job => {
+            const percentage = job.totalUsers ? Math.round((job.processedUsers / job.totalUsers) * 100) : 0;
+            return (
+              <div key={job.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <div className="font-mono text-xs text-gray-500">{job.id}</div>
+                    <div className="text-sm text-gray-700">
+                      {job.processedUsers}/{job.totalUsers ?? '?'} processed · {job.successfulUsers} successful · {job.failedUsers} failed · {job.skippedUsers} skipped
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <span className={`px-2 py-1 rounded text-xs font-semibold ${STATUS_STYLES[job.status] || STATUS_STYLES.queued}`}>
+                      {job.status}
+                    </span>
+                    {(job.status === 'running' || job.status === 'paused') && (
+                      <button
+                        onClick={() => handleToggle(job)}
+                        className="flex items-center space-x-1 text-sm text-gray-700 hover:text-gray-900"
+                      >
+                        {job.status === 'paused' ? <Play className="h-4 w-4" /> : <Pause className="h-4 w-4" />}
+                        <span>{job.status === 'paused' ? 'Resume' : 'Pause'}</span>
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-purple-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${percentage}%` }}
+                  ></div>
+                </div>
+                {job.currentEmails.length > 0 && (
+                  <div className="text-xs text-gray-500 mt-2">Currently processing: {job.currentEmails.join(', ')}</div>
+                )}
+                {job.lastError && (
+                  <div className="text-xs text-red-600 mt-2">Last error: {job.lastError}</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <ResumableSessions
+        programId={program.id}
+        runnerId={null}
+        onResume={handleTakeOver}
+        resumeLabel="Resume on worker"
+        excludeSessionIds={programJobs.filter(job => ['queued', 'running', 'paused'].includes(job.status)).map(job => job.id)}
+      />
+    </div>
+  );
+};
+
+export default WorkerJobMonitor;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, LogIn, LogOut } from 'lucide-react';
+import { signInToWorker, signOutOfWorker, watchWorkerSignIn } from '../lib/workerClient';
+
+/**
+ * Supabase sign-in for the evaluation worker. The worker only accepts
+ * requests carrying a signed-in session, so jobs, manual validation and PDF
+ * grading need an account created by an admin in Supabase Auth.
+ */
+const WorkerSignIn = () => {
+  const [signedInEmail, setSignedInEmail] = useState(null);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => watchWorkerSignIn(setSignedInEmail), []);
+
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    const { error: signInError } = await signInToWorker(email, password);
+    if (signInError) {
+      setError(signInError);
+    } else {
+      setPassword('');
+    }
+
+    setBusy(false);
+  };
+
+  const handleSignOut = async () => {
+    setBusy(true);
+    const { error: signOutError } = await signOutOfWorker();
+    setError(signOutError);
+    setBusy(false);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      {signedInEmail ? (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-700">Signed in to the evaluation worker as <span className="font-semibold">{signedInEmail}</span></p>
+          <button
+            onClick={handleSignOut}
+            disabled={busy}
+            className="flex items-center space-x-1 text-sm text-gray-700 hover:text-gray-900"
+          >
+            <LogOut className="h-4 w-4" />
+            <span>Sign out</span>
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleSignIn} className="flex flex-wrap items-center gap-3">
+          <p className="text-sm text-gray-700">Sign in to grade on the evaluation worker</p>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            autoComplete="username"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          />
+          <button
+            type="submit"
+            disabled={busy || !email.trim() || !password}
+            className="flex items-center space-x-1 bg-purple-600 hover:bg-purple-700 disabled:bg-purple-400 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+          >
+            <LogIn className="h-4 w-4" />
+            <span>{busy ? 'Signing in...' : 'Sign in'}</span>
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className="flex items-center space-x-2 text-red-700 text-sm mt-3">
+          <AlertCircle className="h-4 w-4" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkerSignIn;
@@ -0,0 +1,95 @@
+/**
+ * Consensus grading: the same submission is evaluated several times
+ * (optionally across models) and the runs are combined stage by stage. The
+ * stored score is the per-stage median; the spread (max - min) of every stage
+ * is kept alongside it, and a stage whose spread exceeds the disagreement
+ * threshold (a fraction of the stage weight) flags the submission for review.
+ * Runs, models and threshold are per-program evaluator settings.
+ */
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Index of the value nearest to target; ties go to the earliest run
+const closestIndex = (values, target) => {
+  return values.reduce((best, value, index) => (
+    Math.abs(value - target) < Math.abs(values[best] - target) ? index : best
+  ), 0);
+};
+
+/**
+ * Models used for each consensus run, alternating through the configured list
+ * @param {Object} consensus - { runs, models }
+ * @param {string} defaultModel - Program model, used when no models are listed
+ * @returns {string[]} - One model per run
+ */
+export const getConsensusModels = ({ runs, models }, defaultModel) => {
+  const pool = models && models.length > 0 ? models : [defaultModel];
+  return Array.from({ length: runs }, (_, index) => pool[index % pool.length]);
+};
+
+/**
+ * Combines validated stage-rubric evaluations of one submission
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object[]} runs - [{ model, results }] with results in the stageScores shape
+ * @param {Object} options - Combine options
+ * @param {number} options.disagreementThreshold - Spread (fraction of stage weight) that counts as disagreement
+ * @param {number} options.requestedRuns - Runs attempted, including failed ones
+ * @returns {Object} - { results, consensus } where results has the usual shape with median stage scores
+ */
+export const combineEvaluations = (rubric, runs, { disagreementThreshold, requestedRuns = runs.length }) => {
+  const stageScores = {};
+  const stages = {};
+  const disagreements = [];
+
+  rubric.criteria.forEach(criterion => {
+    const scores = runs.map(run => run.results.stageScores[criterion.key].score);
+    // Stage columns hold whole points, so an even number of runs rounds the median
+    const stageMedian = Math.round(median(scores));
+    const spread = Math.max(...scores) - Math.min(...scores);
+    // Status and feedback come from the run that agrees most with the median
+    const representative = runs[closestIndex(scores, stageMedian)].results.stageScores[criterion.key];
+
+    stageScores[criterion.key] = { ...representative, score: stageMedian };
+    stages[criterion.key] = { median: stageMedian, spread, scores };
+    if (spread > disagreementThreshold * criterion.weight) {
+      disagreements.push(criterion.key);
+    }
+  });
+
+  const totalScore = Object.values(stageScores).reduce((sum, stage) => sum + stage.score, 0);
+  const totals = runs.map(run => run.results.totalScore);
+  const closestRun = runs[closestIndex(totals, totalScore)].results;
+  const failedRuns = requestedRuns - runs.length;
+
+  const reviewReasons = [];
+  if (disagreements.length > 0) {
+    reviewReasons.push(`Stage scores disagree on ${disagreements.join(', ')}`);
+  }
+  if (failedRuns > 0) {
+    reviewReasons.push(`${failedRuns} of ${requestedRuns} runs failed`);
+  }
+
+  return {
+    results: {
+      ...closestRun,
+      totalScore,
+      stageScores
+    },
+    consensus: {
+      runs: runs.length,
+      failedRuns,
+      models: runs.map(run => run.model),
+      totals,
+      totalSpread: Math.max(...totals) - Math.min(...totals),
+      disagreementThreshold,
+      stages,
+      disagreements,
+      needsReview: reviewReasons.length > 0,
+      reviewReasons
+    }
+  };
+};
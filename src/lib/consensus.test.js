@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { combineEvaluations, getConsensusModels } from './consensus';
+import { DEFAULT_STAGE_RUBRIC_ID, getRubric } from './rubrics';
+
+const rubric = getRubric(DEFAULT_STAGE_RUBRIC_ID);
+const [firstStage] = rubric.criteria;
+
+// One run scoring every stage `base`, with per-stage overrides
+const run = (model, base, overrides = {}, feedback = model) => {
+  const stageScores = {};
+  rubric.criteria.forEach(criterion => {
+    stageScores[criterion.key] = { score: overrides[criterion.key] ?? base, status: 'average', feedback };
+  });
+  const totalScore = Object.values(stageScores).reduce((sum, stage) => sum + stage.score, 0);
+  return { model, results: { totalScore, stageScores, overallFeedback: `${model} overall`, recommendations: [] } };
+};
+
+describe('getConsensusModels', () => {
+  it('alternates through the configured models', () => {
+    expect(getConsensusModels({ runs: 3, models: ['a', 'b'] }, 'default')).toEqual(['a', 'b', 'a']);
+  });
+
+  it('repeats the program model when none are listed', () => {
+    expect(getConsensusModels({ runs: 2, models: [] }, 'default')).toEqual(['default', 'default']);
+  });
+});
+
+describe('combineEvaluations', () => {
+  it('stores the per-stage median and the feedback of the run closest to it', () => {
+    const runs = [
+      run('a', 4, { [firstStage.key]: 2 }),
+      run('b', 6, { [firstStage.key]: 7 }),
+      run('c', 5, { [firstStage.key]: 9 })
+    ];
+
+    const { results, consensus } = combineEvaluations(rubric, runs, { disagreementThreshold: 1 });
+
+    expect(results.stageScores[firstStage.key]).toEqual({ score: 7, status: 'average', feedback: 'b' });
+    expect(consensus.stages[firstStage.key]).toEqual({ median: 7, spread: 7, scores: [2, 7, 9] });
+    expect(results.totalScore).toBe(Object.values(results.stageScores).reduce((sum, stage) => sum + stage.score, 0));
+    expect(consensus.models).toEqual(['a', 'b', 'c']);
+    expect(consensus.needsReview).toBe(false);
+  });
+
+  it('rounds the median of an even number of runs to whole points', () => {
+    const { results } = combineEvaluations(rubric, [run('a', 5), run('b', 6)], { disagreementThreshold: 1 });
+
+    rubric.criteria.forEach(criterion => {
+      expect(results.stageScores[criterion.key].score).toBe(6);
+    });
+  });
+
+  it('flags stages whose spread exceeds the threshold share of their weight', () => {
+    const spread = Math.floor(firstStage.weight * 0.3) + 1;
+    const runs = [run('a', 0), run('b', 0, { [firstStage.key]: spread })];
+
+    const { consensus } = combineEvaluations(rubric, runs, { disagreementThreshold: 0.3 });
+
+    expect(consensus.disagreements).toEqual([firstStage.key]);
+    expect(consensus.needsReview).toBe(true);
+    expect(consensus.reviewReasons).toEqual([`Stage scores disagree on ${firstStage.key}`]);
+  });
+
+  it('asks for review when some runs failed', () => {
+    const { consensus } = combineEvaluations(rubric, [run('a', 5), run('b', 5)], { disagreementThreshold: 0.3, requestedRuns: 3 });
+
+    expect(consensus.runs).toBe(2);
+    expect(consensus.failedRuns).toBe(1);
+    expect(consensus.reviewReasons).toEqual(['1 of 3 runs failed']);
+  });
+});
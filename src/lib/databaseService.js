@@ -1,4 +1,24 @@
 import { supabase } from './supabase';
+import { DEFAULT_PROGRAM_ID, fromProgramSource, getProgram } from './programs';
+import { checkRubricConsistency, getRubric, validateRubricScores } from './rubrics';
+import { countByStatus } from './statuses';
+
+/**
+ * Maps stage results onto the evaluation_results stage columns
+ * (<key>_score, <key>_status, <key>_feedback) for every rubric criterion
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object} stageScores - Validated stage scores keyed by criterion
+ * @returns {Object} - Column values
+ */
+const buildStageColumns = (rubric, stageScores = {}) => {
+  return rubric.criteria.reduce((columns, criterion) => {
+    const stage = stageScores[criterion.key];
+    columns[`${criterion.key}_score`] = stage?.score ?? null;
+    columns[`${criterion.key}_status`] = stage?.status || null;
+    columns[`${criterion.key}_feedback`] = stage?.feedback || null;
+    return columns;
+  }, {});
+};
 
 /**
  * Fetches all stage data from the database using the specified columns
@@ -103,6 +123,108 @@ export const fetchUserStageData = async (email) => {
   }
 };
 
+const PAGE_SIZE = 1000;
+
+/**
+ * Reads every row of a query in pages, past Supabase's default row cap
+ * @param {Function} buildQuery - Returns a fresh, ordered query builder
+ * @returns {Object} - Object containing all rows and any errors
+ */
+const fetchAllPages = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      return { data: null, error };
+    }
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+};
+
+// Participant columns needed to build an evaluation prompt
+const PARTICIPANT_COLUMNS = `
+  id,
+  user_id,
+  email,
+  start_id,
+  case_id,
+  selected_case_id,
+  current_stage,
+  progress_percentage,
+  is_completed,
+  created_at,
+  updated_at,
+  idea_statement,
+  stage2_problem,
+  stage3_technology,
+  stage4_collaboration,
+  stage5_creativity,
+  stage6_speed_scale,
+  stage7_impact,
+  stage8_final_problem,
+  stage8_final_technology,
+  stage8_final_collaboration,
+  stage8_final_creativity,
+  stage8_final_speed_scale,
+  stage8_final_impact,
+  stage10_reflection
+`;
+
+/**
+ * Fetches participants of a program that do not yet have a successful
+ * evaluation, in start_id order. Participants whose last evaluation failed
+ * are included so they are retried, and so are participants with a pending
+ * regrade request.
+ * @param {string} program - Program identifier
+ * @param {Object} options - Query options
+ * @param {number|null} options.limit - Maximum participants to return
+ * @returns {Object} - Object containing participant rows and any errors
+ */
+export const fetchPendingParticipants = async (program, { limit = null } = {}) => {
+  try {
+    const { data: participants, error } = await fetchAllPages(() =>
+      fromProgramSource(supabase, getProgram(program), PARTICIPANT_COLUMNS)
+        .order('start_id', { ascending: true })
+    );
+
+    if (error) {
+      console.error('Failed to fetch participants:', error);
+      return { data: null, error: error.message };
+    }
+
+    const { data: evaluated, error: evalError } = await fetchAllPages(() =>
+      supabase
+        .from('evaluation_results')
+        .select('email')
+        .eq('program', program)
+        .eq('evaluation_status', 'success')
+        .order('id', { ascending: true })
+    );
+
+    if (evalError) {
+      console.error('Failed to fetch evaluated emails:', evalError);
+      return { data: null, error: evalError.message };
+    }
+
+    const { data: regrades, error: regradeError } = await fetchRegradeRequests(program, { status: 'pending' });
+    if (regradeError) {
+      return { data: null, error: regradeError };
+    }
+
+    const evaluatedEmails = new Set((evaluated || []).map(record => record.email));
+    regrades.forEach(request => evaluatedEmails.delete(request.email));
+    const pending = (participants || []).filter(participant => !evaluatedEmails.has(participant.email));
+
+    return { data: limit ? pending.slice(0, limit) : pending, error: null };
+  } catch (err) {
+    console.error('Error fetching pending participants:', err);
+    return { data: null, error: err.message };
+  }
+};
+
 /**
  * Fetches all stage data with optional filters
  * @param {Object} filters - Filter options
@@ -252,57 +374,36 @@ export const fetchStageStatistics = async () => {
  * @param {number} evaluationData.case_id - Case study ID (optional)
  * @param {Object} evaluationData.aiResults - AI evaluation results object
  * @param {string} evaluationData.batchId - Batch processing ID (optional)
+ * @param {string} evaluationData.program - Program namespace (GMP, MC, FSQM)
+ * @param {string} evaluationData.aiModel - Model that produced the evaluation
+ * @param {Object} evaluationData.generationConfig - Generation config used (temperature, maxOutputTokens)
+ * @param {string} evaluationData.promptVersion - Rubric prompt version used
+ * @param {string} evaluationData.promptHash - Hash of the prompt template used
+ * @param {Object} evaluationData.consensus - Consensus details when several runs were combined (optional)
+ * @param {number} evaluationData.regradeRequestId - regrade_requests id when this is a regrade (optional)
+ * @param {string} evaluationData.source - Where the evaluation ran: batch, worker or manual (defaults to batch)
+ * @param {string} evaluationData.sessionId - process_logs session id (optional)
  * @returns {Object} - Object containing insert result and any errors
  */
 export const saveEvaluationResults = async (evaluationData) => {
   try {
-    const { email, user_id, case_id, aiResults, batchId } = evaluationData;
+    const { email, user_id, case_id, aiResults, batchId, program = DEFAULT_PROGRAM_ID, aiModel, generationConfig, promptVersion, promptHash, consensus, regradeRequestId, source = 'batch', sessionId } = evaluationData;
     
     if (!email || !aiResults) {
       throw new Error('Email and AI results are required');
     }
 
-    // Extract stage scores from AI results
-    const stageScores = aiResults.stageScores || {};
-    
+    const rubric = getRubric(getProgram(program).rubricId);
+    const validatedResults = validateRubricScores(rubric, aiResults);
+
     const evaluationRecord = {
       email: email.trim(),
       user_id: user_id || null,
       case_id: case_id || null,
-      total_score: aiResults.totalScore || 0,
+      total_score: validatedResults.totalScore || 0,
       
       // Individual stage scores and feedback
-      idea_score: stageScores.idea?.score || null,
-      idea_status: stageScores.idea?.status || null,
-      idea_feedback: stageScores.idea?.feedback || null,
-      
-      problem_score: stageScores.problem?.score || null,
-      problem_status: stageScores.problem?.status || null,
-      problem_feedback: stageScores.problem?.feedback || null,
-      
-      technology_score: stageScores.technology?.score || null,
-      technology_status: stageScores.technology?.status || null,
-      technology_feedback: stageScores.technology?.feedback || null,
-      
-      collaboration_score: stageScores.collaboration?.score || null,
-      collaboration_status: stageScores.collaboration?.status || null,
-      collaboration_feedback: stageScores.collaboration?.feedback || null,
-      
-      creativity_score: stageScores.creativity?.score || null,
-      creativity_status: stageScores.creativity?.status || null,
-      creativity_feedback: stageScores.creativity?.feedback || null,
-      
-      scale_score: stageScores.scale?.score || null,
-      scale_status: stageScores.scale?.status || null,
-      scale_feedback: stageScores.scale?.feedback || null,
-      
-      impact_score: stageScores.impact?.score || null,
-      impact_status: stageScores.impact?.status || null,
-      impact_feedback: stageScores.impact?.feedback || null,
-      
-      pitch_score: stageScores.pitch?.score || null,
-      pitch_status: stageScores.pitch?.status || null,
-      pitch_feedback: stageScores.pitch?.feedback || null,
+      ...buildStageColumns(rubric, validatedResults.stageScores),
       
       // Overall feedback and recommendations
       overall_feedback: aiResults.overallFeedback || null,
@@ -311,7 +412,17 @@ export const saveEvaluationResults = async (evaluationData) => {
       // Processing metadata
       evaluation_status: 'success',
       processing_batch_id: batchId || null,
-      ai_model: 'gemini-2.0-flash-exp'
+      program,
+      rubric_id: rubric.id,
+      ai_model: aiModel || null,
+      generation_config: generationConfig || null,
+      prompt_version: promptVersion || null,
+      prompt_hash: promptHash || null,
+      consensus: consensus || null,
+      needs_review: consensus?.needsReview || false,
+      regrade_request_id: regradeRequestId || null,
+      source,
+      session_id: sessionId || null
     };
 
     const { data, error } = await supabase
@@ -338,11 +449,18 @@ export const saveEvaluationResults = async (evaluationData) => {
  * @param {string} errorData.email - User's email
  * @param {string} errorData.error_message - Error message
  * @param {string} errorData.batchId - Batch processing ID (optional)
+ * @param {string} errorData.program - Program namespace (GMP, MC, FSQM)
+ * @param {string} errorData.aiModel - Model that produced the evaluation
+ * @param {Object} errorData.generationConfig - Generation config used (temperature, maxOutputTokens)
+ * @param {string} errorData.promptVersion - Rubric prompt version used
+ * @param {string} errorData.promptHash - Hash of the prompt template used
+ * @param {string} errorData.source - Where the evaluation ran: batch, worker or manual (defaults to batch)
+ * @param {string} errorData.sessionId - process_logs session id (optional)
  * @returns {Object} - Object containing insert result and any errors
  */
 export const saveEvaluationError = async (errorData) => {
   try {
-    const { email, error_message, batchId, user_id, case_id } = errorData;
+    const { email, error_message, batchId, user_id, case_id, program = DEFAULT_PROGRAM_ID, aiModel, generationConfig, promptVersion, promptHash, source = 'batch', sessionId } = errorData;
     
     if (!email || !error_message) {
       throw new Error('Email and error message are required');
@@ -356,7 +474,14 @@ export const saveEvaluationError = async (errorData) => {
       evaluation_status: 'error',
       error_message: error_message,
       processing_batch_id: batchId || null,
-      ai_model: 'gemini-2.0-flash-exp'
+      program,
+      rubric_id: getProgram(program).rubricId,
+      ai_model: aiModel || null,
+      generation_config: generationConfig || null,
+      prompt_version: promptVersion || null,
+      prompt_hash: promptHash || null,
+      source,
+      session_id: sessionId || null
     };
 
     const { data, error } = await supabase
@@ -386,57 +511,36 @@ export const saveEvaluationError = async (errorData) => {
  * @param {number} evaluationData.case_id - Case study ID (optional)
  * @param {Object} evaluationData.aiResults - AI evaluation results object
  * @param {string} evaluationData.batchId - Batch processing ID (optional)
+ * @param {string} evaluationData.program - Program namespace (GMP, MC, FSQM)
+ * @param {string} evaluationData.aiModel - Model that produced the evaluation
+ * @param {Object} evaluationData.generationConfig - Generation config used (temperature, maxOutputTokens)
+ * @param {string} evaluationData.promptVersion - Rubric prompt version used
+ * @param {string} evaluationData.promptHash - Hash of the prompt template used
+ * @param {Object} evaluationData.consensus - Consensus details when several runs were combined (optional)
+ * @param {number} evaluationData.regradeRequestId - regrade_requests id when this is a regrade (optional)
+ * @param {string} evaluationData.source - Where the evaluation ran: batch, worker or manual (defaults to batch)
+ * @param {string} evaluationData.sessionId - process_logs session id (optional)
  * @returns {Object} - Object containing update result and any errors
  */
 export const updateEvaluationResults = async (recordId, evaluationData) => {
   try {
-    const { email, user_id, case_id, aiResults, batchId } = evaluationData;
+    const { email, user_id, case_id, aiResults, batchId, program = DEFAULT_PROGRAM_ID, aiModel, generationConfig, promptVersion, promptHash, consensus, regradeRequestId, source = 'batch', sessionId } = evaluationData;
     
     if (!recordId || !email || !aiResults) {
       throw new Error('Record ID, email and AI results are required');
     }
 
-    // Extract stage scores from AI results
-    const stageScores = aiResults.stageScores || {};
-    
+    const rubric = getRubric(getProgram(program).rubricId);
+    const validatedResults = validateRubricScores(rubric, aiResults);
+
     const evaluationRecord = {
       email: email.trim(),
       user_id: user_id || null,
       case_id: case_id || null,
-      total_score: aiResults.totalScore || 0,
+      total_score: validatedResults.totalScore || 0,
       
       // Individual stage scores and feedback
-      idea_score: stageScores.idea?.score || null,
-      idea_status: stageScores.idea?.status || null,
-      idea_feedback: stageScores.idea?.feedback || null,
-      
-      problem_score: stageScores.problem?.score || null,
-      problem_status: stageScores.problem?.status || null,
-      problem_feedback: stageScores.problem?.feedback || null,
-      
-      technology_score: stageScores.technology?.score || null,
-      technology_status: stageScores.technology?.status || null,
-      technology_feedback: stageScores.technology?.feedback || null,
-      
-      collaboration_score: stageScores.collaboration?.score || null,
-      collaboration_status: stageScores.collaboration?.status || null,
-      collaboration_feedback: stageScores.collaboration?.feedback || null,
-      
-      creativity_score: stageScores.creativity?.score || null,
-      creativity_status: stageScores.creativity?.status || null,
-      creativity_feedback: stageScores.creativity?.feedback || null,
-      
-      scale_score: stageScores.scale?.score || null,
-      scale_status: stageScores.scale?.status || null,
-      scale_feedback: stageScores.scale?.feedback || null,
-      
-      impact_score: stageScores.impact?.score || null,
-      impact_status: stageScores.impact?.status || null,
-      impact_feedback: stageScores.impact?.feedback || null,
-      
-      pitch_score: stageScores.pitch?.score || null,
-      pitch_status: stageScores.pitch?.status || null,
-      pitch_feedback: stageScores.pitch?.feedback || null,
+      ...buildStageColumns(rubric, validatedResults.stageScores),
       
       // Overall feedback and recommendations
       overall_feedback: aiResults.overallFeedback || null,
@@ -446,58 +550,812 @@ export const updateEvaluationResults = async (recordId, evaluationData) => {
       evaluation_status: 'success',
       error_message: null, // Clear any previous error message
       processing_batch_id: batchId || null,
-      ai_model: 'gemini-2.0-flash-exp',
+      program,
+      rubric_id: rubric.id,
+      ai_model: aiModel || null,
+      generation_config: generationConfig || null,
+      prompt_version: promptVersion || null,
+      prompt_hash: promptHash || null,
+      consensus: consensus || null,
+      needs_review: consensus?.needsReview || false,
+      regrade_request_id: regradeRequestId || null,
+      source,
+      session_id: sessionId || null,
       processed_at: new Date().toISOString() // Update the processed timestamp
     };
 
     const { data, error } = await supabase
-      .from('evaluation_results')
-      .update(evaluationRecord)
-      .eq('id', recordId)
-      .select();
+      .from('evaluation_results')
+      .update(evaluationRecord)
+      .eq('id', recordId)
+      .select();
+
+    if (error) {
+      console.error('Failed to update evaluation results:', error);
+      return { data: null, error: error.message };
+    }
+
+    console.log(`Successfully updated evaluation results for ${email}`);
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error updating evaluation results:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches evaluation results by email, newest first, including regraded
+ * rows and the effective (latest override) scores
+ * @param {string} email - User's email
+ * @param {string|null} program - Optional program namespace filter
+ * @returns {Object} - Object containing effective_evaluation_results rows and any errors
+ */
+export const fetchEvaluationResults = async (email, program = null) => {
+  try {
+    if (!email) {
+      throw new Error('Email is required');
+    }
+
+    let query = supabase
+      .from('effective_evaluation_results')
+      .select('*')
+      .eq('email', email.trim());
+
+    if (program) {
+      query = query.eq('program', program);
+    }
+
+    const { data, error } = await query.order('processed_at', { ascending: false });
+
+    if (error) {
+      console.error('Failed to fetch evaluation results:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching evaluation results:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches one participant row of a program by email
+ * @param {string} program - Program identifier
+ * @param {string} email - Participant email
+ * @returns {Object} - Object containing the participant row (null when not found) and any errors
+ */
+export const fetchParticipant = async (program, email) => {
+  try {
+    const { data, error } = await fromProgramSource(supabase, getProgram(program), PARTICIPANT_COLUMNS)
+      .eq('email', email.trim())
+      .limit(1);
+
+    if (error) {
+      console.error('Failed to fetch participant:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data[0] || null, error: null };
+  } catch (err) {
+    console.error('Error fetching participant:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches current (not regraded) successful evaluations of a program for
+ * the review queue
+ * @param {string} program - Program identifier
+ * @param {Object} options - Query options
+ * @param {boolean} options.reviewed - true for rows that already have an override (newest override first)
+ * @param {boolean} options.flagged - For unreviewed rows: true for rows flagged needs_review, false for the rest
+ * @param {number} options.limit - Maximum rows to return
+ * @returns {Object} - Object containing effective_evaluation_results rows and any errors
+ */
+export const fetchReviewCandidates = async (program, { reviewed = false, flagged = false, limit = 200 } = {}) => {
+  try {
+    let query = supabase
+      .from('effective_evaluation_results')
+      .select('*')
+      .eq('program', program)
+      .eq('evaluation_status', 'success')
+      .is('superseded_by', null);
+
+    if (reviewed) {
+      query = query
+        .not('override_version', 'is', null)
+        .order('overridden_at', { ascending: false });
+    } else {
+      // Flagged rows are worked oldest first; the sample pool is the most recent rows
+      query = query
+        .is('override_version', null)
+        .eq('needs_review', flagged)
+        .order('processed_at', { ascending: flagged });
+    }
+
+    const { data, error } = await query.limit(limit);
+
+    if (error) {
+      console.error('Failed to fetch review candidates:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching review candidates:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches every override version of an evaluation, newest first
+ * @param {number} evaluationId - evaluation_results id
+ * @returns {Object} - Object containing evaluation_overrides rows and any errors
+ */
+export const fetchEvaluationOverrides = async (evaluationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('evaluation_overrides')
+      .select('*')
+      .eq('evaluation_id', evaluationId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      console.error('Failed to fetch evaluation overrides:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching evaluation overrides:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Stores a new override version of an evaluation
+ * @param {Object} override - Override data
+ * @param {number} override.evaluationId - evaluation_results id
+ * @param {number} override.version - Version number (previous version + 1)
+ * @param {string} override.program - Program identifier
+ * @param {string} override.email - Participant email
+ * @param {string} override.reviewer - Reviewer identity
+ * @param {string} override.reason - Why the scores were changed
+ * @param {Object} override.stageScores - { <key>: { score, status } } for every criterion
+ * @param {number} override.totalScore - Sum of the overridden stage scores
+ * @param {number} override.aiTotalScore - AI total at the time of the override
+ * @returns {Object} - Object containing the stored row and any errors
+ */
+export const insertEvaluationOverride = async ({ evaluationId, version, program, email, reviewer, reason, stageScores, totalScore, aiTotalScore }) => {
+  try {
+    const { data, error } = await supabase
+      .from('evaluation_overrides')
+      .insert([{
+        evaluation_id: evaluationId,
+        version,
+        program,
+        email: email.trim(),
+        reviewer,
+        reason,
+        stage_scores: stageScores,
+        total_score: totalScore,
+        ai_total_score: aiTotalScore
+      }])
+      .select();
+
+    if (error) {
+      console.error('Failed to save evaluation override:', error);
+      // Unique (evaluation_id, version): another reviewer saved this version first
+      if (error.code === '23505') {
+        return { data: null, error: `Version ${version} was already saved by another reviewer; reload the evaluation and try again` };
+      }
+      return { data: null, error: error.message };
+    }
+
+    console.log(`Saved override v${version} for ${email}`);
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error saving evaluation override:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches the current successful evaluation of each of the given participants
+ * @param {string} program - Program identifier
+ * @param {string[]} emails - Participant emails
+ * @returns {Object} - Object containing { <email>: effective_evaluation_results row } and any errors
+ */
+export const fetchCurrentEvaluations = async (program, emails) => {
+  try {
+    const { data, error } = await supabase
+      .from('effective_evaluation_results')
+      .select('id, email, total_score, effective_total_score, processed_at')
+      .eq('program', program)
+      .eq('evaluation_status', 'success')
+      .is('superseded_by', null)
+      .in('email', emails)
+      .order('processed_at', { ascending: true });
+
+    if (error) {
+      console.error('Failed to fetch current evaluations:', error);
+      return { data: null, error: error.message };
+    }
+
+    // Oldest first, so the latest row of an email wins
+    const byEmail = (data || []).reduce((acc, row) => {
+      acc[row.email] = row;
+      return acc;
+    }, {});
+
+    return { data: byEmail, error: null };
+  } catch (err) {
+    console.error('Error fetching current evaluations:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches regrade requests of a program, newest first
+ * @param {string} program - Program identifier
+ * @param {Object} options - Query options
+ * @param {string|null} options.status - Only requests with this status (pending, completed, cancelled)
+ * @param {number|null} options.limit - Maximum requests to return
+ * @returns {Object} - Object containing regrade_requests rows and any errors
+ */
+export const fetchRegradeRequests = async (program, { status = null, limit = null } = {}) => {
+  try {
+    const buildQuery = () => {
+      let query = supabase
+        .from('regrade_requests')
+        .select('*')
+        .eq('program', program);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      return query.order('created_at', { ascending: false });
+    };
+
+    const { data, error } = limit
+      ? await buildQuery().limit(limit)
+      : await fetchAllPages(buildQuery);
+
+    if (error) {
+      console.error('Failed to fetch regrade requests:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching regrade requests:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Stores pending regrade requests
+ * @param {Object[]} requests - { program, email, reason, requestedBy, previousEvaluationId, previousTotalScore }
+ * @returns {Object} - Object containing the stored rows and any errors
+ */
+export const createRegradeRequests = async (requests) => {
+  try {
+    const { data, error } = await supabase
+      .from('regrade_requests')
+      .insert(requests.map(request => ({
+        program: request.program,
+        email: request.email.trim(),
+        reason: request.reason,
+        requested_by: request.requestedBy || null,
+        previous_evaluation_id: request.previousEvaluationId || null,
+        previous_total_score: request.previousTotalScore ?? null
+      })))
+      .select();
+
+    if (error) {
+      console.error('Failed to save regrade requests:', error);
+      // Unique pending request per participant: someone requested one in the meantime
+      if (error.code === '23505') {
+        return { data: null, error: 'A regrade was requested for one of these participants in the meantime; reload and try again' };
+      }
+      return { data: null, error: error.message };
+    }
+
+    console.log(`Saved ${data.length} regrade requests`);
+    return { data, error: null };
+  } catch (err) {
+    console.error('Error saving regrade requests:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Cancels a pending regrade request
+ * @param {number} requestId - regrade_requests id
+ * @returns {Object} - Object containing the updated row and any errors
+ */
+export const cancelRegradeRequest = async (requestId) => {
+  try {
+    const { data, error } = await supabase
+      .from('regrade_requests')
+      .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+      .eq('id', requestId)
+      .eq('status', 'pending')
+      .select();
+
+    if (error) {
+      console.error('Failed to cancel regrade request:', error);
+      return { data: null, error: error.message };
+    }
+
+    if (data.length === 0) {
+      return { data: null, error: 'The regrade request is no longer pending' };
+    }
+
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error cancelling regrade request:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Marks an evaluation as superseded by a newer evaluation of the same
+ * participant; the row itself is kept for the history
+ * @param {number|null} previousId - evaluation_results id being replaced (nothing happens when null)
+ * @param {number} newId - evaluation_results id that replaces it
+ * @returns {Object} - Object containing any errors
+ */
+export const supersedeEvaluation = async (previousId, newId) => {
+  try {
+    if (!previousId || previousId === newId) {
+      return { data: null, error: null };
+    }
+
+    const { error } = await supabase
+      .from('evaluation_results')
+      .update({ superseded_by: newId })
+      .eq('id', previousId);
+
+    if (error) {
+      console.error('Failed to mark evaluation as superseded:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: null, error: null };
+  } catch (err) {
+    console.error('Error marking evaluation as superseded:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Completes a regrade request once the new evaluation is saved, and marks
+ * the regraded evaluation as superseded by the new one
+ * @param {Object} regradeRequest - Pending regrade_requests row
+ * @param {Object} newEvaluation - Saved evaluation_results row
+ * @returns {Object} - Object containing the updated request and any errors
+ */
+export const completeRegradeRequest = async (regradeRequest, newEvaluation) => {
+  try {
+    const { error: supersedeError } = await supersedeEvaluation(regradeRequest.previous_evaluation_id, newEvaluation.id);
+    if (supersedeError) {
+      return { data: null, error: supersedeError };
+    }
+
+    const { data, error } = await supabase
+      .from('regrade_requests')
+      .update({
+        status: 'completed',
+        new_evaluation_id: newEvaluation.id,
+        new_total_score: newEvaluation.total_score,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', regradeRequest.id)
+      .select();
+
+    if (error) {
+      console.error('Failed to complete regrade request:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data[0] || null, error: null };
+  } catch (err) {
+    console.error('Error completing regrade request:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches stored PDF evaluations of a rubric, newest first
+ * @param {string} rubricId - Document rubric identifier
+ * @param {Object} options - Optional { fileIds, limit }
+ * @param {string[]} options.fileIds - Only rows for these Drive file ids (every stored modifiedTime)
+ * @param {number} options.limit - Maximum number of rows
+ * @returns {Object} - Object containing pdf_evaluation_results rows and any errors
+ */
+export const fetchPdfEvaluationResults = async (rubricId, { fileIds = null, limit = null } = {}) => {
+  try {
+    let query = supabase
+      .from('pdf_evaluation_results')
+      .select('*')
+      .eq('rubric_id', rubricId)
+      .order('processed_at', { ascending: false });
+
+    if (fileIds) {
+      if (fileIds.length === 0) {
+        return { data: [], error: null };
+      }
+      query = query.in('drive_file_id', fileIds);
+    }
+
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Failed to fetch PDF evaluation results:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching PDF evaluation results:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+// One row per Drive file version and rubric (migration 015); a re-run replaces it
+const upsertPdfEvaluation = async (record) => {
+  const { data, error } = await supabase
+    .from('pdf_evaluation_results')
+    .upsert([{ ...record, processed_at: new Date().toISOString() }], { onConflict: 'drive_file_id,drive_modified_time,rubric_id' })
+    .select();
+
+  if (error) {
+    console.error('Failed to save PDF evaluation:', error);
+    return { data: null, error: error.message };
+  }
+
+  return { data: data[0], error: null };
+};
+
+/**
+ * Saves a successful PDF evaluation for one Drive file version. A row for
+ * the same file id and modifiedTime (e.g. an earlier error) is replaced.
+ * @param {Object} evaluationData - The evaluation data
+ * @param {Object} evaluationData.file - Drive file ({ id, name, modifiedTime })
+ * @param {Object} evaluationData.evaluation - Parsed model output ({ <criterion key>: { score, justification }, total_score, strengths, improvements, overall_feedback })
+ * @param {string} evaluationData.rubricId - Document rubric identifier
+ * @param {string} evaluationData.aiModel - Model that produced the evaluation
+ * @param {Object} evaluationData.generationConfig - Generation config used
+ * @param {string} evaluationData.promptVersion - Rubric prompt version used
+ * @param {string} evaluationData.promptHash - Hash of the prompt template used
+ * @param {Object} evaluationData.input - How the PDF was sent: { method: 'inline_pdf' | 'extracted_text', ...extraction stats } (optional)
+ * @returns {Object} - Object containing the stored row and any errors
+ */
+export const savePdfEvaluationResult = async ({ file, evaluation, rubricId, aiModel, generationConfig, promptVersion, promptHash, input = null }) => {
+  try {
+    if (!file?.id || !file.modifiedTime || !evaluation) {
+      throw new Error('Drive file id, modified time and evaluation are required');
+    }
+
+    const rubric = getRubric(rubricId);
+    const validated = validateRubricScores(rubric, evaluation);
+    const { method: inputMethod = null, ...extractionStats } = input || {};
+
+    const result = await upsertPdfEvaluation({
+      drive_file_id: file.id,
+      drive_modified_time: file.modifiedTime,
+      file_name: file.name,
+      rubric_id: rubric.id,
+      criterion_scores: rubric.criteria.reduce((scores, criterion) => {
+        scores[criterion.key] = {
+          score: validated[criterion.key]?.score ?? 0,
+          justification: validated[criterion.key]?.justification || null
+        };
+        return scores;
+      }, {}),
+      total_score: validated.total_score || 0,
+      strengths: validated.strengths || [],
+      improvements: validated.improvements || [],
+      overall_feedback: validated.overall_feedback || null,
+      evaluation_status: 'success',
+      error_message: null,
+      ai_model: aiModel || null,
+      generation_config: generationConfig || null,
+      prompt_version: promptVersion || null,
+      prompt_hash: promptHash || null,
+      input_method: inputMethod,
+      extraction_stats: inputMethod ? extractionStats : null
+    });
+
+    if (!result.error) {
+      console.log(`Successfully saved PDF evaluation for ${file.name}`);
+    }
+    return result;
+  } catch (err) {
+    console.error('Error saving PDF evaluation:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Saves a failed PDF evaluation so the failure survives a refresh; the file
+ * is graded again on the next run
+ * @param {Object} errorData - The error data
+ * @param {Object} errorData.file - Drive file ({ id, name, modifiedTime })
+ * @param {string} errorData.errorMessage - Error message
+ * @param {string} errorData.rubricId - Document rubric identifier
+ * @param {string} errorData.aiModel - Model that was called (optional)
+ * @param {Object} errorData.generationConfig - Generation config used (optional)
+ * @param {string} errorData.promptVersion - Rubric prompt version used
+ * @param {string} errorData.promptHash - Hash of the prompt template used
+ * @returns {Object} - Object containing the stored row and any errors
+ */
+export const savePdfEvaluationError = async ({ file, errorMessage, rubricId, aiModel, generationConfig, promptVersion, promptHash }) => {
+  try {
+    if (!file?.id || !file.modifiedTime || !errorMessage) {
+      throw new Error('Drive file id, modified time and error message are required');
+    }
+
+    return await upsertPdfEvaluation({
+      drive_file_id: file.id,
+      drive_modified_time: file.modifiedTime,
+      file_name: file.name,
+      rubric_id: rubricId,
+      criterion_scores: null,
+      total_score: null,
+      strengths: null,
+      improvements: null,
+      overall_feedback: null,
+      evaluation_status: 'error',
+      error_message: errorMessage,
+      ai_model: aiModel || null,
+      generation_config: generationConfig || null,
+      prompt_version: promptVersion || null,
+      prompt_hash: promptHash || null,
+      input_method: null,
+      extraction_stats: null
+    });
+  } catch (err) {
+    console.error('Error saving PDF evaluation error:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches the saved Google Drive folder sources of a program
+ * @param {string} program - Program identifier
+ * @returns {Object} - Object containing drive_sources rows (by name) and any errors
+ */
+export const fetchDriveSources = async (program) => {
+  try {
+    const { data, error } = await supabase
+      .from('drive_sources')
+      .select('id, program, name, folder_id, folder_name, include_subfolders, updated_at')
+      .eq('program', program)
+      .order('name', { ascending: true });
+
+    if (error) {
+      console.error('Failed to fetch Drive sources:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching Drive sources:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Creates or replaces a named Drive folder source of a program
+ * @param {Object} source - Source to store
+ * @param {string} source.program - Program identifier
+ * @param {string} source.name - Source name, unique per program (e.g. a cohort)
+ * @param {string} source.folderId - Drive folder id
+ * @param {string} source.folderName - Drive folder name (optional)
+ * @param {boolean} source.includeSubfolders - Whether subfolders are traversed
+ * @returns {Object} - Object containing the stored row and any errors
+ */
+export const saveDriveSource = async ({ program, name, folderId, folderName, includeSubfolders = true }) => {
+  try {
+    if (!program || !name?.trim() || !folderId) {
+      throw new Error('Program, source name and folder id are required');
+    }
+
+    const { data, error } = await supabase
+      .from('drive_sources')
+      .upsert([{
+        program,
+        name: name.trim(),
+        folder_id: folderId,
+        folder_name: folderName || null,
+        include_subfolders: includeSubfolders,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'program,name' })
+      .select();
+
+    if (error) {
+      console.error('Failed to save Drive source:', error);
+      return { data: null, error: error.message };
+    }
+
+    console.log(`Saved Drive source ${name} for ${program}`);
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error saving Drive source:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Deletes a saved Drive folder source (stored evaluations are kept)
+ * @param {number} sourceId - drive_sources id
+ * @returns {Object} - Object containing any errors
+ */
+export const deleteDriveSource = async (sourceId) => {
+  try {
+    const { error } = await supabase
+      .from('drive_sources')
+      .delete()
+      .eq('id', sourceId);
+
+    if (error) {
+      console.error('Failed to delete Drive source:', error);
+      return { error: error.message };
+    }
+
+    return { error: null };
+  } catch (err) {
+    console.error('Error deleting Drive source:', err);
+    return { error: err.message };
+  }
+};
+
+/**
+ * Fetches the criterion limits stored in rubric_weights for a rubric
+ * @param {string} rubricId - Rubric identifier
+ * @returns {Object} - Object containing weight rows and any errors
+ */
+export const fetchRubricWeights = async (rubricId) => {
+  try {
+    const { data, error } = await supabase
+      .from('rubric_weights')
+      .select('criterion_key, max_score')
+      .eq('rubric_id', rubricId);
+
+    if (error) {
+      console.error('Failed to fetch rubric weights:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching rubric weights:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches the stored evaluator settings (model, generation config) for a program
+ * @param {string} program - Program identifier
+ * @returns {Object} - Object containing the settings row (or null) and any errors
+ */
+export const fetchEvaluatorSettings = async (program) => {
+  try {
+    const { data, error } = await supabase
+      .from('evaluator_settings')
+      .select('program, model, temperature, max_output_tokens, requests_per_minute, tokens_per_minute, concurrency, consensus_runs, consensus_models, disagreement_threshold, updated_at')
+      .eq('program', program)
+      .maybeSingle();
 
     if (error) {
-      console.error('Failed to update evaluation results:', error);
+      console.error('Failed to fetch evaluator settings:', error);
       return { data: null, error: error.message };
     }
 
-    console.log(`Successfully updated evaluation results for ${email}`);
-    return { data: data[0], error: null };
+    return { data, error: null };
   } catch (err) {
-    console.error('Error updating evaluation results:', err);
+    console.error('Error fetching evaluator settings:', err);
     return { data: null, error: err.message };
   }
 };
 
 /**
- * Fetches evaluation results by email
- * @param {string} email - User's email
- * @returns {Object} - Object containing evaluation results and any errors
+ * Creates or replaces the evaluator settings for a program
+ * @param {string} program - Program identifier
+ * @param {Object} settings - Settings to store
+ * @param {string} settings.model - Model name
+ * @param {number} settings.temperature - Sampling temperature
+ * @param {number} settings.maxOutputTokens - Maximum output tokens
+ * @param {number} settings.requestsPerMinute - Shared request budget
+ * @param {number} settings.tokensPerMinute - Shared token budget
+ * @param {number} settings.concurrency - Participants evaluated at once per session
+ * @param {number} settings.consensusRuns - Evaluations per submission (1 = consensus off)
+ * @param {string[]} settings.consensusModels - Models consensus runs alternate between
+ * @param {number} settings.disagreementThreshold - Stage spread (fraction of weight) that flags a review
+ * @returns {Object} - Object containing the stored row and any errors
  */
-export const fetchEvaluationResults = async (email) => {
+export const upsertEvaluatorSettings = async (program, { model, temperature, maxOutputTokens, requestsPerMinute, tokensPerMinute, concurrency, consensusRuns, consensusModels, disagreementThreshold }) => {
   try {
-    if (!email) {
-      throw new Error('Email is required');
+    const { data, error } = await supabase
+      .from('evaluator_settings')
+      .upsert([{
+        program,
+        model,
+        temperature,
+        max_output_tokens: maxOutputTokens,
+        requests_per_minute: requestsPerMinute,
+        tokens_per_minute: tokensPerMinute,
+        concurrency,
+        consensus_runs: consensusRuns,
+        consensus_models: consensusModels,
+        disagreement_threshold: disagreementThreshold,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'program' })
+      .select();
+
+    if (error) {
+      console.error('Failed to save evaluator settings:', error);
+      return { data: null, error: error.message };
     }
 
-    const { data, error } = await supabase
-      .from('evaluation_results')
-      .select('*')
-      .eq('email', email.trim())
-      .order('processed_at', { ascending: false });
+    console.log(`Saved evaluator settings for ${program}`);
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error saving evaluator settings:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Takes one request and the estimated tokens from a shared token bucket
+ * @param {string} bucketKey - Bucket identifier (one per model)
+ * @param {Object} budget - { requestsPerMinute, tokensPerMinute, tokens }
+ * @returns {Object} - Object containing the milliseconds to wait (0 when granted) and any errors
+ */
+export const acquireRateLimit = async (bucketKey, { requestsPerMinute, tokensPerMinute, tokens }) => {
+  try {
+    const { data, error } = await supabase.rpc('acquire_rate_limit', {
+      p_bucket_key: bucketKey,
+      p_requests_per_minute: requestsPerMinute,
+      p_tokens_per_minute: tokensPerMinute,
+      p_tokens: tokens
+    });
 
     if (error) {
-      console.error('Failed to fetch evaluation results:', error);
+      console.error('Failed to acquire rate limit:', error);
       return { data: null, error: error.message };
     }
 
-    return { data: data || [], error: null };
+    return { data, error: null };
   } catch (err) {
-    console.error('Error fetching evaluation results:', err);
+    console.error('Error acquiring rate limit:', err);
     return { data: null, error: err.message };
   }
 };
 
+/**
+ * Startup self-check: verifies that the rubric, its prompt and the database
+ * limits agree before any evaluation is written
+ * @param {string} rubricId - Rubric identifier
+ * @returns {Object} - Object containing the mismatch list and any errors
+ */
+export const verifyRubricWeights = async (rubricId) => {
+  const { data, error } = await fetchRubricWeights(rubricId);
+  if (error) {
+    return { data: null, error: `Could not read rubric_weights: ${error}` };
+  }
+
+  return { data: checkRubricConsistency(getRubric(rubricId), data), error: null };
+};
+
 /**
  * Debug function to check process logs table and show sample data
  * @returns {Object} - Sample data from process_logs table
@@ -600,6 +1458,9 @@ export const testLogInsertion = async () => {
  * @param {boolean} logData.dbSaveSuccessful - Database save successful (optional)
  * @param {string} logData.dbErrorMessage - Database error message (optional)
  * @param {string} logData.aiModel - AI model used (optional)
+ * @param {string} logData.program - Program namespace (optional)
+ * @param {string} logData.componentName - Component writing the log (defaults to BatchEvaluationProcessor)
+ * @param {string} logData.source - batch, worker or manual (defaults to batch)
  * @returns {Object} - Object containing insert result and any errors
  */
 export const logProcessEvent = async (logData) => {
@@ -631,7 +1492,9 @@ export const logProcessEvent = async (logData) => {
       startedAt = null,
       completedAt = null,
       aiModel = null,
+      program = null,
       componentName = 'BatchEvaluationProcessor',
+      source = 'batch',
       environment = 'production'
     } = logData;
 
@@ -668,6 +1531,8 @@ export const logProcessEvent = async (logData) => {
       completed_at: completedAt ? new Date(completedAt).toISOString() : null,
       component_name: componentName,
       ai_model: aiModel,
+      program,
+      source,
       environment: environment
     };
 
@@ -703,6 +1568,340 @@ export const logProcessEvent = async (logData) => {
   }
 };
 
+// A running session whose runner has been silent this long counts as interrupted
+export const JOB_HEARTBEAT_TIMEOUT_MS = 3 * 60 * 1000;
+
+const RESUMABLE_JOB_STATUSES = ['pending', 'running', 'paused'];
+
+// Task columns without the participant snapshot, for progress and result lists
+const TASK_SUMMARY_COLUMNS = 'id, session_id, batch_id, batch_number, position, email, status, outcome, total_score, error_message, attempts, started_at, completed_at';
+
+/**
+ * Persists a new evaluation session: one evaluation_jobs row plus one pending
+ * evaluation_tasks row per participant, grouped into batches of batchSize
+ * @param {Object} jobData - Session definition
+ * @param {string} jobData.sessionId - Session identifier (process_logs.session_id)
+ * @param {string} jobData.program - Program identifier
+ * @param {Array} jobData.participants - Participant rows, in processing order
+ * @param {number} jobData.batchSize - Participants per batch
+ * @param {string} jobData.createdBy - Component creating the session
+ * @returns {Object} - Object containing the job progress row and any errors
+ */
+export const createEvaluationJob = async ({ sessionId, program, participants, batchSize, createdBy }) => {
+  try {
+    const { error: jobError } = await supabase
+      .from('evaluation_jobs')
+      .insert([{
+        session_id: sessionId,
+        program,
+        status: 'pending',
+        batch_size: batchSize,
+        total_tasks: participants.length,
+        created_by: createdBy
+      }]);
+
+    if (jobError) {
+      console.error('Failed to create evaluation job:', jobError);
+      return { data: null, error: jobError.message };
+    }
+
+    const batchIds = {};
+    const tasks = participants.map((participant, index) => {
+      const batchNumber = Math.floor(index / batchSize) + 1;
+      batchIds[batchNumber] = batchIds[batchNumber] || `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      return {
+        session_id: sessionId,
+        batch_id: batchIds[batchNumber],
+        batch_number: batchNumber,
+        position: index + 1,
+        email: participant.email,
+        participant
+      };
+    });
+
+    for (let from = 0; from < tasks.length; from += PAGE_SIZE) {
+      const { error: taskError } = await supabase
+        .from('evaluation_tasks')
+        .insert(tasks.slice(from, from + PAGE_SIZE));
+
+      if (taskError) {
+        console.error('Failed to create evaluation tasks:', taskError);
+        return { data: null, error: taskError.message };
+      }
+    }
+
+    return await fetchEvaluationJob(sessionId);
+  } catch (err) {
+    console.error('Error creating evaluation job:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches a session with its task counts
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} - Object containing the job progress row and any errors
+ */
+export const fetchEvaluationJob = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('evaluation_job_progress')
+      .select('*')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Failed to fetch evaluation job:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data, error: null };
+  } catch (err) {
+    console.error('Error fetching evaluation job:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches sessions of a program that still have work left (pending, running
+ * or paused), newest first. A running session with a stale heartbeat was
+ * interrupted and can be claimed again.
+ * @param {string} program - Program identifier
+ * @returns {Object} - Object containing job progress rows and any errors
+ */
+export const fetchResumableJobs = async (program) => {
+  try {
+    const { data, error } = await supabase
+      .from('evaluation_job_progress')
+      .select('*')
+      .eq('program', program)
+      .in('status', RESUMABLE_JOB_STATUSES)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Failed to fetch resumable jobs:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data || [], error: null };
+  } catch (err) {
+    console.error('Error fetching resumable jobs:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Claims a session for a runner. Succeeds when the session is unclaimed,
+ * already held by this runner, or its holder has stopped sending heartbeats.
+ * Tasks left 'running' by an interrupted runner are returned to 'pending'.
+ * @param {string} sessionId - Session identifier
+ * @param {string} runnerId - Identifier of the claiming browser tab or worker
+ * @returns {Object} - Object containing the claimed job row and any errors
+ */
+export const claimEvaluationJob = async (sessionId, runnerId) => {
+  try {
+    const now = new Date().toISOString();
+    const staleBefore = new Date(Date.now() - JOB_HEARTBEAT_TIMEOUT_MS).toISOString();
+
+    const { data, error } = await supabase
+      .from('evaluation_jobs')
+      .update({ status: 'running', claimed_by: runnerId, heartbeat_at: now, updated_at: now })
+      .eq('session_id', sessionId)
+      .in('status', RESUMABLE_JOB_STATUSES)
+      .or(`claimed_by.is.null,claimed_by.eq.${runnerId},heartbeat_at.lt.${staleBefore}`)
+      .select();
+
+    if (error) {
+      console.error('Failed to claim evaluation job:', error);
+      return { data: null, error: error.message };
+    }
+
+    if (!data || data.length === 0) {
+      return { data: null, error: `Session ${sessionId} is finished or still being processed by another runner` };
+    }
+
+    const { error: resetError } = await supabase
+      .from('evaluation_tasks')
+      .update({ status: 'pending', started_at: null })
+      .eq('session_id', sessionId)
+      .eq('status', 'running');
+
+    if (resetError) {
+      console.error('Failed to reset interrupted tasks:', resetError);
+      return { data: null, error: resetError.message };
+    }
+
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error claiming evaluation job:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Updates a session held by a runner and refreshes its heartbeat. Fails when
+ * the runner no longer holds the claim, so a superseded runner stops.
+ * @param {string} sessionId - Session identifier
+ * @param {string} runnerId - Identifier of the runner holding the claim
+ * @param {Object} updates - Optional { status, lastError, release }
+ * @returns {Object} - Object containing the updated job row and any errors
+ */
+export const updateEvaluationJob = async (sessionId, runnerId, { status, lastError, release = false } = {}) => {
+  try {
+    const now = new Date().toISOString();
+    const updates = { heartbeat_at: now, updated_at: now };
+    if (status) {
+      updates.status = status;
+      if (status === 'completed' || status === 'failed' || status === 'cancelled') {
+        updates.completed_at = now;
+      }
+    }
+    if (lastError !== undefined) {
+      updates.last_error = lastError;
+    }
+    if (release) {
+      updates.claimed_by = null;
+    }
+
+    const { data, error } = await supabase
+      .from('evaluation_jobs')
+      .update(updates)
+      .eq('session_id', sessionId)
+      .eq('claimed_by', runnerId)
+      .select();
+
+    if (error) {
+      console.error('Failed to update evaluation job:', error);
+      return { data: null, error: error.message };
+    }
+
+    if (!data || data.length === 0) {
+      return { data: null, error: `Session ${sessionId} was claimed by another runner` };
+    }
+
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error updating evaluation job:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Marks the next pending task of a session (lowest position) as running
+ * @param {string} sessionId - Session identifier
+ * @returns {Object} - Object containing the task (null when none are left) and any errors
+ */
+export const claimNextEvaluationTask = async (sessionId) => {
+  try {
+    // Another runner may take the same task between select and update; try the next one
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { data: pending, error } = await supabase
+        .from('evaluation_tasks')
+        .select('*')
+        .eq('session_id', sessionId)
+        .eq('status', 'pending')
+        .order('position', { ascending: true })
+        .limit(1);
+
+      if (error) {
+        console.error('Failed to fetch next evaluation task:', error);
+        return { data: null, error: error.message };
+      }
+
+      if (!pending || pending.length === 0) {
+        return { data: null, error: null };
+      }
+
+      const task = pending[0];
+      const { data: claimed, error: claimError } = await supabase
+        .from('evaluation_tasks')
+        .update({ status: 'running', attempts: task.attempts + 1, started_at: new Date().toISOString() })
+        .eq('id', task.id)
+        .eq('status', 'pending')
+        .select();
+
+      if (claimError) {
+        console.error('Failed to claim evaluation task:', claimError);
+        return { data: null, error: claimError.message };
+      }
+
+      if (claimed && claimed.length > 0) {
+        return { data: claimed[0], error: null };
+      }
+    }
+
+    return { data: null, error: `Could not claim a task in session ${sessionId}` };
+  } catch (err) {
+    console.error('Error claiming evaluation task:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Records the outcome of a task: 'error' outcomes mark it failed, every
+ * other outcome (success, updated, skipped) marks it done
+ * @param {number} taskId - Task identifier
+ * @param {Object} result - { outcome, totalScore, errorMessage }
+ * @returns {Object} - Object containing the updated task and any errors
+ */
+export const completeEvaluationTask = async (taskId, { outcome, totalScore = null, errorMessage = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('evaluation_tasks')
+      .update({
+        status: outcome === 'error' ? 'failed' : 'done',
+        outcome,
+        total_score: totalScore,
+        error_message: errorMessage,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', taskId)
+      .select(TASK_SUMMARY_COLUMNS);
+
+    if (error) {
+      console.error('Failed to complete evaluation task:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data: data[0], error: null };
+  } catch (err) {
+    console.error('Error completing evaluation task:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches the tasks of a session in position order, without participant snapshots
+ * @param {string} sessionId - Session identifier
+ * @param {Object} filters - Optional { statuses }
+ * @returns {Object} - Object containing task rows and any errors
+ */
+export const fetchEvaluationTasks = async (sessionId, { statuses = null } = {}) => {
+  try {
+    const { data, error } = await fetchAllPages(() => {
+      let query = supabase
+        .from('evaluation_tasks')
+        .select(TASK_SUMMARY_COLUMNS)
+        .eq('session_id', sessionId)
+        .order('position', { ascending: true });
+      if (statuses) {
+        query = query.in('status', statuses);
+      }
+      return query;
+    });
+
+    if (error) {
+      console.error('Failed to fetch evaluation tasks:', error);
+      return { data: null, error: error.message };
+    }
+
+    return { data, error: null };
+  } catch (err) {
+    console.error('Error fetching evaluation tasks:', err);
+    return { data: null, error: err.message };
+  }
+};
+
 /**
  * Fetches session summary from process logs
  * @param {string} sessionId - Session identifier
@@ -965,20 +2164,28 @@ export const getProcessedEmails = async (filters = {}) => {
 };
 
 /**
- * Checks if an evaluation result already exists for the given email
+ * Checks if an evaluation result already exists for the given email, and
+ * whether a regrade of it was requested
  * @param {string} email - User's email
- * @returns {Object} - Object containing exists flag and any errors
+ * @param {string|null} program - Optional program namespace filter
+ * @returns {Object} - Object containing exists flag, the latest row, the pending regrade request (or null) and any errors
  */
-export const checkEvaluationExists = async (email) => {
+export const checkEvaluationExists = async (email, program = null) => {
   try {
     if (!email) {
       throw new Error('Email is required');
     }
 
-    const { data, error } = await supabase
+    let query = supabase
       .from('evaluation_results')
       .select('email, processed_at, total_score, evaluation_status, error_message, id')
-      .eq('email', email.trim())
+      .eq('email', email.trim());
+
+    if (program) {
+      query = query.eq('program', program);
+    }
+
+    const { data, error } = await query
       .order('processed_at', { ascending: false })
       .limit(1);
 
@@ -990,13 +2197,32 @@ export const checkEvaluationExists = async (email) => {
     const exists = data && data.length > 0;
     const record = exists ? data[0] : null;
     const isSuccess = record && record.evaluation_status === 'success';
+
+    // A pending regrade request re-evaluates the participant despite a successful row
+    let regradeQuery = supabase
+      .from('regrade_requests')
+      .select('*')
+      .eq('email', email.trim())
+      .eq('status', 'pending');
+
+    if (program) {
+      regradeQuery = regradeQuery.eq('program', program);
+    }
+
+    const { data: regrades, error: regradeError } = await regradeQuery.limit(1);
+
+    if (regradeError) {
+      console.error('Failed to check regrade requests:', regradeError);
+      return { exists, data: record, error: regradeError.message };
+    }
     
     return { 
       exists, 
       data: record, 
       error: null,
       isSuccess,
-      needsUpdate: exists && !isSuccess
+      needsUpdate: exists && !isSuccess,
+      regradeRequest: regrades[0] || null
     };
   } catch (err) {
     console.error('Error checking evaluation existence:', err);
@@ -1004,47 +2230,132 @@ export const checkEvaluationExists = async (email) => {
   }
 };
 
+// Total maximum of each program's rubric, for banding totals; null for unknown programs
+const programMaxScore = (programId) => {
+  try {
+    return getRubric(getProgram(programId).rubricId).maxScore;
+  } catch {
+    return null;
+  }
+};
+
 /**
- * Fetches evaluation results statistics
+ * Summarizes evaluation rows into counts, average score and status bands.
+ * Successful totals are banded as a share of their program's rubric maximum
+ * (see statuses.js), so the bands follow the rubric weights.
+ * @param {Object[]} rows - evaluation_results rows (program, total_score, evaluation_status)
+ * @returns {Object} - Statistics; score_distribution is keyed by status (exemplar, average, weak)
+ */
+const summarizeEvaluations = (rows) => {
+  const successful = rows.filter(item => item.evaluation_status === 'success');
+
+  return {
+    total_evaluations: rows.length,
+    successful_evaluations: successful.length,
+    failed_evaluations: rows.filter(item => item.evaluation_status === 'error').length,
+    average_score: successful.length > 0
+      ? (successful.reduce((sum, item) => sum + (item.total_score || 0), 0) / successful.length).toFixed(2)
+      : 0,
+    score_distribution: countByStatus(successful.map(item => ({
+      score: item.total_score,
+      maxScore: programMaxScore(item.program)
+    })))
+  };
+};
+
+/**
+ * Fetches evaluation results statistics. Scores are effective scores, i.e.
+ * the latest reviewer override where there is one; regraded (superseded)
+ * evaluations are left out.
+ * @param {string|null} program - Optional program namespace filter
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.promptVersion - Only count rows graded with this prompt version
  * @returns {Object} - Object containing evaluation statistics and any errors
  */
-export const fetchEvaluationStatistics = async () => {
+export const fetchEvaluationStatistics = async (program = null, filters = {}) => {
   try {
-    const { data, error } = await supabase
-      .from('evaluation_results')
-      .select(`
-        total_score,
-        evaluation_status,
-        processed_at,
-        processing_batch_id
-      `);
+    const { data, error } = await fetchAllPages(() => {
+      let query = supabase
+        .from('effective_evaluation_results')
+        .select(`
+          program,
+          total_score:effective_total_score,
+          evaluation_status,
+          processed_at,
+          processing_batch_id
+        `)
+        .is('superseded_by', null)
+        .order('id', { ascending: true });
+
+      if (program) {
+        query = query.eq('program', program);
+      }
+
+      if (filters.promptVersion) {
+        query = query.eq('prompt_version', filters.promptVersion);
+      }
+      return query;
+    });
 
     if (error) {
       console.error('Failed to fetch evaluation statistics:', error);
       return { data: null, error: error.message };
     }
 
-    // Calculate statistics
-    const stats = {
-      total_evaluations: data.length,
-      successful_evaluations: data.filter(item => item.evaluation_status === 'success').length,
-      failed_evaluations: data.filter(item => item.evaluation_status === 'error').length,
-      average_score: data.length > 0 ? 
-        (data.filter(item => item.evaluation_status === 'success')
-              .reduce((sum, item) => sum + (item.total_score || 0), 0) / 
-         data.filter(item => item.evaluation_status === 'success').length
-        ).toFixed(2) : 0,
-      score_distribution: {
-        excellent: data.filter(item => item.total_score >= 80).length,
-        good: data.filter(item => item.total_score >= 60 && item.total_score < 80).length,
-        needs_improvement: data.filter(item => item.total_score >= 40 && item.total_score < 60).length,
-        poor: data.filter(item => item.total_score < 40 && item.total_score > 0).length
+    return { data: summarizeEvaluations(data), error: null };
+  } catch (err) {
+    console.error('Error fetching evaluation statistics:', err);
+    return { data: null, error: err.message };
+  }
+};
+
+/**
+ * Fetches evaluation statistics grouped by prompt version, for comparing
+ * scores produced by different prompts (e.g. v3 vs v4). Uses the model's own
+ * scores: reviewer overrides say nothing about the prompt.
+ * @param {string|null} program - Optional program namespace filter
+ * @returns {Object} - Object containing one entry per prompt version and any errors
+ */
+export const fetchPromptVersionStatistics = async (program = null) => {
+  try {
+    const { data, error } = await fetchAllPages(() => {
+      let query = supabase
+        .from('evaluation_results')
+        .select('program, total_score, evaluation_status, prompt_version, prompt_hash')
+        .order('id', { ascending: true });
+
+      if (program) {
+        query = query.eq('program', program);
       }
-    };
+      return query;
+    });
 
-    return { data: stats, error: null };
+    if (error) {
+      console.error('Failed to fetch prompt version statistics:', error);
+      return { data: null, error: error.message };
+    }
+
+    const rowsByVersion = data.reduce((acc, row) => {
+      const version = row.prompt_version || null;
+      const key = version ?? '';
+      if (!acc[key]) {
+        acc[key] = { prompt_version: version, rows: [] };
+      }
+      acc[key].rows.push(row);
+      return acc;
+    }, {});
+
+    const versions = Object.values(rowsByVersion)
+      .map(({ prompt_version, rows }) => ({
+        prompt_version,
+        prompt_hashes: [...new Set(rows.map(row => row.prompt_hash).filter(Boolean))],
+        ...summarizeEvaluations(rows)
+      }))
+      .sort((a, b) => (a.prompt_version || '').localeCompare(b.prompt_version || '', undefined, { numeric: true }));
+
+    return { data: versions, error: null };
   } catch (err) {
-    console.error('Error fetching evaluation statistics:', err);
+    console.error('Error fetching prompt version statistics:', err);
     return { data: null, error: err.message };
   }
 };
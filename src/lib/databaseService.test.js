@@ -0,0 +1,98 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { fetchEvaluationStatistics, fetchPromptVersionStatistics } from './databaseService';
+import { supabase } from './supabase';
+
+vi.mock('./supabase', () => ({
+  supabase: { from: vi.fn() }
+}));
+
+// Query builder over fixed rows: range() pages, awaiting it directly
+// returns the first 1000 rows like PostgREST's default cap
+const tableOf = (rows, error = null) => {
+  const builder = {
+    ranges: [],
+    select: () => builder,
+    eq: (column, value) => {
+      rows = rows.filter(row => row[column] === value);
+      return builder;
+    },
+    is: (column, value) => {
+      rows = rows.filter(row => (row[column] ?? null) === value);
+      return builder;
+    },
+    order: () => builder,
+    range: (from, to) => {
+      builder.ranges.push([from, to]);
+      return Promise.resolve(error ? { data: null, error } : { data: rows.slice(from, to + 1), error: null });
+    },
+    then: (resolve, reject) => Promise.resolve({ data: rows.slice(0, 1000), error: null }).then(resolve, reject)
+  };
+  return builder;
+};
+
+const rowsOf = (count, fields) => Array.from({ length: count }, (_, index) => ({
+  id: index + 1,
+  program: 'GMP',
+  total_score: 50,
+  evaluation_status: 'success',
+  ...fields
+}));
+
+let rows;
+let queries;
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  rows = [];
+  queries = [];
+  supabase.from.mockImplementation(() => {
+    const query = tableOf(rows);
+    queries.push(query);
+    return query;
+  });
+});
+
+describe('fetchPromptVersionStatistics', () => {
+  it('counts every row, not just the first page', async () => {
+    rows = [
+      ...rowsOf(1500, { prompt_version: 'v3', prompt_hash: 'a' }),
+      ...rowsOf(1000, { prompt_version: 'v4', prompt_hash: 'b' })
+    ];
+
+    const { data, error } = await fetchPromptVersionStatistics();
+
+    expect(error).toBeNull();
+    expect(data.map(version => [version.prompt_version, version.total_evaluations])).toEqual([
+      ['v3', 1500],
+      ['v4', 1000]
+    ]);
+    expect(queries.flatMap(query => query.ranges)).toEqual([[0, 999], [1000, 1999], [2000, 2999]]);
+  });
+
+  it('returns the query error message', async () => {
+    supabase.from.mockImplementation(() => tableOf([], { message: 'permission denied' }));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { data, error } = await fetchPromptVersionStatistics('GMP');
+
+    expect(data).toBeNull();
+    expect(error).toBe('permission denied');
+  });
+});
+
+describe('fetchEvaluationStatistics', () => {
+  it('counts every current row, not just the first page', async () => {
+    rows = [
+      ...rowsOf(1200, { prompt_version: 'v4' }),
+      ...rowsOf(300, { prompt_version: 'v4', evaluation_status: 'error', total_score: 0 }),
+      ...rowsOf(100, { prompt_version: 'v4', superseded_by: 1 }),
+      ...rowsOf(50, { prompt_version: 'v3' })
+    ];
+
+    const { data, error } = await fetchEvaluationStatistics('GMP', { promptVersion: 'v4' });
+
+    expect(error).toBeNull();
+    expect(data).toMatchObject({ total_evaluations: 1500, successful_evaluations: 1200, failed_evaluations: 300 });
+    expect(queries.flatMap(query => query.ranges)).toEqual([[0, 999], [1000, 1999]]);
+  });
+});
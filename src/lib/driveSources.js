@@ -0,0 +1,173 @@
+/**
+ * Google Drive folder sources for the PDF evaluator. A source is a named
+ * Drive folder saved per program (drive_sources); its PDFs, optionally
+ * including every subfolder, are listed once and that one list drives the
+ * file count, the pages shown and the files evaluated.
+ */
+
+const DRIVE_FILES_URL = 'https://www.googleapis.com/drive/v3/files';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const PDF_MIME_TYPE = 'application/pdf';
+// Largest page size files.list accepts
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Extracts a Drive folder id from a pasted folder URL or a bare id
+ * @param {string} input - e.g. https://drive.google.com/drive/u/0/folders/<id>?usp=sharing, ...open?id=<id> or <id>
+ * @returns {string|null} - Folder id or null when the input is not recognised
+ */
+export const parseFolderInput = (input) => {
+  const value = (input || '').trim();
+  if (!value) return null;
+
+  const folderMatch = value.match(/\/folders\/([\w-]+)/);
+  if (folderMatch) return folderMatch[1];
+
+  const idMatch = value.match(/[?&]id=([\w-]+)/);
+  if (idMatch) return idMatch[1];
+
+  return /^[\w-]{10,}$/.test(value) ? value : null;
+};
+
+const driveRequest = async (token, path, params) => {
+  const query = new URLSearchParams({ ...params, key: import.meta.env.VITE_GOOGLE_DRIVE_API_KEY });
+  const response = await fetch(`${DRIVE_FILES_URL}${path}?${query}`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Drive request failed: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Looks up a Drive folder, confirming it exists and is readable
+ * @param {string} token - OAuth access token
+ * @param {string} folderId - Drive folder id
+ * @returns {Object} - { id, name }
+ */
+export const fetchDriveFolder = async (token, folderId) => {
+  const folder = await driveRequest(token, `/${folderId}`, {
+    fields: 'id,name,mimeType',
+    supportsAllDrives: 'true'
+  });
+
+  if (folder.mimeType !== FOLDER_MIME_TYPE) {
+    throw new Error(`${folder.name} is not a folder`);
+  }
+
+  return { id: folder.id, name: folder.name };
+};
+
+/**
+ * Lists every PDF of a source folder, walking subfolders breadth first when
+ * the source includes them
+ * @param {string} token - OAuth access token
+ * @param {Object} source - drive_sources row ({ folder_id, folder_name, include_subfolders })
+ * @param {Object} options - Optional { onProgress }
+ * @param {Function} options.onProgress - Called with { files, folders } counts as listing proceeds
+ * @returns {Object[]} - PDFs sorted by path: [{ id, name, mimeType, modifiedTime, path }]
+ */
+export const listSourcePdfs = async (token, source, { onProgress = null } = {}) => {
+  const files = [];
+  const queue = [{ id: source.folder_id, path: '' }];
+  const visited = new Set();
+
+  while (queue.length > 0) {
+    const folder = queue.shift();
+    // Drive shortcuts and multiple parents can make the tree a graph
+    if (visited.has(folder.id)) continue;
+    visited.add(folder.id);
+
+    let pageToken = null;
+    do {
+      const data = await driveRequest(token, '', {
+        q: `'${folder.id}' in parents and trashed = false and (mimeType = '${PDF_MIME_TYPE}' or mimeType = '${FOLDER_MIME_TYPE}')`,
+        fields: 'nextPageToken,files(id,name,mimeType,modifiedTime)',
+        pageSize: String(LIST_PAGE_SIZE),
+        supportsAllDrives: 'true',
+        includeItemsFromAllDrives: 'true',
+        ...(pageToken ? { pageToken } : {})
+      });
+
+      (data.files || []).forEach(file => {
+        if (file.mimeType === FOLDER_MIME_TYPE) {
+          if (source.include_subfolders) {
+            queue.push({ id: file.id, path: `${folder.path}${file.name}/` });
+          }
+        } else {
+          files.push({ ...file, path: folder.path });
+        }
+      });
+      pageToken = data.nextPageToken || null;
+
+      if (onProgress) {
+        onProgress({ files: files.length, folders: visited.size });
+      }
+    } while (pageToken);
+  }
+
+  return files.sort((a, b) => `${a.path}${a.name}`.localeCompare(`${b.path}${b.name}`));
+};
+
+/**
+ * Opens the Google Picker to choose a Drive folder. Needs the gapi script
+ * (https://apis.google.com/js/api.js) to be loaded.
+ * @param {string} token - OAuth access token
+ * @returns {Promise<Object|null>} - { id, name } of the picked folder, or null when cancelled
+ */
+export const pickDriveFolder = (token) => new Promise((resolve, reject) => {
+  if (!window.gapi) {
+    reject(new Error('Google API script is not loaded'));
+    return;
+  }
+
+  window.gapi.load('picker', {
+    callback: () => {
+      const { picker } = window.google;
+      const view = new picker.DocsView(picker.ViewId.FOLDERS)
+        .setIncludeFolders(true)
+        .setSelectFolderEnabled(true)
+        .setMimeTypes(FOLDER_MIME_TYPE);
+
+      new picker.PickerBuilder()
+        .addView(view)
+        .enableFeature(picker.Feature.SUPPORT_DRIVES)
+        .setOAuthToken(token)
+        .setDeveloperKey(import.meta.env.VITE_GOOGLE_DRIVE_API_KEY)
+        .setTitle('Select a folder of PDF submissions')
+        .setCallback((result) => {
+          if (result.action === picker.Action.PICKED) {
+            const [doc] = result.docs;
+            resolve({ id: doc.id, name: doc.name });
+          } else if (result.action === picker.Action.CANCEL) {
+            resolve(null);
+          }
+        })
+        .build()
+        .setVisible(true);
+    },
+    onerror: () => reject(new Error('Failed to load Google Picker'))
+  });
+});
+
+/**
+ * Source last used in this browser for a program, kept in localStorage
+ * @param {string} programId - Program identifier
+ * @returns {number|null} - drive_sources id
+ */
+export const getLastDriveSourceId = (programId) => {
+  const value = localStorage.getItem(`drive_source_${programId}`);
+  return value ? Number(value) : null;
+};
+
+/**
+ * Remembers the source last used for a program
+ * @param {string} programId - Program identifier
+ * @param {number} sourceId - drive_sources id
+ */
+export const setLastDriveSourceId = (programId, sourceId) => {
+  localStorage.setItem(`drive_source_${programId}`, String(sourceId));
+};
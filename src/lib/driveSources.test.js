@@ -0,0 +1,117 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { listSourcePdfs, parseFolderInput } from './driveSources';
+
+const FOLDER = 'application/vnd.google-apps.folder';
+const PDF = 'application/pdf';
+
+describe('parseFolderInput', () => {
+  it.each([
+    ['https://drive.google.com/drive/folders/1AbC-dEf_GhIjKlMn', '1AbC-dEf_GhIjKlMn'],
+    ['https://drive.google.com/drive/u/0/folders/1AbC-dEf_GhIjKlMn?usp=sharing', '1AbC-dEf_GhIjKlMn'],
+    ['https://drive.google.com/open?id=1AbC-dEf_GhIjKlMn', '1AbC-dEf_GhIjKlMn'],
+    ['https://drive.google.com/open?usp=sharing&id=1AbC-dEf_GhIjKlMn', '1AbC-dEf_GhIjKlMn'],
+    ['  1AbC-dEf_GhIjKlMn  ', '1AbC-dEf_GhIjKlMn']
+  ])('reads the folder id from %s', (input, folderId) => {
+    expect(parseFolderInput(input)).toBe(folderId);
+  });
+
+  it.each(['', '   ', null, 'short', 'not a folder link', 'https://example.com/file.pdf'])('rejects %j', (input) => {
+    expect(parseFolderInput(input)).toBeNull();
+  });
+});
+
+describe('listSourcePdfs', () => {
+  // Drive listing per folder id, one entry per page
+  let pagesByFolder;
+  let requests;
+
+  const file = (id, name, mimeType = PDF) => ({ id, name, mimeType, modifiedTime: '2026-02-01T10:00:00.000Z' });
+
+  beforeEach(() => {
+    vi.stubEnv('VITE_GOOGLE_DRIVE_API_KEY', 'test-key');
+    requests = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, { headers }) => {
+      const params = new URL(url).searchParams;
+      const folderId = params.get('q').match(/^'([^']+)' in parents/)[1];
+      const page = Number(params.get('pageToken') || 0);
+      requests.push({ folderId, page, authorization: headers.Authorization });
+
+      const pages = pagesByFolder[folderId] || [[]];
+      return {
+        ok: true,
+        json: async () => ({
+          files: pages[page],
+          ...(page + 1 < pages.length ? { nextPageToken: String(page + 1) } : {})
+        })
+      };
+    }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.unstubAllEnvs();
+  });
+
+  it('follows nextPageToken until the last page', async () => {
+    pagesByFolder = {
+      root: [
+        [file('a', 'a.pdf'), file('b', 'b.pdf')],
+        [file('c', 'c.pdf')],
+        [file('d', 'd.pdf')]
+      ]
+    };
+
+    const files = await listSourcePdfs('token', { folder_id: 'root', include_subfolders: false });
+
+    expect(files.map(item => item.id)).toEqual(['a', 'b', 'c', 'd']);
+    expect(requests.map(({ folderId, page }) => [folderId, page])).toEqual([['root', 0], ['root', 1], ['root', 2]]);
+    expect(requests[0].authorization).toBe('Bearer token');
+  });
+
+  it('walks subfolders with their paths when the source includes them', async () => {
+    pagesByFolder = {
+      root: [[file('z', 'z.pdf'), file('f1', 'Cohort A', FOLDER)]],
+      f1: [[file('m', 'm.pdf'), file('f2', 'Late', FOLDER)]],
+      f2: [[file('n', 'n.pdf')]]
+    };
+    const onProgress = vi.fn();
+
+    const files = await listSourcePdfs('token', { folder_id: 'root', include_subfolders: true }, { onProgress });
+
+    expect(files.map(item => `${item.path}${item.name}`)).toEqual(['Cohort A/Late/n.pdf', 'Cohort A/m.pdf', 'z.pdf']);
+    expect(onProgress).toHaveBeenLastCalledWith({ files: 3, folders: 3 });
+  });
+
+  it('skips subfolders when the source does not include them', async () => {
+    pagesByFolder = {
+      root: [[file('z', 'z.pdf'), file('f1', 'Cohort A', FOLDER)]],
+      f1: [[file('m', 'm.pdf')]]
+    };
+
+    const files = await listSourcePdfs('token', { folder_id: 'root', include_subfolders: false });
+
+    expect(files.map(item => item.id)).toEqual(['z']);
+    expect(requests.map(({ folderId }) => folderId)).toEqual(['root']);
+  });
+
+  it('lists a folder reachable twice only once', async () => {
+    // f2 has two parents and f3 links back to the root
+    pagesByFolder = {
+      root: [[file('f1', 'A', FOLDER), file('f2', 'Shared', FOLDER)]],
+      f1: [[file('f2', 'Shared', FOLDER), file('f3', 'Loop', FOLDER)]],
+      f2: [[file('s', 's.pdf')]],
+      f3: [[file('root', 'Root again', FOLDER)]]
+    };
+
+    const files = await listSourcePdfs('token', { folder_id: 'root', include_subfolders: true });
+
+    expect(files.map(item => `${item.path}${item.name}`)).toEqual(['Shared/s.pdf']);
+    expect(requests.map(({ folderId }) => folderId)).toEqual(['root', 'f1', 'f2', 'f3']);
+  });
+
+  it('throws when Drive rejects the request', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 403, statusText: 'Forbidden' });
+
+    await expect(listSourcePdfs('token', { folder_id: 'root' })).rejects.toThrow('Drive request failed: 403 Forbidden');
+  });
+});
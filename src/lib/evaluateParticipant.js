@@ -0,0 +1,112 @@
+import { requireProgramCase } from './programs';
+import { buildEvaluationPrompt, getPromptFingerprint, getRubric } from './rubrics';
+import { generateValidatedEvaluation } from './evaluationParser';
+import { getEvaluatorProvider } from './evaluatorProviders';
+import { loadEvaluatorSettings } from './evaluatorSettings';
+import { withRateLimit } from './rateLimiter';
+import { withRetry } from './evaluationErrors';
+import { combineEvaluations, getConsensusModels } from './consensus';
+
+/**
+ * Grades one participant row with the program's rubric and evaluator
+ * settings. Shared by BatchEvaluationProcessor (in the browser) and the
+ * evaluation worker (server/), so both produce identical results. When the
+ * program has consensus grading enabled, the submission is evaluated several
+ * times and the runs are combined (see src/lib/consensus.js).
+ * @param {Object} options - Evaluation options
+ * @param {Object} options.program - Program definition
+ * @param {Object} options.user - Participant row with stage answers
+ * @param {Object} options.provider - Evaluator provider override, used for every run (defaults to the configured models)
+ * @param {Function} options.onRetry - Optional callback for retried model calls ({ error, code, attempt, delayMs })
+ * @returns {Object} - { results, apiCalls, evaluationMetadata }; evaluationMetadata.consensus is set for consensus runs
+ * @throws {Error} - With error.evaluationMetadata ({ aiModel, generationConfig, promptVersion, promptHash }, as far as known) for the error row
+ */
+export const evaluateParticipant = async (options) => {
+  const failureMetadata = getPromptFingerprint(getRubric(options.program.rubricId));
+  try {
+    return await gradeParticipant(options, failureMetadata);
+  } catch (error) {
+    error.evaluationMetadata = failureMetadata;
+    throw error;
+  }
+};
+
+/**
+ * Metadata to store with a failed evaluation: the model, generation config
+ * and prompt the attempt used, so error rows record the same as success rows
+ * @param {Error} error - Error thrown by evaluateParticipant
+ * @param {Object} program - Program definition
+ * @returns {Object} - { aiModel, generationConfig, promptVersion, promptHash }
+ */
+export const getFailureMetadata = (error, program) => {
+  return error?.evaluationMetadata || getPromptFingerprint(getRubric(program.rubricId));
+};
+
+const gradeParticipant = async ({ program, user, provider = null, onRetry = null }, failureMetadata) => {
+  const rubric = getRubric(program.rubricId);
+  const settings = await loadEvaluatorSettings(program.id);
+  let retries = 0;
+  // Transient failures (429, 5xx, network) are retried; each attempt takes its own rate-limit share
+  const createEvaluator = (model) => withRetry(
+    withRateLimit(provider || getEvaluatorProvider({ model }), settings.rateLimits),
+    {
+      onRetry: async (retry) => {
+        retries++;
+        if (onRetry) await onRetry(retry);
+      }
+    }
+  );
+
+  // A participant is never graded without the case study they answered
+  const caseData = requireProgramCase(program, user.case_id || user.selected_case_id);
+  const prompt = buildEvaluationPrompt(rubric, { caseFile: caseData.caseFile, user });
+
+  // Validate the output against the rubric, re-asking the model on failure
+  const evaluate = (evaluator) => generateValidatedEvaluation({
+    provider: evaluator,
+    contents: [{ role: "user", parts: [{ text: prompt }] }],
+    generationConfig: settings.generationConfig,
+    rubric,
+    participant: user
+  });
+
+  const metadata = {
+    generationConfig: settings.generationConfig,
+    ...getPromptFingerprint(rubric)
+  };
+
+  if (settings.consensus.runs <= 1) {
+    const evaluator = createEvaluator(settings.model);
+    Object.assign(failureMetadata, { aiModel: evaluator.model, ...metadata });
+    const { data, attempts } = await evaluate(evaluator);
+    return {
+      results: data,
+      apiCalls: attempts + retries,
+      evaluationMetadata: { aiModel: evaluator.model, consensus: null, ...metadata }
+    };
+  }
+
+  const evaluators = getConsensusModels(settings.consensus, settings.model).map(createEvaluator);
+  Object.assign(failureMetadata, { aiModel: evaluators[0].model, ...metadata });
+  const outcomes = await Promise.allSettled(evaluators.map(evaluate));
+  const runs = outcomes
+    .map((outcome, index) => (outcome.status === 'fulfilled' ? { model: evaluators[index].model, results: outcome.value.data } : null))
+    .filter(Boolean);
+  const attempts = outcomes.reduce((sum, outcome) => sum + (outcome.status === 'fulfilled' ? outcome.value.attempts : 1), 0);
+
+  if (runs.length === 0) {
+    // Every run failed; surface the first failure like a single evaluation would
+    throw outcomes[0].reason;
+  }
+
+  const { results, consensus } = combineEvaluations(rubric, runs, {
+    disagreementThreshold: settings.consensus.disagreementThreshold,
+    requestedRuns: evaluators.length
+  });
+
+  return {
+    results,
+    apiCalls: attempts + retries,
+    evaluationMetadata: { aiModel: evaluators[0].model, consensus, ...metadata }
+  };
+};
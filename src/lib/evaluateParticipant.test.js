@@ -0,0 +1,99 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { evaluateParticipant, getFailureMetadata } from './evaluateParticipant';
+import { MOCK_MODEL, createMockProvider } from './evaluatorProviders';
+import { DEFAULT_CONSENSUS, DEFAULT_GENERATION_CONFIG, DEFAULT_RATE_LIMITS, loadEvaluatorSettings } from './evaluatorSettings';
+import { getProgram } from './programs';
+import { getPromptFingerprint, getRubric } from './rubrics';
+
+vi.mock('./evaluatorSettings', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadEvaluatorSettings: vi.fn()
+}));
+
+// Rate limiting goes through Supabase; the tests call the provider directly
+vi.mock('./rateLimiter', () => ({
+  withRateLimit: (provider) => provider
+}));
+
+const program = getProgram('GMP');
+const user = { email: 'participant@example.com', case_id: program.caseBank[0].id };
+const fingerprint = getPromptFingerprint(getRubric(program.rubricId));
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  loadEvaluatorSettings.mockResolvedValue({
+    model: 'gemini-test',
+    generationConfig: DEFAULT_GENERATION_CONFIG,
+    rateLimits: DEFAULT_RATE_LIMITS,
+    consensus: DEFAULT_CONSENSUS
+  });
+});
+
+describe('evaluateParticipant failures', () => {
+  it('attaches the model, generation config and prompt of the failed attempt', async () => {
+    const failure = Object.assign(new Error('Request payload is invalid'), { status: 400 });
+    const provider = { model: 'gemini-test', generate: vi.fn().mockRejectedValue(failure) };
+
+    const error = await evaluateParticipant({ program, user, provider }).catch(caught => caught);
+
+    expect(error).toBe(failure);
+    expect(getFailureMetadata(error, program)).toEqual({
+      aiModel: 'gemini-test',
+      generationConfig: DEFAULT_GENERATION_CONFIG,
+      ...fingerprint
+    });
+  });
+
+  it('records the prompt fingerprint when the settings could not be loaded', async () => {
+    loadEvaluatorSettings.mockRejectedValue(new Error('settings unavailable'));
+
+    const error = await evaluateParticipant({ program, user }).catch(caught => caught);
+
+    expect(error.message).toBe('settings unavailable');
+    expect(getFailureMetadata(error, program)).toEqual(fingerprint);
+  });
+
+  it('falls back to the prompt fingerprint for errors thrown elsewhere', () => {
+    expect(getFailureMetadata(new Error('database down'), program)).toEqual(fingerprint);
+  });
+});
+
+describe('evaluateParticipant with the mock provider', () => {
+  const words = (count) => Array.from({ length: count }, (_, index) => `word${index}`).join(' ');
+
+  it('grades each stage on the words in its answer fields', async () => {
+    const { results, apiCalls, evaluationMetadata } = await evaluateParticipant({
+      program,
+      user: { ...user, idea_statement: words(35), stage2_problem: words(10) },
+      provider: createMockProvider()
+    });
+
+    expect(results.stageScores.idea).toMatchObject({ score: 10, status: 'exemplar' });
+    expect(results.stageScores.problem).toMatchObject({ score: 5, status: 'average' });
+    expect(results.stageScores.technology).toMatchObject({ score: 0, status: 'weak' });
+    expect(results.totalScore).toBe(15);
+    expect(apiCalls).toBe(1);
+    expect(evaluationMetadata).toMatchObject({ aiModel: MOCK_MODEL, consensus: null, ...fingerprint });
+  });
+
+  it('does not count the separators between unanswered pitch fields as words', async () => {
+    const { results } = await evaluateParticipant({
+      program,
+      user: { ...user, stage10_reflection: words(7) },
+      provider: createMockProvider()
+    });
+
+    expect(results.stageScores.pitch).toMatchObject({ score: 0, status: 'weak' });
+    expect(results.stageScores.pitch.feedback).toContain('7 words');
+  });
+
+  it('adds up the words across a stage with several answer fields', async () => {
+    const { results } = await evaluateParticipant({
+      program,
+      user: { ...user, stage8_final_problem: words(20), stage8_final_impact: words(5), stage10_reflection: words(5) },
+      provider: createMockProvider()
+    });
+
+    expect(results.stageScores.pitch).toMatchObject({ score: 10, status: 'exemplar' });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Classifies evaluator failures and retries the transient ones. Codes are
+ * stored in process_logs.error_code; only terminal failures, or retryable
+ * ones that ran out of attempts, are saved as evaluation errors.
+ */
+
+export const ERROR_CODES = Object.freeze({
+  RATE_LIMITED: 'RATE_LIMITED',
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  SAFETY_BLOCKED: 'SAFETY_BLOCKED',
+  INVALID_EVALUATION_OUTPUT: 'INVALID_EVALUATION_OUTPUT',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  AUTH_ERROR: 'AUTH_ERROR',
+  UNKNOWN: 'UNKNOWN'
+});
+
+const RETRYABLE_CODES = new Set([
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.SERVICE_UNAVAILABLE,
+  ERROR_CODES.NETWORK_ERROR,
+  ERROR_CODES.TIMEOUT
+]);
+
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Gemini reports the wait in google.rpc.RetryInfo details, e.g. { retryDelay: "37s" }
+const parseRetryAfterMs = (error) => {
+  const retryInfo = (error.errorDetails || []).find(detail => detail && detail.retryDelay);
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (Number.isFinite(seconds)) return Math.ceil(seconds * 1000);
+  }
+  if (Number.isFinite(error.retryAfterMs)) {
+    return error.retryAfterMs;
+  }
+  return null;
+};
+
+const codeFromStatus = (status) => {
+  if (status === 429) return ERROR_CODES.RATE_LIMITED;
+  if (status === 408) return ERROR_CODES.TIMEOUT;
+  if (status === 401 || status === 403) return ERROR_CODES.AUTH_ERROR;
+  if (status >= 500) return ERROR_CODES.SERVICE_UNAVAILABLE;
+  if (status >= 400) return ERROR_CODES.INVALID_REQUEST;
+  return null;
+};
+
+const codeFromMessage = (message) => {
+  if (/RESOURCE_EXHAUSTED|quota|rate limit|too many requests/i.test(message)) return ERROR_CODES.RATE_LIMITED;
+  if (/UNAVAILABLE|overloaded|internal error|service unavailable/i.test(message)) return ERROR_CODES.SERVICE_UNAVAILABLE;
+  if (/blocked due to|response was blocked|SAFETY|RECITATION|PROHIBITED_CONTENT/.test(message)) return ERROR_CODES.SAFETY_BLOCKED;
+  if (/abort|timed? ?out|ETIMEDOUT/i.test(message)) return ERROR_CODES.TIMEOUT;
+  if (/fetch failed|failed to fetch|network|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(message)) return ERROR_CODES.NETWORK_ERROR;
+  if (/API key|API_KEY|PERMISSION_DENIED|UNAUTHENTICATED/i.test(message)) return ERROR_CODES.AUTH_ERROR;
+  return null;
+};
+
+/**
+ * Classifies an evaluator error
+ * @param {Error} error - Error thrown by a provider or the output validator
+ * @returns {Object} - { code, retryable, retryAfterMs }
+ */
+export const classifyEvaluationError = (error) => {
+  const message = error?.message || String(error);
+  const code = (error?.code && ERROR_CODES[error.code])
+    || codeFromStatus(error?.status)
+    || codeFromMessage(`${error?.code || ''} ${error?.cause?.code || ''} ${message}`)
+    || ERROR_CODES.UNKNOWN;
+
+  return {
+    code,
+    retryable: RETRYABLE_CODES.has(code),
+    retryAfterMs: error ? parseRetryAfterMs(error) : null
+  };
+};
+
+/**
+ * Delay before the next attempt: full-jitter exponential backoff, but never
+ * shorter than a retry-after hint from the server
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number|null} retryAfterMs - Server-requested wait
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Milliseconds to wait
+ */
+export const getRetryDelayMs = (attempt, retryAfterMs, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_OPTIONS) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.floor(Math.random() * ceiling);
+  return Math.max(jittered, retryAfterMs || 0);
+};
+
+/**
+ * Wraps an evaluator provider so retryable failures of a generate call are
+ * retried with backoff. The error that finally escapes carries code,
+ * retryable and attempts, so callers can log and store it.
+ * @param {Object} provider - Evaluator provider
+ * @param {Object} options - Retry options (DEFAULT_RETRY_OPTIONS) plus optional onRetry({ error, code, attempt, delayMs })
+ * @returns {Object} - Provider with the same shape
+ */
+export const withRetry = (provider, options = {}) => {
+  const { onRetry = null, ...retryOptions } = options;
+  const { maxAttempts, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+
+  return {
+    ...provider,
+    generate: async (request) => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await provider.generate(request);
+        } catch (error) {
+          const { code, retryable, retryAfterMs } = classifyEvaluationError(error);
+          error.code = code;
+          error.retryable = retryable;
+          error.attempts = attempt;
+
+          if (!retryable || attempt >= maxAttempts) {
+            throw error;
+          }
+
+          const delayMs = getRetryDelayMs(attempt, retryAfterMs, { baseDelayMs, maxDelayMs });
+          console.warn(`${provider.model} call failed with ${code} (attempt ${attempt}/${maxAttempts}), retrying in ${delayMs}ms`);
+          if (onRetry) {
+            await onRetry({ error, code, attempt, delayMs });
+          }
+          await sleep(delayMs);
+        }
+      }
+    }
+  };
+};
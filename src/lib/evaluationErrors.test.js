@@ -0,0 +1,157 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ERROR_CODES, classifyEvaluationError, getRetryDelayMs, withRetry } from './evaluationErrors';
+
+const errorWith = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('classifyEvaluationError', () => {
+  it.each([
+    [errorWith('Too Many Requests', { status: 429 }), ERROR_CODES.RATE_LIMITED],
+    [errorWith('[503 Service Unavailable] The model is overloaded', { status: 503 }), ERROR_CODES.SERVICE_UNAVAILABLE],
+    [errorWith('Request timed out', { status: 408 }), ERROR_CODES.TIMEOUT],
+    [errorWith('fetch failed', { cause: { code: 'ECONNRESET' } }), ERROR_CODES.NETWORK_ERROR],
+    [errorWith('The operation was aborted'), ERROR_CODES.TIMEOUT],
+    [errorWith('[GoogleGenerativeAI Error]: RESOURCE_EXHAUSTED: quota exceeded'), ERROR_CODES.RATE_LIMITED]
+  ])('treats %s as transient', (error, code) => {
+    expect(classifyEvaluationError(error)).toMatchObject({ code, retryable: true });
+  });
+
+  it.each([
+    [errorWith('Invalid JSON payload received', { status: 400 }), ERROR_CODES.INVALID_REQUEST],
+    [errorWith('Forbidden', { status: 403 }), ERROR_CODES.AUTH_ERROR],
+    [errorWith('API key not valid. Please pass a valid API key.'), ERROR_CODES.AUTH_ERROR],
+    [errorWith('Candidate was blocked due to SAFETY'), ERROR_CODES.SAFETY_BLOCKED],
+    [errorWith('Stage scores do not add up', { code: 'INVALID_EVALUATION_OUTPUT' }), ERROR_CODES.INVALID_EVALUATION_OUTPUT],
+    [errorWith('Something unexpected'), ERROR_CODES.UNKNOWN]
+  ])('treats %s as permanent', (error, code) => {
+    expect(classifyEvaluationError(error)).toMatchObject({ code, retryable: false });
+  });
+
+  it('prefers the HTTP status over the message', () => {
+    expect(classifyEvaluationError(errorWith('network glitch', { status: 429 })).code).toBe(ERROR_CODES.RATE_LIMITED);
+  });
+
+  it('reads the Retry-After hint from Gemini RetryInfo details', () => {
+    const error = errorWith('Too Many Requests', {
+      status: 429,
+      errorDetails: [{ '@type': 'type.googleapis.com/google.rpc.QuotaFailure' }, { retryDelay: '37s' }]
+    });
+
+    expect(classifyEvaluationError(error).retryAfterMs).toBe(37000);
+    expect(classifyEvaluationError(errorWith('slow down', { status: 429, errorDetails: [{ retryDelay: '0.25s' }] })).retryAfterMs).toBe(250);
+  });
+
+  it('falls back to retryAfterMs and otherwise has no hint', () => {
+    expect(classifyEvaluationError(errorWith('busy', { status: 503, retryAfterMs: 1500 })).retryAfterMs).toBe(1500);
+    expect(classifyEvaluationError(errorWith('busy', { status: 503, errorDetails: [{ retryDelay: 'soon' }] })).retryAfterMs).toBeNull();
+    expect(classifyEvaluationError(errorWith('busy', { status: 503 })).retryAfterMs).toBeNull();
+  });
+});
+
+describe('getRetryDelayMs', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+  it('stays within the exponential ceiling for the attempt', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+    expect(getRetryDelayMs(1, null, options)).toBe(999);
+    expect(getRetryDelayMs(2, null, options)).toBe(1999);
+    expect(getRetryDelayMs(3, null, options)).toBe(3999);
+  });
+
+  it('caps the ceiling at maxDelayMs', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+    expect(getRetryDelayMs(10, null, options)).toBe(4999);
+  });
+
+  it('can jitter down to zero', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect(getRetryDelayMs(3, null, options)).toBe(0);
+  });
+
+  it('never waits less than the retry-after hint', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(getRetryDelayMs(1, 37000, options)).toBe(37000);
+    expect(getRetryDelayMs(3, 100, options)).toBe(2000);
+  });
+});
+
+describe('withRetry', () => {
+  const provider = (generate) => ({ id: 'mock', model: 'mock-model', generate: vi.fn(generate) });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+  });
+
+  it('retries transient failures until a call succeeds', async () => {
+    let calls = 0;
+    const inner = provider(async () => {
+      calls += 1;
+      if (calls < 3) throw errorWith('overloaded', { status: 503 });
+      return { text: '{}' };
+    });
+    const onRetry = vi.fn();
+
+    const result = withRetry(inner, { onRetry }).generate({ contents: [] });
+    await vi.runAllTimersAsync();
+
+    await expect(result).resolves.toEqual({ text: '{}' });
+    expect(inner.generate).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([retry]) => [retry.code, retry.attempt])).toEqual([
+      [ERROR_CODES.SERVICE_UNAVAILABLE, 1],
+      [ERROR_CODES.SERVICE_UNAVAILABLE, 2]
+    ]);
+  });
+
+  it('gives up after maxAttempts and tags the error', async () => {
+    const inner = provider(async () => {
+      throw errorWith('Too Many Requests', { status: 429 });
+    });
+
+    const result = withRetry(inner, { maxAttempts: 3 }).generate({ contents: [] });
+    const settled = expect(result).rejects.toMatchObject({ code: ERROR_CODES.RATE_LIMITED, retryable: true, attempts: 3 });
+    await vi.runAllTimersAsync();
+
+    await settled;
+    expect(inner.generate).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry permanent failures', async () => {
+    const inner = provider(async () => {
+      throw errorWith('Forbidden', { status: 403 });
+    });
+
+    await expect(withRetry(inner).generate({ contents: [] })).rejects.toMatchObject({
+      code: ERROR_CODES.AUTH_ERROR,
+      retryable: false,
+      attempts: 1
+    });
+    expect(inner.generate).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits the retry-after hint before the next attempt', async () => {
+    let calls = 0;
+    const inner = provider(async () => {
+      calls += 1;
+      if (calls === 1) throw errorWith('slow down', { status: 429, errorDetails: [{ retryDelay: '30s' }] });
+      return { text: '{}' };
+    });
+
+    const result = withRetry(inner).generate({ contents: [] });
+    await vi.advanceTimersByTimeAsync(29999);
+    expect(inner.generate).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(result).resolves.toEqual({ text: '{}' });
+    expect(inner.generate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,107 @@
+import { fetchEvaluationResults, getEmailActivityTimeline } from './databaseService';
+import { getEffectiveStageScores } from './reviews';
+
+/**
+ * Evaluation history of one participant: every evaluation_results row
+ * (errors, regraded and current ones) with stage-by-stage score changes
+ * against the previous successful run, plus the participant's process logs.
+ */
+
+/**
+ * Orders evaluation rows oldest first and diffs each successful run against
+ * the successful run before it
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object[]} rows - effective_evaluation_results rows of one participant
+ * @returns {Object[]} - [{ row, stageScores, totalScore, stageDiffs, totalDiff, previousId }]
+ */
+export const compareEvaluationRuns = (rubric, rows) => {
+  const ordered = [...rows].sort((a, b) => new Date(a.processed_at) - new Date(b.processed_at));
+  let previous = null;
+
+  return ordered.map(row => {
+    if (row.evaluation_status !== 'success') {
+      return { row, stageScores: null, totalScore: null, stageDiffs: null, totalDiff: null, previousId: null };
+    }
+
+    const stageScores = getEffectiveStageScores(rubric, row);
+    const totalScore = row.effective_total_score ?? row.total_score;
+    const run = {
+      row,
+      stageScores,
+      totalScore,
+      // null on the first successful run: there is nothing to compare against
+      stageDiffs: previous && rubric.criteria.reduce((diffs, criterion) => {
+        diffs[criterion.key] = stageScores[criterion.key].score - previous.stageScores[criterion.key].score;
+        return diffs;
+      }, {}),
+      totalDiff: previous ? totalScore - previous.totalScore : null,
+      previousId: previous?.row.id ?? null
+    };
+
+    previous = run;
+    return run;
+  });
+};
+
+// recommendations is saved as a JSON string; older rows may hold plain text
+const parseRecommendations = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch {
+    return [value];
+  }
+};
+
+/**
+ * Rebuilds the evaluation result shape ({ totalScore, stageScores,
+ * overallFeedback, recommendations }) from a stored row, with overrides applied
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object} row - effective_evaluation_results row
+ * @returns {Object} - Evaluation results as returned by evaluateParticipant
+ */
+export const evaluationFromRow = (rubric, row) => ({
+  totalScore: row.effective_total_score ?? row.total_score,
+  stageScores: getEffectiveStageScores(rubric, row),
+  overallFeedback: row.overall_feedback,
+  recommendations: parseRecommendations(row.recommendations)
+});
+
+/**
+ * Loads the current successful evaluation of a participant (the latest one
+ * that has not been regraded)
+ * @param {string} programId - Program identifier
+ * @param {string} email - Participant email
+ * @returns {Object} - Object containing the effective_evaluation_results row (null when there is none) and any errors
+ */
+export const loadStoredEvaluation = async (programId, email) => {
+  const { data, error } = await fetchEvaluationResults(email, programId);
+  if (error) {
+    return { data: null, error };
+  }
+
+  // Rows are newest first
+  const current = data.find(row => row.evaluation_status === 'success' && !row.superseded_by);
+  return { data: current || null, error: null };
+};
+
+/**
+ * Loads the evaluation rows and process logs of a participant
+ * @param {string} programId - Program identifier
+ * @param {string} email - Participant email
+ * @returns {Object} - Object containing { evaluations, logs } and any errors
+ */
+export const loadEvaluationHistory = async (programId, email) => {
+  const [evaluationsResult, timelineResult] = await Promise.all([
+    fetchEvaluationResults(email, programId),
+    getEmailActivityTimeline(email)
+  ]);
+
+  if (evaluationsResult.error || timelineResult.error) {
+    return { data: null, error: evaluationsResult.error || timelineResult.error };
+  }
+
+  return { data: { evaluations: evaluationsResult.data, logs: timelineResult.data }, error: null };
+};
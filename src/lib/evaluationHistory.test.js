@@ -0,0 +1,99 @@
+import { describe, expect, it, vi } from 'vitest';
+import { compareEvaluationRuns, evaluationFromRow } from './evaluationHistory';
+import { DEFAULT_STAGE_RUBRIC_ID, getRubric } from './rubrics';
+
+vi.mock('./databaseService', () => ({
+  fetchEvaluationResults: vi.fn(),
+  fetchEvaluationOverrides: vi.fn(),
+  fetchParticipant: vi.fn(),
+  fetchReviewCandidates: vi.fn(),
+  getEmailActivityTimeline: vi.fn(),
+  insertEvaluationOverride: vi.fn()
+}));
+
+const rubric = getRubric(DEFAULT_STAGE_RUBRIC_ID);
+
+// Every stage at half its weight, with stage scores overridden by key
+const row = (id, processedAt, scores = {}, fields = {}) => {
+  const stageColumns = Object.fromEntries(rubric.criteria.flatMap(criterion => {
+    const score = scores[criterion.key] ?? criterion.weight / 2;
+    return [[`${criterion.key}_score`, score], [`${criterion.key}_status`, null], [`${criterion.key}_feedback`, null]];
+  }));
+  const totalScore = rubric.criteria.reduce((sum, criterion) => sum + stageColumns[`${criterion.key}_score`], 0);
+
+  return {
+    id,
+    processed_at: processedAt,
+    evaluation_status: 'success',
+    total_score: totalScore,
+    ...stageColumns,
+    ...fields
+  };
+};
+
+describe('compareEvaluationRuns', () => {
+  it('orders runs oldest first and diffs each success against the previous one', () => {
+    const first = row(1, '2026-01-10T10:00:00Z');
+    const failed = row(2, '2026-02-01T10:00:00Z', {}, { evaluation_status: 'error', total_score: 0 });
+    const regrade = row(3, '2026-03-01T10:00:00Z', { idea: 10, impact: 4 });
+
+    const runs = compareEvaluationRuns(rubric, [regrade, first, failed]);
+
+    expect(runs.map(run => run.row.id)).toEqual([1, 2, 3]);
+    expect(runs[0]).toMatchObject({ stageDiffs: null, totalDiff: null, previousId: null });
+    expect(runs[1]).toEqual({ row: failed, stageScores: null, totalScore: null, stageDiffs: null, totalDiff: null, previousId: null });
+    expect(runs[2].previousId).toBe(1);
+    expect(runs[2].stageDiffs).toMatchObject({ idea: 5, impact: -6, problem: 0, pitch: 0 });
+    expect(Object.keys(runs[2].stageDiffs)).toEqual(rubric.criteria.map(criterion => criterion.key));
+    expect(runs[2].totalDiff).toBe(-1);
+  });
+
+  it('compares effective scores when a run was overridden', () => {
+    const first = row(1, '2026-01-10T10:00:00Z');
+    const reviewed = row(2, '2026-02-10T10:00:00Z', {}, {
+      effective_total_score: first.total_score + 3,
+      effective_stage_scores: { creativity: { score: 10, status: 'average' } }
+    });
+
+    const [, run] = compareEvaluationRuns(rubric, [first, reviewed]);
+
+    expect(run.totalScore).toBe(first.total_score + 3);
+    expect(run.totalDiff).toBe(3);
+    expect(run.stageDiffs.creativity).toBe(2.5);
+  });
+});
+
+describe('evaluationFromRow', () => {
+  it('rebuilds the evaluation shape with overrides applied', () => {
+    const stored = row(5, '2026-01-10T10:00:00Z', { idea: 5 }, {
+      idea_status: 'average',
+      idea_feedback: 'Clear intent',
+      overall_feedback: 'Solid work',
+      recommendations: JSON.stringify(['Quantify the impact', 'Name the stakeholders']),
+      effective_total_score: 70,
+      effective_stage_scores: { idea: { score: 10, status: 'exemplar' } }
+    });
+
+    const evaluation = evaluationFromRow(rubric, stored);
+
+    expect(evaluation.totalScore).toBe(70);
+    expect(evaluation.stageScores.idea).toEqual({ score: 10, status: 'exemplar', feedback: 'Clear intent' });
+    expect(evaluation.overallFeedback).toBe('Solid work');
+    expect(evaluation.recommendations).toEqual(['Quantify the impact', 'Name the stakeholders']);
+  });
+
+  it('falls back to the AI total without an override', () => {
+    const stored = row(6, '2026-01-10T10:00:00Z');
+
+    expect(evaluationFromRow(rubric, stored).totalScore).toBe(stored.total_score);
+  });
+
+  it.each([
+    [null, []],
+    [['Already a list'], ['Already a list']],
+    ['Plain text from an older row', ['Plain text from an older row']],
+    [JSON.stringify('A JSON string'), ['A JSON string']]
+  ])('reads recommendations stored as %j', (recommendations, expected) => {
+    expect(evaluationFromRow(rubric, row(7, '2026-01-10T10:00:00Z', {}, { recommendations })).recommendations).toEqual(expected);
+  });
+});
@@ -0,0 +1,277 @@
+import { SchemaType } from '@google/generative-ai';
+import { validateRubricScores } from './rubrics';
+
+/**
+ * Strict parsing of model evaluation output. Calls run in Gemini's JSON
+ * response mode with a schema generated from the rubric; responses are then
+ * checked against the rubric definition (every criterion present, allowed
+ * statuses, scores within weight and whole points for stage rubrics) and,
+ * when they fail, the model is re-asked with the validation errors for a
+ * bounded number of attempts.
+ */
+
+export const MAX_REPAIR_ATTEMPTS = 3;
+
+/**
+ * Builds the Gemini response schema for a rubric's output shape. The schema
+ * has no numeric bounds, so score ranges are stated in the descriptions and
+ * enforced by validateEvaluationOutput.
+ * @param {Object} rubric - Rubric definition
+ * @returns {Object} - Gemini responseSchema
+ */
+export const buildResponseSchema = (rubric) => {
+  const stringArray = { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } };
+  const criterionKeys = rubric.criteria.map(criterion => criterion.key);
+
+  if (rubric.kind === 'stages') {
+    const stageProperties = rubric.criteria.reduce((acc, criterion) => {
+      acc[criterion.key] = {
+        type: SchemaType.OBJECT,
+        properties: {
+          score: { type: SchemaType.INTEGER, description: `${criterion.label} score from 0 to ${criterion.weight}` },
+          status: { type: SchemaType.STRING, format: 'enum', enum: rubric.statuses },
+          feedback: { type: SchemaType.STRING, description: criterion.feedbackHint }
+        },
+        required: ['score', 'status', 'feedback']
+      };
+      return acc;
+    }, {});
+
+    return {
+      type: SchemaType.OBJECT,
+      properties: {
+        totalScore: { type: SchemaType.INTEGER, description: `Total score from 0 to ${rubric.maxScore}` },
+        stageScores: { type: SchemaType.OBJECT, properties: stageProperties, required: criterionKeys },
+        overallFeedback: { type: SchemaType.STRING, description: rubric.overallFeedbackHint },
+        recommendations: stringArray
+      },
+      required: ['totalScore', 'stageScores', 'overallFeedback', 'recommendations']
+    };
+  }
+
+  const criterionProperties = rubric.criteria.reduce((acc, criterion) => {
+    acc[criterion.key] = {
+      type: SchemaType.OBJECT,
+      properties: {
+        score: { type: SchemaType.NUMBER, description: `${criterion.label} score from 0 to ${criterion.weight}, up to 2 decimals` },
+        justification: { type: SchemaType.STRING }
+      },
+      required: ['score', 'justification']
+    };
+    return acc;
+  }, {});
+
+  return {
+    type: SchemaType.OBJECT,
+    properties: {
+      ...criterionProperties,
+      total_score: { type: SchemaType.NUMBER, description: `Total score from 0 to ${rubric.maxScore}` },
+      strengths: stringArray,
+      improvements: stringArray,
+      overall_feedback: { type: SchemaType.STRING }
+    },
+    required: [...criterionKeys, 'total_score', 'strengths', 'improvements', 'overall_feedback']
+  };
+};
+
+/**
+ * Extracts a JSON object from model text. In JSON response mode the text
+ * parses as-is; scanning for code fences and the outermost braces is only a
+ * fallback for responses that ignored the response schema.
+ * @param {string} text - Raw model response text
+ * @returns {Object} - { value, error }
+ */
+export const extractJson = (text) => {
+  if (!text || !text.trim()) {
+    return { value: null, error: 'Response was empty' };
+  }
+
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  let lastError = 'Response did not contain a JSON object';
+  for (const [index, candidate] of candidates.entries()) {
+    try {
+      const value = JSON.parse(candidate);
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        if (index > 0) {
+          console.warn('Model response was not pure JSON; recovered the object by text extraction');
+        }
+        return { value, error: null };
+      }
+      lastError = 'Response JSON was not an object';
+    } catch (err) {
+      lastError = `Response was not valid JSON (${err.message})`;
+    }
+  }
+
+  return { value: null, error: lastError };
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const checkScore = (errors, path, score, max, { integer = false } = {}) => {
+  if (typeof score !== 'number' || !Number.isFinite(score)) {
+    errors.push(`${path} must be a number`);
+  } else if (integer && !Number.isInteger(score)) {
+    errors.push(`${path} must be a whole number (got ${score})`);
+  } else if (score < 0 || score > max) {
+    errors.push(`${path} must be between 0 and ${max} (got ${score})`);
+  }
+};
+
+const checkStringArray = (errors, path, value) => {
+  if (!Array.isArray(value) || value.some(item => !isNonEmptyString(item))) {
+    errors.push(`${path} must be an array of strings`);
+  }
+};
+
+/**
+ * Validates parsed model output against a rubric definition
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} output - Parsed model output
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export const validateEvaluationOutput = (rubric, output) => {
+  const errors = [];
+
+  if (rubric.kind === 'stages') {
+    // Stage scores are stored in INTEGER columns; only the document rubric allows decimals
+    checkScore(errors, 'totalScore', output.totalScore, rubric.maxScore, { integer: true });
+
+    const stageScores = output.stageScores;
+    if (!stageScores || typeof stageScores !== 'object') {
+      errors.push('stageScores must be an object');
+    } else {
+      rubric.criteria.forEach(criterion => {
+        const stage = stageScores[criterion.key];
+        if (!stage || typeof stage !== 'object') {
+          errors.push(`stageScores.${criterion.key} is missing`);
+          return;
+        }
+        checkScore(errors, `stageScores.${criterion.key}.score`, stage.score, criterion.weight, { integer: true });
+        if (!rubric.statuses.includes(stage.status)) {
+          errors.push(`stageScores.${criterion.key}.status must be one of ${rubric.statuses.join(', ')} (got ${JSON.stringify(stage.status)})`);
+        }
+        if (!isNonEmptyString(stage.feedback)) {
+          errors.push(`stageScores.${criterion.key}.feedback must be a non-empty string`);
+        }
+      });
+
+      const knownKeys = rubric.criteria.map(criterion => criterion.key);
+      Object.keys(stageScores)
+        .filter(key => !knownKeys.includes(key))
+        .forEach(key => errors.push(`stageScores.${key} is not a rubric stage`));
+    }
+
+    if (!isNonEmptyString(output.overallFeedback)) {
+      errors.push('overallFeedback must be a non-empty string');
+    }
+    checkStringArray(errors, 'recommendations', output.recommendations);
+  } else {
+    checkScore(errors, 'total_score', output.total_score, rubric.maxScore);
+
+    rubric.criteria.forEach(criterion => {
+      const result = output[criterion.key];
+      if (!result || typeof result !== 'object') {
+        errors.push(`${criterion.key} is missing`);
+        return;
+      }
+      checkScore(errors, `${criterion.key}.score`, result.score, criterion.weight);
+      if (!isNonEmptyString(result.justification)) {
+        errors.push(`${criterion.key}.justification must be a non-empty string`);
+      }
+    });
+
+    checkStringArray(errors, 'strengths', output.strengths);
+    checkStringArray(errors, 'improvements', output.improvements);
+    if (!isNonEmptyString(output.overall_feedback)) {
+      errors.push('overall_feedback must be a non-empty string');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parses and validates a raw model response
+ * @param {Object} rubric - Rubric definition
+ * @param {string} text - Raw model response text
+ * @returns {Object} - { data, errors }
+ */
+export const parseEvaluationResponse = (rubric, text) => {
+  const { value, error } = extractJson(text);
+  if (error) {
+    return { data: null, errors: [error] };
+  }
+
+  const errors = validateEvaluationOutput(rubric, value);
+  return { data: errors.length === 0 ? value : null, errors };
+};
+
+const buildRepairPrompt = (errors) => `Your previous response failed validation:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY the corrected JSON object with the exact structure requested. Do not add any text before or after it.`;
+
+/**
+ * Calls the provider and validates its output, re-asking with the validation
+ * errors until the output is valid or the attempts are exhausted
+ * @param {Object} options - Evaluation options
+ * @param {Object} options.provider - Evaluator provider (see evaluatorProviders.js)
+ * @param {Object[]} options.contents - Initial request contents
+ * @param {Object} options.generationConfig - Generation config (JSON response mode and schema are added)
+ * @param {Object} options.rubric - Rubric definition
+ * @param {Object} options.participant - Participant row being graded, passed to the provider (stage rubrics)
+ * @param {number} options.maxAttempts - Total attempts including the first call
+ * @returns {Object} - { data, attempts } where data has been score-reconciled
+ */
+export const generateValidatedEvaluation = async ({
+  provider,
+  contents,
+  generationConfig,
+  rubric,
+  participant = null,
+  maxAttempts = MAX_REPAIR_ATTEMPTS
+}) => {
+  const structuredConfig = {
+    ...generationConfig,
+    responseMimeType: 'application/json',
+    responseSchema: buildResponseSchema(rubric)
+  };
+  let conversation = contents;
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const { text } = await provider.generate({ contents: conversation, generationConfig: structuredConfig, rubric, participant });
+
+    const { data, errors } = parseEvaluationResponse(rubric, text);
+    if (data) {
+      return { data: validateRubricScores(rubric, data), attempts: attempt };
+    }
+
+    lastErrors = errors;
+    console.warn(`Evaluation output failed validation (attempt ${attempt}/${maxAttempts}):`, errors);
+
+    conversation = [
+      ...contents,
+      { role: 'model', parts: [{ text }] },
+      { role: 'user', parts: [{ text: buildRepairPrompt(errors) }] }
+    ];
+  }
+
+  const error = new Error(`Invalid evaluation output after ${maxAttempts} attempts: ${lastErrors.join('; ')}`);
+  error.code = 'INVALID_EVALUATION_OUTPUT';
+  error.validationErrors = lastErrors;
+  throw error;
+};
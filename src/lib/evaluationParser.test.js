@@ -0,0 +1,152 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  buildResponseSchema,
+  extractJson,
+  generateValidatedEvaluation,
+  parseEvaluationResponse,
+  validateEvaluationOutput
+} from './evaluationParser';
+import { DEFAULT_DOCUMENT_RUBRIC_ID, DEFAULT_STAGE_RUBRIC_ID, getRubric } from './rubrics';
+
+const stageRubric = getRubric(DEFAULT_STAGE_RUBRIC_ID);
+const documentRubric = getRubric(DEFAULT_DOCUMENT_RUBRIC_ID);
+
+const validStageOutput = (score = 5) => {
+  const stageScores = {};
+  stageRubric.criteria.forEach(criterion => {
+    stageScores[criterion.key] = { score, status: 'average', feedback: 'Reasonable answer' };
+  });
+  return {
+    totalScore: score * stageRubric.criteria.length,
+    stageScores,
+    overallFeedback: 'Solid overall',
+    recommendations: ['Add detail']
+  };
+};
+
+const validDocumentOutput = () => ({
+  criterion1: { score: 8.5, justification: 'All sections present' },
+  criterion2: { score: 7.25, justification: 'Good analysis' },
+  criterion3: { score: 4, justification: 'Clear writing' },
+  criterion4: { score: 3.5, justification: 'Original work' },
+  total_score: 23.25,
+  strengths: ['Structure'],
+  improvements: ['References'],
+  overall_feedback: 'A good report'
+});
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('extractJson', () => {
+  it('parses a pure JSON response', () => {
+    expect(extractJson('{"a": 1}')).toEqual({ value: { a: 1 }, error: null });
+  });
+
+  it('recovers an object from a fenced or chatty response', () => {
+    expect(extractJson('Here you go:\n```json\n{"a": 1}\n```').value).toEqual({ a: 1 });
+    expect(extractJson('Result: {"a": 2} hope that helps').value).toEqual({ a: 2 });
+  });
+
+  it('reports empty, non-object and invalid responses', () => {
+    expect(extractJson('  ').error).toBe('Response was empty');
+    expect(extractJson('[1, 2]').error).toBe('Response JSON was not an object');
+    expect(extractJson('{not json').error).toMatch(/^Response (was not valid JSON|did not contain a JSON object)/);
+  });
+});
+
+describe('validateEvaluationOutput', () => {
+  it('accepts a complete stage evaluation', () => {
+    expect(validateEvaluationOutput(stageRubric, validStageOutput())).toEqual([]);
+  });
+
+  it('rejects fractional stage scores and totals', () => {
+    const output = validStageOutput();
+    output.stageScores.idea.score = 7.5;
+    output.totalScore = 40.5;
+
+    expect(validateEvaluationOutput(stageRubric, output)).toEqual([
+      'totalScore must be a whole number (got 40.5)',
+      'stageScores.idea.score must be a whole number (got 7.5)'
+    ]);
+  });
+
+  it('reports out-of-range scores, bad statuses, missing and unknown stages', () => {
+    const output = validStageOutput();
+    output.stageScores.idea = { score: 12, status: 'excellent', feedback: '' };
+    delete output.stageScores.pitch;
+    output.stageScores.bonus = { score: 1, status: 'average', feedback: 'x' };
+
+    expect(validateEvaluationOutput(stageRubric, output)).toEqual([
+      'stageScores.idea.score must be between 0 and 10 (got 12)',
+      `stageScores.idea.status must be one of ${stageRubric.statuses.join(', ')} (got "excellent")`,
+      'stageScores.idea.feedback must be a non-empty string',
+      'stageScores.pitch is missing',
+      'stageScores.bonus is not a rubric stage'
+    ]);
+  });
+
+  it('accepts decimal document scores', () => {
+    expect(validateEvaluationOutput(documentRubric, validDocumentOutput())).toEqual([]);
+  });
+
+  it('reports missing document fields', () => {
+    const output = validDocumentOutput();
+    delete output.criterion3;
+    output.strengths = [];
+    output.improvements = 'none';
+
+    expect(validateEvaluationOutput(documentRubric, output)).toEqual([
+      'criterion3 is missing',
+      'improvements must be an array of strings'
+    ]);
+  });
+});
+
+describe('parseEvaluationResponse', () => {
+  it('returns data only when the output is valid', () => {
+    expect(parseEvaluationResponse(stageRubric, JSON.stringify(validStageOutput())).errors).toEqual([]);
+    expect(parseEvaluationResponse(stageRubric, '{}').data).toBeNull();
+  });
+});
+
+describe('buildResponseSchema', () => {
+  it('asks for integer stage scores and decimal document scores', () => {
+    const stageSchema = buildResponseSchema(stageRubric);
+    const documentSchema = buildResponseSchema(documentRubric);
+
+    expect(stageSchema.properties.stageScores.properties.idea.properties.score.type).toBe('integer');
+    expect(stageSchema.properties.stageScores.required).toEqual(stageRubric.criteria.map(criterion => criterion.key));
+    expect(documentSchema.properties.criterion1.properties.score.type).toBe('number');
+  });
+});
+
+describe('generateValidatedEvaluation', () => {
+  const request = { contents: [{ role: 'user', parts: [{ text: 'Grade this' }] }], generationConfig: { temperature: 0 } };
+
+  it('re-asks the model with the validation errors until the output is valid', async () => {
+    const invalid = validStageOutput();
+    invalid.stageScores.idea.score = 7.5;
+    const generate = vi.fn()
+      .mockResolvedValueOnce({ text: JSON.stringify(invalid) })
+      .mockResolvedValueOnce({ text: JSON.stringify(validStageOutput()) });
+
+    const { data, attempts } = await generateValidatedEvaluation({ provider: { generate }, rubric: stageRubric, ...request });
+
+    expect(attempts).toBe(2);
+    expect(data.stageScores.idea.score).toBe(5);
+    const repair = generate.mock.calls[1][0].contents;
+    expect(repair).toHaveLength(3);
+    expect(repair[2].parts[0].text).toContain('stageScores.idea.score must be a whole number (got 7.5)');
+    expect(generate.mock.calls[0][0].generationConfig).toMatchObject({ temperature: 0, responseMimeType: 'application/json' });
+  });
+
+  it('fails with INVALID_EVALUATION_OUTPUT after the last attempt', async () => {
+    const generate = vi.fn().mockResolvedValue({ text: 'no json here' });
+
+    await expect(generateValidatedEvaluation({ provider: { generate }, rubric: stageRubric, maxAttempts: 2, ...request }))
+      .rejects.toMatchObject({ code: 'INVALID_EVALUATION_OUTPUT' });
+    expect(generate).toHaveBeenCalledTimes(2);
+  });
+});
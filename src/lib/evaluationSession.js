@@ -0,0 +1,228 @@
+import {
+  JOB_HEARTBEAT_TIMEOUT_MS,
+  claimEvaluationJob,
+  claimNextEvaluationTask,
+  completeEvaluationTask,
+  updateEvaluationJob
+} from './databaseService';
+
+/**
+ * Drives persisted evaluation sessions (evaluation_jobs / evaluation_tasks).
+ * BatchEvaluationProcessor and the evaluation worker both run sessions
+ * through runEvaluationSession, so either can pick up a session the other
+ * started, at the first participant that has not finished.
+ */
+
+/**
+ * Creates an identifier for a browser tab or worker process that runs sessions
+ * @param {string} prefix - Runner kind, e.g. 'browser' or 'worker'
+ * @returns {string} - Runner identifier
+ */
+export const createRunnerId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Runner identifier for this browser tab. Kept in sessionStorage so a reload
+ * reclaims the tab's own session straight away instead of waiting for its
+ * heartbeat to go stale.
+ * @returns {string} - Runner identifier
+ */
+export const getBrowserRunnerId = () => {
+  let runnerId = sessionStorage.getItem('evaluation_runner_id');
+  if (!runnerId) {
+    runnerId = createRunnerId('browser');
+    sessionStorage.setItem('evaluation_runner_id', runnerId);
+  }
+  return runnerId;
+};
+
+/**
+ * Whether another runner may claim a session right now
+ * @param {Object} job - evaluation_job_progress row
+ * @param {string} runnerId - Runner asking
+ * @returns {boolean} - True when the session is unclaimed, ours, or its runner went silent
+ */
+export const isJobClaimable = (job, runnerId) => {
+  if (!job.claimed_by || job.claimed_by === runnerId) return true;
+  return Date.now() - new Date(job.heartbeat_at).getTime() > JOB_HEARTBEAT_TIMEOUT_MS;
+};
+
+/**
+ * Claims a session and processes its pending tasks in position order, up to
+ * `concurrency` at a time. Stops early when beforeTask returns false (the
+ * session is left 'paused' and unclaimed) or 'cancel' (the session is closed
+ * as 'cancelled' and its pending tasks are never run); tasks already in
+ * progress finish first. Errors release the claim without finishing the
+ * session, so it can be resumed. The heartbeat is written after every task
+ * and on a timer while tasks are in flight, since one evaluation with
+ * retries can outlast JOB_HEARTBEAT_TIMEOUT_MS; when it fails (e.g. another
+ * runner took the session over) no further tasks are started.
+ * @param {Object} options - Session options
+ * @param {string} options.sessionId - Session identifier
+ * @param {string} options.runnerId - Identifier of this runner
+ * @param {Function} options.processTask - async (task, batch) => { outcome, totalScore, errorMessage }
+ * @param {number} options.concurrency - Tasks processed at the same time
+ * @param {Function} options.beforeTask - Optional async () => true | false | 'cancel', awaited before each task; false pauses, 'cancel' cancels
+ * @param {Function} options.onBatchStart - Optional async (batch, task) called when a batch (re)starts
+ * @param {Function} options.onBatchComplete - Optional async (batch) called when a batch has no tasks left
+ * @returns {Object} - Object containing { status: 'completed' | 'paused' | 'cancelled' } and any errors
+ */
+export const runEvaluationSession = async ({
+  sessionId,
+  runnerId,
+  processTask,
+  concurrency = 1,
+  beforeTask = null,
+  onBatchStart = null,
+  onBatchComplete = null
+}) => {
+  const { data: job, error: claimError } = await claimEvaluationJob(sessionId, runnerId);
+  if (claimError) {
+    return { data: null, error: claimError };
+  }
+
+  const totalBatches = Math.ceil(job.total_tasks / job.batch_size);
+  const batches = new Map(); // batch_id -> { batch, inFlight, closed, reported }
+  let claimQueue = Promise.resolve();
+  let stopStatus = null; // 'paused' or 'cancelled' once beforeTask asks to stop
+  let failure = null;
+
+  // Claims run one at a time so tasks are taken in position order and each
+  // batch is announced before any of its tasks start
+  const claimNext = () => {
+    const next = claimQueue.then(async () => {
+      const { data: task, error } = await claimNextEvaluationTask(sessionId);
+      if (error) {
+        throw new Error(error);
+      }
+      if (!task) {
+        batches.forEach(entry => { entry.closed = true; });
+        return null;
+      }
+
+      let entry = batches.get(task.batch_id);
+      if (!entry) {
+        // Tasks are claimed in order, so earlier batches get no more tasks
+        batches.forEach(other => { other.closed = true; });
+        entry = {
+          batch: {
+            sessionId,
+            batchId: task.batch_id,
+            batchNumber: task.batch_number,
+            totalBatches,
+            batchSize: job.batch_size,
+            size: Math.min(job.batch_size, job.total_tasks - (task.batch_number - 1) * job.batch_size),
+            totalUsers: job.total_tasks,
+            firstInRun: batches.size === 0
+          },
+          inFlight: 0,
+          closed: false,
+          reported: false
+        };
+        batches.set(task.batch_id, entry);
+        if (onBatchStart) {
+          await onBatchStart(entry.batch, task);
+        }
+      }
+
+      entry.inFlight++;
+      return { task, entry };
+    });
+    claimQueue = next.catch(() => {});
+    return next;
+  };
+
+  const reportFinishedBatches = async () => {
+    for (const entry of batches.values()) {
+      if (entry.closed && entry.inFlight === 0 && !entry.reported) {
+        entry.reported = true;
+        if (onBatchComplete) {
+          await onBatchComplete(entry.batch);
+        }
+      }
+    }
+  };
+
+  // Interval heartbeat; a failure stops the lanes like any other error
+  const heartbeatIntervalMs = JOB_HEARTBEAT_TIMEOUT_MS / 3;
+  let heartbeatPending = false;
+  const heartbeat = setInterval(async () => {
+    const inFlight = [...batches.values()].some(entry => entry.inFlight > 0);
+    if (!inFlight || heartbeatPending || failure) {
+      return;
+    }
+
+    heartbeatPending = true;
+    const { error } = await updateEvaluationJob(sessionId, runnerId);
+    heartbeatPending = false;
+    if (error) {
+      failure = failure || new Error(error);
+    }
+  }, heartbeatIntervalMs);
+
+  const runLane = async () => {
+    try {
+      while (!stopStatus && !failure) {
+        const proceed = beforeTask ? await beforeTask() : true;
+        if (proceed === false || proceed === 'cancel') {
+          // A cancel from any lane wins over a pause
+          stopStatus = proceed === 'cancel' || stopStatus === 'cancelled' ? 'cancelled' : 'paused';
+          return;
+        }
+
+        const claimed = await claimNext();
+        if (!claimed) {
+          return;
+        }
+
+        const { task, entry } = claimed;
+        try {
+          const result = await processTask(task, entry.batch);
+
+          const { error: completeError } = await completeEvaluationTask(task.id, result);
+          if (completeError) {
+            throw new Error(completeError);
+          }
+
+          // Heartbeat; fails if another runner has taken the session over
+          const { error: heartbeatError } = await updateEvaluationJob(sessionId, runnerId);
+          if (heartbeatError) {
+            throw new Error(heartbeatError);
+          }
+        } finally {
+          entry.inFlight--;
+        }
+
+        await reportFinishedBatches();
+      }
+    } catch (err) {
+      failure = failure || err;
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, runLane));
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  if (failure) {
+    console.error(`Evaluation session ${sessionId} interrupted:`, failure);
+    await updateEvaluationJob(sessionId, runnerId, { lastError: failure.message, release: true });
+    return { data: null, error: failure.message };
+  }
+
+  if (stopStatus) {
+    if (stopStatus === 'cancelled') {
+      // Cancelled batches get no more tasks; report what they finished
+      batches.forEach(entry => { entry.closed = true; });
+      await reportFinishedBatches();
+    }
+    const { error } = await updateEvaluationJob(sessionId, runnerId, { status: stopStatus, release: true });
+    return { data: { status: stopStatus }, error };
+  }
+
+  await reportFinishedBatches();
+
+  const { error } = await updateEvaluationJob(sessionId, runnerId, { status: 'completed', lastError: null, release: true });
+  return { data: { status: 'completed' }, error };
+};
@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { runEvaluationSession } from './evaluationSession';
+import { claimEvaluationJob, claimNextEvaluationTask, completeEvaluationTask, updateEvaluationJob } from './databaseService';
+
+vi.mock('./databaseService', () => ({
+  JOB_HEARTBEAT_TIMEOUT_MS: 3 * 60 * 1000,
+  claimEvaluationJob: vi.fn(),
+  claimNextEvaluationTask: vi.fn(),
+  completeEvaluationTask: vi.fn(),
+  updateEvaluationJob: vi.fn()
+}));
+
+const MINUTE = 60 * 1000;
+
+const task = (position) => ({ id: position, position, batch_id: 'batch-1', batch_number: 1, user_email: `user${position}@example.com` });
+
+// processTask that takes the given time per task
+const slowTask = (ms) => vi.fn(() => new Promise(resolve => {
+  setTimeout(() => resolve({ outcome: 'success', totalScore: 50 }), ms);
+}));
+
+// Heartbeats written without a status change, i.e. not the final release
+const heartbeats = () => updateEvaluationJob.mock.calls.filter(([, , options]) => !options);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.useFakeTimers();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+
+  const tasks = [task(1), task(2), task(3)];
+  claimEvaluationJob.mockResolvedValue({ data: { session_id: 's1', total_tasks: tasks.length, batch_size: 10 }, error: null });
+  claimNextEvaluationTask.mockImplementation(async () => ({ data: tasks.shift() || null, error: null }));
+  completeEvaluationTask.mockResolvedValue({ data: null, error: null });
+  updateEvaluationJob.mockResolvedValue({ data: {}, error: null });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('runEvaluationSession heartbeat', () => {
+  it('refreshes the claim while a long task is in flight', async () => {
+    const processTask = slowTask(5 * MINUTE);
+
+    const session = runEvaluationSession({ sessionId: 's1', runnerId: 'worker-1', processTask });
+    await vi.advanceTimersByTimeAsync(2.5 * MINUTE);
+
+    expect(processTask).toHaveBeenCalledTimes(1);
+    expect(heartbeats()).toEqual([['s1', 'worker-1'], ['s1', 'worker-1']]);
+
+    await vi.runAllTimersAsync();
+    await expect(session).resolves.toEqual({ data: { status: 'completed' }, error: null });
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('stops starting tasks once a heartbeat fails', async () => {
+    updateEvaluationJob.mockImplementation(async (sessionId, runnerId, options) => (
+      options ? { data: null, error: null } : { data: null, error: `Session ${sessionId} was claimed by another runner` }
+    ));
+    const processTask = slowTask(2 * MINUTE);
+
+    const session = runEvaluationSession({ sessionId: 's1', runnerId: 'worker-1', processTask, concurrency: 2 });
+    await vi.runAllTimersAsync();
+
+    await expect(session).resolves.toEqual({ data: null, error: 'Session s1 was claimed by another runner' });
+    // The two tasks in flight finish; the third is never started
+    expect(processTask).toHaveBeenCalledTimes(2);
+    expect(claimNextEvaluationTask).toHaveBeenCalledTimes(2);
+    expect(updateEvaluationJob).toHaveBeenLastCalledWith('s1', 'worker-1', {
+      lastError: 'Session s1 was claimed by another runner',
+      release: true
+    });
+  });
+
+  it('writes no interval heartbeat while nothing is in flight', async () => {
+    let resume;
+    const beforeTask = vi.fn(() => new Promise(resolve => { resume = resolve; }));
+
+    const session = runEvaluationSession({ sessionId: 's1', runnerId: 'worker-1', processTask: slowTask(0), beforeTask });
+    await vi.advanceTimersByTimeAsync(5 * MINUTE);
+
+    expect(heartbeats()).toEqual([]);
+
+    resume(false);
+    await vi.runAllTimersAsync();
+    await expect(session).resolves.toEqual({ data: { status: 'paused' }, error: null });
+  });
+});
@@ -0,0 +1,186 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { hashString } from './hash';
+import { getStatusLevel } from './statuses';
+
+/**
+ * Evaluator providers. Every provider exposes the same shape:
+ *
+ *   { id, model, generate({ contents, generationConfig, rubric, participant }) => Promise<{ text }> }
+ *
+ * `contents` and `generationConfig` use the Gemini request format; `rubric`
+ * and, for stage rubrics, the `participant` row are passed so providers that
+ * do not call a model (the mock) can shape their output. Select the provider
+ * with VITE_EVALUATOR_PROVIDER ("gemini" or "mock"). The evaluation worker
+ * reads EVALUATOR_PROVIDER and GEMINI_API_KEY from the process environment
+ * instead. Only development builds call Gemini from the browser with
+ * VITE_GEMINI_API_KEY; production builds grade on the evaluation worker
+ * (see workerClient.js), so the key never ships to the client. Gemini
+ * providers only accept the models in GEMINI_MODELS.
+ */
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp';
+// Models the evaluator settings may select; the worker refuses any other model
+export const GEMINI_MODELS = [
+  'gemini-2.0-flash-exp',
+  'gemini-2.0-flash',
+  'gemini-1.5-flash',
+  'gemini-1.5-pro'
+];
+export const MOCK_MODEL = 'mock-rule-based';
+
+const serverEnv = globalThis.process?.env ?? {};
+const isBrowser = typeof window !== 'undefined';
+const providerId = serverEnv.EVALUATOR_PROVIDER || import.meta.env.VITE_EVALUATOR_PROVIDER || 'gemini';
+
+// Read through import.meta.env.DEV so production bundles do not contain the key
+const browserGeminiKey = import.meta.env.DEV ? import.meta.env.VITE_GEMINI_API_KEY : undefined;
+
+/**
+ * Creates a provider backed by the Gemini API
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.model - Gemini model name
+ * @returns {Object} - Evaluator provider
+ */
+export const createGeminiProvider = ({ apiKey, model = DEFAULT_GEMINI_MODEL }) => {
+  if (!apiKey) {
+    throw new Error('Please set VITE_GEMINI_API_KEY in your .env.local file (GEMINI_API_KEY for the evaluation worker)');
+  }
+  if (!GEMINI_MODELS.includes(model)) {
+    throw new Error(`Model ${model} is not one of the allowed Gemini models: ${GEMINI_MODELS.join(', ')}`);
+  }
+
+  const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    id: 'gemini',
+    model,
+    generate: async ({ contents, generationConfig }) => {
+      const result = await generativeModel.generateContent({ contents, generationConfig });
+      const response = await result.response;
+      return { text: response.text() };
+    }
+  };
+};
+
+const MOCK_MIN_EXEMPLAR_WORDS = 30;
+const MOCK_MIN_AVERAGE_WORDS = 8;
+// Words in one answer field; missing and non-text answers count as none
+const countWords = (value) => (typeof value === 'string' ? value.split(/\s+/).filter(Boolean).length : 0);
+
+/**
+ * Rule-based stage scores: each section is graded on how much the participant
+ * wrote in its answer fields, mirroring the exemplar / average / weak =
+ * full / half / zero rule
+ */
+const scoreStages = (rubric, participant) => {
+  const stageScores = {};
+
+  rubric.criteria.forEach(criterion => {
+    const words = criterion.answers
+      .flatMap(answer => answer.fields)
+      .reduce((sum, field) => sum + countWords(participant?.[field]), 0);
+
+    const status = words >= MOCK_MIN_EXEMPLAR_WORDS ? 'exemplar' : words >= MOCK_MIN_AVERAGE_WORDS ? 'average' : 'weak';
+    const score = Math.floor(criterion.weight * getStatusLevel(status).credit);
+
+    stageScores[criterion.key] = {
+      score,
+      status,
+      feedback: `Mock evaluation: ${words} words of content in this section (${status}).`
+    };
+  });
+
+  return {
+    totalScore: Object.values(stageScores).reduce((sum, stage) => sum + stage.score, 0),
+    stageScores,
+    overallFeedback: 'Mock evaluation generated locally from response length; no model was called.',
+    recommendations: [
+      'Expand the sections graded weak with concrete details',
+      'Link each stage back to the case study',
+      'Quantify the expected impact'
+    ]
+  };
+};
+
+/**
+ * Deterministic document scores between half and full weight, seeded by the
+ * document content so re-running the same file gives the same result
+ */
+const scoreDocument = (rubric, contents) => {
+  const document = contents
+    .flatMap(content => content.parts || [])
+    .map(part => part.inlineData?.data || part.text || '')
+    .join('');
+  const seed = hashString(`${document.length}:${document.slice(0, 10000)}`);
+
+  const output = {};
+  rubric.criteria.forEach((criterion, index) => {
+    const fraction = 0.5 + ((seed >>> index) % 50) / 100;
+    output[criterion.key] = {
+      score: Math.round(criterion.weight * fraction * 100) / 100,
+      justification: `Mock evaluation of ${criterion.label.toLowerCase()}; no model was called.`
+    };
+  });
+
+  output.total_score = Math.round(rubric.criteria.reduce((sum, criterion) => sum + output[criterion.key].score, 0) * 100) / 100;
+  output.strengths = ['Mock strength 1', 'Mock strength 2', 'Mock strength 3'];
+  output.improvements = ['Mock improvement 1', 'Mock improvement 2', 'Mock improvement 3'];
+  output.overall_feedback = 'Mock evaluation generated locally; no model was called.';
+  return output;
+};
+
+/**
+ * Creates a local provider that never touches the network. Output is canned
+ * when `responses` supplies it and rule-based otherwise.
+ * @param {Object} options - Provider options
+ * @param {Object|Function} options.responses - Canned output keyed by rubric id, or a
+ *   function ({ contents, rubric, participant }) returning output (object or raw text); return
+ *   undefined to fall back to the rules
+ * @param {number} options.latencyMs - Artificial delay per call, for demos
+ * @returns {Object} - Evaluator provider
+ */
+export const createMockProvider = ({ responses = null, latencyMs = 0 } = {}) => ({
+  id: 'mock',
+  model: MOCK_MODEL,
+  generate: async ({ contents, rubric, participant = null }) => {
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+
+    const canned = typeof responses === 'function'
+      ? responses({ contents, rubric, participant })
+      : responses?.[rubric.id];
+
+    const output = canned ?? (rubric.kind === 'stages'
+      ? scoreStages(rubric, participant)
+      : scoreDocument(rubric, contents));
+
+    return { text: typeof output === 'string' ? output : JSON.stringify(output) };
+  }
+});
+
+/**
+ * Whether this tab can grade by itself: with the mock provider, or in a
+ * development build that has a Gemini key. Otherwise batches, manual
+ * validation and PDF grading run on the evaluation worker.
+ * @returns {boolean}
+ */
+export const canGradeInBrowser = () => providerId === 'mock' || Boolean(browserGeminiKey);
+
+/**
+ * Returns the provider configured for this deployment
+ * @param {Object} options - Provider options
+ * @param {string} options.model - Model name (Gemini only)
+ * @returns {Object} - Evaluator provider
+ */
+export const getEvaluatorProvider = ({ model } = {}) => {
+  switch (providerId) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: isBrowser ? browserGeminiKey : serverEnv.GEMINI_API_KEY, model });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown evaluator provider: ${providerId}`);
+  }
+};
@@ -0,0 +1,15 @@
+import { describe, expect, it } from 'vitest';
+import { GEMINI_MODELS, createGeminiProvider } from './evaluatorProviders';
+
+describe('createGeminiProvider', () => {
+  it('accepts the allowed models', () => {
+    GEMINI_MODELS.forEach(model => {
+      expect(createGeminiProvider({ apiKey: 'test-key', model }).model).toBe(model);
+    });
+  });
+
+  it('refuses any other model', () => {
+    expect(() => createGeminiProvider({ apiKey: 'test-key', model: 'gemini-ultra-preview' }))
+      .toThrow('Model gemini-ultra-preview is not one of the allowed Gemini models');
+  });
+});
@@ -0,0 +1,166 @@
+import { DEFAULT_GEMINI_MODEL, GEMINI_MODELS } from './evaluatorProviders';
+import { fetchEvaluatorSettings, upsertEvaluatorSettings } from './databaseService';
+
+/**
+ * Per-program model, generation config, rate limits and consensus grading. Admins edit them in the
+ * EvaluatorSettings panel; rows live in the evaluator_settings table and
+ * fall back to the defaults below. Loaded settings are cached for a minute
+ * so batch runs do not re-query them per participant, while an admin's change
+ * still reaches tabs that stay open.
+ */
+
+export const DEFAULT_GENERATION_CONFIG = Object.freeze({
+  temperature: 0.3,
+  maxOutputTokens: 3000
+});
+
+// Request and token budgets are shared by every tab and worker using the model
+export const DEFAULT_RATE_LIMITS = Object.freeze({
+  requestsPerMinute: 55,
+  tokensPerMinute: 1000000,
+  concurrency: 4
+});
+
+// Consensus grading (see src/lib/consensus.js); one run means it is off
+export const DEFAULT_CONSENSUS = Object.freeze({
+  runs: 1,
+  models: [], // Models to alternate between; empty = the program's model only
+  disagreementThreshold: 0.3 // Stage spread, as a fraction of the stage weight, that flags a review
+});
+
+export const DEFAULT_EVALUATOR_SETTINGS = Object.freeze({
+  model: DEFAULT_GEMINI_MODEL,
+  generationConfig: DEFAULT_GENERATION_CONFIG,
+  rateLimits: DEFAULT_RATE_LIMITS,
+  consensus: DEFAULT_CONSENSUS
+});
+
+const MAX_TEMPERATURE = 2;
+const MAX_OUTPUT_TOKENS = 8192;
+const MAX_CONCURRENCY = 20;
+export const MAX_CONSENSUS_RUNS = 5;
+
+// How long loaded settings are reused before the next load reads them again
+export const SETTINGS_CACHE_TTL_MS = 60 * 1000;
+
+const settingsCache = new Map(); // programId -> { settings, loadedAt }
+
+const fromRow = (row) => ({
+  model: row.model,
+  generationConfig: {
+    temperature: Number(row.temperature),
+    maxOutputTokens: row.max_output_tokens
+  },
+  rateLimits: {
+    requestsPerMinute: row.requests_per_minute ?? DEFAULT_RATE_LIMITS.requestsPerMinute,
+    tokensPerMinute: row.tokens_per_minute ?? DEFAULT_RATE_LIMITS.tokensPerMinute,
+    concurrency: row.concurrency ?? DEFAULT_RATE_LIMITS.concurrency
+  },
+  consensus: {
+    runs: row.consensus_runs ?? DEFAULT_CONSENSUS.runs,
+    models: row.consensus_models ?? DEFAULT_CONSENSUS.models,
+    disagreementThreshold: row.disagreement_threshold != null ? Number(row.disagreement_threshold) : DEFAULT_CONSENSUS.disagreementThreshold
+  }
+});
+
+/**
+ * Validates evaluator settings entered by an admin
+ * @param {Object} settings - { model, generationConfig: { temperature, maxOutputTokens }, rateLimits, consensus }
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export const validateEvaluatorSettings = (settings) => {
+  const errors = [];
+  const { temperature, maxOutputTokens } = settings.generationConfig || {};
+  const { requestsPerMinute, tokensPerMinute, concurrency } = settings.rateLimits || {};
+  const { runs, models = [], disagreementThreshold } = settings.consensus || DEFAULT_CONSENSUS;
+
+  if (!settings.model || !settings.model.trim()) {
+    errors.push('Model is required');
+  } else if (!GEMINI_MODELS.includes(settings.model.trim())) {
+    errors.push(`Model must be one of ${GEMINI_MODELS.join(', ')}`);
+  }
+  if (typeof temperature !== 'number' || !Number.isFinite(temperature) || temperature < 0 || temperature > MAX_TEMPERATURE) {
+    errors.push(`Temperature must be between 0 and ${MAX_TEMPERATURE}`);
+  }
+  if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > MAX_OUTPUT_TOKENS) {
+    errors.push(`Max output tokens must be a whole number between 1 and ${MAX_OUTPUT_TOKENS}`);
+  }
+  if (!Number.isInteger(requestsPerMinute) || requestsPerMinute < 1) {
+    errors.push('Requests per minute must be a positive whole number');
+  }
+  if (!Number.isInteger(tokensPerMinute) || tokensPerMinute < 1) {
+    errors.push('Tokens per minute must be a positive whole number');
+  } else if (Number.isInteger(maxOutputTokens) && tokensPerMinute < maxOutputTokens) {
+    errors.push('Tokens per minute must be at least the max output tokens of one request');
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    errors.push(`Concurrency must be a whole number between 1 and ${MAX_CONCURRENCY}`);
+  }
+  if (!Number.isInteger(runs) || runs < 1 || runs > MAX_CONSENSUS_RUNS) {
+    errors.push(`Consensus runs must be a whole number between 1 and ${MAX_CONSENSUS_RUNS}`);
+  }
+  if (!Array.isArray(models) || models.some(name => typeof name !== 'string' || !name.trim())) {
+    errors.push('Consensus models must be model names');
+  } else if (models.some(name => !GEMINI_MODELS.includes(name.trim()))) {
+    errors.push(`Consensus models must be among ${GEMINI_MODELS.join(', ')}`);
+  }
+  if (typeof disagreementThreshold !== 'number' || !Number.isFinite(disagreementThreshold) || disagreementThreshold < 0 || disagreementThreshold > 1) {
+    errors.push('Disagreement threshold must be between 0 and 1');
+  }
+
+  return errors;
+};
+
+/**
+ * Loads the evaluator settings for a program, falling back to the defaults
+ * when none are stored or the table cannot be read
+ * @param {string} programId - Program identifier
+ * @param {Object} options - Load options
+ * @param {boolean} options.refresh - Bypass the cache
+ * @returns {Object} - { model, generationConfig, rateLimits, consensus }
+ */
+export const loadEvaluatorSettings = async (programId, { refresh = false } = {}) => {
+  const cached = settingsCache.get(programId);
+  if (!refresh && cached && Date.now() - cached.loadedAt < SETTINGS_CACHE_TTL_MS) {
+    return cached.settings;
+  }
+
+  const { data, error } = await fetchEvaluatorSettings(programId);
+  if (error) {
+    console.warn(`Using default evaluator settings for ${programId}:`, error);
+  }
+
+  const settings = data ? fromRow(data) : DEFAULT_EVALUATOR_SETTINGS;
+  settingsCache.set(programId, { settings, loadedAt: Date.now() });
+  return settings;
+};
+
+/**
+ * Validates and stores the evaluator settings for a program
+ * @param {string} programId - Program identifier
+ * @param {Object} settings - { model, generationConfig: { temperature, maxOutputTokens }, rateLimits, consensus }
+ * @returns {Object} - Object containing the saved settings and any errors
+ */
+export const saveEvaluatorSettings = async (programId, settings) => {
+  const errors = validateEvaluatorSettings(settings);
+  if (errors.length > 0) {
+    return { data: null, error: errors.join('; ') };
+  }
+
+  const { data, error } = await upsertEvaluatorSettings(programId, {
+    model: settings.model.trim(),
+    temperature: settings.generationConfig.temperature,
+    maxOutputTokens: settings.generationConfig.maxOutputTokens,
+    ...settings.rateLimits,
+    consensusRuns: settings.consensus.runs,
+    consensusModels: settings.consensus.models.map(name => name.trim()),
+    disagreementThreshold: settings.consensus.disagreementThreshold
+  });
+  if (error) {
+    return { data: null, error };
+  }
+
+  const saved = fromRow(data);
+  settingsCache.set(programId, { settings: saved, loadedAt: Date.now() });
+  return { data: saved, error: null };
+};
@@ -0,0 +1,84 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_EVALUATOR_SETTINGS, SETTINGS_CACHE_TTL_MS, loadEvaluatorSettings, validateEvaluatorSettings } from './evaluatorSettings';
+import { fetchEvaluatorSettings } from './databaseService';
+import { GEMINI_MODELS } from './evaluatorProviders';
+
+vi.mock('./databaseService', () => ({
+  fetchEvaluatorSettings: vi.fn(),
+  upsertEvaluatorSettings: vi.fn()
+}));
+
+const row = (model) => ({
+  program: 'GMP',
+  model,
+  temperature: '0.2',
+  max_output_tokens: 2000,
+  requests_per_minute: 30,
+  tokens_per_minute: 500000,
+  concurrency: 2,
+  consensus_runs: 1,
+  consensus_models: [],
+  disagreement_threshold: '0.25'
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('loadEvaluatorSettings', () => {
+  it('reuses loaded settings until they expire, then reads the admin change', async () => {
+    fetchEvaluatorSettings
+      .mockResolvedValueOnce({ data: row('gemini-1.5-flash'), error: null })
+      .mockResolvedValueOnce({ data: row('gemini-1.5-pro'), error: null });
+
+    expect((await loadEvaluatorSettings('TTL')).model).toBe('gemini-1.5-flash');
+    vi.advanceTimersByTime(SETTINGS_CACHE_TTL_MS - 1);
+    expect((await loadEvaluatorSettings('TTL')).model).toBe('gemini-1.5-flash');
+    expect(fetchEvaluatorSettings).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1);
+    const settings = await loadEvaluatorSettings('TTL');
+
+    expect(settings.model).toBe('gemini-1.5-pro');
+    expect(settings.generationConfig).toEqual({ temperature: 0.2, maxOutputTokens: 2000 });
+    expect(fetchEvaluatorSettings).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the defaults when the table cannot be read', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    fetchEvaluatorSettings.mockResolvedValue({ data: null, error: 'relation "evaluator_settings" does not exist' });
+
+    expect(await loadEvaluatorSettings('MISSING', { refresh: true })).toBe(DEFAULT_EVALUATOR_SETTINGS);
+  });
+});
+
+describe('validateEvaluatorSettings', () => {
+  it('accepts the defaults', () => {
+    expect(validateEvaluatorSettings(DEFAULT_EVALUATOR_SETTINGS)).toEqual([]);
+  });
+
+  it('rejects a token budget smaller than one request', () => {
+    const settings = { ...DEFAULT_EVALUATOR_SETTINGS, rateLimits: { ...DEFAULT_EVALUATOR_SETTINGS.rateLimits, tokensPerMinute: 100 } };
+
+    expect(validateEvaluatorSettings(settings)).toEqual(['Tokens per minute must be at least the max output tokens of one request']);
+  });
+
+  it('rejects models outside the allowlist', () => {
+    const settings = {
+      ...DEFAULT_EVALUATOR_SETTINGS,
+      model: 'gemini-ultra-preview',
+      consensus: { ...DEFAULT_EVALUATOR_SETTINGS.consensus, runs: 2, models: ['gemini-1.5-pro', 'other-model'] }
+    };
+
+    expect(validateEvaluatorSettings(settings)).toEqual([
+      `Model must be one of ${GEMINI_MODELS.join(', ')}`,
+      `Consensus models must be among ${GEMINI_MODELS.join(', ')}`
+    ]);
+  });
+});
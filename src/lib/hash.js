@@ -0,0 +1,21 @@
+/**
+ * Stable 32-bit FNV-1a hash. Not cryptographic; used to fingerprint prompt
+ * templates and to seed deterministic mock scores.
+ * @param {string} value - Text to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+export const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * Hashes text to a fixed-width hex string
+ * @param {string} value - Text to hash
+ * @returns {string} - 8-character hex digest
+ */
+export const hashHex = (value) => hashString(value).toString(16).padStart(8, '0');
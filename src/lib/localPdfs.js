@@ -0,0 +1,91 @@
+import JSZip from 'jszip';
+
+/**
+ * Local PDF submissions for the PDF evaluator: PDFs dropped or picked from
+ * disk and PDFs inside ZIP archives (email attachments, LMS exports). Each
+ * becomes a file entry shaped like a Drive file, carrying its own blob, so it
+ * goes through the same evaluation and pdf_evaluation_results storage. The id
+ * is derived from the content ("local:<sha-256 prefix>") and every local file
+ * gets the same modifiedTime, so re-uploading, copying or re-zipping an
+ * unchanged file is recognised as already graded.
+ */
+
+const ZIP_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+const isPdf = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+const isZip = (file) => ZIP_MIME_TYPES.includes(file.type) || /\.zip$/i.test(file.name);
+
+// macOS resource forks and hidden files that archivers add next to the real entries
+const isArchiveJunk = (path) => path.startsWith('__MACOSX/') || path.split('/').some(part => part.startsWith('.'));
+
+// The content hash already identifies the version; disk and ZIP dates would split it
+export const LOCAL_MODIFIED_TIME = new Date(0).toISOString();
+
+const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').substring(0, 32);
+};
+
+const toLocalPdf = async (blob, { name, path }) => ({
+  id: `local:${await hashBlob(blob)}`,
+  name,
+  path,
+  mimeType: 'application/pdf',
+  modifiedTime: LOCAL_MODIFIED_TIME,
+  size: blob.size,
+  blob
+});
+
+const readZip = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+  const entries = Object.values(zip.files)
+    .filter(entry => !entry.dir && /\.pdf$/i.test(entry.name) && !isArchiveJunk(entry.name));
+
+  return Promise.all(entries.map(async (entry) => {
+    const parts = entry.name.split('/');
+    const name = parts.pop();
+    const data = await entry.async('blob');
+    return toLocalPdf(new Blob([data], { type: 'application/pdf' }), {
+      name,
+      path: `${file.name}/${parts.length > 0 ? `${parts.join('/')}/` : ''}`
+    });
+  }));
+};
+
+/**
+ * Turns dropped or picked files into evaluator file entries. ZIP archives are
+ * expanded (PDFs in nested folders included); other files are reported back.
+ * @param {File[]|FileList} fileList - Files from a drop event or file input
+ * @returns {Object} - { files: [{ id, name, path, mimeType, modifiedTime, size, blob }], skipped: [{ name, reason }] }
+ */
+export const collectLocalPdfs = async (fileList) => {
+  const files = [];
+  const skipped = [];
+
+  for (const file of Array.from(fileList)) {
+    try {
+      if (isZip(file)) {
+        const pdfs = await readZip(file);
+        if (pdfs.length === 0) {
+          skipped.push({ name: file.name, reason: 'no PDFs in archive' });
+        }
+        files.push(...pdfs);
+      } else if (isPdf(file)) {
+        files.push(await toLocalPdf(file, { name: file.name, path: '' }));
+      } else {
+        skipped.push({ name: file.name, reason: 'not a PDF or ZIP file' });
+      }
+    } catch (error) {
+      skipped.push({ name: file.name, reason: error.message });
+    }
+  }
+
+  // The same PDF dropped twice (or in two archives) is evaluated once
+  const unique = new Map();
+  files.forEach(file => {
+    if (!unique.has(file.id)) {
+      unique.set(file.id, file);
+    }
+  });
+  return { files: [...unique.values()], skipped };
+};
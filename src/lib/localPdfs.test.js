@@ -0,0 +1,40 @@
+import JSZip from 'jszip';
+import { describe, expect, it } from 'vitest';
+import { LOCAL_MODIFIED_TIME, collectLocalPdfs } from './localPdfs';
+
+const pdfBytes = '%PDF-1.4\n% report\n%%EOF';
+
+const zipOf = async (entries, name) => {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([path, content]) => zip.file(path, content, { date: new Date('2025-03-01T10:00:00Z') }));
+  return new File([await zip.generateAsync({ type: 'blob' })], name, { type: 'application/zip' });
+};
+
+describe('collectLocalPdfs', () => {
+  it('gives an unchanged PDF the same id and modified time wherever it came from', async () => {
+    const uploaded = new File([pdfBytes], 'report.pdf', { type: 'application/pdf', lastModified: Date.parse('2025-01-01') });
+    const copied = new File([pdfBytes], 'report copy.pdf', { type: 'application/pdf', lastModified: Date.parse('2025-06-01') });
+
+    const [first] = (await collectLocalPdfs([uploaded])).files;
+    const [second] = (await collectLocalPdfs([copied])).files;
+    const [zipped] = (await collectLocalPdfs([await zipOf({ 'team/report.pdf': pdfBytes }, 'export.zip')])).files;
+
+    expect(first.id).toMatch(/^local:[0-9a-f]{32}$/);
+    [first, second, zipped].forEach(file => {
+      expect(file.id).toBe(first.id);
+      expect(file.modifiedTime).toBe(LOCAL_MODIFIED_TIME);
+    });
+    expect(zipped.path).toBe('export.zip/team/');
+  });
+
+  it('evaluates a PDF found twice once and reports other files', async () => {
+    const archive = await zipOf({ 'a.pdf': pdfBytes, '__MACOSX/._a.pdf': 'junk', 'notes.txt': 'x' }, 'submissions.zip');
+    const loose = new File([pdfBytes], 'a.pdf', { type: 'application/pdf' });
+    const image = new File(['png'], 'photo.png', { type: 'image/png' });
+
+    const { files, skipped } = await collectLocalPdfs([archive, loose, image]);
+
+    expect(files).toHaveLength(1);
+    expect(skipped).toEqual([{ name: 'photo.png', reason: 'not a PDF or ZIP file' }]);
+  });
+});
@@ -0,0 +1,49 @@
+import { createRunnerId } from './evaluationSession';
+import { gradeAndSaveParticipant } from './participantGrading';
+import { logProcessEvent } from './databaseService';
+
+/**
+ * Single-user validation from CaseQuestions. The participant goes through
+ * the same grading flow as a batch run (participantGrading.js), tagged with
+ * source 'manual' and its own session id, so it shows up in the history,
+ * statistics and exports. Unlike a batch run, a participant with a
+ * successful evaluation is graded again; that row is kept and marked
+ * superseded by the new one. A failed validation of such a participant is
+ * only logged, so the error row never becomes their latest result.
+ * Production builds run it on the evaluation worker
+ * (POST /evaluations/participant), which holds the Gemini key.
+ */
+
+const COMPONENT_NAME = 'CaseQuestions';
+const SOURCE = 'manual';
+
+/**
+ * Evaluates one participant and saves the result
+ * @param {Object} options - Validation options
+ * @param {Object} options.program - Program definition
+ * @param {Object} options.user - Participant row with stage answers
+ * @returns {Object} - { results, sessionId, evaluationId, dbError }; throws when the evaluation fails (after saving or logging the error)
+ */
+export const runManualEvaluation = async ({ program, user }) => {
+  const sessionId = createRunnerId(SOURCE);
+  const graded = await gradeAndSaveParticipant({
+    program,
+    user,
+    source: SOURCE,
+    sessionId,
+    regradeSuccessful: true,
+    log: (logData) => logProcessEvent({
+      sessionId,
+      program: program.id,
+      componentName: COMPONENT_NAME,
+      source: SOURCE,
+      ...logData
+    })
+  });
+
+  if (graded.outcome === 'error') {
+    throw graded.error;
+  }
+
+  return { results: graded.results, sessionId, evaluationId: graded.recordId, dbError: graded.dbError };
+};
@@ -0,0 +1,66 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { runManualEvaluation } from './manualEvaluation';
+import { evaluateParticipant } from './evaluateParticipant';
+import { checkEvaluationExists, logProcessEvent, saveEvaluationError } from './databaseService';
+import { getProgram } from './programs';
+
+vi.mock('./evaluateParticipant', async (importOriginal) => ({
+  ...(await importOriginal()),
+  evaluateParticipant: vi.fn()
+}));
+
+vi.mock('./databaseService', () => ({
+  checkEvaluationExists: vi.fn(),
+  completeRegradeRequest: vi.fn(),
+  logProcessEvent: vi.fn().mockResolvedValue({ data: null, error: null }),
+  saveEvaluationError: vi.fn().mockResolvedValue({ data: { id: 9 }, error: null }),
+  saveEvaluationResults: vi.fn(),
+  supersedeEvaluation: vi.fn(),
+  updateEvaluationResults: vi.fn()
+}));
+
+const program = getProgram('GMP');
+const user = { email: 'participant@example.com', case_id: program.caseBank[0].id };
+
+const errorLog = () => logProcessEvent.mock.calls.map(([logData]) => logData).find(logData => logData.logType === 'USER_ERROR');
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  evaluateParticipant.mockRejectedValue(new Error('Request payload is invalid'));
+});
+
+describe('runManualEvaluation failures', () => {
+  it('keeps a successful evaluation current and only logs the failure', async () => {
+    checkEvaluationExists.mockResolvedValue({
+      exists: true,
+      data: { id: 7, evaluation_status: 'success', total_score: 62 },
+      error: null,
+      regradeRequest: null
+    });
+
+    await expect(runManualEvaluation({ program, user })).rejects.toThrow('Request payload is invalid');
+
+    expect(saveEvaluationError).not.toHaveBeenCalled();
+    expect(errorLog()).toMatchObject({
+      message: 'Failed to evaluate participant@example.com: Request payload is invalid (kept evaluation with score 62)',
+      dbSaveAttempted: false,
+      details: expect.objectContaining({ previousRecordId: 7 })
+    });
+  });
+
+  it.each([
+    ['has no evaluation', { exists: false, data: null, error: null, regradeRequest: null }],
+    ['only has a failed evaluation', { exists: true, data: { id: 3, evaluation_status: 'error', total_score: 0 }, error: null, regradeRequest: null }]
+  ])('saves an error row when the participant %s', async (_, existingCheck) => {
+    checkEvaluationExists.mockResolvedValue(existingCheck);
+
+    await expect(runManualEvaluation({ program, user })).rejects.toThrow('Request payload is invalid');
+
+    expect(saveEvaluationError).toHaveBeenCalledWith(expect.objectContaining({
+      email: user.email,
+      error_message: 'Request payload is invalid',
+      source: 'manual'
+    }));
+    expect(errorLog()).toMatchObject({ dbSaveAttempted: true, dbSaveSuccessful: true });
+  });
+});
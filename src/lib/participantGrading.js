@@ -0,0 +1,289 @@
+import { evaluateParticipant, getFailureMetadata } from './evaluateParticipant';
+import { classifyEvaluationError } from './evaluationErrors';
+import {
+  checkEvaluationExists,
+  completeRegradeRequest,
+  saveEvaluationError,
+  saveEvaluationResults,
+  supersedeEvaluation,
+  updateEvaluationResults
+} from './databaseService';
+
+/**
+ * Grades one participant and stores the outcome. This is the whole
+ * per-participant flow of browser batches (BatchEvaluationProcessor), worker
+ * jobs (server/jobRunner.js) and manual validation (manualEvaluation.js):
+ *
+ * - a participant whose latest evaluation succeeded is skipped, unless a
+ *   regrade was requested or the caller regrades successful rows (manual
+ *   validation);
+ * - a failed latest row is updated in place; any other grade is a new row,
+ *   and the successful row it replaces is marked superseded;
+ * - a failure never saves an error row over a successful evaluation, since
+ *   checkEvaluationExists would then read the error as the latest result.
+ *
+ * Every step is written to process_logs through the caller's `log`.
+ */
+
+export const ALREADY_EVALUATED_REASON = 'Already evaluated with success status';
+export const OPERATOR_SKIP_REASON = 'Skipped by operator';
+
+/**
+ * Grades one participant, saves the result or the error and logs each step
+ * @param {Object} options - Grading options
+ * @param {Object} options.program - Program definition
+ * @param {Object} options.user - Participant row with stage answers
+ * @param {string} options.source - Where the evaluation runs: batch, worker or manual
+ * @param {string} options.sessionId - Session the rows and logs belong to
+ * @param {string|null} options.batchId - Batch the participant belongs to
+ * @param {boolean} options.regradeSuccessful - Grade a participant with a successful evaluation again instead of skipping them
+ * @param {Object|null} options.provider - Evaluator provider override (defaults to the configured models)
+ * @param {Promise|null} options.skipRequested - Resolves when the operator skips the participant mid-evaluation
+ * @param {Function} options.log - async (logData) => void; adds the caller's session and batch fields to a process log entry
+ * @returns {Object} - { outcome: 'success' | 'updated' | 'skipped' | 'error', totalScore, results, evaluationMetadata, recordId, previousScore, isUpdate, savedToDatabase, dbError, skippedReason, skippedByOperator, error, finishedAt }
+ */
+export const gradeAndSaveParticipant = async ({
+  program,
+  user,
+  source,
+  sessionId,
+  batchId = null,
+  regradeSuccessful = false,
+  provider = null,
+  skipRequested = null,
+  log
+}) => {
+  const startTime = Date.now();
+  const caseId = user.case_id || user.selected_case_id;
+  const logUser = (logData) => log({ email: user.email, ...logData });
+
+  await logUser({
+    logType: 'USER_PROCESSING_START',
+    message: `Starting evaluation of ${user.email}`,
+    details: { userCaseId: caseId },
+    startedAt: new Date().toISOString()
+  });
+
+  const existingCheck = await checkEvaluationExists(user.email, program.id);
+  if (existingCheck.error) {
+    // Graded as a new participant; the check only decides skips and updates
+    await logUser({
+      logLevel: 'WARN',
+      logType: 'DUPLICATE_CHECK_ERROR',
+      message: `Error checking existing evaluation for ${user.email}`,
+      errorMessage: existingCheck.error,
+      dbSaveAttempted: false,
+      dbSaveSuccessful: false
+    });
+  }
+  const previous = existingCheck.error ? null : existingCheck.data;
+  const regradeRequest = existingCheck.error ? null : existingCheck.regradeRequest || null;
+  const hasSuccess = previous?.evaluation_status === 'success';
+
+  if (hasSuccess && !regradeRequest && !regradeSuccessful) {
+    await logUser({
+      logType: 'USER_SKIPPED',
+      message: `Skipped ${user.email} - already evaluated`,
+      processingStatus: 'skipped',
+      totalScore: previous.total_score,
+      processingDurationMs: Date.now() - startTime,
+      dbSaveAttempted: false,
+      dbSaveSuccessful: false,
+      details: {
+        reason: ALREADY_EVALUATED_REASON,
+        existingScore: previous.total_score,
+        existingProcessedAt: previous.processed_at
+      },
+      completedAt: new Date().toISOString()
+    });
+    return {
+      outcome: 'skipped',
+      totalScore: previous.total_score,
+      skippedReason: ALREADY_EVALUATED_REASON,
+      savedToDatabase: true,
+      finishedAt: previous.processed_at
+    };
+  }
+
+  // Failed rows are updated in place; a successful row is kept and superseded
+  const isUpdate = Boolean(previous) && !hasSuccess;
+  const previousScore = regradeRequest?.previous_total_score ?? (hasSuccess ? previous.total_score : null);
+
+  if (regradeRequest) {
+    await logUser({
+      logType: 'USER_REGRADE_START',
+      message: `Regrading ${user.email} - ${regradeRequest.reason}`,
+      details: {
+        regradeRequestId: regradeRequest.id,
+        reason: regradeRequest.reason,
+        requestedBy: regradeRequest.requested_by,
+        previousRecordId: regradeRequest.previous_evaluation_id,
+        previousScore: regradeRequest.previous_total_score
+      }
+    });
+  } else if (isUpdate) {
+    await logUser({
+      logType: 'USER_UPDATE_START',
+      message: `Updating existing evaluation for ${user.email} - previous status: ${previous.evaluation_status}`,
+      details: { previousStatus: previous.evaluation_status, recordId: previous.id }
+    });
+  }
+
+  let evaluated;
+  try {
+    const evaluation = evaluateParticipant({
+      program,
+      user,
+      provider,
+      onRetry: ({ error, code, attempt, delayMs }) => logUser({
+        logLevel: 'WARN',
+        logType: 'USER_RETRY',
+        message: `Retrying ${user.email} after ${code} (attempt ${attempt}) in ${Math.round(delayMs / 1000)}s`,
+        errorMessage: error.message,
+        errorCode: code,
+        details: { attempt, delayMs }
+      })
+    });
+    if (skipRequested) {
+      evaluation.catch(() => {}); // Still settles after a skip; its result is discarded
+    }
+    evaluated = await (skipRequested ? Promise.race([evaluation, skipRequested.then(() => null)]) : evaluation);
+  } catch (error) {
+    const { code: errorCode, retryable } = classifyEvaluationError(error);
+    const failureMetadata = getFailureMetadata(error, program);
+    const dbResult = hasSuccess ? { error: null } : await saveEvaluationError({
+      email: user.email,
+      user_id: user.user_id,
+      case_id: caseId,
+      error_message: error.message,
+      batchId,
+      program: program.id,
+      source,
+      sessionId,
+      ...failureMetadata
+    });
+
+    await logUser({
+      logLevel: 'ERROR',
+      logType: 'USER_ERROR',
+      message: `Failed to evaluate ${user.email}: ${error.message}${hasSuccess ? ` (kept evaluation with score ${previous.total_score})` : ''}`,
+      processingStatus: 'error',
+      processingDurationMs: Date.now() - startTime,
+      errorMessage: error.message,
+      errorCode,
+      stackTrace: error.stack,
+      dbSaveAttempted: !hasSuccess,
+      dbSaveSuccessful: !hasSuccess && !dbResult.error,
+      dbErrorMessage: dbResult.error,
+      details: {
+        validationErrors: error.validationErrors || null,
+        retryable,
+        attempts: error.attempts || 1,
+        previousRecordId: previous?.id || null,
+        promptVersion: failureMetadata.promptVersion,
+        promptHash: failureMetadata.promptHash
+      },
+      aiModel: failureMetadata.aiModel,
+      completedAt: new Date().toISOString()
+    });
+
+    return {
+      outcome: 'error',
+      totalScore: null,
+      error,
+      savedToDatabase: !hasSuccess && !dbResult.error,
+      dbError: dbResult.error,
+      finishedAt: new Date().toISOString()
+    };
+  }
+
+  if (!evaluated) {
+    await logUser({
+      logType: 'USER_SKIPPED',
+      message: `Skipped ${user.email} - ${OPERATOR_SKIP_REASON.toLowerCase()}`,
+      processingStatus: 'skipped',
+      processingDurationMs: Date.now() - startTime,
+      dbSaveAttempted: false,
+      dbSaveSuccessful: false,
+      details: { reason: OPERATOR_SKIP_REASON, skippedByOperator: true },
+      completedAt: new Date().toISOString()
+    });
+    return {
+      outcome: 'skipped',
+      totalScore: null,
+      skippedReason: OPERATOR_SKIP_REASON,
+      skippedByOperator: true,
+      savedToDatabase: false,
+      finishedAt: new Date().toISOString()
+    };
+  }
+
+  const { results, apiCalls, evaluationMetadata } = evaluated;
+  const evaluationData = {
+    email: user.email,
+    user_id: user.user_id,
+    case_id: caseId,
+    aiResults: results,
+    batchId,
+    program: program.id,
+    regradeRequestId: regradeRequest?.id,
+    source,
+    sessionId,
+    ...evaluationMetadata
+  };
+  const dbResult = isUpdate
+    ? await updateEvaluationResults(previous.id, evaluationData)
+    : await saveEvaluationResults(evaluationData);
+
+  let dbError = dbResult.error;
+  if (!dbError) {
+    const { error: linkError } = regradeRequest
+      ? await completeRegradeRequest(regradeRequest, dbResult.data)
+      : await supersedeEvaluation(hasSuccess ? previous.id : null, dbResult.data.id);
+    if (linkError) {
+      dbError = `Evaluation saved but the previous evaluation was not linked: ${linkError}`;
+    }
+  }
+
+  const recordId = isUpdate ? previous.id : dbResult.data?.id || null;
+  const isRegrade = Boolean(regradeRequest) || hasSuccess;
+  const needsReview = evaluationMetadata.consensus?.needsReview || false;
+  await logUser({
+    logLevel: needsReview ? 'WARN' : 'INFO', // Consensus disagreement
+    logType: isUpdate || isRegrade ? 'USER_UPDATED' : 'USER_SUCCESS',
+    message: `${isRegrade ? 'Regraded' : isUpdate ? 'Updated' : 'Evaluated'} ${user.email} with score ${results.totalScore}${previousScore != null ? ` (was ${previousScore})` : ''}${needsReview ? ' (needs review)' : ''}`,
+    processingStatus: 'success',
+    totalScore: results.totalScore,
+    processingDurationMs: Date.now() - startTime,
+    apiCallsMade: apiCalls, // Model calls including repair attempts and retries
+    dbSaveAttempted: true,
+    dbSaveSuccessful: !dbResult.error,
+    dbErrorMessage: dbError,
+    details: {
+      stageScores: results.stageScores,
+      isUpdate,
+      recordId,
+      previousRecordId: regradeRequest?.previous_evaluation_id || (hasSuccess ? previous.id : null),
+      regradeRequestId: regradeRequest?.id || null,
+      previousScore,
+      promptVersion: evaluationMetadata.promptVersion,
+      promptHash: evaluationMetadata.promptHash,
+      consensus: evaluationMetadata.consensus
+    },
+    aiModel: evaluationMetadata.aiModel,
+    completedAt: new Date().toISOString()
+  });
+
+  return {
+    outcome: isUpdate || isRegrade ? 'updated' : 'success',
+    totalScore: results.totalScore,
+    results,
+    evaluationMetadata,
+    recordId,
+    previousScore,
+    isUpdate,
+    savedToDatabase: !dbResult.error,
+    dbError,
+    finishedAt: new Date().toISOString()
+  };
+};
@@ -0,0 +1,171 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { ALREADY_EVALUATED_REASON, OPERATOR_SKIP_REASON, gradeAndSaveParticipant } from './participantGrading';
+import { evaluateParticipant } from './evaluateParticipant';
+import {
+  checkEvaluationExists,
+  completeRegradeRequest,
+  saveEvaluationError,
+  saveEvaluationResults,
+  supersedeEvaluation,
+  updateEvaluationResults
+} from './databaseService';
+import { getProgram } from './programs';
+
+vi.mock('./evaluateParticipant', async (importOriginal) => ({
+  ...(await importOriginal()),
+  evaluateParticipant: vi.fn()
+}));
+
+vi.mock('./databaseService', () => ({
+  checkEvaluationExists: vi.fn(),
+  completeRegradeRequest: vi.fn().mockResolvedValue({ data: {}, error: null }),
+  saveEvaluationError: vi.fn().mockResolvedValue({ data: { id: 9 }, error: null }),
+  saveEvaluationResults: vi.fn().mockResolvedValue({ data: { id: 20, total_score: 71 }, error: null }),
+  supersedeEvaluation: vi.fn().mockResolvedValue({ data: null, error: null }),
+  updateEvaluationResults: vi.fn().mockResolvedValue({ data: { id: 3, total_score: 71 }, error: null })
+}));
+
+const program = getProgram('GMP');
+const user = { email: 'participant@example.com', user_id: 'u1', case_id: program.caseBank[0].id };
+const evaluated = {
+  results: { totalScore: 71, stageScores: {} },
+  apiCalls: 1,
+  evaluationMetadata: { aiModel: 'gemini-test', consensus: null, promptVersion: 'v1', promptHash: 'abc' }
+};
+
+const existing = (data, regradeRequest = null) => ({ exists: Boolean(data), data, error: null, regradeRequest });
+const successRow = { id: 7, evaluation_status: 'success', total_score: 62, processed_at: '2026-10-01T09:00:00.000Z' };
+const errorRow = { id: 3, evaluation_status: 'error', total_score: 0 };
+const regradeRequest = { id: 5, reason: 'Rubric changed', previous_evaluation_id: 7, previous_total_score: 62 };
+
+let log;
+const grade = (options = {}) => gradeAndSaveParticipant({ program, user, source: 'batch', sessionId: 's1', batchId: 'b1', log, ...options });
+const loggedTypes = () => log.mock.calls.map(([logData]) => logData.logType);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  log = vi.fn().mockResolvedValue(undefined);
+  checkEvaluationExists.mockResolvedValue(existing(null));
+  evaluateParticipant.mockResolvedValue(evaluated);
+});
+
+describe('gradeAndSaveParticipant', () => {
+  it('saves a new participant as a new row', async () => {
+    const graded = await grade();
+
+    expect(graded).toMatchObject({ outcome: 'success', totalScore: 71, recordId: 20, savedToDatabase: true, dbError: null });
+    expect(saveEvaluationResults).toHaveBeenCalledWith(expect.objectContaining({
+      email: user.email,
+      aiResults: evaluated.results,
+      batchId: 'b1',
+      source: 'batch',
+      sessionId: 's1',
+      aiModel: 'gemini-test'
+    }));
+    expect(loggedTypes()).toEqual(['USER_PROCESSING_START', 'USER_SUCCESS']);
+    expect(log).toHaveBeenLastCalledWith(expect.objectContaining({ email: user.email, message: 'Evaluated participant@example.com with score 71' }));
+  });
+
+  it('skips a participant already evaluated successfully', async () => {
+    checkEvaluationExists.mockResolvedValue(existing(successRow));
+
+    const graded = await grade();
+
+    expect(graded).toMatchObject({ outcome: 'skipped', totalScore: 62, skippedReason: ALREADY_EVALUATED_REASON });
+    expect(evaluateParticipant).not.toHaveBeenCalled();
+    expect(loggedTypes()).toEqual(['USER_PROCESSING_START', 'USER_SKIPPED']);
+  });
+
+  it('updates a failed evaluation in place', async () => {
+    checkEvaluationExists.mockResolvedValue(existing(errorRow));
+
+    const graded = await grade();
+
+    expect(graded).toMatchObject({ outcome: 'updated', recordId: 3, isUpdate: true });
+    expect(updateEvaluationResults).toHaveBeenCalledWith(3, expect.objectContaining({ email: user.email }));
+    expect(saveEvaluationResults).not.toHaveBeenCalled();
+    expect(loggedTypes()).toEqual(['USER_PROCESSING_START', 'USER_UPDATE_START', 'USER_UPDATED']);
+  });
+
+  it('regrades on request and completes the request with the new row', async () => {
+    checkEvaluationExists.mockResolvedValue(existing(successRow, regradeRequest));
+
+    const graded = await grade();
+
+    expect(graded).toMatchObject({ outcome: 'updated', previousScore: 62, recordId: 20 });
+    expect(saveEvaluationResults).toHaveBeenCalledWith(expect.objectContaining({ regradeRequestId: 5 }));
+    expect(completeRegradeRequest).toHaveBeenCalledWith(regradeRequest, { id: 20, total_score: 71 });
+    expect(supersedeEvaluation).not.toHaveBeenCalled();
+    expect(log).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Regraded participant@example.com with score 71 (was 62)' }));
+  });
+
+  it('supersedes a successful evaluation when the caller regrades successful rows', async () => {
+    checkEvaluationExists.mockResolvedValue(existing(successRow));
+
+    const graded = await grade({ source: 'manual', regradeSuccessful: true });
+
+    expect(graded).toMatchObject({ outcome: 'updated', previousScore: 62, recordId: 20 });
+    expect(supersedeEvaluation).toHaveBeenCalledWith(7, 20);
+  });
+
+  it('reports a saved evaluation that could not be linked to the one it replaces', async () => {
+    checkEvaluationExists.mockResolvedValue(existing(successRow));
+    supersedeEvaluation.mockResolvedValueOnce({ data: null, error: 'permission denied' });
+
+    const graded = await grade({ regradeSuccessful: true });
+
+    expect(graded).toMatchObject({
+      savedToDatabase: true,
+      dbError: 'Evaluation saved but the previous evaluation was not linked: permission denied'
+    });
+  });
+
+  it('saves an error row when the evaluation fails', async () => {
+    const failure = Object.assign(new Error('Request payload is invalid'), { status: 400 });
+    evaluateParticipant.mockRejectedValue(failure);
+
+    const graded = await grade();
+
+    expect(graded).toMatchObject({ outcome: 'error', error: failure, savedToDatabase: true });
+    expect(saveEvaluationError).toHaveBeenCalledWith(expect.objectContaining({
+      email: user.email,
+      error_message: 'Request payload is invalid',
+      source: 'batch',
+      batchId: 'b1'
+    }));
+    expect(log).toHaveBeenLastCalledWith(expect.objectContaining({ logType: 'USER_ERROR', errorCode: 'INVALID_REQUEST' }));
+  });
+
+  it('keeps a successful evaluation current when its regrade fails', async () => {
+    checkEvaluationExists.mockResolvedValue(existing(successRow, regradeRequest));
+    evaluateParticipant.mockRejectedValue(new Error('Request payload is invalid'));
+
+    const graded = await grade();
+
+    expect(graded).toMatchObject({ outcome: 'error', savedToDatabase: false });
+    expect(saveEvaluationError).not.toHaveBeenCalled();
+    expect(log).toHaveBeenLastCalledWith(expect.objectContaining({
+      message: 'Failed to evaluate participant@example.com: Request payload is invalid (kept evaluation with score 62)',
+      dbSaveAttempted: false
+    }));
+  });
+
+  it('still grades the participant when the existing check fails', async () => {
+    checkEvaluationExists.mockResolvedValue({ exists: false, data: null, error: 'timeout' });
+
+    const graded = await grade();
+
+    expect(graded.outcome).toBe('success');
+    expect(loggedTypes()).toEqual(['USER_PROCESSING_START', 'DUPLICATE_CHECK_ERROR', 'USER_SUCCESS']);
+  });
+
+  it('discards the evaluation when the operator skips the participant', async () => {
+    evaluateParticipant.mockReturnValue(new Promise(() => {}));
+
+    const graded = await grade({ skipRequested: Promise.resolve() });
+
+    expect(graded).toMatchObject({ outcome: 'skipped', totalScore: null, skippedReason: OPERATOR_SKIP_REASON, skippedByOperator: true });
+    expect(saveEvaluationResults).not.toHaveBeenCalled();
+    expect(saveEvaluationError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+import { fetchPdfEvaluationResults } from './databaseService';
+
+/**
+ * Stored Google Drive PDF evaluations. Rows in pdf_evaluation_results are
+ * keyed by Drive file id and modifiedTime: a file whose current version has a
+ * successful row is already graded, any other file (new, changed in Drive or
+ * failed last time) is graded on the next run.
+ */
+
+// Most recent evaluations shown when the evaluator opens
+const STORED_RESULTS_LIMIT = 1000;
+const FILE_ID_CHUNK_SIZE = 100;
+
+const sameTime = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * Rebuilds the evaluator's result shape from a stored row
+ * @param {Object} row - pdf_evaluation_results row
+ * @returns {Object} - { fileId, fileName, modifiedTime, processedAt, <criterion key>: { score, justification }, total_score, strengths, improvements, overall_feedback, input } or { ..., error }
+ */
+export const resultFromRow = (row) => {
+  const file = {
+    fileId: row.drive_file_id,
+    fileName: row.file_name,
+    modifiedTime: row.drive_modified_time,
+    processedAt: row.processed_at
+  };
+
+  if (row.evaluation_status !== 'success') {
+    return { ...file, error: row.error_message };
+  }
+
+  return {
+    ...file,
+    ...row.criterion_scores,
+    total_score: row.total_score != null ? Number(row.total_score) : null,
+    strengths: row.strengths || [],
+    improvements: row.improvements || [],
+    overall_feedback: row.overall_feedback,
+    input: row.input_method ? { method: row.input_method, ...row.extraction_stats } : null
+  };
+};
+
+/**
+ * Loads the latest stored evaluation of each file
+ * @param {string} rubricId - Document rubric identifier
+ * @returns {Object} - Object containing evaluator results (newest first) and any errors
+ */
+export const loadPdfEvaluations = async (rubricId) => {
+  const { data, error } = await fetchPdfEvaluationResults(rubricId, { limit: STORED_RESULTS_LIMIT });
+  if (error) {
+    return { data: null, error };
+  }
+
+  // Rows are newest first, so the first row of a file is its latest evaluation
+  const latest = new Map();
+  data.forEach(row => {
+    if (!latest.has(row.drive_file_id)) {
+      latest.set(row.drive_file_id, row);
+    }
+  });
+
+  return { data: [...latest.values()].map(resultFromRow), error: null };
+};
+
+/**
+ * Finds the files whose current Drive version already has a successful evaluation
+ * @param {string} rubricId - Document rubric identifier
+ * @param {Object[]} files - Drive files ({ id, name, modifiedTime })
+ * @returns {Object} - Object containing { <file id>: stored result } and any errors
+ */
+export const findGradedFiles = async (rubricId, files) => {
+  const data = [];
+  // Chunked so the id filter stays within URL length limits for large folders
+  for (let i = 0; i < files.length; i += FILE_ID_CHUNK_SIZE) {
+    const chunk = files.slice(i, i + FILE_ID_CHUNK_SIZE).map(file => file.id);
+    const { data: rows, error } = await fetchPdfEvaluationResults(rubricId, { fileIds: chunk });
+    if (error) {
+      return { data: null, error };
+    }
+    data.push(...rows);
+  }
+
+  const graded = {};
+  files.forEach(file => {
+    const row = data.find(item =>
+      item.drive_file_id === file.id &&
+      item.evaluation_status === 'success' &&
+      sameTime(item.drive_modified_time, file.modifiedTime)
+    );
+    if (row) {
+      graded[file.id] = resultFromRow(row);
+    }
+  });
+
+  return { data: graded, error: null };
+};
@@ -0,0 +1,161 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { findGradedFiles, loadPdfEvaluations, resultFromRow } from './pdfEvaluations';
+import { fetchPdfEvaluationResults } from './databaseService';
+import { DEFAULT_DOCUMENT_RUBRIC_ID } from './rubrics';
+
+vi.mock('./databaseService', () => ({
+  fetchPdfEvaluationResults: vi.fn()
+}));
+
+const RUBRIC_ID = DEFAULT_DOCUMENT_RUBRIC_ID;
+
+let storedRows;
+
+const storedRow = (fileId, modifiedTime, fields = {}) => ({
+  drive_file_id: fileId,
+  file_name: `${fileId}.pdf`,
+  drive_modified_time: modifiedTime,
+  processed_at: '2026-03-01T12:00:00+00:00',
+  rubric_id: RUBRIC_ID,
+  evaluation_status: 'success',
+  criterion_scores: { criterion1: { score: 8, justification: 'All sections present' } },
+  total_score: '42.5',
+  strengths: ['Clear methodology'],
+  improvements: ['Cite sources'],
+  overall_feedback: 'Good report',
+  input_method: 'text',
+  extraction_stats: { pages: 12, chunks: 2 },
+  ...fields
+});
+
+const file = (id, modifiedTime) => ({ id, name: `${id}.pdf`, modifiedTime });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  storedRows = [];
+  // Same filtering as the query: rubric, then the requested file ids
+  fetchPdfEvaluationResults.mockImplementation(async (rubricId, { fileIds = null, limit = null } = {}) => {
+    const rows = storedRows
+      .filter(row => row.rubric_id === rubricId)
+      .filter(row => !fileIds || fileIds.includes(row.drive_file_id));
+    return { data: limit ? rows.slice(0, limit) : rows, error: null };
+  });
+});
+
+describe('resultFromRow', () => {
+  it('rebuilds a successful evaluation', () => {
+    expect(resultFromRow(storedRow('file-1', '2026-02-01T10:00:00.000Z'))).toEqual({
+      fileId: 'file-1',
+      fileName: 'file-1.pdf',
+      modifiedTime: '2026-02-01T10:00:00.000Z',
+      processedAt: '2026-03-01T12:00:00+00:00',
+      criterion1: { score: 8, justification: 'All sections present' },
+      total_score: 42.5,
+      strengths: ['Clear methodology'],
+      improvements: ['Cite sources'],
+      overall_feedback: 'Good report',
+      input: { method: 'text', pages: 12, chunks: 2 }
+    });
+  });
+
+  it('defaults missing lists, total and input method', () => {
+    const result = resultFromRow(storedRow('file-1', null, {
+      total_score: null,
+      strengths: null,
+      improvements: null,
+      input_method: null
+    }));
+
+    expect(result).toMatchObject({ total_score: null, strengths: [], improvements: [], input: null });
+  });
+
+  it('returns only the file and the error for a failed evaluation', () => {
+    expect(resultFromRow(storedRow('file-2', '2026-02-01T10:00:00.000Z', {
+      evaluation_status: 'error',
+      error_message: 'PDF has no extractable text'
+    }))).toEqual({
+      fileId: 'file-2',
+      fileName: 'file-2.pdf',
+      modifiedTime: '2026-02-01T10:00:00.000Z',
+      processedAt: '2026-03-01T12:00:00+00:00',
+      error: 'PDF has no extractable text'
+    });
+  });
+});
+
+describe('findGradedFiles', () => {
+  it('matches a successful row of the current Drive version, whatever the timestamp format', async () => {
+    storedRows = [storedRow('file-1', '2026-02-01T10:00:00+00:00')];
+
+    const { data, error } = await findGradedFiles(RUBRIC_ID, [file('file-1', '2026-02-01T10:00:00.000Z')]);
+
+    expect(error).toBeNull();
+    expect(Object.keys(data)).toEqual(['file-1']);
+    expect(data['file-1'].total_score).toBe(42.5);
+  });
+
+  it('regrades files changed in Drive, failed last time or graded under another rubric', async () => {
+    storedRows = [
+      storedRow('changed', '2026-02-01T10:00:00.000Z'),
+      storedRow('failed', '2026-02-01T10:00:00.000Z', { evaluation_status: 'error' }),
+      storedRow('other-rubric', '2026-02-01T10:00:00.000Z', { rubric_id: 'other_rubric' }),
+      storedRow('no-time', null)
+    ];
+
+    const { data } = await findGradedFiles(RUBRIC_ID, [
+      file('changed', '2026-02-02T09:00:00.000Z'),
+      file('failed', '2026-02-01T10:00:00.000Z'),
+      file('other-rubric', '2026-02-01T10:00:00.000Z'),
+      file('no-time', null),
+      file('new', '2026-02-01T10:00:00.000Z')
+    ]);
+
+    expect(data).toEqual({});
+  });
+
+  it('finds a success among older versions of the same file', async () => {
+    storedRows = [
+      storedRow('file-1', '2026-03-01T10:00:00.000Z', { evaluation_status: 'error' }),
+      storedRow('file-1', '2026-02-01T10:00:00.000Z', { total_score: 30 })
+    ];
+
+    const { data } = await findGradedFiles(RUBRIC_ID, [file('file-1', '2026-02-01T10:00:00.000Z')]);
+
+    expect(data['file-1'].total_score).toBe(30);
+  });
+
+  it('queries the rubric in chunks of 100 file ids', async () => {
+    const files = Array.from({ length: 250 }, (_, index) => file(`file-${index}`, '2026-02-01T10:00:00.000Z'));
+
+    await findGradedFiles(RUBRIC_ID, files);
+
+    expect(fetchPdfEvaluationResults.mock.calls.map(([rubricId, { fileIds }]) => [rubricId, fileIds.length])).toEqual([
+      [RUBRIC_ID, 100],
+      [RUBRIC_ID, 100],
+      [RUBRIC_ID, 50]
+    ]);
+  });
+
+  it('returns the query error', async () => {
+    fetchPdfEvaluationResults.mockResolvedValue({ data: null, error: 'permission denied' });
+
+    expect(await findGradedFiles(RUBRIC_ID, [file('file-1', '2026-02-01T10:00:00.000Z')])).toEqual({ data: null, error: 'permission denied' });
+  });
+});
+
+describe('loadPdfEvaluations', () => {
+  it('keeps the latest stored evaluation of each file', async () => {
+    storedRows = [
+      storedRow('file-1', '2026-03-01T10:00:00.000Z', { evaluation_status: 'error', error_message: 'Timed out' }),
+      storedRow('file-2', '2026-02-01T10:00:00.000Z'),
+      storedRow('file-1', '2026-02-01T10:00:00.000Z')
+    ];
+
+    const { data } = await loadPdfEvaluations(RUBRIC_ID);
+
+    expect(data.map(result => [result.fileId, result.error || null])).toEqual([
+      ['file-1', 'Timed out'],
+      ['file-2', null]
+    ]);
+  });
+});
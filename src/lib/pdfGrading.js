@@ -0,0 +1,198 @@
+import { buildEvaluationPrompt } from './rubrics';
+import { generateValidatedEvaluation } from './evaluationParser';
+import { ERROR_CODES, classifyEvaluationError } from './evaluationErrors';
+
+/**
+ * Grades PDF reports against a document rubric. A PDF is sent inline when it
+ * fits the inline size limit; larger PDFs, or PDFs whose inline request
+ * fails, are graded from their pdf.js text (see pdfText.js), split into
+ * page-aligned chunks. Text extraction needs pdf.js, so it is passed in and
+ * this module stays importable by the evaluation worker, which builds the
+ * prompt for documents sent to POST /evaluations/pdf.
+ */
+
+// Project reports are graded with the FSQM program's evaluator settings
+export const DOCUMENT_PROGRAM_ID = 'FSQM';
+// Gemini caps inline request data at 20 MB and base64 adds a third
+export const INLINE_PDF_MAX_BYTES = 14 * 1024 * 1024;
+// Characters per text part sent to the model
+const TEXT_CHUNK_CHARS = 100000;
+// Inline PDF failures that extracted text can get past; auth, quota and safety failures would recur
+const TEXT_FALLBACK_CODES = new Set([
+  ERROR_CODES.INVALID_REQUEST,
+  ERROR_CODES.TIMEOUT,
+  ERROR_CODES.SERVICE_UNAVAILABLE,
+  ERROR_CODES.NETWORK_ERROR,
+  ERROR_CODES.UNKNOWN
+]);
+// Bytes per String.fromCharCode call, well under the argument limit
+const BASE64_CHUNK_BYTES = 0x8000;
+
+/**
+ * Encodes a PDF for an inline request
+ * @param {Blob} blob - PDF file
+ * @returns {Promise<string>} - Base64 data
+ */
+export const blobToBase64 = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_BYTES) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK_BYTES));
+  }
+  return btoa(binary);
+};
+
+// Groups page texts into chunks of at most TEXT_CHUNK_CHARS, splitting a page only when it is longer on its own
+const chunkPages = (pages) => {
+  const chunks = [];
+  let current = null;
+
+  pages.forEach(page => {
+    const block = page.imageOnly
+      ? `[Page ${page.pageNumber}: no extractable text, likely a scan or image]`
+      : `[Page ${page.pageNumber}]\n${page.text}`;
+
+    for (let start = 0; start < block.length; start += TEXT_CHUNK_CHARS) {
+      const slice = block.substring(start, start + TEXT_CHUNK_CHARS);
+      if (current && current.text.length + slice.length + 2 <= TEXT_CHUNK_CHARS) {
+        current.text += `\n\n${slice}`;
+        current.lastPage = page.pageNumber;
+      } else {
+        current = { firstPage: page.pageNumber, lastPage: page.pageNumber, text: slice };
+        chunks.push(current);
+      }
+    }
+  });
+
+  return chunks;
+};
+
+/**
+ * Builds the prompt parts that stand in for an inline PDF: a note on how the
+ * text was obtained, then the report text in page-aligned chunks
+ * @param {Object} extraction - extractPdfText result
+ * @returns {Object} - { parts: [{ text }], chunks }
+ */
+export const buildPdfTextParts = (extraction) => {
+  const { stats } = extraction;
+  if (stats.imageOnlyPages === stats.pages) {
+    throw new Error(`No extractable text in the PDF: all ${stats.pages} pages are image-only`);
+  }
+
+  const chunks = chunkPages(extraction.pages);
+  const note = `The report is provided as text extracted from its PDF (${stats.pages} pages${
+    stats.imageOnlyPages > 0 ? `, ${stats.imageOnlyPages} of them image-only` : ''
+  }). Lines starting with "##" are headings. Figures, tables drawn as images and scanned pages are not included; do not penalise the report for content that may be in them.`;
+
+  return {
+    parts: [
+      { text: note },
+      ...chunks.map((chunk, index) => ({
+        text: `REPORT TEXT (part ${index + 1} of ${chunks.length}, pages ${chunk.firstPage}-${chunk.lastPage}):\n${chunk.text}`
+      }))
+    ],
+    chunks: chunks.length
+  };
+};
+
+/**
+ * Validates a document sent to the evaluation worker for grading
+ * @param {Object} document - { pdf: base64 data } or { extraction: extractPdfText result }
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export const validatePdfDocument = (document) => {
+  if (!document || typeof document !== 'object') {
+    return ['document must be an object'];
+  }
+  if (('pdf' in document) === ('extraction' in document)) {
+    return ['document must have either pdf or extraction'];
+  }
+  if ('pdf' in document) {
+    return typeof document.pdf === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(document.pdf)
+      ? []
+      : ['document.pdf must be base64 data'];
+  }
+
+  const { pages, stats } = document.extraction || {};
+  const errors = [];
+  if (!Array.isArray(pages) || pages.length === 0 || pages.some(page => (
+    !Number.isInteger(page?.pageNumber) || typeof page.text !== 'string' || typeof page.imageOnly !== 'boolean'
+  ))) {
+    errors.push('document.extraction.pages must be a list of { pageNumber, text, imageOnly }');
+  }
+  if (!Number.isInteger(stats?.pages) || !Number.isInteger(stats?.imageOnlyPages)) {
+    errors.push('document.extraction.stats must count pages and imageOnlyPages');
+  }
+  return errors;
+};
+
+/**
+ * Builds the request contents for one PDF: the rubric prompt, then the PDF
+ * inline or its extracted text
+ * @param {Object} rubric - Document rubric definition
+ * @param {Object} document - { pdf: base64 data } or { extraction: extractPdfText result }
+ * @returns {Object[]} - Request contents
+ */
+export const buildPdfContents = (rubric, document) => {
+  const parts = document.pdf
+    ? [{ inlineData: { mimeType: 'application/pdf', data: document.pdf } }]
+    : buildPdfTextParts(document.extraction).parts;
+  return [{ role: 'user', parts: [{ text: buildEvaluationPrompt(rubric) }, ...parts] }];
+};
+
+/**
+ * Grades one PDF document, re-asking the model until its output is valid
+ * @param {Object} options - Grading options
+ * @param {Object} options.rubric - Document rubric definition
+ * @param {Object} options.provider - Evaluator provider
+ * @param {Object} options.generationConfig - Generation config
+ * @param {Object} options.document - { pdf: base64 data } or { extraction: extractPdfText result }
+ * @returns {Object} - Validated evaluation
+ */
+export const gradePdfDocument = async ({ rubric, provider, generationConfig, document }) => {
+  const { data } = await generateValidatedEvaluation({
+    provider,
+    contents: buildPdfContents(rubric, document),
+    generationConfig,
+    rubric
+  });
+  return data;
+};
+
+/**
+ * Grades a PDF file: inline first, from its extracted text when it is over
+ * INLINE_PDF_MAX_BYTES or the inline request fails with a recoverable error
+ * @param {Object} options - Grading options
+ * @param {Blob} options.blob - PDF file
+ * @param {Function} options.gradeDocument - async (document) => evaluation, e.g. gradePdfDocument with a provider
+ * @param {Function} options.extractText - async (blob) => extractPdfText result
+ * @returns {Object} - { evaluation, input } where input records how the file was read
+ */
+export const evaluatePdf = async ({ blob, gradeDocument, extractText }) => {
+  try {
+    let reason = 'size';
+    if (blob.size <= INLINE_PDF_MAX_BYTES) {
+      try {
+        const evaluation = await gradeDocument({ pdf: await blobToBase64(blob) });
+        return { evaluation, input: { method: 'inline_pdf', bytes: blob.size } };
+      } catch (inlineError) {
+        if (!TEXT_FALLBACK_CODES.has(classifyEvaluationError(inlineError).code)) {
+          throw inlineError;
+        }
+        console.warn('Inline PDF evaluation failed, retrying with extracted text:', inlineError.message);
+        reason = 'inline_error';
+      }
+    }
+
+    const extraction = await extractText(blob);
+    // Refuses image-only PDFs before any model call
+    const { chunks } = buildPdfTextParts(extraction);
+    const evaluation = await gradeDocument({ extraction });
+    return {
+      evaluation,
+      input: { method: 'extracted_text', reason, bytes: blob.size, ...extraction.stats, chunks }
+    };
+  } catch (error) {
+    throw new Error(`Failed to evaluate content: ${error.message}`);
+  }
+};
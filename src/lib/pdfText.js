@@ -0,0 +1,104 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+/**
+ * pdf.js text extraction for the PDF evaluator. PDFs over the inline size
+ * limit, or whose inline request fails, are graded from their extracted text
+ * instead: page by page, with headings marked by font size. pdfGrading.js
+ * turns it into prompt parts. The extraction stats (pages, characters,
+ * image-only pages) are stored with the result.
+ */
+
+// The worker is bundled so its version always matches the installed pdfjs-dist
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Pages with less text than this (page numbers, stray labels) count as image-only
+const MIN_PAGE_TEXT_CHARS = 20;
+// A line this much larger than the body text, and short, is treated as a heading
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_CHARS = 120;
+
+// Builds lines from pdf.js text items; marked-content items carry no text
+const toLines = (items) => {
+  const lines = [];
+  let current = { text: '', size: 0 };
+
+  items.filter(item => 'str' in item).forEach(item => {
+    current.text += item.str;
+    if (item.str.trim()) {
+      current.size = Math.max(current.size, Math.hypot(item.transform[2], item.transform[3]));
+    }
+    if (item.hasEOL) {
+      lines.push(current);
+      current = { text: '', size: 0 };
+    }
+  });
+  lines.push(current);
+
+  return lines
+    .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter(line => line.text);
+};
+
+// Body text size: the font size that covers the most characters
+const getBodySize = (pages) => {
+  const characters = new Map();
+  pages.flatMap(page => page.lines).forEach(line => {
+    const size = Math.round(line.size * 2) / 2;
+    characters.set(size, (characters.get(size) || 0) + line.text.length);
+  });
+  return [...characters.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [0, 0])[0];
+};
+
+const isHeading = (line, bodySize) => bodySize > 0 &&
+  line.size >= bodySize * HEADING_SIZE_RATIO &&
+  line.text.length <= MAX_HEADING_CHARS &&
+  /\p{L}/u.test(line.text);
+
+/**
+ * Extracts the text of a PDF page by page, marking headings by font size
+ * @param {Blob} pdfBlob - PDF file
+ * @returns {Object} - { pages: [{ pageNumber, text, imageOnly }], stats: { pages, characters, imageOnlyPages, headings } }
+ */
+export const extractPdfText = async (pdfBlob) => {
+  const loadingTask = pdfjsLib.getDocument({ data: new Uint8Array(await pdfBlob.arrayBuffer()) });
+
+  try {
+    const pdf = await loadingTask.promise;
+    const rawPages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      rawPages.push({ pageNumber, lines: toLines(content.items) });
+      page.cleanup();
+    }
+
+    const bodySize = getBodySize(rawPages);
+    let headings = 0;
+    const pages = rawPages.map(({ pageNumber, lines }) => {
+      const text = lines.map(line => {
+        if (!isHeading(line, bodySize)) return line.text;
+        headings++;
+        return `## ${line.text}`;
+      }).join('\n');
+
+      return {
+        pageNumber,
+        text,
+        imageOnly: text.replace(/\s/g, '').length < MIN_PAGE_TEXT_CHARS
+      };
+    });
+
+    return {
+      pages,
+      stats: {
+        pages: pages.length,
+        characters: pages.reduce((sum, page) => sum + page.text.length, 0),
+        imageOnlyPages: pages.filter(page => page.imageOnly).length,
+        headings
+      }
+    };
+  } finally {
+    await loadingTask.destroy();
+  }
+};
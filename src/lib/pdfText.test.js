@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from 'vitest';
+import * as pdfjsLib from 'pdfjs-dist';
+import { extractPdfText } from './pdfText';
+
+vi.mock('pdfjs-dist', () => ({
+  GlobalWorkerOptions: {},
+  getDocument: vi.fn()
+}));
+
+// pdf.js text item at a font size; transform[3] is the vertical scale
+const item = (str, size, hasEOL = true) => ({ str, transform: [size, 0, 0, size, 0, 0], hasEOL });
+
+describe('extractPdfText', () => {
+  it('marks larger short lines as headings and counts image-only pages', async () => {
+    const pages = [
+      [item('Market Analysis', 16), item('The market grew steadily over the last year.', 11), { type: 'beginMarkedContent' }],
+      [item('3', 11)]
+    ];
+    const destroy = vi.fn();
+    pdfjsLib.getDocument.mockReturnValue({
+      promise: Promise.resolve({
+        numPages: pages.length,
+        getPage: async (pageNumber) => ({
+          getTextContent: async () => ({ items: pages[pageNumber - 1] }),
+          cleanup: () => {}
+        })
+      }),
+      destroy
+    });
+
+    const result = await extractPdfText(new Blob(['%PDF-1.4']));
+
+    expect(result.pages).toEqual([
+      { pageNumber: 1, text: '## Market Analysis\nThe market grew steadily over the last year.', imageOnly: false },
+      { pageNumber: 2, text: '3', imageOnly: true }
+    ]);
+    expect(result.stats).toMatchObject({ pages: 2, imageOnlyPages: 1, headings: 1 });
+    expect(destroy).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+import { hackathonData } from '../data/HackathonData';
+
+/**
+ * Evaluation programs offered in the UserSearch dropdown. Each program picks
+ * its own participant source, case bank, rubric and results namespace (the
+ * `program` column of evaluation_results), so one deployment can grade every
+ * cohort without code edits.
+ *
+ * Source tables and filters can be overridden per deployment with
+ * VITE_<PROGRAM>_SOURCE_TABLE and VITE_<PROGRAM>_SOURCE_FILTER ("column=value").
+ * Only GMP has a built-in source and case bank; MC and FSQM need
+ * VITE_MC_SOURCE_TABLE / VITE_FSQM_SOURCE_TABLE, and cannot be graded until
+ * their case bank is added here, so they fail with a clear error instead of
+ * querying a column that does not exist or grading without case context.
+ */
+
+/**
+ * Parses a "column=value" filter string from the environment
+ * @param {string|undefined} value - Raw environment value
+ * @param {Object|null} fallback - Filter used when the variable is unset
+ * @returns {Object|null} - { column, value } or null for no filter
+ */
+const parseSourceFilter = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const [column, ...rest] = value.split('=');
+  if (!column || rest.length === 0) return null;
+  return { column: column.trim(), value: rest.join('=').trim() };
+};
+
+// Named one by one: a bare import.meta.env would put every VITE_ variable into the bundle
+const SOURCE_ENV = {
+  GMP: { table: import.meta.env.VITE_GMP_SOURCE_TABLE, filter: import.meta.env.VITE_GMP_SOURCE_FILTER },
+  MC: { table: import.meta.env.VITE_MC_SOURCE_TABLE, filter: import.meta.env.VITE_MC_SOURCE_FILTER },
+  FSQM: { table: import.meta.env.VITE_FSQM_SOURCE_TABLE, filter: import.meta.env.VITE_FSQM_SOURCE_FILTER }
+};
+
+/**
+ * Reads a program's participant source from the environment
+ * @param {string} programId - Program identifier used in the variable names
+ * @param {Object} defaults - { table, filter } used when the variables are unset, or null for none
+ * @returns {Object|null} - { table, filter } or null when the program has no source
+ */
+const readSource = (programId, defaults) => {
+  const table = SOURCE_ENV[programId].table || defaults?.table;
+  if (!table) return null;
+  return { table, filter: parseSourceFilter(SOURCE_ENV[programId].filter, defaults?.filter || null) };
+};
+
+export const PROGRAMS = {
+  GMP: {
+    id: 'GMP',
+    name: 'Good Manufacturing Practice',
+    source: readSource('GMP', { table: 'level2_screen3_progress', filter: null }),
+    caseBank: hackathonData,
+    rubricId: 'lazy_evaluation'
+  },
+  MC: {
+    id: 'MC',
+    name: 'MC',
+    source: readSource('MC', null),
+    caseBank: null,
+    rubricId: 'mc_lazy_evaluation'
+  },
+  FSQM: {
+    id: 'FSQM',
+    name: 'Food Safety and Quality Management',
+    source: readSource('FSQM', null),
+    caseBank: null,
+    rubricId: 'fsqm_lazy_evaluation'
+  }
+};
+
+export const PROGRAM_IDS = Object.keys(PROGRAMS);
+export const DEFAULT_PROGRAM_ID = 'GMP';
+
+/**
+ * Looks up a program definition by id
+ * @param {string} programId - Program identifier (GMP, MC, FSQM)
+ * @returns {Object} - Program definition
+ */
+export const getProgram = (programId) => {
+  const program = PROGRAMS[programId];
+  if (!program) {
+    throw new Error(`Unknown program: ${programId}`);
+  }
+  return program;
+};
+
+/**
+ * Explains why a program's participants cannot be loaded
+ * @param {Object} program - Program definition
+ * @returns {string|null} - Error message, or null when the program has a source
+ */
+export const getProgramSourceError = (program) => {
+  if (program.source) return null;
+  return `${program.id} has no participant source. Set VITE_${program.id}_SOURCE_TABLE (and VITE_${program.id}_SOURCE_FILTER as "column=value" if the table holds other programs too).`;
+};
+
+/**
+ * Finds a case study in the program's case bank
+ * @param {Object} program - Program definition
+ * @param {number|string} caseId - Case identifier from the participant row
+ * @returns {Object|undefined} - Case study entry, undefined when the program has no case bank
+ */
+export const getProgramCase = (program, caseId) => {
+  return program.caseBank?.find(item => item.id === parseInt(caseId));
+};
+
+/**
+ * Finds the case study a participant must be graded against
+ * @param {Object} program - Program definition
+ * @param {number|string} caseId - Case identifier from the participant row
+ * @returns {Object} - Case study entry
+ * @throws {Error} - When the program has no case bank or the case is not in it
+ */
+export const requireProgramCase = (program, caseId) => {
+  if (!program.caseBank) {
+    throw new Error(`${program.id} has no case bank; add its case studies to src/lib/programs.js before grading ${program.id} participants`);
+  }
+  const caseData = getProgramCase(program, caseId);
+  if (!caseData) {
+    throw new Error(`Case ${caseId ?? '(none)'} is not in the ${program.id} case bank`);
+  }
+  return caseData;
+};
+
+/**
+ * Starts a Supabase query against the program's participant source
+ * @param {Object} supabase - Supabase client
+ * @param {Object} program - Program definition
+ * @param {string} columns - Columns to select
+ * @returns {Object} - Supabase query builder with the program filter applied
+ * @throws {Error} - When the program has no participant source
+ */
+export const fromProgramSource = (supabase, program, columns) => {
+  const sourceError = getProgramSourceError(program);
+  if (sourceError) {
+    throw new Error(sourceError);
+  }
+
+  let query = supabase
+    .from(program.source.table)
+    .select(columns);
+
+  if (program.source.filter) {
+    query = query.eq(program.source.filter.column, program.source.filter.value);
+  }
+
+  return query;
+};
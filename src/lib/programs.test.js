@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { fromProgramSource, getProgram, getProgramSourceError, requireProgramCase } from './programs';
+
+// Records the calls a Supabase query builder receives
+const createSupabase = () => {
+  const calls = [];
+  const query = {
+    select: (columns) => { calls.push(['select', columns]); return query; },
+    eq: (column, value) => { calls.push(['eq', column, value]); return query; }
+  };
+  return { calls, from: (table) => { calls.push(['from', table]); return query; } };
+};
+
+describe('program sources', () => {
+  it('queries the GMP source table without a filter by default', () => {
+    const supabase = createSupabase();
+    fromProgramSource(supabase, getProgram('GMP'), 'email');
+
+    expect(supabase.calls).toEqual([['from', 'level2_screen3_progress'], ['select', 'email']]);
+  });
+
+  it.each(['MC', 'FSQM'])('refuses to query %s without a configured source', (programId) => {
+    const program = getProgram(programId);
+
+    expect(getProgramSourceError(program)).toContain(`VITE_${programId}_SOURCE_TABLE`);
+    expect(() => fromProgramSource(createSupabase(), program, 'email')).toThrow(`${programId} has no participant source`);
+  });
+
+  it('applies a configured filter', () => {
+    const supabase = createSupabase();
+    const program = { id: 'MC', source: { table: 'mc_progress', filter: { column: 'cohort', value: '2024' } } };
+    fromProgramSource(supabase, program, 'email');
+
+    expect(supabase.calls).toContainEqual(['eq', 'cohort', '2024']);
+  });
+});
+
+describe('requireProgramCase', () => {
+  it('finds a GMP case by its id', () => {
+    const program = getProgram('GMP');
+    const [firstCase] = program.caseBank;
+
+    expect(requireProgramCase(program, String(firstCase.id))).toBe(firstCase);
+  });
+
+  it('fails for a case missing from the case bank', () => {
+    expect(() => requireProgramCase(getProgram('GMP'), 99999)).toThrow('Case 99999 is not in the GMP case bank');
+  });
+
+  it('fails for a program without a case bank', () => {
+    expect(() => requireProgramCase(getProgram('FSQM'), 1)).toThrow('FSQM has no case bank');
+  });
+});
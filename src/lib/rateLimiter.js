@@ -0,0 +1,148 @@
+import { acquireRateLimit } from './databaseService';
+
+/**
+ * Token-bucket rate limiting for evaluator calls. Buckets live in the
+ * rate_limit_buckets table (one per model), so every browser tab and
+ * evaluation worker draws from the same requests-per-minute and
+ * tokens-per-minute budgets. If the bucket cannot be reached the limiter
+ * falls back to an in-process bucket with the same budgets.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough prompt size: about four characters per token
+const CHARS_PER_TOKEN = 4;
+// Inline files (PDFs) are billed per page, about 258 tokens each; a text PDF
+// page is a few kilobytes, so this errs on the high side for scans
+const INLINE_BYTES_PER_TOKEN = 20;
+
+// Decoded size of base64 inline data
+const inlineDataBytes = (part) => {
+  const data = part.inlineData?.data;
+  return typeof data === 'string' ? Math.floor(data.length * 3 / 4) : 0;
+};
+
+/**
+ * Estimates the tokens a request may consume: the prompt text, inline files
+ * by their size, plus the maximum output, so the budget is never exceeded
+ * @param {Object} request - { contents, generationConfig }
+ * @returns {number} - Estimated tokens
+ */
+export const estimateRequestTokens = ({ contents, generationConfig = {} }) => {
+  const parts = contents.flatMap(content => content.parts || []);
+  const promptChars = parts.reduce((sum, part) => sum + (typeof part.text === 'string' ? part.text.length : 0), 0);
+  const inlineBytes = parts.reduce((sum, part) => sum + inlineDataBytes(part), 0);
+  return Math.ceil(promptChars / CHARS_PER_TOKEN)
+    + Math.ceil(inlineBytes / INLINE_BYTES_PER_TOKEN)
+    + (generationConfig.maxOutputTokens || 0);
+};
+
+/**
+ * In-process token bucket
+ * @param {Object} budget - { requestsPerMinute, tokensPerMinute }
+ * @returns {Object} - { take(tokens) => milliseconds to wait, 0 when granted }
+ */
+export const createLocalTokenBucket = ({ requestsPerMinute, tokensPerMinute }) => {
+  let requests = requestsPerMinute;
+  let tokens = tokensPerMinute;
+  let refilledAt = Date.now();
+
+  const take = (requestedTokens) => {
+    const now = Date.now();
+    const elapsedMinutes = (now - refilledAt) / 60000;
+    requests = Math.min(requestsPerMinute, requests + elapsedMinutes * requestsPerMinute);
+    tokens = Math.min(tokensPerMinute, tokens + elapsedMinutes * tokensPerMinute);
+    refilledAt = now;
+
+    const neededTokens = Math.min(requestedTokens, tokensPerMinute);
+    if (requests >= 1 && tokens >= neededTokens) {
+      requests -= 1;
+      tokens -= neededTokens;
+      return 0;
+    }
+
+    return Math.ceil(60000 * Math.max(
+      (1 - requests) / requestsPerMinute,
+      (neededTokens - tokens) / tokensPerMinute
+    ));
+  };
+
+  return { take };
+};
+
+/**
+ * Limiter backed by the shared rate_limit_buckets row for a key
+ * @param {Object} options - Limiter options
+ * @param {string} options.key - Bucket key (the model name)
+ * @param {number} options.requestsPerMinute - Request budget
+ * @param {number} options.tokensPerMinute - Token budget
+ * @returns {Object} - { acquire(tokens) => Promise that resolves once the call may proceed }
+ */
+export const createSharedRateLimiter = ({ key, requestsPerMinute, tokensPerMinute }) => {
+  const localBucket = createLocalTokenBucket({ requestsPerMinute, tokensPerMinute });
+  let useLocalBucket = false;
+
+  const acquire = async (tokens) => {
+    for (;;) {
+      let waitMs;
+
+      if (!useLocalBucket) {
+        const { data, error } = await acquireRateLimit(key, { requestsPerMinute, tokensPerMinute, tokens });
+        if (error) {
+          console.warn(`Shared rate limit for ${key} unavailable, limiting this ${typeof window === 'undefined' ? 'worker' : 'tab'} only:`, error);
+          useLocalBucket = true;
+        } else {
+          waitMs = data;
+        }
+      }
+
+      if (useLocalBucket) {
+        waitMs = localBucket.take(tokens);
+      }
+
+      if (waitMs === 0) {
+        return;
+      }
+
+      // Spread waiters out so they do not all retry at the same instant
+      await sleep(waitMs + Math.floor(Math.random() * 250));
+    }
+  };
+
+  return { acquire };
+};
+
+const limiters = new Map();
+
+/**
+ * Returns the limiter for a model and budget, shared within this page or process
+ * @param {string} key - Bucket key (the model name)
+ * @param {Object} rateLimits - { requestsPerMinute, tokensPerMinute }
+ * @returns {Object} - Limiter
+ */
+export const getRateLimiter = (key, { requestsPerMinute, tokensPerMinute }) => {
+  const cacheKey = `${key}:${requestsPerMinute}:${tokensPerMinute}`;
+  if (!limiters.has(cacheKey)) {
+    limiters.set(cacheKey, createSharedRateLimiter({ key, requestsPerMinute, tokensPerMinute }));
+  }
+  return limiters.get(cacheKey);
+};
+
+/**
+ * Wraps an evaluator provider so every generate call (repair attempts
+ * included) first takes its share of the model's budget
+ * @param {Object} provider - Evaluator provider
+ * @param {Object} rateLimits - { requestsPerMinute, tokensPerMinute }
+ * @returns {Object} - Rate-limited provider with the same shape
+ */
+export const withRateLimit = (provider, rateLimits) => {
+  const limiter = getRateLimiter(provider.model, rateLimits);
+
+  return {
+    ...provider,
+    generate: async (request) => {
+      await limiter.acquire(estimateRequestTokens(request));
+      return provider.generate(request);
+    }
+  };
+};
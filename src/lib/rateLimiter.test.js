@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createLocalTokenBucket, createSharedRateLimiter, estimateRequestTokens, withRateLimit } from './rateLimiter';
+import { acquireRateLimit } from './databaseService';
+
+vi.mock('./databaseService', () => ({
+  acquireRateLimit: vi.fn()
+}));
+
+const request = (text, maxOutputTokens) => ({
+  contents: [{ role: 'user', parts: [{ text }, { inlineData: { mimeType: 'application/pdf', data: 'AAAA' } }] }],
+  generationConfig: { maxOutputTokens }
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('estimateRequestTokens', () => {
+  it('counts four characters per prompt token plus the maximum output', () => {
+    expect(estimateRequestTokens({ contents: [{ parts: [{ text: 'x'.repeat(401) }] }], generationConfig: { maxOutputTokens: 1000 } })).toBe(1101);
+  });
+
+  it('estimates inline files from their decoded size', () => {
+    // 'AAAA' decodes to 3 bytes: one token
+    expect(estimateRequestTokens(request('x'.repeat(401), 1000))).toBe(1102);
+
+    // 40000 base64 characters are 30000 bytes: 1500 tokens
+    const pdf = { inlineData: { mimeType: 'application/pdf', data: 'A'.repeat(40000) } };
+    expect(estimateRequestTokens({ contents: [{ parts: [{ text: 'abcd' }, pdf] }] })).toBe(1501);
+  });
+
+  it('treats a missing generation config as no output budget', () => {
+    expect(estimateRequestTokens({ contents: [{ parts: [{ text: 'abcd' }] }] })).toBe(1);
+  });
+});
+
+describe('createLocalTokenBucket', () => {
+  it('grants requests until the request budget is spent', () => {
+    const bucket = createLocalTokenBucket({ requestsPerMinute: 2, tokensPerMinute: 1000 });
+
+    expect(bucket.take(10)).toBe(0);
+    expect(bucket.take(10)).toBe(0);
+    expect(bucket.take(10)).toBe(30000);
+  });
+
+  it('waits for the token budget and refills over time', () => {
+    const bucket = createLocalTokenBucket({ requestsPerMinute: 60, tokensPerMinute: 600 });
+
+    expect(bucket.take(600)).toBe(0);
+    expect(bucket.take(300)).toBe(30000);
+
+    vi.advanceTimersByTime(30000);
+    expect(bucket.take(300)).toBe(0);
+  });
+
+  it('caps a request larger than the whole budget at the budget', () => {
+    const bucket = createLocalTokenBucket({ requestsPerMinute: 10, tokensPerMinute: 100 });
+
+    expect(bucket.take(5000)).toBe(0);
+  });
+});
+
+describe('createSharedRateLimiter', () => {
+  it('waits as long as the shared bucket asks', async () => {
+    acquireRateLimit.mockResolvedValueOnce({ data: 2000, error: null }).mockResolvedValueOnce({ data: 0, error: null });
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    const limiter = createSharedRateLimiter({ key: 'gemini-test', requestsPerMinute: 10, tokensPerMinute: 1000 });
+
+    let granted = false;
+    const acquired = limiter.acquire(50).then(() => { granted = true; });
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(granted).toBe(false);
+    await vi.advanceTimersByTimeAsync(1);
+    await acquired;
+
+    expect(acquireRateLimit).toHaveBeenCalledTimes(2);
+    expect(acquireRateLimit).toHaveBeenCalledWith('gemini-test', { requestsPerMinute: 10, tokensPerMinute: 1000, tokens: 50 });
+  });
+
+  it('falls back to a local bucket when the shared one is unavailable', async () => {
+    acquireRateLimit.mockResolvedValue({ data: null, error: 'relation "rate_limit_buckets" does not exist' });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const limiter = createSharedRateLimiter({ key: 'gemini-test', requestsPerMinute: 10, tokensPerMinute: 1000 });
+
+    await limiter.acquire(50);
+    await limiter.acquire(50);
+
+    expect(acquireRateLimit).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('withRateLimit', () => {
+  it('takes the estimated tokens from the model bucket before each call', async () => {
+    acquireRateLimit.mockResolvedValue({ data: 0, error: null });
+    const provider = { id: 'gemini', model: 'gemini-limited', generate: vi.fn().mockResolvedValue({ text: '{}' }) };
+
+    const limited = withRateLimit(provider, { requestsPerMinute: 10, tokensPerMinute: 1000 });
+    const result = await limited.generate(request('x'.repeat(40), 100));
+
+    expect(result).toEqual({ text: '{}' });
+    expect(limited.model).toBe('gemini-limited');
+    expect(acquireRateLimit).toHaveBeenCalledWith('gemini-limited', { requestsPerMinute: 10, tokensPerMinute: 1000, tokens: 111 });
+    expect(provider.generate).toHaveBeenCalledTimes(1);
+  });
+});
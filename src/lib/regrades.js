@@ -0,0 +1,98 @@
+import {
+  createRegradeRequests,
+  fetchCurrentEvaluations,
+  fetchRegradeRequests
+} from './databaseService';
+
+/**
+ * Explicit re-evaluation (regrade) requests. Normally a participant is only
+ * evaluated again while their last row is an error; a regrade request marks
+ * participants that already have a successful evaluation so the batch
+ * loaders pick them up again. The regrade is stored as a new
+ * evaluation_results row and the previous one is kept (superseded_by the new
+ * row), so both grades can be compared.
+ */
+
+const RECENT_REQUESTS_LIMIT = 50;
+
+/**
+ * Splits pasted text into unique emails (comma, semicolon, space or newline separated)
+ * @param {string} text - Pasted email list
+ * @returns {string[]} - Emails in the order given
+ */
+export const parseEmailList = (text) => {
+  const emails = (text || '').split(/[\s,;]+/).map(email => email.trim()).filter(Boolean);
+  return [...new Set(emails)];
+};
+
+/**
+ * Requests a regrade for each email that has a current successful evaluation
+ * and no pending request
+ * @param {string} programId - Program identifier
+ * @param {Object} request - Regrade request
+ * @param {string[]} request.emails - Participant emails
+ * @param {string} request.reason - Why the participants should be regraded
+ * @param {string} request.requestedBy - Who asked for the regrade
+ * @returns {Object} - Object containing { created, alreadyPending, notEvaluated } and any errors
+ */
+export const requestRegrades = async (programId, { emails, reason, requestedBy }) => {
+  if (!emails || emails.length === 0) {
+    return { data: null, error: 'Enter at least one email' };
+  }
+  if (!reason || !reason.trim()) {
+    return { data: null, error: 'A reason for the regrade is required' };
+  }
+
+  const { data: pending, error: pendingError } = await fetchRegradeRequests(programId, { status: 'pending' });
+  if (pendingError) {
+    return { data: null, error: pendingError };
+  }
+
+  const { data: current, error: currentError } = await fetchCurrentEvaluations(programId, emails);
+  if (currentError) {
+    return { data: null, error: currentError };
+  }
+
+  const pendingEmails = new Set(pending.map(request => request.email));
+  const alreadyPending = emails.filter(email => pendingEmails.has(email));
+  // Participants without a successful evaluation are picked up by the loaders anyway
+  const notEvaluated = emails.filter(email => !pendingEmails.has(email) && !current[email]);
+  const toRequest = emails.filter(email => !pendingEmails.has(email) && current[email]);
+
+  if (toRequest.length === 0) {
+    return { data: { created: [], alreadyPending, notEvaluated }, error: null };
+  }
+
+  const { data: created, error } = await createRegradeRequests(toRequest.map(email => ({
+    program: programId,
+    email,
+    reason: reason.trim(),
+    requestedBy: requestedBy?.trim(),
+    previousEvaluationId: current[email].id,
+    previousTotalScore: current[email].effective_total_score
+  })));
+  if (error) {
+    return { data: null, error };
+  }
+
+  return { data: { created, alreadyPending, notEvaluated }, error: null };
+};
+
+/**
+ * Loads the pending regrade requests of a program and the recently closed ones
+ * @param {string} programId - Program identifier
+ * @returns {Object} - Object containing { pending, closed } and any errors
+ */
+export const loadRegradeRequests = async (programId) => {
+  const { data: pending, error: pendingError } = await fetchRegradeRequests(programId, { status: 'pending' });
+  if (pendingError) {
+    return { data: null, error: pendingError };
+  }
+
+  const { data: recent, error: recentError } = await fetchRegradeRequests(programId, { limit: RECENT_REQUESTS_LIMIT });
+  if (recentError) {
+    return { data: null, error: recentError };
+  }
+
+  return { data: { pending, closed: recent.filter(request => request.status !== 'pending') }, error: null };
+};
@@ -0,0 +1,185 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadRegradeRequests, parseEmailList, requestRegrades } from './regrades';
+import { completeRegradeRequest, fetchCurrentEvaluations } from './databaseService';
+import { supabase } from './supabase';
+
+vi.mock('./supabase', () => ({
+  supabase: { from: vi.fn() }
+}));
+
+// In-memory tables behind the query builder calls databaseService makes.
+// effective_evaluation_results reads evaluation_results, whose rows carry
+// their effective_total_score.
+let tables;
+let nextId;
+
+const rowsOf = (table) => tables[table === 'effective_evaluation_results' ? 'evaluation_results' : table];
+
+const queryOf = (table) => {
+  const filters = [];
+  let write = null;
+  let limit = null;
+
+  const run = () => {
+    const rows = rowsOf(table);
+    if (write?.type === 'insert') {
+      const inserted = write.values.map(values => ({ id: nextId++, status: 'pending', ...values }));
+      rows.push(...inserted);
+      return { data: inserted, error: null };
+    }
+    const matches = rows.filter(row => filters.every(filter => filter(row)));
+    if (write?.type === 'update') {
+      matches.forEach(row => Object.assign(row, write.values));
+    }
+    return { data: limit ? matches.slice(0, limit) : matches, error: null };
+  };
+
+  const builder = {
+    select: () => builder,
+    insert: (values) => {
+      write = { type: 'insert', values };
+      return builder;
+    },
+    update: (values) => {
+      write = { type: 'update', values };
+      return builder;
+    },
+    eq: (column, value) => {
+      filters.push(row => row[column] === value);
+      return builder;
+    },
+    is: (column, value) => {
+      filters.push(row => (row[column] ?? null) === value);
+      return builder;
+    },
+    in: (column, values) => {
+      filters.push(row => values.includes(row[column]));
+      return builder;
+    },
+    order: () => builder,
+    limit: (count) => {
+      limit = count;
+      return builder;
+    },
+    range: async (from, to) => {
+      const { data, error } = run();
+      return { data: data.slice(from, to + 1), error };
+    },
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return builder;
+};
+
+const evaluation = (id, email, score, fields = {}) => ({
+  id,
+  program: 'GMP',
+  email,
+  evaluation_status: 'success',
+  total_score: score,
+  effective_total_score: score,
+  superseded_by: null,
+  ...fields
+});
+
+beforeEach(() => {
+  vi.restoreAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  nextId = 100;
+  tables = {
+    evaluation_results: [
+      evaluation(1, 'graded@example.com', 55, { effective_total_score: 60 }),
+      evaluation(2, 'pending@example.com', 70),
+      evaluation(3, 'failed@example.com', 0, { evaluation_status: 'error' }),
+      evaluation(4, 'other-program@example.com', 80, { program: 'OTHER' })
+    ],
+    regrade_requests: [
+      { id: 50, program: 'GMP', email: 'pending@example.com', status: 'pending', previous_evaluation_id: 2 }
+    ]
+  };
+  supabase.from.mockImplementation(queryOf);
+});
+
+describe('parseEmailList', () => {
+  it('splits on commas, semicolons and whitespace and drops duplicates', () => {
+    expect(parseEmailList(' a@example.com, b@example.com;\nc@example.com a@example.com ')).toEqual([
+      'a@example.com',
+      'b@example.com',
+      'c@example.com'
+    ]);
+    expect(parseEmailList('')).toEqual([]);
+  });
+});
+
+describe('requestRegrades', () => {
+  it('creates pending requests only for current successful evaluations without one', async () => {
+    const emails = ['graded@example.com', 'pending@example.com', 'failed@example.com', 'other-program@example.com'];
+
+    const { data, error } = await requestRegrades('GMP', { emails, reason: ' Prompt v4 ', requestedBy: ' lead@example.com ' });
+
+    expect(error).toBeNull();
+    expect(data.alreadyPending).toEqual(['pending@example.com']);
+    expect(data.notEvaluated).toEqual(['failed@example.com', 'other-program@example.com']);
+    expect(data.created).toEqual([{
+      id: 100,
+      status: 'pending',
+      program: 'GMP',
+      email: 'graded@example.com',
+      reason: 'Prompt v4',
+      requested_by: 'lead@example.com',
+      previous_evaluation_id: 1,
+      previous_total_score: 60
+    }]);
+  });
+
+  it('writes nothing when every participant already has a pending request', async () => {
+    const { data } = await requestRegrades('GMP', { emails: ['pending@example.com'], reason: 'Prompt v4' });
+
+    expect(data.created).toEqual([]);
+    expect(tables.regrade_requests).toHaveLength(1);
+  });
+
+  it('requires emails and a reason', async () => {
+    expect(await requestRegrades('GMP', { emails: [], reason: 'Prompt v4' })).toEqual({ data: null, error: 'Enter at least one email' });
+    expect(await requestRegrades('GMP', { emails: ['graded@example.com'], reason: ' ' })).toEqual({
+      data: null,
+      error: 'A reason for the regrade is required'
+    });
+  });
+});
+
+describe('completing a regrade', () => {
+  it('closes the request and links the old evaluation to the new one', async () => {
+    const { data: { created: [request] } } = await requestRegrades('GMP', { emails: ['graded@example.com'], reason: 'Prompt v4' });
+    const newEvaluation = evaluation(9, 'graded@example.com', 72);
+    tables.evaluation_results.push(newEvaluation);
+
+    const { data: completed, error } = await completeRegradeRequest(request, newEvaluation);
+
+    expect(error).toBeNull();
+    expect(completed).toMatchObject({
+      id: request.id,
+      status: 'completed',
+      new_evaluation_id: 9,
+      new_total_score: 72,
+      completed_at: expect.any(String)
+    });
+    expect(tables.evaluation_results.find(row => row.id === 1).superseded_by).toBe(9);
+
+    const { data: current } = await fetchCurrentEvaluations('GMP', ['graded@example.com']);
+    expect(current['graded@example.com'].id).toBe(9);
+
+    const { data: requests } = await loadRegradeRequests('GMP');
+    expect(requests.pending.map(row => row.id)).toEqual([50]);
+    expect(requests.closed.map(row => row.id)).toEqual([request.id]);
+  });
+
+  it('does not supersede anything when the request had no previous evaluation', async () => {
+    const request = { id: 51, program: 'GMP', email: 'failed@example.com', status: 'pending', previous_evaluation_id: null };
+    tables.regrade_requests.push(request);
+
+    await completeRegradeRequest(request, evaluation(10, 'failed@example.com', 40));
+
+    expect(tables.evaluation_results.every(row => row.superseded_by === null)).toBe(true);
+    expect(request.status).toBe('completed');
+  });
+});
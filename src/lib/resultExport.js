@@ -0,0 +1,211 @@
+import JSZip from 'jszip';
+
+/**
+ * CSV and XLSX export of PDF evaluation results for gradebook upload: one
+ * row per graded file with each criterion's score and justification in their
+ * own columns, then the total, strengths, improvements and overall feedback.
+ * Files that failed go to a separate errors sheet (a separate CSV file,
+ * downloaded on its own), so the results sheet only holds gradable rows. The
+ * XLSX workbook is written directly as SpreadsheetML with JSZip.
+ */
+
+const LIST_SEPARATOR = '; ';
+// The byte order mark makes Excel read the CSV as UTF-8
+const CSV_BOM = '\uFEFF';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// Spreadsheet apps run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Revoking the object URL right after click() can cancel the download
+const REVOKE_URL_DELAY_MS = 10 * 1000;
+
+const joinList = (value) => (Array.isArray(value) ? value.join(LIST_SEPARATOR) : value || '');
+
+/**
+ * Builds the results and errors sheets from the evaluator results
+ * @param {Object} rubric - Document rubric definition
+ * @param {Object[]} results - Evaluator results ({ fileName, <criterion key>: { score, justification }, total_score, ... } or { fileName, error })
+ * @returns {Object[]} - [{ name, columns, rows }] for the results and errors sheets
+ */
+export const buildPdfExportSheets = (rubric, results) => {
+  const graded = results.filter(result => !result.error);
+  const failed = results.filter(result => result.error);
+
+  const resultColumns = [
+    'File Name',
+    ...rubric.criteria.flatMap((criterion, index) => [
+      `C${index + 1} ${criterion.label} (${criterion.weight})`,
+      `C${index + 1} Justification`
+    ]),
+    `Total (${rubric.maxScore})`,
+    'Strengths',
+    'Improvements',
+    'Overall Feedback',
+    'Graded At'
+  ];
+
+  const resultRows = graded.map(result => [
+    result.fileName,
+    ...rubric.criteria.flatMap(criterion => [
+      result[criterion.key]?.score ?? '',
+      result[criterion.key]?.justification || ''
+    ]),
+    result.total_score ?? '',
+    joinList(result.strengths),
+    joinList(result.improvements),
+    result.overall_feedback || '',
+    result.processedAt ? new Date(result.processedAt).toISOString() : ''
+  ]);
+
+  return [
+    { name: 'Results', columns: resultColumns, rows: resultRows },
+    {
+      name: 'Errors',
+      columns: ['File Name', 'File ID', 'Error', 'Attempted At'],
+      rows: failed.map(result => [
+        result.fileName,
+        result.fileId || '',
+        result.error,
+        result.processedAt ? new Date(result.processedAt).toISOString() : ''
+      ])
+    }
+  ];
+};
+
+const escapeCsvValue = (value) => {
+  let text = String(value ?? '');
+  // Model output and file names are untrusted: keep them from being run as formulas
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders a sheet as CSV (RFC 4180 quoting, CRLF line endings). Text cells
+ * that a spreadsheet would read as a formula are prefixed with '.
+ * @param {Object} sheet - { columns, rows }
+ * @returns {string} - CSV text
+ */
+export const toCsv = (sheet) => {
+  return [sheet.columns, ...sheet.rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+};
+
+// XML 1.0 forbids most control characters, which can appear in model output,
+// and unpaired surrogates
+const isXmlChar = (code) => code === 0x09 || code === 0x0A || code === 0x0D
+  || (code >= 0x20 && code <= 0xD7FF)
+  || (code >= 0xE000 && code <= 0xFFFD)
+  || code >= 0x10000;
+
+const escapeXml = (value) => Array.from(String(value))
+  .filter(char => isXmlChar(char.codePointAt(0)))
+  .join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const buildCell = (value, ref) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (value === '' || value == null) {
+    return '';
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const buildWorksheet = (sheet) => {
+  const rows = [sheet.columns, ...sheet.rows].map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => buildCell(value, `${columnName(columnIndex)}${rowIndex + 1}`)).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${rows.join('')}</sheetData></worksheet>`;
+};
+
+/**
+ * Writes sheets into an XLSX workbook
+ * @param {Object[]} sheets - [{ name, columns, rows }]; names are cut to Excel's 31 characters
+ * @returns {Promise<Blob>} - Workbook file
+ */
+export const buildXlsx = async (sheets) => {
+  const zip = new JSZip();
+  // Only the parts themselves; folder entries are not part of an OOXML package
+  const addPart = (path, xml) => zip.file(path, xml, { createFolders: false });
+
+  addPart('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${
+    sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+  }</Types>`);
+
+  addPart('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`);
+
+  addPart('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${
+    sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name.substring(0, 31))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+  }</sheets></workbook>`);
+
+  addPart('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+    sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+  }</Relationships>`);
+
+  sheets.forEach((sheet, index) => {
+    addPart(`xl/worksheets/sheet${index + 1}.xml`, buildWorksheet(sheet));
+  });
+
+  return zip.generateAsync({ type: 'blob', mimeType: XLSX_MIME_TYPE, compression: 'DEFLATE' });
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_URL_DELAY_MS);
+};
+
+const downloadCsv = (sheet, fileName) => {
+  downloadBlob(new Blob([CSV_BOM, toCsv(sheet)], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+/**
+ * Downloads the evaluator results as an XLSX workbook (Results and Errors
+ * sheets), the results CSV or the errors CSV. One file per call: browsers
+ * block a second download started by the same click.
+ * @param {Object} options - Export options
+ * @param {Object} options.rubric - Document rubric definition
+ * @param {Object[]} options.results - Evaluator results
+ * @param {string} options.format - 'xlsx', 'csv' or 'errors-csv'
+ * @param {string} options.fileBaseName - File name without extension
+ * @returns {Object} - { graded, failed } row counts
+ */
+export const exportPdfResults = async ({ rubric, results, format, fileBaseName }) => {
+  const [resultSheet, errorSheet] = buildPdfExportSheets(rubric, results);
+
+  if (format === 'xlsx') {
+    downloadBlob(await buildXlsx([resultSheet, errorSheet]), `${fileBaseName}.xlsx`);
+  } else if (format === 'errors-csv') {
+    downloadCsv(errorSheet, `${fileBaseName}_errors.csv`);
+  } else {
+    downloadCsv(resultSheet, `${fileBaseName}.csv`);
+  }
+
+  return { graded: resultSheet.rows.length, failed: errorSheet.rows.length };
+};
@@ -0,0 +1,149 @@
+import JSZip from 'jszip';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { buildPdfExportSheets, buildXlsx, exportPdfResults, toCsv } from './resultExport';
+import { DEFAULT_DOCUMENT_RUBRIC_ID, getRubric } from './rubrics';
+
+const rubric = getRubric(DEFAULT_DOCUMENT_RUBRIC_ID);
+
+const gradedResult = {
+  fileId: 'file-1',
+  fileName: 'team, "alpha".pdf',
+  ...Object.fromEntries(rubric.criteria.map((criterion, index) => [criterion.key, { score: index + 1, justification: `Reason ${index + 1}` }])),
+  total_score: 10,
+  strengths: ['Structure', 'Data'],
+  improvements: ['References'],
+  overall_feedback: 'Good\nwork',
+  processedAt: '2026-02-03T04:05:06.000Z'
+};
+const failedResult = { fileId: 'file-2', fileName: 'broken.pdf', error: 'Request payload is invalid' };
+
+describe('buildPdfExportSheets', () => {
+  const [results, errors] = buildPdfExportSheets(rubric, [gradedResult, failedResult]);
+
+  it('gives every criterion a score and a justification column', () => {
+    expect(results.columns).toEqual([
+      'File Name',
+      ...rubric.criteria.flatMap((criterion, index) => [`C${index + 1} ${criterion.label} (${criterion.weight})`, `C${index + 1} Justification`]),
+      `Total (${rubric.maxScore})`,
+      'Strengths',
+      'Improvements',
+      'Overall Feedback',
+      'Graded At'
+    ]);
+    expect(results.rows).toEqual([[
+      'team, "alpha".pdf',
+      ...rubric.criteria.flatMap((_, index) => [index + 1, `Reason ${index + 1}`]),
+      10,
+      'Structure; Data',
+      'References',
+      'Good\nwork',
+      '2026-02-03T04:05:06.000Z'
+    ]]);
+  });
+
+  it('moves failed files to the errors sheet', () => {
+    expect(errors).toEqual({
+      name: 'Errors',
+      columns: ['File Name', 'File ID', 'Error', 'Attempted At'],
+      rows: [['broken.pdf', 'file-2', 'Request payload is invalid', '']]
+    });
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes commas, quotes and line breaks and ends rows with CRLF', () => {
+    const csv = toCsv({ columns: ['Name', 'Notes'], rows: [['a, "b"', 'line 1\nline 2'], [3, null]] });
+
+    expect(csv).toBe('Name,Notes\r\n"a, ""b""","line 1\nline 2"\r\n3,');
+  });
+
+  it('prefixes text that a spreadsheet would run as a formula', () => {
+    const csv = toCsv({
+      columns: ['Name'],
+      rows: [['=HYPERLINK("http://example.com")'], ['+1'], ['-cmd'], ['@SUM(A1)'], ['\tTab'], ['a=b'], [-3]]
+    });
+
+    expect(csv.split('\r\n').slice(1)).toEqual([
+      '"\'=HYPERLINK(""http://example.com"")"',
+      "'+1",
+      "'-cmd",
+      "'@SUM(A1)",
+      "'\tTab",
+      'a=b',
+      '-3'
+    ]);
+  });
+});
+
+describe('buildXlsx', () => {
+  it('writes one worksheet per sheet without folder entries', async () => {
+    const zip = await JSZip.loadAsync(await (await buildXlsx(buildPdfExportSheets(rubric, [gradedResult, failedResult]))).arrayBuffer());
+
+    expect(Object.keys(zip.files).sort()).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/_rels/workbook.xml.rels',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]);
+    expect(await zip.file('xl/workbook.xml').async('string')).toContain('<sheet name="Results" sheetId="1" r:id="rId1"/><sheet name="Errors" sheetId="2" r:id="rId2"/>');
+  });
+
+  it('stores numbers as numbers and escapes text', async () => {
+    const zip = await JSZip.loadAsync(await (await buildXlsx([{ name: 'Results', columns: ['Name', 'Score'], rows: [['<b> & \u0007', 7.5]] }])).arrayBuffer());
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">&lt;b&gt; &amp; </t></is></c><c r="B2"><v>7.5</v></c>');
+  });
+
+  it('keeps tabs, line breaks and astral characters but drops unpaired surrogates', async () => {
+    const zip = await JSZip.loadAsync(await (await buildXlsx([{ name: 'Results', columns: ['Notes'], rows: [['a\tb\r\nc \u{1F600} \uD800\u0000\uFFFE d']] }])).arrayBuffer());
+    const sheet = await zip.file('xl/worksheets/sheet1.xml').async('string');
+
+    expect(sheet).toContain('<t xml:space="preserve">a\tb\r\nc \u{1F600}  d</t>');
+  });
+});
+
+describe('exportPdfResults', () => {
+  let downloads;
+
+  beforeEach(() => {
+    downloads = [];
+    vi.stubGlobal('document', {
+      body: { appendChild: vi.fn() },
+      createElement: () => {
+        const link = { remove: vi.fn() };
+        link.click = () => downloads.push(link.download);
+        return link;
+      }
+    });
+    vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:export');
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('downloads one file per call', async () => {
+    const results = [gradedResult, failedResult];
+
+    expect(await exportPdfResults({ rubric, results, format: 'csv', fileBaseName: 'grades' })).toEqual({ graded: 1, failed: 1 });
+    await exportPdfResults({ rubric, results, format: 'errors-csv', fileBaseName: 'grades' });
+    await exportPdfResults({ rubric, results, format: 'xlsx', fileBaseName: 'grades' });
+
+    expect(downloads).toEqual(['grades.csv', 'grades_errors.csv', 'grades.xlsx']);
+  });
+
+  it('revokes the object URL only after the download has started', async () => {
+    vi.useFakeTimers();
+    await exportPdfResults({ rubric, results: [gradedResult], format: 'csv', fileBaseName: 'grades' });
+
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+  });
+});
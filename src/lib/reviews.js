@@ -0,0 +1,189 @@
+import {
+  fetchEvaluationOverrides,
+  fetchParticipant,
+  fetchReviewCandidates,
+  insertEvaluationOverride
+} from './databaseService';
+import { getStageStatus } from './statuses';
+
+/**
+ * Human review of stage-rubric evaluations. The review queue holds
+ * evaluations flagged by consensus grading plus a random sample of the rest;
+ * a reviewer's correction is saved as a new evaluation_overrides version and
+ * the AI row is left as it was. Reports read effective_evaluation_results,
+ * where the latest override wins.
+ */
+
+export const DEFAULT_SAMPLE_SIZE = 10;
+// Unreviewed evaluations the random sample is drawn from
+const SAMPLE_POOL_SIZE = 500;
+const RECENTLY_REVIEWED_LIMIT = 20;
+
+/**
+ * Reviewer identity for this browser, kept in localStorage between sessions
+ * @returns {string} - Reviewer name or email ('' when not set)
+ */
+export const getReviewerIdentity = () => localStorage.getItem('reviewer_identity') || '';
+
+/**
+ * Remembers the reviewer identity for this browser
+ * @param {string} reviewer - Reviewer name or email
+ */
+export const setReviewerIdentity = (reviewer) => {
+  localStorage.setItem('reviewer_identity', reviewer.trim());
+};
+
+/**
+ * Reads the AI stage results from the evaluation_results stage columns.
+ * Legacy or missing statuses are mapped onto the status taxonomy.
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object} row - evaluation_results row
+ * @returns {Object} - { <key>: { score, status, feedback } }
+ */
+export const stageScoresFromRow = (rubric, row) => {
+  return rubric.criteria.reduce((stageScores, criterion) => {
+    const score = row[`${criterion.key}_score`] ?? 0;
+    const status = getStageStatus({ score, status: row[`${criterion.key}_status`] }, criterion.weight);
+    stageScores[criterion.key] = {
+      score,
+      status: status?.key || null,
+      feedback: row[`${criterion.key}_feedback`] || null
+    };
+    return stageScores;
+  }, {});
+};
+
+/**
+ * Stage results after the latest override (AI feedback is kept)
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object} row - effective_evaluation_results row
+ * @returns {Object} - { <key>: { score, status, feedback } }
+ */
+export const getEffectiveStageScores = (rubric, row) => {
+  const aiStageScores = stageScoresFromRow(rubric, row);
+  if (!row.effective_stage_scores) {
+    return aiStageScores;
+  }
+
+  return rubric.criteria.reduce((stageScores, criterion) => {
+    stageScores[criterion.key] = {
+      ...aiStageScores[criterion.key],
+      ...row.effective_stage_scores[criterion.key]
+    };
+    return stageScores;
+  }, {});
+};
+
+/**
+ * Validates a reviewer's override
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object} override - { stageScores: { <key>: { score, status } }, reviewer, reason }
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+export const validateOverride = (rubric, { stageScores, reviewer, reason }) => {
+  const errors = [];
+
+  if (!reviewer || !reviewer.trim()) {
+    errors.push('Reviewer is required');
+  }
+  if (!reason || !reason.trim()) {
+    errors.push('A reason for the override is required');
+  }
+
+  rubric.criteria.forEach(criterion => {
+    const stage = stageScores[criterion.key];
+    if (!stage || !Number.isInteger(stage.score) || stage.score < 0 || stage.score > criterion.weight) {
+      errors.push(`${criterion.label} score must be a whole number between 0 and ${criterion.weight}`);
+    }
+    if (stage && !rubric.statuses.includes(stage.status)) {
+      errors.push(`${criterion.label} status must be one of ${rubric.statuses.join(', ')}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Loads the review queue of a program: unreviewed flagged evaluations, a
+ * random sample of unreviewed unflagged ones, and the most recently
+ * overridden ones (which can be overridden again as a new version)
+ * @param {string} programId - Program identifier
+ * @param {Object} options - Queue options
+ * @param {number} options.sampleSize - Unflagged evaluations to sample
+ * @returns {Object} - Object containing { flagged, sampled, reviewed } and any errors
+ */
+export const loadReviewQueue = async (programId, { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) => {
+  const { data: flagged, error: flaggedError } = await fetchReviewCandidates(programId, { flagged: true });
+  if (flaggedError) {
+    return { data: null, error: flaggedError };
+  }
+
+  const { data: pool, error: poolError } = await fetchReviewCandidates(programId, { flagged: false, limit: SAMPLE_POOL_SIZE });
+  if (poolError) {
+    return { data: null, error: poolError };
+  }
+
+  const { data: reviewed, error: reviewedError } = await fetchReviewCandidates(programId, { reviewed: true, limit: RECENTLY_REVIEWED_LIMIT });
+  if (reviewedError) {
+    return { data: null, error: reviewedError };
+  }
+
+  // Fisher-Yates on a copy, then take the first sampleSize rows
+  const shuffled = [...pool];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return { data: { flagged, sampled: shuffled.slice(0, sampleSize), reviewed }, error: null };
+};
+
+/**
+ * Loads what a reviewer needs for one evaluation: the participant's answers
+ * and the earlier override versions
+ * @param {Object} evaluation - effective_evaluation_results row
+ * @returns {Object} - Object containing { participant, overrides } and any errors
+ */
+export const loadReviewDetails = async (evaluation) => {
+  const [participantResult, overridesResult] = await Promise.all([
+    fetchParticipant(evaluation.program, evaluation.email),
+    fetchEvaluationOverrides(evaluation.id)
+  ]);
+
+  if (participantResult.error || overridesResult.error) {
+    return { data: null, error: participantResult.error || overridesResult.error };
+  }
+
+  return { data: { participant: participantResult.data, overrides: overridesResult.data }, error: null };
+};
+
+/**
+ * Validates and stores a new override version for an evaluation
+ * @param {Object} rubric - Stage rubric definition
+ * @param {Object} evaluation - effective_evaluation_results row being reviewed
+ * @param {Object} override - { stageScores: { <key>: { score, status } }, reviewer, reason }
+ * @returns {Object} - Object containing the stored override row and any errors
+ */
+export const saveOverride = async (rubric, evaluation, { stageScores, reviewer, reason }) => {
+  const errors = validateOverride(rubric, { stageScores, reviewer, reason });
+  if (errors.length > 0) {
+    return { data: null, error: errors.join('; ') };
+  }
+
+  const storedStageScores = rubric.criteria.reduce((acc, criterion) => {
+    acc[criterion.key] = { score: stageScores[criterion.key].score, status: stageScores[criterion.key].status };
+    return acc;
+  }, {});
+
+  return insertEvaluationOverride({
+    evaluationId: evaluation.id,
+    version: (evaluation.override_version || 0) + 1,
+    program: evaluation.program,
+    email: evaluation.email,
+    reviewer: reviewer.trim(),
+    reason: reason.trim(),
+    stageScores: storedStageScores,
+    totalScore: Object.values(storedStageScores).reduce((sum, stage) => sum + stage.score, 0),
+    aiTotalScore: evaluation.total_score
+  });
+};
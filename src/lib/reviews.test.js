@@ -0,0 +1,141 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getEffectiveStageScores, saveOverride, validateOverride } from './reviews';
+import { insertEvaluationOverride } from './databaseService';
+import { DEFAULT_STAGE_RUBRIC_ID, getRubric } from './rubrics';
+
+vi.mock('./databaseService', () => ({
+  fetchEvaluationOverrides: vi.fn(),
+  fetchParticipant: vi.fn(),
+  fetchReviewCandidates: vi.fn(),
+  insertEvaluationOverride: vi.fn(async (override) => ({ data: { id: 3, ...override }, error: null }))
+}));
+
+const rubric = getRubric(DEFAULT_STAGE_RUBRIC_ID);
+
+// Every stage at full marks, with overrides applied on top
+const stageScoresWith = (overrides = {}) => Object.fromEntries(rubric.criteria.map(criterion => [
+  criterion.key,
+  { score: criterion.weight, status: 'exemplar', ...overrides[criterion.key] }
+]));
+
+const override = (fields = {}) => ({
+  stageScores: stageScoresWith(),
+  reviewer: ' reviewer@example.com ',
+  reason: ' Missed the stakeholder analysis ',
+  ...fields
+});
+
+const evaluation = { id: 11, program: 'GMP', email: 'participant@example.com', total_score: 80 };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe('validateOverride', () => {
+  it('accepts whole scores within each weight and known statuses', () => {
+    expect(validateOverride(rubric, override())).toEqual([]);
+    expect(validateOverride(rubric, override({ stageScores: stageScoresWith({ idea: { score: 0, status: 'weak' } }) }))).toEqual([]);
+  });
+
+  it('requires a reviewer and a reason', () => {
+    expect(validateOverride(rubric, override({ reviewer: '  ', reason: '' }))).toEqual([
+      'Reviewer is required',
+      'A reason for the override is required'
+    ]);
+  });
+
+  it('rejects scores outside 0..weight or not whole', () => {
+    const errors = validateOverride(rubric, override({
+      stageScores: stageScoresWith({
+        idea: { score: 11 },
+        problem: { score: -1 },
+        impact: { score: 12.5 }
+      })
+    }));
+
+    expect(errors).toEqual([
+      'One-line Idea score must be a whole number between 0 and 10',
+      expect.stringMatching(/ score must be a whole number between 0 and 10$/),
+      expect.stringMatching(/ score must be a whole number between 0 and 20$/)
+    ]);
+  });
+
+  it('rejects missing stages and unknown statuses', () => {
+    const stageScores = stageScoresWith({ problem: { status: 'excellent' } });
+    delete stageScores.idea;
+
+    const errors = validateOverride(rubric, override({ stageScores }));
+
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toBe('One-line Idea score must be a whole number between 0 and 10');
+    expect(errors[1]).toMatch(/ status must be one of exemplar, average, weak$/);
+  });
+});
+
+describe('saveOverride', () => {
+  it('stores the first override as version 1 with trimmed reviewer and reason', async () => {
+    const stageScores = stageScoresWith({ impact: { score: 10, status: 'average', feedback: 'ignored' } });
+
+    const { data, error } = await saveOverride(rubric, evaluation, override({ stageScores }));
+
+    expect(error).toBeNull();
+    expect(data.id).toBe(3);
+    expect(insertEvaluationOverride).toHaveBeenCalledWith({
+      evaluationId: 11,
+      version: 1,
+      program: 'GMP',
+      email: 'participant@example.com',
+      reviewer: 'reviewer@example.com',
+      reason: 'Missed the stakeholder analysis',
+      stageScores: expect.objectContaining({ impact: { score: 10, status: 'average' } }),
+      totalScore: rubric.maxScore - 10,
+      aiTotalScore: 80
+    });
+  });
+
+  it('stores a re-review as the next version after the current one', async () => {
+    await saveOverride(rubric, { ...evaluation, override_version: 2 }, override());
+
+    expect(insertEvaluationOverride).toHaveBeenCalledWith(expect.objectContaining({ version: 3, totalScore: rubric.maxScore }));
+  });
+
+  it('returns the validation errors without writing', async () => {
+    const { data, error } = await saveOverride(rubric, evaluation, override({ reason: '' }));
+
+    expect(data).toBeNull();
+    expect(error).toBe('A reason for the override is required');
+    expect(insertEvaluationOverride).not.toHaveBeenCalled();
+  });
+});
+
+describe('getEffectiveStageScores', () => {
+  const row = {
+    idea_score: 5,
+    idea_status: 'average',
+    idea_feedback: 'Clear intent',
+    problem_score: 8,
+    problem_status: 'good',
+    problem_feedback: null,
+    impact_score: 20,
+    impact_status: null
+  };
+
+  it('reads the AI columns when there is no override, mapping legacy and missing statuses', () => {
+    const stageScores = getEffectiveStageScores(rubric, row);
+
+    expect(stageScores.idea).toEqual({ score: 5, status: 'average', feedback: 'Clear intent' });
+    expect(stageScores.problem).toEqual({ score: 8, status: 'average', feedback: null });
+    expect(stageScores.impact).toEqual({ score: 20, status: 'exemplar', feedback: null });
+    expect(stageScores.pitch).toEqual({ score: 0, status: 'weak', feedback: null });
+  });
+
+  it('lets the latest override win while keeping the AI feedback', () => {
+    const stageScores = getEffectiveStageScores(rubric, {
+      ...row,
+      effective_stage_scores: { idea: { score: 10, status: 'exemplar' } }
+    });
+
+    expect(stageScores.idea).toEqual({ score: 10, status: 'exemplar', feedback: 'Clear intent' });
+    expect(stageScores.problem).toEqual({ score: 8, status: 'average', feedback: null });
+  });
+});
@@ -0,0 +1,557 @@
+import { hashHex } from './hash';
+import { STATUS_KEYS } from './statuses';
+
+/**
+ * Rubric registry shared by BatchEvaluationProcessor, CaseQuestions and
+ * GoogleDrivePDFEvaluator. Criteria, weights, benchmark levels and the output
+ * schema live here as data; the prompt builders and score validation below
+ * are derived from it, so a weight change is made in exactly one place.
+ * Bump a rubric's promptVersion whenever its rendered prompt changes; the
+ * version is stored with every evaluation.
+ */
+
+const NO_RESPONSE = 'No response provided';
+
+/**
+ * Canonical Innovation Template stage weights. The stage rubrics, the prompt
+ * maxima, saveEvaluationResults and the rubric_weights table seeded by
+ * database/migrations/002_rubric_weights.sql must all agree with this table;
+ * checkRubricConsistency() verifies that before a batch starts.
+ */
+export const STAGE_WEIGHTS = Object.freeze({
+  idea: 10,
+  problem: 10,
+  technology: 10,
+  collaboration: 10,
+  creativity: 15,
+  scale: 15,
+  impact: 20,
+  pitch: 10
+});
+
+const sumWeights = (criteria) => criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+// The maximum total is always the sum of the criterion weights, never a literal
+const withMaxScore = (rubric) => ({ ...rubric, maxScore: sumWeights(rubric.criteria) });
+
+/**
+ * Builds an Innovation Template rubric graded with "lazy evaluation" principles.
+ * Programs share the template and differ only in domain wording.
+ * Output shape: { totalScore, stageScores: { <key>: { score, status, feedback } }, overallFeedback, recommendations }
+ * @param {Object} options - Program-specific wording
+ * @param {string} options.id - Rubric identifier
+ * @param {string} options.name - Display name
+ * @param {string} options.domain - Hackathon domain used in the evaluator intro
+ * @param {string} options.impactExemplar - Exemplar benchmark for the impact section
+ * @returns {Object} - Rubric definition
+ */
+const createLazyEvaluationRubric = ({ id, name, domain, impactExemplar }) => withMaxScore({
+  id,
+  name,
+  kind: 'stages',
+  promptVersion: 'v4',
+  statuses: STATUS_KEYS,
+  intro: `You are an evaluator for a ${domain} using LAZY EVALUATION principles.`,
+  guidelines: [
+    'IGNORE spelling and grammar mistakes completely',
+    'Focus on IDEAS and INTENT rather than perfect writing',
+    'Give benefit of the doubt when meaning is unclear but effort is shown',
+    'Be generous with partial credit for incomplete but meaningful responses',
+    'Value creativity and innovation over technical writing skills',
+    'If a response shows understanding but is poorly written, still give credit'
+  ],
+  focus: [
+    'CONTENT and IDEAS are what matter',
+    'IGNORE all spelling, grammar, and language errors',
+    'REWARD effort and understanding over perfect presentation',
+    'Be GENEROUS with partial credit',
+    'Look for the INTENT behind poorly written responses'
+  ],
+  criteria: [
+    {
+      key: 'idea',
+      label: 'One-line Idea',
+      weight: STAGE_WEIGHTS.idea,
+      criteria: 'Clarity of INTENT + Completeness of CONCEPT (ignore spelling/grammar).',
+      levels: {
+        exemplar: 'Clear problem identification + target audience + solution method, even if poorly written.',
+        average: 'Shows understanding of problem and solution direction, regardless of writing quality.',
+        weak: 'Minimal effort or completely unclear intent (not due to spelling errors).'
+      },
+      answers: [{ label: 'Student Answer', fields: ['idea_statement'] }],
+      feedbackHint: 'justification focusing on ideas not writing'
+    },
+    {
+      key: 'problem',
+      label: 'Problem',
+      weight: STAGE_WEIGHTS.problem,
+      criteria: 'Understanding of problem and stakeholder impact (content focus, not writing).',
+      levels: {
+        exemplar: 'Demonstrates clear grasp of the issue and its consequences, even with poor grammar.',
+        average: 'Shows basic problem awareness but may miss some details, writing quality irrelevant.',
+        weak: 'Very limited understanding shown (not due to language barriers).'
+      },
+      answers: [{ label: 'Student Answer', fields: ['stage2_problem'] }],
+      feedbackHint: 'justification focusing on understanding not grammar'
+    },
+    {
+      key: 'technology',
+      label: 'Technology',
+      weight: STAGE_WEIGHTS.technology,
+      criteria: 'Practical technology ideas (focus on concepts, not technical writing).',
+      levels: {
+        exemplar: 'Proposes concrete technological solutions that make sense, regardless of spelling.',
+        average: 'Mentions relevant technology with basic understanding, writing quality ignored.',
+        weak: 'Vague tech references with no clear connection to problem.'
+      },
+      answers: [{ label: 'Student Answer', fields: ['stage3_technology'] }],
+      feedbackHint: 'justification focusing on tech concepts not spelling'
+    },
+    {
+      key: 'collaboration',
+      label: 'Collaboration',
+      weight: STAGE_WEIGHTS.collaboration,
+      criteria: 'Understanding of teamwork needs (content over presentation).',
+      levels: {
+        exemplar: 'Identifies relevant partners and their contributions, even if poorly expressed.',
+        average: 'Shows awareness of collaboration needs, writing style irrelevant.',
+        weak: 'No clear collaboration concept (not due to language issues).'
+      },
+      answers: [{ label: 'Student Answer', fields: ['stage4_collaboration'] }],
+      feedbackHint: 'justification focusing on teamwork ideas not presentation'
+    },
+    {
+      key: 'creativity',
+      label: 'Creativity Twist',
+      weight: STAGE_WEIGHTS.creativity,
+      criteria: 'Novel thinking and innovation (ideas matter, not eloquence).',
+      levels: {
+        exemplar: 'Creative features or approaches that show original thinking, regardless of grammar.',
+        average: 'Some creative elements present, focus on innovation not presentation.',
+        weak: 'Standard/conventional thinking with no creative spark.'
+      },
+      answers: [{ label: 'Student Answer', fields: ['stage5_creativity'] }],
+      feedbackHint: 'justification focusing on innovation not eloquence'
+    },
+    {
+      key: 'scale',
+      label: 'Speed & Scale',
+      weight: STAGE_WEIGHTS.scale,
+      criteria: 'Implementation and growth thinking (practical concepts, not perfect writing).',
+      levels: {
+        exemplar: 'Clear implementation strategy and scaling vision, even if grammar is poor.',
+        average: 'Basic implementation awareness, writing quality not considered.',
+        weak: 'No clear implementation concept.'
+      },
+      answers: [{ label: 'Student Answer', fields: ['stage6_speed_scale'] }],
+      feedbackHint: 'justification focusing on implementation concepts not writing quality'
+    },
+    {
+      key: 'impact',
+      label: 'Purpose & Impact',
+      weight: STAGE_WEIGHTS.impact,
+      criteria: 'Understanding of value and benefits (substance over style).',
+      levels: {
+        exemplar: impactExemplar,
+        average: 'Shows awareness of positive impact, language quality irrelevant.',
+        weak: 'Minimal impact understanding shown.'
+      },
+      answers: [{ label: 'Student Answer', fields: ['stage7_impact'] }],
+      feedbackHint: 'justification focusing on value understanding not language'
+    },
+    {
+      key: 'pitch',
+      label: 'Final + Reflection',
+      weight: STAGE_WEIGHTS.pitch,
+      criteria: 'Consistency and learning awareness (thoughtfulness, not technical writing).',
+      levels: {
+        exemplar: 'Shows coherent thinking and genuine reflection, even with spelling errors.',
+        average: 'Basic consistency and simple learning shown, presentation style ignored.',
+        weak: 'No clear synthesis or learning demonstrated.'
+      },
+      answers: [
+        {
+          label: 'Final Pitch',
+          fields: [
+            'stage8_final_problem',
+            'stage8_final_technology',
+            'stage8_final_collaboration',
+            'stage8_final_creativity',
+            'stage8_final_speed_scale',
+            'stage8_final_impact'
+          ]
+        },
+        { label: 'Reflection', fields: ['stage10_reflection'] }
+      ],
+      feedbackHint: 'justification focusing on consistency and learning not writing skills'
+    }
+  ],
+  overallFeedbackHint: 'comprehensive feedback focusing on ideas, innovation, and understanding while completely ignoring spelling/grammar issues',
+  recommendationHints: [
+    'actionable recommendation focusing on idea development 1',
+    'content-focused recommendation 2',
+    'innovation-focused recommendation 3'
+  ]
+});
+
+const LAZY_EVALUATION_RUBRIC = createLazyEvaluationRubric({
+  id: 'lazy_evaluation',
+  name: 'Lazy Evaluation (GMP)',
+  domain: 'pharmaceutical innovation hackathon',
+  impactExemplar: 'Connects to patient safety, compliance, economic benefits - content clarity matters, not grammar.'
+});
+
+const MC_LAZY_EVALUATION_RUBRIC = createLazyEvaluationRubric({
+  id: 'mc_lazy_evaluation',
+  name: 'Lazy Evaluation (MC)',
+  domain: 'general innovation hackathon',
+  impactExemplar: 'Connects to stakeholder safety, compliance, economic benefits - content clarity matters, not grammar.'
+});
+
+const FSQM_LAZY_EVALUATION_RUBRIC = createLazyEvaluationRubric({
+  id: 'fsqm_lazy_evaluation',
+  name: 'Lazy Evaluation (FSQM)',
+  domain: 'food safety and quality management innovation hackathon',
+  impactExemplar: 'Connects to consumer safety, food safety compliance, economic benefits - content clarity matters, not grammar.'
+});
+
+/**
+ * Food Safety and Quality Management project report rubric used for PDF submissions.
+ * Output shape: { criterion1..n: { score, justification }, total_score, strengths, improvements, overall_feedback }
+ */
+const FSQM_REPORT_RUBRIC = withMaxScore({
+  id: 'fsqm_report',
+  name: 'FSQM Project Report',
+  kind: 'criteria',
+  promptVersion: 'v1',
+  intro: 'You are an experienced college professor evaluating a Food Safety and Quality Management project report. Analyze the document and provide competetive scores using upto 2 decimals based on the rubric below.',
+  criteria: [
+    {
+      key: 'criterion1',
+      label: 'Report Completeness and Structure',
+      weight: 10,
+      criteria: 'Check if the report contains Introduction, Methodology, Findings, Conclusion, and References sections. The report should be well-organized with logical flow.',
+      bands: [
+        { range: '9-10', description: 'All sections present, excellent structure' },
+        { range: '7-8', description: 'All sections present, good organization' },
+        { range: '5-6', description: 'Most sections present, some gaps' },
+        { range: '3-4', description: 'Several sections missing' },
+        { range: '0-2', description: 'Major sections missing' }
+      ]
+    },
+    {
+      key: 'criterion2',
+      label: 'Depth of Analysis',
+      weight: 10,
+      criteria: 'Evaluate understanding of FSQM concepts, analytical insights, pattern recognition, and relevance to food safety and quality management principles.',
+      bands: [
+        { range: '9-10', description: 'Exceptional analysis with deep insights' },
+        { range: '7-8', description: 'Strong analysis with good insights' },
+        { range: '5-6', description: 'Adequate analysis with basic insights' },
+        { range: '3-4', description: 'Superficial analysis' },
+        { range: '0-2', description: 'No meaningful analysis' }
+      ]
+    },
+    {
+      key: 'criterion3',
+      label: 'Quality of Documentation',
+      weight: 5,
+      criteria: 'Assess clarity of writing, formatting consistency, proper referencing, and quality of tables and figures.',
+      bands: [
+        { range: '5', description: 'Excellent quality throughout' },
+        { range: '4', description: 'Good quality with minor issues' },
+        { range: '3', description: 'Acceptable quality' },
+        { range: '2', description: 'Poor quality' },
+        { range: '0-1', description: 'Very poor quality' }
+      ]
+    },
+    {
+      key: 'criterion4',
+      label: 'Originality and Effort',
+      weight: 5,
+      criteria: 'Determine if the work shows independent thinking, avoids copy-paste, and demonstrates genuine effort.',
+      bands: [
+        { range: '5', description: 'Highly original with substantial effort' },
+        { range: '4', description: 'Good originality and effort' },
+        { range: '3', description: 'Some originality, moderate effort' },
+        { range: '2', description: 'Limited originality' },
+        { range: '0-1', description: 'Copy-paste evident, minimal effort' }
+      ]
+    }
+  ]
+});
+
+export const RUBRICS = {
+  [LAZY_EVALUATION_RUBRIC.id]: LAZY_EVALUATION_RUBRIC,
+  [MC_LAZY_EVALUATION_RUBRIC.id]: MC_LAZY_EVALUATION_RUBRIC,
+  [FSQM_LAZY_EVALUATION_RUBRIC.id]: FSQM_LAZY_EVALUATION_RUBRIC,
+  [FSQM_REPORT_RUBRIC.id]: FSQM_REPORT_RUBRIC
+};
+
+export const DEFAULT_STAGE_RUBRIC_ID = LAZY_EVALUATION_RUBRIC.id;
+export const DEFAULT_DOCUMENT_RUBRIC_ID = FSQM_REPORT_RUBRIC.id;
+
+/**
+ * Looks up a rubric definition by id
+ * @param {string} rubricId - Rubric identifier
+ * @returns {Object} - Rubric definition
+ */
+export const getRubric = (rubricId) => {
+  const rubric = RUBRICS[rubricId];
+  if (!rubric) {
+    throw new Error(`Unknown rubric: ${rubricId}`);
+  }
+  return rubric;
+};
+
+/**
+ * Maps each criterion key to its maximum score
+ * @param {Object} rubric - Rubric definition
+ * @returns {Object} - { [criterionKey]: weight }
+ */
+export const getMaxScores = (rubric) => {
+  return rubric.criteria.reduce((acc, criterion) => {
+    acc[criterion.key] = criterion.weight;
+    return acc;
+  }, {});
+};
+
+const formatAnswer = (user, answer) => {
+  return answer.fields.map(field => user?.[field] || NO_RESPONSE).join(' / ');
+};
+
+const buildStagePrompt = (rubric, { caseFile, user }) => {
+  const sections = rubric.criteria.map(criterion => {
+    const answerLines = criterion.answers.map(answer => `${answer.label}: ${formatAnswer(user, answer)}`);
+    return `**${criterion.label} (Weight: ${criterion.weight})**
+Criteria: ${criterion.criteria}
+Exemplar: ${criterion.levels.exemplar}
+Average: ${criterion.levels.average}
+Weak: ${criterion.levels.weak}
+${answerLines.join('\n')}`;
+  });
+
+  const stageSchema = rubric.criteria.map(criterion =>
+    `    "${criterion.key}": {"score": <integer 0-${criterion.weight}>, "status": "${rubric.statuses.join('|')}", "feedback": "${criterion.feedbackHint}"}`
+  );
+
+  return `
+${rubric.intro}
+
+**LAZY EVALUATION GUIDELINES:**
+${rubric.guidelines.map(line => `- ${line}`).join('\n')}
+
+Students submit answers using the Innovation Template, with sections listed below.
+Each section has:
+Criteria (what to check for - focusing on content, not writing quality).
+Weight (maximum marks).
+Three benchmark levels:
+Exemplar (Best) → full marks.
+Average → half marks.
+Weak (Poor) → zero marks.
+Your task is to:
+Compare the student's response in each section with these benchmarks (ignoring spelling/grammar).
+Assign a score (0, half, or full weight) based on IDEAS and EFFORT.
+Provide a short justification focusing on content quality.
+At the end, total the score out of ${rubric.maxScore}.
+
+**CASE STUDY CONTEXT:**
+${caseFile || 'No case study provided'}
+
+**PARTICIPANT'S RESPONSES:**
+
+${sections.join('\n\n')}
+
+**EVALUATION FOCUS:**
+${rubric.focus.map(line => `- ${line}`).join('\n')}
+
+**Output Format Required:**
+For each section:
+Section Name
+Score: (0 / half weight / full weight)
+Justification (focus on content quality, mention ignoring language issues)
+
+At the end:
+Total Score (out of ${rubric.maxScore})
+Overall Feedback (2–3 sentences on content strengths and idea development, ignore writing quality).
+
+Return ONLY a valid JSON object with this structure:
+{
+  "totalScore": <integer 0-${rubric.maxScore}>,
+  "stageScores": {
+${stageSchema.join(',\n')}
+  },
+  "overallFeedback": "${rubric.overallFeedbackHint}",
+  "recommendations": [${rubric.recommendationHints.map(hint => `"${hint}"`).join(', ')}]
+}`;
+};
+
+const buildDocumentPrompt = (rubric) => {
+  const sections = rubric.criteria.map((criterion, index) => {
+    const bandLines = criterion.bands.map(band => `Score ${band.range}: ${band.description}`);
+    return `Criterion ${index + 1} - ${criterion.label} (${criterion.weight} marks):
+${criterion.criteria}
+${bandLines.join('\n')}`;
+  });
+
+  const criterionSchema = rubric.criteria.map(criterion => `  "${criterion.key}": {
+    "score": 0,
+    "justification": "explanation here"
+  }`);
+
+  return `
+${rubric.intro}
+
+EVALUATION RUBRIC (Total: ${rubric.maxScore} marks):
+
+${sections.join('\n\n')}
+
+Provide your evaluation in this exact JSON format:
+
+{
+${criterionSchema.join(',\n')},
+  "total_score": 0,
+  "strengths": ["strength 1", "strength 2", "strength 3"],
+  "improvements": ["improvement 1", "improvement 2", "improvement 3"],
+  "overall_feedback": "comprehensive feedback here"
+}
+
+Evaluate the project report now and respond ONLY with the JSON format above.
+      `;
+};
+
+/**
+ * Renders the evaluation prompt for a rubric
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} context - Prompt context
+ * @param {string} context.caseFile - Case study text (stage rubrics only)
+ * @param {Object} context.user - Participant row with stage answers (stage rubrics only)
+ * @returns {string} - Prompt text
+ */
+export const buildEvaluationPrompt = (rubric, context = {}) => {
+  return rubric.kind === 'stages'
+    ? buildStagePrompt(rubric, context)
+    : buildDocumentPrompt(rubric);
+};
+
+/**
+ * Identifies the prompt template a rubric renders: its declared version plus
+ * a hash of the template text (rendered without participant data), so edits
+ * that forget to bump promptVersion are still distinguishable
+ * @param {Object} rubric - Rubric definition
+ * @returns {Object} - { promptVersion, promptHash }
+ */
+export const getPromptFingerprint = (rubric) => ({
+  promptVersion: rubric.promptVersion,
+  promptHash: hashHex(buildEvaluationPrompt(rubric))
+});
+
+const clampScore = (value, max) => {
+  const score = Number(value);
+  if (!Number.isFinite(score)) return 0;
+  return Math.min(Math.max(score, 0), max);
+};
+
+/**
+ * Clamps each criterion score to its rubric weight and reconciles the total.
+ * The reported total is replaced by the criterion sum when they disagree by
+ * more than 5 points, and is always capped at the rubric maximum.
+ * @param {Object} rubric - Rubric definition
+ * @param {Object} results - Parsed model output
+ * @returns {Object} - Validated results (a new object)
+ */
+export const validateRubricScores = (rubric, results) => {
+  const maxScores = getMaxScores(rubric);
+  const validated = { ...results };
+
+  if (rubric.kind === 'stages') {
+    const stageScores = { ...(results.stageScores || {}) };
+    Object.entries(maxScores).forEach(([key, max]) => {
+      if (stageScores[key]) {
+        stageScores[key] = { ...stageScores[key], score: clampScore(stageScores[key].score, max) };
+      }
+    });
+    validated.stageScores = stageScores;
+
+    const calculatedTotal = Object.values(stageScores).reduce((sum, stage) => sum + (stage.score || 0), 0);
+    if (Math.abs((results.totalScore || 0) - calculatedTotal) > 5) {
+      console.warn(`Score discrepancy detected. AI reported: ${results.totalScore}, Calculated: ${calculatedTotal}`);
+      validated.totalScore = calculatedTotal;
+    }
+    validated.totalScore = clampScore(validated.totalScore, rubric.maxScore);
+  } else {
+    Object.entries(maxScores).forEach(([key, max]) => {
+      if (results[key]) {
+        validated[key] = { ...results[key], score: clampScore(results[key].score, max) };
+      }
+    });
+
+    const calculatedTotal = rubric.criteria.reduce((sum, criterion) => sum + (validated[criterion.key]?.score || 0), 0);
+    if (Math.abs((results.total_score || 0) - calculatedTotal) > 5) {
+      console.warn(`Score discrepancy detected. AI reported: ${results.total_score}, Calculated: ${calculatedTotal}`);
+      validated.total_score = calculatedTotal;
+    }
+    validated.total_score = clampScore(validated.total_score, rubric.maxScore);
+  }
+
+  return validated;
+};
+
+/**
+ * Cross-checks a rubric against the canonical weight table, the maxima its
+ * prompt announces to the model, and the limits stored in the database.
+ * Used as a startup self-check so a batch never runs against disagreeing
+ * weights.
+ * @param {Object} rubric - Rubric definition
+ * @param {Object[]} storedWeights - rubric_weights rows ({ criterion_key, max_score })
+ * @returns {string[]} - Mismatch descriptions (empty when consistent)
+ */
+export const checkRubricConsistency = (rubric, storedWeights = []) => {
+  const problems = [];
+  const maxScores = getMaxScores(rubric);
+
+  if (rubric.kind === 'stages') {
+    Object.entries(STAGE_WEIGHTS).forEach(([key, weight]) => {
+      if (maxScores[key] !== weight) {
+        problems.push(`${rubric.id}: ${key} weight is ${maxScores[key]}, canonical weight is ${weight}`);
+      }
+    });
+  }
+
+  if (rubric.maxScore !== sumWeights(rubric.criteria)) {
+    problems.push(`${rubric.id}: maximum score ${rubric.maxScore} does not equal the sum of its weights`);
+  }
+
+  const prompt = buildEvaluationPrompt(rubric);
+  rubric.criteria.forEach(criterion => {
+    const marker = rubric.kind === 'stages'
+      ? `(Weight: ${criterion.weight})`
+      : `(${criterion.weight} marks)`;
+    if (!prompt.includes(marker)) {
+      problems.push(`${rubric.id}: prompt does not announce ${criterion.key} as worth ${criterion.weight}`);
+    }
+  });
+
+  const storedMaxScores = storedWeights.reduce((acc, row) => {
+    acc[row.criterion_key] = row.max_score;
+    return acc;
+  }, {});
+  const storedKeys = Object.keys(storedMaxScores);
+
+  if (storedKeys.length === 0) {
+    problems.push(`${rubric.id}: no weights stored in rubric_weights (apply database/migrations/002_rubric_weights.sql)`);
+  } else {
+    Object.entries(maxScores).forEach(([key, weight]) => {
+      if (!(key in storedMaxScores)) {
+        problems.push(`${rubric.id}: database has no weight for ${key}`);
+      } else if (storedMaxScores[key] !== weight) {
+        problems.push(`${rubric.id}: database allows ${storedMaxScores[key]} points for ${key}, rubric weight is ${weight}`);
+      }
+    });
+    storedKeys
+      .filter(key => !(key in maxScores))
+      .forEach(key => problems.push(`${rubric.id}: database has weight for unknown criterion ${key}`));
+  }
+
+  return problems;
+};
@@ -0,0 +1,134 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  DEFAULT_DOCUMENT_RUBRIC_ID,
+  DEFAULT_STAGE_RUBRIC_ID,
+  RUBRICS,
+  STAGE_WEIGHTS,
+  buildEvaluationPrompt,
+  checkRubricConsistency,
+  getMaxScores,
+  getPromptFingerprint,
+  getRubric,
+  validateRubricScores
+} from './rubrics';
+
+const stageRubric = getRubric(DEFAULT_STAGE_RUBRIC_ID);
+const documentRubric = getRubric(DEFAULT_DOCUMENT_RUBRIC_ID);
+
+const storedWeightsFor = (rubric) => rubric.criteria.map(criterion => ({
+  criterion_key: criterion.key,
+  max_score: criterion.weight
+}));
+
+describe('rubric registry', () => {
+  it('derives every maximum score from the criterion weights', () => {
+    Object.values(RUBRICS).forEach(rubric => {
+      const sum = rubric.criteria.reduce((total, criterion) => total + criterion.weight, 0);
+      expect(rubric.maxScore).toBe(sum);
+    });
+  });
+
+  it('uses the canonical stage weights for every stage rubric', () => {
+    Object.values(RUBRICS)
+      .filter(rubric => rubric.kind === 'stages')
+      .forEach(rubric => expect(getMaxScores(rubric)).toEqual(STAGE_WEIGHTS));
+  });
+
+  it('throws for an unknown rubric id', () => {
+    expect(() => getRubric('missing')).toThrow('Unknown rubric: missing');
+  });
+});
+
+describe('buildEvaluationPrompt', () => {
+  it('announces each stage weight and fills in participant answers', () => {
+    const prompt = buildEvaluationPrompt(stageRubric, { caseFile: 'Case text', user: {} });
+
+    stageRubric.criteria.forEach(criterion => {
+      expect(prompt).toContain(`**${criterion.label} (Weight: ${criterion.weight})**`);
+    });
+    expect(prompt).toContain('No response provided');
+  });
+
+  it('announces each document criterion in marks', () => {
+    const prompt = buildEvaluationPrompt(documentRubric);
+
+    expect(prompt).toContain(`Total: ${documentRubric.maxScore} marks`);
+    documentRubric.criteria.forEach(criterion => {
+      expect(prompt).toContain(`(${criterion.weight} marks)`);
+    });
+  });
+
+  it('fingerprints the template independently of participant data', () => {
+    const fingerprint = getPromptFingerprint(stageRubric);
+
+    expect(fingerprint.promptVersion).toBe(stageRubric.promptVersion);
+    expect(fingerprint.promptHash).toMatch(/^[0-9a-f]+$/);
+    expect(getPromptFingerprint(stageRubric)).toEqual(fingerprint);
+    expect(getPromptFingerprint(documentRubric).promptHash).not.toBe(fingerprint.promptHash);
+  });
+});
+
+describe('validateRubricScores', () => {
+  it('clamps stage scores to their weight and recomputes a disagreeing total', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const validated = validateRubricScores(stageRubric, {
+      totalScore: 30,
+      stageScores: { idea: { score: 14, status: 'exemplar' }, impact: { score: -3, status: 'weak' } }
+    });
+
+    expect(validated.stageScores.idea.score).toBe(10);
+    expect(validated.stageScores.impact.score).toBe(0);
+    expect(validated.totalScore).toBe(10);
+  });
+
+  it('keeps a reported total within 5 points of the criterion sum', () => {
+    const validated = validateRubricScores(documentRubric, {
+      criterion1: { score: 8 },
+      criterion2: { score: 7 },
+      criterion3: { score: 4 },
+      criterion4: { score: 3 },
+      total_score: 24
+    });
+
+    expect(validated.total_score).toBe(24);
+  });
+
+  it('caps the total at the rubric maximum', () => {
+    const validated = validateRubricScores(documentRubric, {
+      criterion1: { score: 10 },
+      criterion2: { score: 10 },
+      criterion3: { score: 5 },
+      criterion4: { score: 5 },
+      total_score: documentRubric.maxScore + 3
+    });
+
+    expect(validated.total_score).toBe(documentRubric.maxScore);
+  });
+});
+
+describe('checkRubricConsistency', () => {
+  it('reports no problems when the stored weights match', () => {
+    Object.values(RUBRICS).forEach(rubric => {
+      expect(checkRubricConsistency(rubric, storedWeightsFor(rubric))).toEqual([]);
+    });
+  });
+
+  it('reports missing, different and unknown stored weights', () => {
+    const stored = storedWeightsFor(stageRubric)
+      .filter(row => row.criterion_key !== 'pitch')
+      .map(row => (row.criterion_key === 'impact' ? { ...row, max_score: 25 } : row))
+      .concat({ criterion_key: 'legacy', max_score: 5 });
+
+    expect(checkRubricConsistency(stageRubric, stored)).toEqual([
+      'lazy_evaluation: database allows 25 points for impact, rubric weight is 20',
+      'lazy_evaluation: database has no weight for pitch',
+      'lazy_evaluation: database has weight for unknown criterion legacy'
+    ]);
+  });
+
+  it('reports an empty rubric_weights table', () => {
+    expect(checkRubricConsistency(stageRubric, [])).toEqual([
+      'lazy_evaluation: no weights stored in rubric_weights (apply database/migrations/002_rubric_weights.sql)'
+    ]);
+  });
+});
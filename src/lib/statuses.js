@@ -0,0 +1,97 @@
+/**
+ * Status taxonomy shared by the prompts, the result views and the statistics.
+ * The stage prompts ask the model for one of these statuses per stage and
+ * credit it with the matching share of the stage weight (exemplar → full,
+ * average → half, weak → zero). Scores are mapped back onto the same levels
+ * as a share of their maximum, so a stage, a total out of rubric.maxScore and
+ * a PDF criterion are all banded without literal point thresholds.
+ */
+
+/**
+ * Status levels from best to worst, with the share of the weight each earns
+ */
+export const STATUS_LEVELS = Object.freeze([
+  Object.freeze({ key: 'exemplar', label: 'Exemplar', credit: 1 }),
+  Object.freeze({ key: 'average', label: 'Average', credit: 0.5 }),
+  Object.freeze({ key: 'weak', label: 'Weak', credit: 0 })
+]);
+
+export const STATUS_KEYS = Object.freeze(STATUS_LEVELS.map(level => level.key));
+
+// Statuses written by the pre-v4 prompts, still present on older rows
+const LEGACY_STATUSES = {
+  excellent: 'exemplar',
+  good: 'average',
+  needs_improvement: 'average',
+  poor: 'weak'
+};
+
+// A score belongs to a level once it passes the midpoint towards the next lower level
+const LEVEL_THRESHOLDS = STATUS_LEVELS.map((level, index) => {
+  const lower = STATUS_LEVELS[index + 1];
+  return { level, minShare: lower ? (level.credit + lower.credit) / 2 : -Infinity };
+});
+
+/**
+ * Looks up a status level, accepting the legacy status names
+ * @param {string} status - Status as stored or returned by the model
+ * @returns {Object|null} - { key, label, credit } or null for unknown statuses
+ */
+export const getStatusLevel = (status) => {
+  const key = LEGACY_STATUSES[status] || status;
+  return STATUS_LEVELS.find(level => level.key === key) || null;
+};
+
+/**
+ * Maps a score onto a status level by its share of the maximum
+ * @param {number} score - Stage, criterion or total score
+ * @param {number} maxScore - Weight of the stage or criterion, or rubric.maxScore for totals
+ * @returns {Object|null} - { key, label, credit } or null when there is no score
+ */
+export const getStatusForScore = (score, maxScore) => {
+  if (score == null || !maxScore) {
+    return null;
+  }
+  const share = score / maxScore;
+  return LEVEL_THRESHOLDS.find(({ minShare }) => share >= minShare).level;
+};
+
+/**
+ * Resolves the status of a graded stage: the status the model (or a
+ * reviewer) gave, or the one its score maps to when that is missing
+ * @param {Object} stage - { score, status }
+ * @param {number} weight - Stage weight
+ * @returns {Object|null} - { key, label, credit }
+ */
+export const getStageStatus = (stage, weight) => {
+  return getStatusLevel(stage?.status) || getStatusForScore(stage?.score, weight);
+};
+
+/**
+ * Minimum score of each status level for a given maximum, for labelling bands
+ * @param {number} maxScore - Stage weight or rubric.maxScore
+ * @returns {Object[]} - [{ key, label, minScore }] from best to worst
+ */
+export const getScoreBands = (maxScore) => {
+  return LEVEL_THRESHOLDS.map(({ level, minShare }) => ({
+    key: level.key,
+    label: level.label,
+    minScore: Number.isFinite(minShare) ? Math.ceil(minShare * maxScore) : 0
+  }));
+};
+
+/**
+ * Counts scores per status level
+ * @param {Object[]} items - [{ score, maxScore }]
+ * @returns {Object} - { exemplar, average, weak }
+ */
+export const countByStatus = (items) => {
+  const counts = Object.fromEntries(STATUS_KEYS.map(key => [key, 0]));
+  items.forEach(({ score, maxScore }) => {
+    const level = getStatusForScore(score, maxScore);
+    if (level) {
+      counts[level.key] += 1;
+    }
+  });
+  return counts;
+};
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { countByStatus, getScoreBands, getStageStatus, getStatusForScore, getStatusLevel } from './statuses';
+import { STAGE_WEIGHTS } from './rubrics';
+
+const keyOf = (level) => level?.key ?? null;
+
+describe('getStatusForScore', () => {
+  // Levels change at the midpoints between credits: 75% and 25% of the maximum
+  it.each([
+    [20, 20, 'exemplar'],
+    [15, 20, 'exemplar'],
+    [14.9, 20, 'average'],
+    [10, 20, 'average'],
+    [5, 20, 'average'],
+    [4.9, 20, 'weak'],
+    [0, 20, 'weak'],
+    [7.5, 10, 'exemplar'],
+    [7, 10, 'average'],
+    [2.5, 10, 'average'],
+    [2, 10, 'weak'],
+    [12, 15, 'exemplar'],
+    [11, 15, 'average'],
+    [4, 15, 'average'],
+    [3, 15, 'weak']
+  ])('maps %s out of %s to %s', (score, maxScore, expected) => {
+    expect(keyOf(getStatusForScore(score, maxScore))).toBe(expected);
+  });
+
+  it('bands totals by the same shares', () => {
+    expect(keyOf(getStatusForScore(75, 100))).toBe('exemplar');
+    expect(keyOf(getStatusForScore(74, 100))).toBe('average');
+    expect(keyOf(getStatusForScore(25, 100))).toBe('average');
+    expect(keyOf(getStatusForScore(24, 100))).toBe('weak');
+  });
+
+  it('has no status without a score or a maximum', () => {
+    expect(getStatusForScore(null, 10)).toBeNull();
+    expect(getStatusForScore(undefined, 10)).toBeNull();
+    expect(getStatusForScore(5, 0)).toBeNull();
+  });
+});
+
+describe('getStageStatus', () => {
+  it('keeps the status the model or reviewer gave over the score', () => {
+    expect(keyOf(getStageStatus({ score: 0, status: 'exemplar' }, STAGE_WEIGHTS.impact))).toBe('exemplar');
+  });
+
+  it('maps legacy statuses onto the taxonomy', () => {
+    expect(keyOf(getStageStatus({ score: 10, status: 'excellent' }, STAGE_WEIGHTS.idea))).toBe('exemplar');
+    expect(keyOf(getStageStatus({ score: 6, status: 'good' }, STAGE_WEIGHTS.idea))).toBe('average');
+    expect(keyOf(getStageStatus({ score: 4, status: 'needs_improvement' }, STAGE_WEIGHTS.idea))).toBe('average');
+    expect(keyOf(getStageStatus({ score: 1, status: 'poor' }, STAGE_WEIGHTS.idea))).toBe('weak');
+  });
+
+  it('falls back to the score at the stage weight boundaries', () => {
+    expect(keyOf(getStageStatus({ score: 15 }, STAGE_WEIGHTS.impact))).toBe('exemplar');
+    expect(keyOf(getStageStatus({ score: 14, status: null }, STAGE_WEIGHTS.impact))).toBe('average');
+    expect(keyOf(getStageStatus({ score: 5, status: 'unknown' }, STAGE_WEIGHTS.impact))).toBe('average');
+    expect(keyOf(getStageStatus({ score: 4 }, STAGE_WEIGHTS.impact))).toBe('weak');
+  });
+
+  it('has no status for a missing stage', () => {
+    expect(getStageStatus(undefined, STAGE_WEIGHTS.idea)).toBeNull();
+  });
+});
+
+describe('getStatusLevel', () => {
+  it('returns null for unknown statuses', () => {
+    expect(getStatusLevel('outstanding')).toBeNull();
+    expect(getStatusLevel(undefined)).toBeNull();
+  });
+});
+
+describe('getScoreBands', () => {
+  it('rounds the minimum score of each band up to a whole point', () => {
+    expect(getScoreBands(15)).toEqual([
+      { key: 'exemplar', label: 'Exemplar', minScore: 12 },
+      { key: 'average', label: 'Average', minScore: 4 },
+      { key: 'weak', label: 'Weak', minScore: 0 }
+    ]);
+  });
+});
+
+describe('countByStatus', () => {
+  it('counts scored items per level and skips unscored ones', () => {
+    expect(countByStatus([
+      { score: 20, maxScore: 20 },
+      { score: 10, maxScore: 20 },
+      { score: 2, maxScore: 10 },
+      { score: null, maxScore: 10 }
+    ])).toEqual({ exemplar: 1, average: 1, weak: 1 });
+  });
+});
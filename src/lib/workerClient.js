@@ -0,0 +1,148 @@
+import { supabase } from './supabase';
+
+/**
+ * Client for the evaluation worker HTTP API (server/worker.js). Configure the
+ * worker address with VITE_EVALUATION_WORKER_URL. Requests carry the signed-in
+ * user's Supabase access token, which the worker verifies; nothing secret is
+ * built into the bundle. Production builds need the worker for batch jobs,
+ * manual validation and PDF grading; only development builds with a Gemini
+ * key and mock builds grade in the browser without it.
+ */
+
+const WORKER_URL = (import.meta.env.VITE_EVALUATION_WORKER_URL || '').replace(/\/$/, '');
+
+export const isWorkerConfigured = () => WORKER_URL !== '';
+
+/**
+ * Signs in with a Supabase account, whose session authorizes worker requests
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Object} - Object containing { data: signed-in email, error }
+ */
+export const signInToWorker = async (email, password) => {
+  const { data, error } = await supabase.auth.signInWithPassword({ email: email.trim(), password });
+  return { data: data?.user ? data.user.email : null, error: error ? error.message : null };
+};
+
+export const signOutOfWorker = async () => {
+  const { error } = await supabase.auth.signOut();
+  return { data: null, error: error ? error.message : null };
+};
+
+/**
+ * Calls back with the signed-in email (or null) now and whenever the session changes
+ * @param {Function} callback - Receives the email or null
+ * @returns {Function} - Unsubscribes
+ */
+export const watchWorkerSignIn = (callback) => {
+  supabase.auth.getSession().then(({ data: { session } }) => callback(session ? session.user.email : null));
+  const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
+    callback(session ? session.user.email : null);
+  });
+  return () => subscription.unsubscribe();
+};
+
+const request = async (path, options = {}) => {
+  if (!isWorkerConfigured()) {
+    return { data: null, error: 'Set VITE_EVALUATION_WORKER_URL to the evaluation worker address' };
+  }
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    return { data: null, error: 'Sign in to use the evaluation worker' };
+  }
+
+  try {
+    const response = await fetch(`${WORKER_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session.access_token}`,
+        ...(options.headers || {})
+      }
+    });
+    const body = await response.json();
+
+    if (!response.ok) {
+      return { data: null, error: body.error || `Worker responded with ${response.status}`, body };
+    }
+
+    return { data: body, error: null };
+  } catch (err) {
+    console.error(`Worker request ${path} failed:`, err);
+    return { data: null, error: `Evaluation worker unreachable: ${err.message}` };
+  }
+};
+
+/**
+ * Lists jobs known to the worker, newest first
+ * @returns {Object} - Object containing job statuses and any errors
+ */
+export const listWorkerJobs = async () => {
+  const { data, error } = await request('/jobs');
+  return { data: data ? data.jobs : null, error };
+};
+
+/**
+ * Starts an evaluation job on the worker
+ * @param {string} program - Program identifier
+ * @param {number|null} limit - Maximum participants to grade (all pending when null)
+ * @returns {Object} - Object containing the job status and any errors
+ */
+export const startWorkerJob = async (program, limit = null) => {
+  const { data, error } = await request('/jobs', {
+    method: 'POST',
+    body: JSON.stringify({ program, limit })
+  });
+  return { data: data ? data.job : null, error };
+};
+
+/**
+ * Pauses a running job after the participant in progress
+ * @param {string} jobId - Job (session) identifier
+ * @returns {Object} - Object containing the job status and any errors
+ */
+export const pauseWorkerJob = async (jobId) => {
+  const { data, error } = await request(`/jobs/${encodeURIComponent(jobId)}/pause`, { method: 'POST' });
+  return { data: data ? data.job : null, error };
+};
+
+/**
+ * Resumes a paused job
+ * @param {string} jobId - Job (session) identifier
+ * @returns {Object} - Object containing the job status and any errors
+ */
+export const resumeWorkerJob = async (jobId) => {
+  const { data, error } = await request(`/jobs/${encodeURIComponent(jobId)}/resume`, { method: 'POST' });
+  return { data: data ? data.job : null, error };
+};
+
+/**
+ * Grades one participant on the worker, which loads their answers, saves the
+ * result as a manual validation and logs it (see runManualEvaluation)
+ * @param {string} program - Program identifier
+ * @param {string} email - Participant email
+ * @returns {Object} - Object containing { results, sessionId, evaluationId, dbError } and any errors
+ */
+export const evaluateParticipantOnWorker = async (program, email) => {
+  return request('/evaluations/participant', {
+    method: 'POST',
+    body: JSON.stringify({ program, email })
+  });
+};
+
+/**
+ * Grades one PDF on the worker, which builds the prompt from the rubric
+ * @param {Object} options - Grading request
+ * @param {string} options.rubricId - Document rubric identifier
+ * @param {string} options.fileId - Drive or local file id, for the worker's logs
+ * @param {Object} options.document - { pdf: base64 data } or { extraction: extractPdfText result }
+ * @returns {Object} - Object containing { evaluation } and any errors, with the model's status on failure
+ */
+export const gradePdfOnWorker = async ({ rubricId, fileId, document }) => {
+  const { data, error, body } = await request('/evaluations/pdf', {
+    method: 'POST',
+    body: JSON.stringify({ rubricId, fileId, document })
+  });
+  return { data, error, status: body?.status ?? null };
+};